@@ -0,0 +1,189 @@
+import { randomUUID } from 'node:crypto';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+const ANNOTATION_CONTEXT = "http://www.w3.org/ns/anno.jsonld";
+const PRESENTATION_CONTEXT = "http://iiif.io/api/presentation/3/context.json";
+
+// Motivations accepted for created annotations (a subset of the W3C Web Annotation motivations)
+export const ANNOTATION_MOTIVATIONS = ["commenting", "describing", "identifying", "tagging", "transcribing"];
+
+/**
+ * Default location of the annotation store
+ * @returns {string} Path of the store file in the user's home directory
+ */
+export function defaultAnnotationStorePath() {
+  return path.join(os.homedir(), ".mcp-iiif-images", "annotations.json");
+}
+
+/**
+ * File-backed store of W3C Web Annotations on IIIF canvases.
+ * The whole store is kept in memory and rewritten on every change; writes are serialized so that
+ * concurrent tool calls from several sessions cannot interleave.
+ */
+export class AnnotationStore {
+  /**
+   * @param {string} filePath - Path of the JSON file holding the annotations
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.annotations = null;
+    this.loading = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Load the annotations from disk (once)
+   * @private
+   */
+  async load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        try {
+          const stored = JSON.parse(await readFile(this.filePath, "utf8"));
+          this.annotations = Array.isArray(stored.annotations) ? stored.annotations : [];
+        } catch (error) {
+          if (error.code !== "ENOENT") {
+            // Try again on the next call rather than failing until a restart
+            this.loading = null;
+            throw new Error(`Failed to read annotation store ${this.filePath}: ${error.message}`);
+          }
+          this.annotations = [];
+        }
+      })();
+    }
+    await this.loading;
+  }
+
+  /**
+   * Change the annotations and write them to disk, replacing the file in one step. Changes are queued, so that
+   * each is written before the next is made, and a change that could not be written is undone.
+   * @param {Function} change - Function changing the array of annotations in place
+   * @private
+   */
+  async update(change) {
+    // A failed write must not fail the changes queued after it
+    const update = this.writing.catch(() => {}).then(async () => {
+      const snapshot = [...this.annotations];
+      change(this.annotations);
+      try {
+        await mkdir(path.dirname(this.filePath), { recursive: true });
+        const temporaryPath = `${this.filePath}.${process.pid}.tmp`;
+        await writeFile(temporaryPath, JSON.stringify({ annotations: this.annotations }, null, 2));
+        await rename(temporaryPath, this.filePath);
+      } catch (error) {
+        this.annotations = snapshot;
+        throw new Error(`Failed to write annotation store ${this.filePath}: ${error.message}`, { cause: error });
+      }
+    });
+    this.writing = update;
+    await update;
+  }
+
+  /**
+   * Create and store an annotation on a canvas
+   * @param {object} params - Annotation parameters
+   * @param {string} params.canvasId - Id of the target canvas
+   * @param {string} [params.manifestId] - Id of the manifest containing the canvas
+   * @param {{x: number, y: number, width: number, height: number, unit: 'pixel'|'percent'}} [params.rect] - Target
+   *   region in canvas coordinates or percentages (default: the whole canvas)
+   * @param {string} params.text - Body text
+   * @param {string} [params.motivation] - Motivation (default: 'commenting')
+   * @param {string[]} [params.tags] - Tags, added as tagging bodies
+   * @param {string} [params.language] - Language of the body text
+   * @returns {Promise<object>} Stored annotation
+   */
+  async create({ canvasId, manifestId, rect, text, motivation = "commenting", tags = [], language }) {
+    if (!canvasId) {
+      throw new Error("canvasId parameter is required");
+    }
+    if (!text || !String(text).trim()) {
+      throw new Error("text parameter is required");
+    }
+    if (!ANNOTATION_MOTIVATIONS.includes(motivation)) {
+      throw new Error(`Motivation must be one of: ${ANNOTATION_MOTIVATIONS.join(", ")}`);
+    }
+
+    const body = [{
+      type: "TextualBody",
+      value: String(text).trim(),
+      format: "text/plain",
+      ...(language ? { language } : {}),
+    }];
+    for (const tag of tags) {
+      body.push({ type: "TextualBody", value: String(tag), purpose: "tagging" });
+    }
+
+    const source = { id: canvasId, type: "Canvas" };
+    if (manifestId) {
+      source.partOf = [{ id: manifestId, type: "Manifest" }];
+    }
+    const target = rect || manifestId ? { type: "SpecificResource", source } : canvasId;
+    if (rect) {
+      const prefix = rect.unit === "percent" ? "percent:" : "";
+      target.selector = {
+        type: "FragmentSelector",
+        conformsTo: "http://www.w3.org/TR/media-frags/",
+        value: `xywh=${prefix}${rect.x},${rect.y},${rect.width},${rect.height}`,
+      };
+    }
+
+    const annotation = {
+      id: `urn:uuid:${randomUUID()}`,
+      type: "Annotation",
+      motivation,
+      created: new Date().toISOString(),
+      generator: { type: "Software", name: "mcp-iiif-images" },
+      body: body.length === 1 ? body[0] : body,
+      target,
+    };
+
+    await this.load();
+    await this.update(annotations => annotations.push(annotation));
+
+    return { "@context": ANNOTATION_CONTEXT, ...annotation };
+  }
+
+  /**
+   * Get the stored annotations on a canvas
+   * @param {string} canvasId - Canvas id
+   * @returns {Promise<object[]>} Annotations in creation order
+   */
+  async getAnnotations(canvasId) {
+    await this.load();
+    return this.annotations.filter(annotation => getTargetCanvasId(annotation) === canvasId);
+  }
+
+  /**
+   * Get the ids of all canvases with stored annotations
+   * @returns {Promise<string[]>} Canvas ids
+   */
+  async getCanvasIds() {
+    await this.load();
+    return [...new Set(this.annotations.map(getTargetCanvasId))];
+  }
+
+  /**
+   * Build an AnnotationPage with the stored annotations on a canvas, for IIIF viewers
+   * @param {string} canvasId - Canvas id
+   * @param {string} pageId - URL the page is served from
+   * @returns {Promise<object>} Presentation API 3 AnnotationPage
+   */
+  async getAnnotationPage(canvasId, pageId) {
+    return {
+      "@context": [ANNOTATION_CONTEXT, PRESENTATION_CONTEXT],
+      id: pageId,
+      type: "AnnotationPage",
+      items: await this.getAnnotations(canvasId),
+    };
+  }
+}
+
+/**
+ * Get the id of the canvas an annotation targets
+ * @private
+ */
+function getTargetCanvasId(annotation) {
+  return typeof annotation.target === "string" ? annotation.target : annotation.target.source.id;
+}
@@ -0,0 +1,219 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+// Waits for a host shorter than this are not worth mentioning in tool results
+const SIGNIFICANT_WAIT_MS = 1000;
+
+// Session and waits of the tool call running in the current async context, with the time up to which waits
+// have been counted per host, so that requests waiting side by side are not counted more than once
+const callContext = new AsyncLocalStorage();
+
+/**
+ * Run a tool call for a session, so that its requests are queued fairly with those of other sessions and the
+ * time they wait for their turn is recorded
+ * @param {string} [session] - MCP session id; calls without one share a queue
+ * @param {Function} task - Async function making the tool call
+ * @returns {Promise<{result: *, waits: Map<string, number>}>} Result of the task, and the time in ms during
+ *   which its requests were waiting per host
+ */
+export async function runInSession(session, task) {
+  const context = { session: session || 'default', waits: new Map(), countedUntil: new Map() };
+  const result = await callContext.run(context, task);
+  return { result, waits: context.waits };
+}
+
+/**
+ * Describe significant waits for hosts, for tool results
+ * @param {Map<string, number>} waits - Time in ms waited per host, from runInSession
+ * @returns {string|null} Note on the throttled hosts, or null if no request waited significantly
+ */
+export function describeThrottling(waits) {
+  const throttled = [...waits].filter(([, ms]) => ms >= SIGNIFICANT_WAIT_MS);
+  if (throttled.length === 0) {
+    return null;
+  }
+  const hosts = throttled.map(([host, ms]) => `${host} (${(ms / 1000).toFixed(1)}s)`).join(', ');
+  return `Note: requests were throttled to respect the request limits of ${hosts}`;
+}
+
+/**
+ * Scheduler for requests to IIIF servers, limiting the number of concurrent requests and the rate at which
+ * requests start for each host. The rate is enforced with a token bucket, so a burst of up to one second's
+ * worth of requests starts at once. Waiting requests are taken from each session in turn, so that one session
+ * fetching many images does not hold up the others.
+ */
+export class HostScheduler {
+  /**
+   * @param {object} [options] - Scheduler options
+   * @param {number} [options.maxConcurrency] - Most concurrent requests per host (default: 4)
+   * @param {number} [options.requestsPerSecond] - Most requests started per second per host, or 0 for no
+   *   limit (default: 10)
+   */
+  constructor(options = {}) {
+    this.maxConcurrency = 4;
+    this.requestsPerSecond = 10;
+    // Requests running and waiting, by host
+    this.hosts = new Map();
+    this.configure(options);
+  }
+
+  /**
+   * Change the scheduler options (see the constructor); options not given are left unchanged
+   * @param {object} options - Scheduler options
+   */
+  configure(options = {}) {
+    if (options.maxConcurrency !== undefined && options.maxConcurrency !== null) {
+      const value = Number(options.maxConcurrency);
+      if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`Invalid scheduler option maxConcurrency: ${options.maxConcurrency}`);
+      }
+      this.maxConcurrency = value;
+    }
+    if (options.requestsPerSecond !== undefined && options.requestsPerSecond !== null) {
+      const value = Number(options.requestsPerSecond);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new Error(`Invalid scheduler option requestsPerSecond: ${options.requestsPerSecond}`);
+      }
+      this.requestsPerSecond = value;
+    }
+  }
+
+  /**
+   * Wait for a turn to send a request to the host of a URL
+   * @param {string} url - URL to request
+   * @returns {Promise<Function>} Function to call when the request is done, which may be called more than once
+   */
+  async acquire(url) {
+    let host;
+    try {
+      host = new URL(url).host;
+    } catch {
+      // Invalid URLs fail in the request itself
+      return () => {};
+    }
+
+    const state = this.getHostState(host);
+    const context = callContext.getStore();
+    const session = context ? context.session : 'default';
+    const queuedAt = Date.now();
+
+    await new Promise(resolve => {
+      if (!state.queues.has(session)) {
+        state.queues.set(session, []);
+      }
+      state.queues.get(session).push(resolve);
+      this.dispatch(host, state);
+    });
+
+    // Turns start in time order, so adding the part of each wait after the waits already counted adds up the
+    // time during which any request was waiting
+    const startedAt = Date.now();
+    if (context) {
+      const countedUntil = context.countedUntil.get(host) || 0;
+      const waited = startedAt - Math.max(queuedAt, countedUntil);
+      if (waited > 0) {
+        context.waits.set(host, (context.waits.get(host) || 0) + waited);
+        context.countedUntil.set(host, startedAt);
+      }
+    }
+
+    let released = false;
+    return () => {
+      if (!released) {
+        released = true;
+        state.active--;
+        this.dispatch(host, state);
+      }
+    };
+  }
+
+  /**
+   * Get the requests running and waiting for a host
+   * @private
+   */
+  getHostState(host) {
+    if (!this.hosts.has(host)) {
+      // Waiting requests are queued per session; the Map keeps the sessions in the order of their turns
+      this.hosts.set(host, {
+        active: 0,
+        tokens: this.getBurst(),
+        refilledAt: Date.now(),
+        timer: null,
+        cleanupTimer: null,
+        queues: new Map(),
+      });
+    }
+    return this.hosts.get(host);
+  }
+
+  /**
+   * Most requests that may start at once for a host
+   * @private
+   */
+  getBurst() {
+    return Math.max(1, this.requestsPerSecond);
+  }
+
+  /**
+   * Add the tokens earned since the last refill, one per 1/requestsPerSecond seconds
+   * @private
+   */
+  refill(state) {
+    const now = Date.now();
+    state.tokens = this.requestsPerSecond > 0
+      ? Math.min(this.getBurst(), state.tokens + (now - state.refilledAt) * this.requestsPerSecond / 1000)
+      : this.getBurst();
+    state.refilledAt = now;
+  }
+
+  /**
+   * Start waiting requests for a host while it has free slots and the rate allows
+   * @private
+   */
+  dispatch(host, state) {
+    while (state.active < this.maxConcurrency && state.queues.size > 0) {
+      this.refill(state);
+      if (state.tokens < 1) {
+        const delay = Math.ceil((1 - state.tokens) * 1000 / this.requestsPerSecond);
+        if (!state.timer) {
+          state.timer = setTimeout(() => {
+            state.timer = null;
+            this.dispatch(host, state);
+          }, delay);
+        }
+        return;
+      }
+
+      // Take the next request of the session whose turn it is, and move the session to the back
+      const [session, queue] = state.queues.entries().next().value;
+      const start = queue.shift();
+      state.queues.delete(session);
+      if (queue.length > 0) {
+        state.queues.set(session, queue);
+      }
+
+      state.active++;
+      state.tokens--;
+      start();
+    }
+
+    // Hosts without running or waiting requests are forgotten once their bucket is full again, as a new state
+    // for them would start with a full bucket
+    if (state.active === 0 && state.queues.size === 0 && !state.timer) {
+      this.refill(state);
+      const missing = this.getBurst() - state.tokens;
+      if (missing <= 0) {
+        clearTimeout(state.cleanupTimer);
+        state.cleanupTimer = null;
+        if (this.hosts.get(host) === state) {
+          this.hosts.delete(host);
+        }
+      } else if (!state.cleanupTimer) {
+        state.cleanupTimer = setTimeout(() => {
+          state.cleanupTimer = null;
+          this.dispatch(host, state);
+        }, Math.ceil(missing * 1000 / this.requestsPerSecond));
+        state.cleanupTimer.unref();
+      }
+    }
+  }
+}
@@ -0,0 +1,279 @@
+import { BlockedUrlError, httpClient } from './http-client.js';
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Response served from the cache, exposing the subset of the fetch Response API used by the server
+ */
+class CachedResponse {
+  constructor(entry, fromCache) {
+    this.ok = entry.status >= 200 && entry.status < 300;
+    this.status = entry.status;
+    this.statusText = entry.statusText;
+    this.url = entry.url;
+    this.fromCache = fromCache;
+    this.body = entry.body;
+    this.headers = {
+      get: (name) => entry.headers[name.toLowerCase()] ?? null
+    };
+  }
+
+  async text() {
+    return this.body.toString('utf8');
+  }
+
+  async json() {
+    return JSON.parse(await this.text());
+  }
+
+  async arrayBuffer() {
+    return this.body.buffer.slice(this.body.byteOffset, this.body.byteOffset + this.body.byteLength);
+  }
+}
+
+// Response headers kept with cache entries
+const STORED_HEADERS = ['content-type', 'etag', 'last-modified', 'cache-control', 'expires'];
+
+// Request headers carrying credentials; responses to such requests are specific to the requester
+const CREDENTIAL_HEADERS = ['authorization', 'cookie'];
+
+/**
+ * HTTP cache for info.json, manifest and image responses, shared across tools and sessions.
+ * Entries are kept in an in-memory LRU and optionally persisted to a directory on disk.
+ * Freshness follows Cache-Control max-age / Expires, and stale entries with an ETag or
+ * Last-Modified header are revalidated with a conditional request. Requests with credentials
+ * and responses marked private bypass the cache, so they are never served to other requesters.
+ * URLs are checked against the client's URL policy before any entry is served, since entries on
+ * disk may have been stored under a more permissive policy.
+ */
+export class HttpCache {
+  /**
+   * @param {object} [options] - Cache options
+   * @param {number} [options.maxEntries] - Maximum number of entries in memory (default: 500)
+   * @param {number} [options.maxBytes] - Maximum total body size in memory (default: 100MB)
+   * @param {number} [options.defaultTtl] - Lifetime in ms for responses without freshness headers (default: 5 minutes)
+   * @param {string} [options.cacheDir] - Directory for the on-disk cache (default: none)
+   * @param {import('./http-client.js').HttpClient} [options.client] - Client for requests (default: the shared client)
+   */
+  constructor({
+    maxEntries = 500, maxBytes = 100 * 1024 * 1024, defaultTtl = 5 * 60 * 1000, cacheDir = null, client = httpClient
+  } = {}) {
+    this.client = client;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.defaultTtl = defaultTtl;
+    this.cacheDir = cacheDir;
+    this.entries = new Map();
+    this.totalBytes = 0;
+  }
+
+  /**
+   * Fetch a URL through the cache
+   * @param {string} url - URL to fetch
+   * @param {object} [options] - Fetch options
+   * @param {object} [options.headers] - Request headers
+   * @returns {Promise<CachedResponse>} Response (check fromCache to see whether the network was used)
+   * @throws {BlockedUrlError} If the URL policy refuses the URL
+   */
+  async fetch(url, { headers = {} } = {}) {
+    const reason = this.client.policy.checkUrl(url);
+    if (reason) {
+      throw new BlockedUrlError(`Request to ${url} blocked: ${reason}`, { url });
+    }
+
+    if (Object.keys(headers).some(name => CREDENTIAL_HEADERS.includes(name.toLowerCase()))) {
+      const response = await this.client.fetch(url, { headers });
+      response.fromCache = false;
+      return response;
+    }
+
+    const entry = await this.get(url);
+
+    if (entry && entry.expires > Date.now()) {
+      return new CachedResponse(entry, true);
+    }
+
+    const requestHeaders = { ...headers };
+    if (entry && entry.headers.etag) {
+      requestHeaders['If-None-Match'] = entry.headers.etag;
+    }
+    if (entry && entry.headers['last-modified']) {
+      requestHeaders['If-Modified-Since'] = entry.headers['last-modified'];
+    }
+
+    const response = await this.client.fetch(url, { headers: requestHeaders });
+
+    if (entry && response.status === 304) {
+      // Still valid: refresh the lifetime using the new headers
+      const refreshed = {
+        ...entry,
+        headers: { ...entry.headers, ...this.pickHeaders(response.headers) },
+      };
+      refreshed.expires = this.calculateExpiry(refreshed.headers);
+      await this.set(url, refreshed);
+      return new CachedResponse(refreshed, true);
+    }
+
+    const body = Buffer.from(await response.arrayBuffer());
+    const fetched = {
+      url,
+      status: response.status,
+      statusText: response.statusText,
+      headers: this.pickHeaders(response.headers),
+      body,
+    };
+
+    if (response.ok && this.isCacheable(fetched.headers)) {
+      fetched.expires = this.calculateExpiry(fetched.headers);
+      await this.set(url, fetched);
+    }
+
+    return new CachedResponse(fetched, false);
+  }
+
+  /**
+   * Get an entry from memory or disk
+   * @private
+   */
+  async get(url) {
+    const entry = this.entries.get(url);
+    if (entry) {
+      // Move to the most recently used position
+      this.entries.delete(url);
+      this.entries.set(url, entry);
+      return entry;
+    }
+
+    if (!this.cacheDir) {
+      return undefined;
+    }
+
+    try {
+      const stored = JSON.parse(await readFile(this.diskPath(url), 'utf8'));
+      if (stored.url !== url) {
+        return undefined;
+      }
+      const diskEntry = { ...stored, body: Buffer.from(stored.body, 'base64') };
+      this.remember(url, diskEntry);
+      return diskEntry;
+    } catch {
+      return undefined;
+    }
+  }
+
+  /**
+   * Store an entry in memory and on disk
+   * @private
+   */
+  async set(url, entry) {
+    this.remember(url, entry);
+
+    if (!this.cacheDir) {
+      return;
+    }
+
+    try {
+      await mkdir(this.cacheDir, { recursive: true });
+      await writeFile(this.diskPath(url), JSON.stringify({ ...entry, body: entry.body.toString('base64') }));
+    } catch (error) {
+      console.error(`Failed to write cache entry for ${url}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add an entry to the in-memory LRU, evicting the least recently used entries
+   * @private
+   */
+  remember(url, entry) {
+    const existing = this.entries.get(url);
+    if (existing) {
+      this.totalBytes -= existing.body.byteLength;
+      this.entries.delete(url);
+    }
+
+    if (entry.body.byteLength > this.maxBytes) {
+      return;
+    }
+
+    this.entries.set(url, entry);
+    this.totalBytes += entry.body.byteLength;
+
+    while (this.entries.size > this.maxEntries || this.totalBytes > this.maxBytes) {
+      const [oldestUrl, oldest] = this.entries.entries().next().value;
+      this.entries.delete(oldestUrl);
+      this.totalBytes -= oldest.body.byteLength;
+    }
+  }
+
+  /**
+   * Remove all entries from memory
+   */
+  clear() {
+    this.entries.clear();
+    this.totalBytes = 0;
+  }
+
+  /**
+   * Path of the on-disk entry for a URL
+   * @private
+   */
+  diskPath(url) {
+    const hash = createHash('sha256').update(url).digest('hex');
+    return path.join(this.cacheDir, `${hash}.json`);
+  }
+
+  /**
+   * Keep the response headers needed for caching and serving entries
+   * @private
+   */
+  pickHeaders(headers) {
+    const picked = {};
+    if (!headers || typeof headers.get !== 'function') {
+      return picked;
+    }
+    for (const name of STORED_HEADERS) {
+      const value = headers.get(name);
+      if (value) {
+        picked[name] = value;
+      }
+    }
+    return picked;
+  }
+
+  /**
+   * Check whether a response may be stored
+   * @private
+   */
+  isCacheable(headers) {
+    const cacheControl = (headers['cache-control'] || '').toLowerCase();
+    return !/\b(no-store|private)\b/.test(cacheControl);
+  }
+
+  /**
+   * Calculate when a response stops being fresh
+   * @private
+   */
+  calculateExpiry(headers) {
+    const now = Date.now();
+    const cacheControl = (headers['cache-control'] || '').toLowerCase();
+
+    if (/\bno-cache\b/.test(cacheControl)) {
+      return now;
+    }
+
+    const maxAge = cacheControl.match(/\bmax-age=(\d+)/);
+    if (maxAge) {
+      return now + Number(maxAge[1]) * 1000;
+    }
+
+    if (headers.expires) {
+      const expires = Date.parse(headers.expires);
+      if (!isNaN(expires)) {
+        return expires;
+      }
+    }
+
+    return now + this.defaultTtl;
+  }
+}
@@ -0,0 +1,395 @@
+import http from 'node:http';
+import https from 'node:https';
+import fetch from 'node-fetch';
+import { HostScheduler } from './host-scheduler.js';
+import { BLOCKED_ADDRESS_CODE, UrlPolicy } from './url-policy.js';
+
+/**
+ * Failure of a request to a remote server, with the URL requested
+ */
+export class RequestError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {object} [options] - Error details
+   * @param {string} [options.url] - URL requested
+   * @param {number} [options.status] - HTTP status of the response, if any
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, { url, status, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.url = url;
+    this.status = status;
+  }
+}
+
+/**
+ * Response with an unsuccessful HTTP status not covered by a more specific error
+ */
+export class HttpError extends RequestError {}
+
+/**
+ * Response with status 404 or 410
+ */
+export class NotFoundError extends HttpError {}
+
+/**
+ * Response with status 401 or 403
+ */
+export class UnauthorizedError extends HttpError {}
+
+/**
+ * Request without a complete response within the timeout
+ */
+export class TimeoutError extends RequestError {}
+
+/**
+ * Response body larger than the maximum response size
+ */
+export class ResponseTooLargeError extends RequestError {}
+
+/**
+ * Request that failed before a response was received, e.g. for an unknown host
+ */
+export class NetworkError extends RequestError {}
+
+/**
+ * Response that is not a valid IIIF resource of the expected kind, e.g. invalid JSON
+ */
+export class InvalidIIIFError extends RequestError {}
+
+/**
+ * Request refused by the URL policy, e.g. to a private address or a host on the deny list
+ */
+export class BlockedUrlError extends RequestError {}
+
+// Statuses of redirects, which are followed by the client so that each URL is checked against the policy
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+// Most redirects followed for one request, as in node-fetch
+const MAX_REDIRECTS = 20;
+
+// Headers not sent on redirects to other origins, as in node-fetch
+const SENSITIVE_HEADERS = ['authorization', 'www-authenticate', 'cookie', 'cookie2'];
+
+/**
+ * Whether a response status is worth retrying: rate limiting and server errors are often temporary
+ * @private
+ */
+function isRetryableStatus(status) {
+  return status === 429 || (status >= 500 && status <= 599);
+}
+
+/**
+ * Create the typed error for an unsuccessful response
+ * @param {{status: number, statusText: string}} response - Response
+ * @param {string} url - URL requested
+ * @param {string} [message] - Error message (default: 'HTTP status: statusText')
+ * @returns {HttpError} NotFoundError, UnauthorizedError or HttpError
+ */
+export function createHttpError(response, url, message = `HTTP ${response.status}: ${response.statusText}`) {
+  const details = { url, status: response.status };
+  if (response.status === 404 || response.status === 410) {
+    return new NotFoundError(message, details);
+  }
+  if (response.status === 401 || response.status === 403) {
+    return new UnauthorizedError(message, details);
+  }
+  return new HttpError(message, details);
+}
+
+/**
+ * Find the request error behind an error, following the causes of errors that wrap it
+ * @param {Error} error - Error
+ * @returns {RequestError|null} Request error, or null if the error was not caused by a request
+ */
+export function findRequestError(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current instanceof RequestError) {
+      return current;
+    }
+  }
+  return null;
+}
+
+/**
+ * Copy request headers without the credentials, for redirects to another origin
+ * @private
+ */
+function withoutSensitiveHeaders(headers) {
+  return Object.fromEntries(
+    Object.entries(headers).filter(([name]) => !SENSITIVE_HEADERS.includes(name.toLowerCase()))
+  );
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @private
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * HTTP client for all requests to IIIF servers, with a timeout per request, retries with exponential backoff for
+ * rate limiting (429) and server errors (5xx) that honour Retry-After, and a maximum response size.
+ * Unsuccessful statuses are returned as responses, since callers handle some of them (e.g. 401 for IIIF
+ * Authentication, 304 for revalidation); timeouts, oversized responses and network failures are thrown as
+ * typed errors. Every URL, including redirect targets and the addresses host names resolve to, is checked
+ * against the URL policy, and each request waits for its turn from the host scheduler until its body is read.
+ */
+export class HttpClient {
+  /**
+   * @param {object} [options] - Client options
+   * @param {number} [options.timeout] - Time in ms for a request, including reading the body (default: 30s)
+   * @param {number} [options.retries] - Number of retries after a 429 or 5xx response or network failure (default: 2)
+   * @param {number} [options.retryDelay] - Delay in ms before the first retry, doubled for each further retry
+   *   (default: 500)
+   * @param {number} [options.maxRetryDelay] - Longest delay in ms to wait before a retry; responses asking to
+   *   retry later than this with Retry-After are returned as they are (default: 10s)
+   * @param {number} [options.maxResponseSize] - Maximum response body size in bytes (default: 50MB)
+   * @param {UrlPolicy} [options.policy] - URLs that may be fetched (default: public http and https URLs)
+   * @param {HostScheduler} [options.scheduler] - Limits for concurrent requests and request rate per host
+   *   (default: 4 concurrent requests and 10 requests per second)
+   */
+  constructor(options = {}) {
+    this.timeout = 30 * 1000;
+    this.retries = 2;
+    this.retryDelay = 500;
+    this.maxRetryDelay = 10 * 1000;
+    this.maxResponseSize = 50 * 1024 * 1024;
+    this.policy = new UrlPolicy();
+    this.scheduler = new HostScheduler();
+    this.configure(options);
+
+    // Agents that check the addresses host names resolve to against the current policy
+    const lookup = (...args) => this.policy.lookup(...args);
+    this.agents = {
+      'http:': new http.Agent({ keepAlive: true, lookup }),
+      'https:': new https.Agent({ keepAlive: true, lookup }),
+    };
+    this.selectAgent = parsedUrl => this.agents[parsedUrl.protocol];
+  }
+
+  /**
+   * Change the client options (see the constructor); options not given are left unchanged
+   * @param {object} options - Client options
+   */
+  configure(options = {}) {
+    if (options.policy) {
+      this.policy = options.policy;
+    }
+    if (options.scheduler) {
+      this.scheduler = options.scheduler;
+    }
+    for (const name of ['timeout', 'retries', 'retryDelay', 'maxRetryDelay', 'maxResponseSize']) {
+      if (options[name] === undefined || options[name] === null) {
+        continue;
+      }
+      const value = Number(options[name]);
+      if (!Number.isFinite(value) || value < 0 || (name !== 'retries' && name !== 'retryDelay' && value === 0)) {
+        throw new Error(`Invalid HTTP client option ${name}: ${options[name]}`);
+      }
+      this[name] = value;
+    }
+  }
+
+  /**
+   * Fetch a URL
+   * @param {string} url - URL to fetch
+   * @param {object} [options] - Fetch options
+   * @param {object} [options.headers] - Request headers
+   * @returns {Promise<object>} Response, whose body must be read within the timeout
+   * @throws {BlockedUrlError|TimeoutError|ResponseTooLargeError|NetworkError} If no usable response was received
+   */
+  async fetch(url, { headers = {} } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      const release = await this.scheduler.acquire(url);
+      const controller = new AbortController();
+      const timer = setTimeout(() => {
+        controller.abort();
+        release();
+      }, this.timeout);
+      // Bodies that are never read must not keep the process alive
+      timer.unref?.();
+
+      let response;
+      let responseUrl;
+      try {
+        ({ response, url: responseUrl } = await this.send(url, headers, controller.signal));
+      } catch (error) {
+        clearTimeout(timer);
+        controller.abort();
+        release();
+        const requestError = this.translateError(error, url);
+        if (requestError instanceof NetworkError && attempt < this.retries) {
+          await sleep(this.getBackoff(attempt));
+          continue;
+        }
+        throw requestError;
+      }
+
+      if (isRetryableStatus(response.status) && attempt < this.retries) {
+        const delay = this.getRetryDelay(response, attempt);
+        if (delay !== null) {
+          clearTimeout(timer);
+          controller.abort();
+          release();
+          await sleep(delay);
+          continue;
+        }
+      }
+
+      const length = Number(response.headers && response.headers.get && response.headers.get('content-length'));
+      if (length > this.maxResponseSize) {
+        clearTimeout(timer);
+        controller.abort();
+        release();
+        throw new ResponseTooLargeError(
+          `Response of ${length} bytes exceeds the maximum response size of ${this.maxResponseSize} bytes`,
+          { url, status: response.status }
+        );
+      }
+
+      // Bodies of unsuccessful responses are small or never read, so they do not keep their turn
+      if (!response.ok) {
+        release();
+      }
+      return this.wrapResponse(response, responseUrl, () => {
+        clearTimeout(timer);
+        release();
+      });
+    }
+  }
+
+  /**
+   * Request a URL, following redirects after checking their targets against the policy
+   * @private
+   */
+  async send(url, headers, signal) {
+    for (let redirects = 0; ; redirects++) {
+      const reason = this.policy.checkUrl(url);
+      if (reason) {
+        throw new BlockedUrlError(`Request to ${url} blocked: ${reason}`, { url });
+      }
+
+      const response = await fetch(url, {
+        headers,
+        signal,
+        size: this.maxResponseSize,
+        agent: this.selectAgent,
+        redirect: 'manual',
+      });
+
+      const location = REDIRECT_STATUSES.has(response.status) && response.headers && response.headers.get('location');
+      if (!location) {
+        return { response, url };
+      }
+      if (redirects >= MAX_REDIRECTS) {
+        throw new HttpError(`Too many redirects from ${url}`, { url, status: response.status });
+      }
+
+      let target;
+      try {
+        target = new URL(location, url);
+      } catch {
+        throw new HttpError(`Invalid redirect from ${url} to ${location}`, { url, status: response.status });
+      }
+      // Discard the body of the redirect, freeing the connection
+      response.body?.resume?.();
+      if (target.origin !== new URL(url).origin) {
+        headers = withoutSensitiveHeaders(headers);
+      }
+      url = target.href;
+    }
+  }
+
+  /**
+   * Get the delay before retrying a response: its Retry-After, or exponential backoff. Returns null if the
+   * server asks to wait longer than maxRetryDelay.
+   * @private
+   */
+  getRetryDelay(response, attempt) {
+    const retryAfter = response.headers && response.headers.get && response.headers.get('retry-after');
+    if (!retryAfter) {
+      return this.getBackoff(attempt);
+    }
+
+    // Retry-After is either a number of seconds or an HTTP date
+    const seconds = Number(retryAfter);
+    const delay = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+    if (Number.isNaN(delay)) {
+      return this.getBackoff(attempt);
+    }
+    return delay > this.maxRetryDelay ? null : Math.max(0, delay);
+  }
+
+  /**
+   * Exponential backoff for a retry
+   * @private
+   */
+  getBackoff(attempt) {
+    return Math.min(this.retryDelay * 2 ** attempt, this.maxRetryDelay);
+  }
+
+  /**
+   * Wrap a response so that reading the body ends the request (stopping the timeout and freeing its turn) and
+   * throws typed errors
+   * @private
+   */
+  wrapResponse(response, url, done) {
+    const read = method => async () => {
+      try {
+        return await response[method]();
+      } catch (error) {
+        throw this.translateError(error, url, response.status);
+      } finally {
+        done();
+      }
+    };
+
+    return {
+      ok: response.ok,
+      status: response.status,
+      statusText: response.statusText,
+      url: response.url || url,
+      headers: response.headers,
+      text: read('text'),
+      json: read('json'),
+      arrayBuffer: read('arrayBuffer'),
+    };
+  }
+
+  /**
+   * Translate errors from node-fetch into typed errors
+   * @private
+   */
+  translateError(error, url, status) {
+    if (error instanceof RequestError) {
+      return error;
+    }
+    if (error.code === BLOCKED_ADDRESS_CODE) {
+      // node-fetch wraps the lookup error as 'request to URL failed, reason: ...'
+      const reason = error.message.replace(/^request to .* failed, reason: /, '');
+      return new BlockedUrlError(`Request to ${url} blocked: ${reason}`, { url, status, cause: error });
+    }
+    if (error.name === 'AbortError') {
+      return new TimeoutError(`No response from ${url} within ${this.timeout / 1000} seconds`, { url, status, cause: error });
+    }
+    if (error.type === 'max-size') {
+      return new ResponseTooLargeError(`Response exceeds the maximum response size of ${this.maxResponseSize} bytes`, { url, status, cause: error });
+    }
+    if (error.name === 'SyntaxError') {
+      return new InvalidIIIFError(`Invalid JSON: ${error.message}`, { url, status, cause: error });
+    }
+    if (error.name === 'FetchError') {
+      // node-fetch messages already name the URL, e.g. 'request to URL failed, reason: ...'
+      return new NetworkError(error.message, { url, status, cause: error });
+    }
+    // Other errors, such as invalid URLs, are not failures of the request
+    return error;
+  }
+}
+
+// Client shared by all modules, configured from the command line
+export const httpClient = new HttpClient();
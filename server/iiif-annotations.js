@@ -0,0 +1,421 @@
+import { asArray, fetchJsonDocument, getId, getLabel } from './iiif-manifest.js';
+
+// Number of parameters taken by each SVG path command
+const PATH_PARAMETERS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+/**
+ * Get the annotation pages (v3 annotations) or annotation lists (v2 otherContent) of a canvas
+ * @param {object} canvas - v2 or v3 canvas
+ * @returns {Array<object|string>} Embedded pages and references to external pages
+ */
+export function getAnnotationPageReferences(canvas) {
+  return [...asArray(canvas.annotations), ...asArray(canvas.otherContent)];
+}
+
+/**
+ * Get the annotations listed in an annotation page (v3) or annotation list (v2)
+ * @private
+ */
+function getPageAnnotations(page) {
+  if (Array.isArray(page.items)) {
+    return page.items;
+  }
+  if (Array.isArray(page.resources)) {
+    return page.resources;
+  }
+  return [];
+}
+
+/**
+ * Check whether an annotation page reference embeds its annotations
+ * @private
+ */
+function isEmbeddedPage(page) {
+  return typeof page === "object" && (Array.isArray(page.items) || Array.isArray(page.resources));
+}
+
+/**
+ * Fetch the annotations of a canvas from its embedded and external annotation pages
+ * @param {object} canvas - v2 or v3 canvas
+ * @param {object} [options] - Fetch options
+ * @param {import('./http-cache.js').HttpCache} [options.cache] - Cache to fetch through
+ * @returns {Promise<{pages: Array<object>, annotations: Array<object>}>} Pages (with any fetch errors) and the
+ *   parsed annotations that target the canvas
+ */
+export async function fetchCanvasAnnotations(canvas, { cache } = {}) {
+  const pages = [];
+  const annotations = [];
+
+  for (const reference of getAnnotationPageReferences(canvas)) {
+    const pageId = getId(reference);
+    let page = reference;
+
+    if (!isEmbeddedPage(reference)) {
+      try {
+        page = await fetchJsonDocument(pageId, { cache });
+      } catch (error) {
+        pages.push({ id: pageId, embedded: false, error: error.message });
+        continue;
+      }
+    }
+
+    const pageAnnotations = getPageAnnotations(page)
+      .map(annotation => parseAnnotation(annotation, canvas))
+      .filter(annotation => annotation.targetsCanvas);
+
+    pages.push({ id: pageId, embedded: page === reference, count: pageAnnotations.length });
+    annotations.push(...pageAnnotations);
+  }
+
+  return { pages, annotations };
+}
+
+/**
+ * Parse a W3C (v3) or Open Annotation (v2) annotation
+ * @param {object} annotation - Annotation
+ * @param {object} canvas - Canvas the annotation is read for, used to resolve its target region
+ * @returns {{id: string, motivation: string[], bodies: Array<object>, text: string, tags: string[],
+ *   region: string|null, targetsCanvas: boolean}} Annotation with its text, tags and target as a pct: region of the canvas
+ */
+export function parseAnnotation(annotation, canvas) {
+  const bodies = [
+    ...asArray(annotation.body).flatMap(parseBody),
+    ...asArray(annotation.resource).flatMap(parseBody),
+  ];
+  if (typeof annotation.bodyValue === "string") {
+    bodies.push({ type: "text", value: annotation.bodyValue });
+  }
+
+  const targets = [...asArray(annotation.target), ...asArray(annotation.on)].map(target => parseTarget(target, canvas));
+  const canvasId = getId(canvas);
+  const target = targets.find(t => !t.source || t.source === canvasId) || targets[0];
+
+  return {
+    id: getId(annotation),
+    motivation: asArray(annotation.motivation).map(normalizeName),
+    bodies,
+    text: bodies.filter(body => body.type === "text" && body.purpose !== "tagging").map(body => body.value).join(" | "),
+    tags: bodies.filter(body => body.purpose === "tagging").map(body => body.value),
+    region: target ? target.region : null,
+    targetsCanvas: !target || !target.source || target.source === canvasId,
+  };
+}
+
+/**
+ * Remove an "oa:", "sc:" or similar prefix from a v2 name
+ * @private
+ */
+function normalizeName(name) {
+  return String(name).replace(/^[a-z]+:/, "");
+}
+
+/**
+ * Parse an annotation body (v3) or resource (v2) into text values and links
+ * @private
+ */
+function parseBody(body) {
+  if (!body) {
+    return [];
+  }
+  if (typeof body === "string") {
+    return [{ type: "link", value: body }];
+  }
+
+  const type = normalizeName(body.type || body["@type"] || "");
+
+  if (type === "Choice") {
+    // Prefer the default (v2) or first (v3) option, e.g. of several transcriptions or translations
+    const option = body.default || asArray(body.items)[0] || asArray(body.item)[0];
+    return parseBody(option);
+  }
+  if (type === "SpecificResource" && (body.source || body.full)) {
+    return parseBody(body.source || body.full).map(parsed => ({ ...parsed, purpose: parsed.purpose || body.purpose }));
+  }
+
+  const value = body.value !== undefined ? body.value : body.chars;
+  const purpose = body.purpose ? normalizeName(asArray(body.purpose)[0]) : (type === "Tag" ? "tagging" : undefined);
+  if (value !== undefined) {
+    const format = body.format || "";
+    return [{
+      type: "text",
+      value: /html/.test(format) || /^\s*</.test(String(value)) ? stripHtml(String(value)) : String(value).trim(),
+      language: body.language,
+      purpose,
+    }];
+  }
+
+  const id = getId(body);
+  return id ? [{ type: "link", value: id, label: getLabel(body.label) || undefined, purpose }] : [];
+}
+
+/**
+ * Reduce HTML to plain text
+ * @param {string} html - HTML fragment
+ * @returns {string} Text with line breaks for block elements
+ */
+export function stripHtml(html) {
+  return html
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|li|h[1-6])>/gi, "\n")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, "&")
+    .replace(/[ \t]+/g, " ")
+    .replace(/ *\n+ */g, "\n")
+    .trim();
+}
+
+/**
+ * Parse an annotation target into its source and region
+ * @param {object|string} target - Target: a canvas URI with an optional #xywh= fragment or a SpecificResource
+ * @param {object} canvas - Canvas providing the dimensions for pct: regions
+ * @returns {{source: string|undefined, region: string|null}} Source id and pct: region (null for the whole canvas
+ *   or an unsupported selector)
+ */
+export function parseTarget(target, canvas) {
+  if (typeof target === "string") {
+    const [source, fragment] = target.split("#");
+    return { source, region: fragment ? fragmentToRegion(fragment, canvas) : null };
+  }
+
+  const source = target.source || target.full;
+  if (!source) {
+    return parseTarget(getId(target) || "", canvas);
+  }
+
+  // The source may itself carry a fragment
+  const parsedSource = typeof source === "string" ? parseTarget(source, canvas) : { source: getId(source), region: null };
+  let region = parsedSource.region;
+  for (const selector of asArray(target.selector)) {
+    region = region || selectorToRegion(selector, canvas);
+  }
+
+  return { source: parsedSource.source, region };
+}
+
+/**
+ * Convert a selector to a pct: region
+ * @private
+ */
+function selectorToRegion(selector, canvas) {
+  if (!selector) {
+    return null;
+  }
+
+  const type = normalizeName(selector.type || selector["@type"] || "");
+  if (type === "Choice") {
+    // Mirador 2 annotations offer a fragment selector and an SVG selector
+    return selectorToRegion(selector.default, canvas) || selectorToRegion(selector.item, canvas);
+  }
+  if (type === "FragmentSelector") {
+    return fragmentToRegion(selector.value, canvas);
+  }
+  if (type === "SvgSelector") {
+    const box = svgBoundingBox(selector.value || selector.chars || "");
+    return box ? toPctRegion(box, canvas) : null;
+  }
+  return null;
+}
+
+/**
+ * Convert a media fragment (xywh=x,y,w,h, xywh=pixel:... or xywh=percent:...) to a pct: region
+ * @private
+ */
+function fragmentToRegion(fragment, canvas) {
+  const match = String(fragment).match(/xywh=(?:(pixel|percent):)?\s*([\d.]+),\s*([\d.]+),\s*([\d.]+),\s*([\d.]+)/);
+  if (!match) {
+    return null;
+  }
+
+  const [x, y, width, height] = match.slice(2).map(Number);
+  if (match[1] === "percent") {
+    return formatPctRegion(x, y, width, height);
+  }
+  return toPctRegion({ x, y, width, height }, canvas);
+}
+
+/**
+ * Convert a rectangle in canvas coordinates to a pct: region, clipped to the canvas
+ * @private
+ */
+function toPctRegion(box, canvas) {
+  const width = Number(canvas.width);
+  const height = Number(canvas.height);
+  if (!width || !height) {
+    return null;
+  }
+
+  const x = Math.max(0, box.x);
+  const y = Math.max(0, box.y);
+  const right = Math.min(width, box.x + box.width);
+  const bottom = Math.min(height, box.y + box.height);
+  if (right <= x || bottom <= y) {
+    return null;
+  }
+
+  return formatPctRegion(x / width * 100, y / height * 100, (right - x) / width * 100, (bottom - y) / height * 100);
+}
+
+/**
+ * Format a pct: region with at most four decimals
+ * @private
+ */
+function formatPctRegion(x, y, width, height) {
+  const pct = value => Number(value.toFixed(4));
+  return `pct:${pct(x)},${pct(y)},${pct(width)},${pct(height)}`;
+}
+
+/**
+ * Calculate the bounding box of the shapes in an SVG selector (transforms are ignored)
+ * @param {string} svg - SVG document or fragment
+ * @returns {{x: number, y: number, width: number, height: number}|null} Bounding box, or null if there are no shapes
+ */
+export function svgBoundingBox(svg) {
+  const points = [];
+  const attribute = (element, name) => {
+    const match = element.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`));
+    return match ? match[1] : undefined;
+  };
+  const number = (element, name) => Number(attribute(element, name) || 0);
+
+  for (const [element, tag] of svg.matchAll(/<(path|rect|circle|ellipse|polygon|polyline|line)\b[^>]*>/g)) {
+    if (tag === "path") {
+      points.push(...pathPoints(attribute(element, "d") || ""));
+    } else if (tag === "rect") {
+      const x = number(element, "x");
+      const y = number(element, "y");
+      points.push([x, y], [x + number(element, "width"), y + number(element, "height")]);
+    } else if (tag === "circle" || tag === "ellipse") {
+      const rx = tag === "circle" ? number(element, "r") : number(element, "rx");
+      const ry = tag === "circle" ? rx : number(element, "ry");
+      const cx = number(element, "cx");
+      const cy = number(element, "cy");
+      points.push([cx - rx, cy - ry], [cx + rx, cy + ry]);
+    } else if (tag === "line") {
+      points.push([number(element, "x1"), number(element, "y1")], [number(element, "x2"), number(element, "y2")]);
+    } else {
+      const values = (attribute(element, "points") || "").match(/-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || [];
+      for (let i = 0; i + 1 < values.length; i += 2) {
+        points.push([Number(values[i]), Number(values[i + 1])]);
+      }
+    }
+  }
+
+  if (points.length === 0) {
+    return null;
+  }
+
+  const xs = points.map(([x]) => x);
+  const ys = points.map(([, y]) => y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+/**
+ * Get the end and control points of an SVG path in absolute coordinates
+ * @private
+ */
+function pathPoints(d) {
+  const tokens = d.match(/[a-df-z]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || [];
+  const points = [];
+  let current = [0, 0];
+  let start = [0, 0];
+  let command = null;
+  let i = 0;
+
+  while (i < tokens.length) {
+    if (/^[a-z]$/i.test(tokens[i])) {
+      command = tokens[i++];
+    }
+    if (!command) {
+      break;
+    }
+
+    const upper = command.toUpperCase();
+    const relative = command !== upper;
+    if (upper === "Z") {
+      current = start;
+      command = null;
+      continue;
+    }
+
+    const count = PATH_PARAMETERS[upper];
+    if (count === undefined || i + count > tokens.length) {
+      break;
+    }
+    const params = tokens.slice(i, i + count).map(Number);
+    i += count;
+
+    const absolute = (x, y) => relative ? [current[0] + x, current[1] + y] : [x, y];
+    let end;
+    if (upper === "H") {
+      end = [relative ? current[0] + params[0] : params[0], current[1]];
+    } else if (upper === "V") {
+      end = [current[0], relative ? current[1] + params[0] : params[0]];
+    } else if (upper === "A") {
+      end = absolute(params[5], params[6]);
+    } else {
+      // Control points keep the box around curves, which stay within them
+      for (let p = 0; p + 3 < params.length; p += 2) {
+        points.push(absolute(params[p], params[p + 1]));
+      }
+      end = absolute(params[params.length - 2], params[params.length - 1]);
+    }
+
+    points.push(end);
+    current = end;
+    if (upper === "M") {
+      start = end;
+      // Further coordinate pairs after a moveto are linetos
+      command = relative ? "l" : "L";
+    }
+  }
+
+  return points;
+}
+
+/**
+ * Format the annotations of a canvas as compact text
+ * @param {object} canvasAnnotations - Annotations of a canvas
+ * @param {number} canvasAnnotations.index - Canvas index
+ * @param {object} canvasAnnotations.canvas - Canvas
+ * @param {string} [canvasAnnotations.serviceUri] - Image service base URI of the canvas
+ * @param {Array<object>} canvasAnnotations.pages - Pages from fetchCanvasAnnotations
+ * @param {Array<object>} canvasAnnotations.annotations - Annotations from fetchCanvasAnnotations
+ * @returns {string} Listing with one line per annotation
+ */
+export function formatCanvasAnnotations({ index, canvas, serviceUri, pages, annotations }) {
+  const label = getLabel(canvas.label);
+  const lines = [`Canvas ${index}${label ? ` (${label})` : ""}: ${getId(canvas)}`];
+
+  if (serviceUri) {
+    lines.push(`Image service: ${serviceUri} (regions can be passed to fetch_iiif_image_region)`);
+  }
+  lines.push(`Annotations: ${annotations.length} from ${pages.length} annotation page${pages.length === 1 ? "" : "s"}`);
+
+  for (const page of pages.filter(p => p.error)) {
+    lines.push(`Could not fetch annotation page ${page.id}: ${page.error}`);
+  }
+
+  if (annotations.length > 0) {
+    lines.push("", "index | motivation | region | text");
+  }
+  for (const [i, annotation] of annotations.entries()) {
+    const links = annotation.bodies.filter(body => body.type === "link").map(body => body.value);
+    const text = [
+      annotation.text.replace(/\s*\n\s*/g, " / "),
+      annotation.tags.length > 0 ? `[tags: ${annotation.tags.join(", ")}]` : "",
+      links.length > 0 ? `[links: ${links.join(", ")}]` : "",
+    ].filter(Boolean).join(" ").replace(/\|/g, "/");
+    lines.push(`${i} | ${annotation.motivation.join(", ") || "-"} | ${annotation.region || "full"} | ${text || "-"}`);
+  }
+
+  return lines.join("\n");
+}
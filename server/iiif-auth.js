@@ -0,0 +1,215 @@
+import { httpClient } from './http-client.js';
+import { asArray, getLabel } from './iiif-manifest.js';
+import { readFile } from 'node:fs/promises';
+
+const AUTH1_PROFILE_PATTERN = /^http:\/\/iiif\.io\/api\/auth\/[01]\/(login|clickthrough|kiosk|external)$/;
+const AUTH1_TOKEN_PATTERN = /^http:\/\/iiif\.io\/api\/auth\/[01]\/token$/;
+
+/**
+ * Find IIIF Authentication API services in an info.json document
+ * @param {object} info - info.json document
+ * @returns {object|null} Description of the auth services, or null if the image is not protected
+ */
+export function detectAuthServices(info) {
+  for (const service of asArray(info && info.service)) {
+    if (!service || typeof service !== 'object') {
+      continue;
+    }
+
+    // Auth 2.0: probe service wrapping access services, which wrap token services
+    if (service.type === 'AuthProbeService2') {
+      const accessService = asArray(service.service).find(s => s && s.type === 'AuthAccessService2');
+      const tokenService = accessService && asArray(accessService.service).find(s => s && s.type === 'AuthAccessTokenService2');
+      return {
+        version: 2,
+        probeServiceId: service.id,
+        profile: accessService && accessService.profile,
+        label: getLabel(accessService && accessService.label, ' ') || undefined,
+        accessServiceId: accessService && accessService.id,
+        tokenServiceId: tokenService && tokenService.id,
+      };
+    }
+
+    // Auth 1.0 (and 0.9): access cookie service wrapping a token service
+    const profileMatch = typeof service.profile === 'string' && service.profile.match(AUTH1_PROFILE_PATTERN);
+    if (profileMatch) {
+      const tokenService = asArray(service.service).find(s => s && AUTH1_TOKEN_PATTERN.test(s.profile));
+      return {
+        version: 1,
+        profile: profileMatch[1],
+        label: getLabel(service.label, ' ') || undefined,
+        accessServiceId: service['@id'] || service.id,
+        tokenServiceId: tokenService && (tokenService['@id'] || tokenService.id),
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Describe restricted access to an image for the model
+ * @param {object} authServices - Result of detectAuthServices
+ * @param {string} host - Host of the image service
+ * @returns {string} Message explaining that a degraded image was returned
+ */
+export function describeDegradedAccess(authServices, host) {
+  const serviceName = authServices.label ? ` ("${authServices.label}")` : '';
+  return `Access to this image is restricted by IIIF Authentication API ${authServices.version === 2 ? '2.0' : '1.0'} ` +
+    `(${authServices.profile || 'unknown'} access service${serviceName}), so a degraded version was returned. ` +
+    `Credentials for ${host} can be configured with --auth-config to access the full image.`;
+}
+
+/**
+ * Credentials for IIIF Authentication API protected images, keyed by host.
+ *
+ * Configuration format:
+ * {
+ *   "hosts": {
+ *     "images.example.org": { "cookie": "session=...", "token": "..." },
+ *     "*.example.edu": { "cookie": "session=...", "tokenService": "https://auth.example.edu/token" }
+ *   }
+ * }
+ *
+ * A configured token is sent as a bearer token. With only a cookie, an access token is requested
+ * from the configured token service (standing in for the browser-based token flow) or from the
+ * token service advertised in info.json.
+ */
+export class AuthManager {
+  constructor(config = {}) {
+    this.hosts = config.hosts || {};
+    this.tokens = new Map();
+  }
+
+  /**
+   * Load the configuration from a JSON file
+   * @param {string} filePath - Path of the configuration file
+   * @returns {Promise<AuthManager>} Auth manager
+   */
+  static async fromFile(filePath) {
+    let config;
+    try {
+      config = JSON.parse(await readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read auth configuration ${filePath}: ${error.message}`);
+    }
+    return new AuthManager(config);
+  }
+
+  /**
+   * Get the credentials configured for the host of a URL
+   * @param {string} url - Request URL
+   * @returns {object|undefined} Credentials ({cookie, token, tokenService})
+   */
+  getCredentials(url) {
+    let host;
+    try {
+      host = new URL(url).hostname;
+    } catch {
+      return undefined;
+    }
+
+    if (this.hosts[host]) {
+      return this.hosts[host];
+    }
+
+    // Wildcards match any subdomain, e.g. "*.example.org"
+    const wildcard = Object.keys(this.hosts).find(pattern =>
+      pattern.startsWith('*.') && host.endsWith(pattern.substring(1))
+    );
+    return wildcard ? this.hosts[wildcard] : undefined;
+  }
+
+  /**
+   * Get the request headers carrying credentials for a URL
+   * @param {string} url - Request URL
+   * @param {string} [token] - Access token to send instead of a configured one
+   * @returns {object} Headers (empty if no credentials apply)
+   */
+  getRequestHeaders(url, token) {
+    const credentials = this.getCredentials(url) || {};
+    const headers = {};
+
+    if (credentials.cookie) {
+      headers.Cookie = credentials.cookie;
+    }
+    const bearer = token || credentials.token;
+    if (bearer) {
+      headers.Authorization = `Bearer ${bearer}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Get an access token for a protected image
+   * @param {string} url - URL of the info.json document
+   * @param {object} authServices - Result of detectAuthServices
+   * @returns {Promise<string|null>} Access token, or null if none can be obtained
+   */
+  async getAccessToken(url, authServices) {
+    const credentials = this.getCredentials(url);
+    if (!credentials) {
+      return null;
+    }
+    if (credentials.token) {
+      return credentials.token;
+    }
+
+    const tokenServiceUrl = credentials.tokenService || authServices.tokenServiceId;
+    if (!tokenServiceUrl || !credentials.cookie) {
+      return null;
+    }
+
+    const cached = this.tokens.get(tokenServiceUrl);
+    if (cached && cached.expires > Date.now()) {
+      return cached.accessToken;
+    }
+
+    // Without a browser there is no window to post the token to, so ask for a JSON response
+    const requestUrl = new URL(tokenServiceUrl);
+    if (authServices.version === 2) {
+      requestUrl.searchParams.set('messageId', '1');
+      requestUrl.searchParams.set('origin', new URL(url).origin);
+    }
+
+    try {
+      const response = await httpClient.fetch(requestUrl.toString(), { headers: { Cookie: credentials.cookie } });
+      if (!response.ok) {
+        return null;
+      }
+      const body = JSON.parse(await response.text());
+      if (!body.accessToken) {
+        return null;
+      }
+      this.tokens.set(tokenServiceUrl, {
+        accessToken: body.accessToken,
+        expires: Date.now() + (Number(body.expiresIn) || 3600) * 1000,
+      });
+      return body.accessToken;
+    } catch (error) {
+      console.error(`Failed to obtain access token from ${tokenServiceUrl}: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+/**
+ * Ask an Auth 2.0 probe service whether the full image is accessible
+ * @param {string} probeUrl - URL of the probe service
+ * @param {object} [headers] - Request headers carrying credentials
+ * @returns {Promise<object>} Probe result ({status, substitute, location, heading, note})
+ */
+export async function probeAuthService(probeUrl, headers = {}) {
+  const response = await httpClient.fetch(probeUrl, { headers });
+
+  if (!response.ok) {
+    return { status: response.status };
+  }
+
+  try {
+    return JSON.parse(await response.text());
+  } catch (error) {
+    throw new Error(`Invalid JSON from auth probe service: ${error.message}`);
+  }
+}
@@ -0,0 +1,179 @@
+import {
+  fetchJsonDocument,
+  getId,
+  getLabel,
+  getPresentationVersion,
+  hasPresentationContext,
+} from './iiif-manifest.js';
+import { InvalidIIIFError } from './http-client.js';
+
+/**
+ * Fetch a IIIF collection (or a page of a paged v2 collection) and validate its basic structure
+ * @param {string} url - URL of the IIIF collection
+ * @param {object} [options] - Fetch options (see fetchJsonDocument)
+ * @returns {Promise<object>} Parsed collection
+ */
+export async function fetchCollection(url, options = {}) {
+  const jsonData = await fetchJsonDocument(url, options);
+  validateCollectionStructure(jsonData);
+  return jsonData;
+}
+
+/**
+ * Check that a document has a IIIF presentation context and a Collection type
+ * @param {object} jsonData - Parsed JSON document
+ * @throws {InvalidIIIFError} If the document is not a IIIF collection
+ */
+export function validateCollectionStructure(jsonData) {
+  if (!jsonData["@context"]) {
+    throw new InvalidIIIFError("Invalid IIIF collection: missing @context property");
+  }
+
+  if (!hasPresentationContext(jsonData)) {
+    throw new InvalidIIIFError("Invalid IIIF collection: @context must contain a IIIF presentation API URL");
+  }
+
+  const hasValidType = (jsonData["@type"] === "sc:Collection") || (jsonData["type"] === "Collection");
+  if (!hasValidType) {
+    throw new InvalidIIIFError("Invalid IIIF collection: must have @type of 'sc:Collection' or type of 'Collection'");
+  }
+}
+
+/**
+ * Get the sub-collections and manifests listed in a v2 or v3 collection
+ * @param {object} collection - Parsed collection or collection page
+ * @returns {Array<{type: string, id: string, label: string}>} Members in order
+ */
+export function getCollectionMembers(collection) {
+  const toMember = (member, fallbackType) => {
+    const rawType = typeof member === "object" ? (member.type || member["@type"]) : undefined;
+    return {
+      type: normalizeType(rawType) || fallbackType,
+      id: getId(member),
+      label: typeof member === "object" ? getLabel(member.label) : "",
+    };
+  };
+
+  // v3: items
+  if (Array.isArray(collection.items)) {
+    return collection.items.map(item => toMember(item, "Unknown"));
+  }
+
+  // v2: members, or collections followed by manifests
+  if (Array.isArray(collection.members)) {
+    return collection.members.map(member => toMember(member, "Unknown"));
+  }
+
+  return [
+    ...(Array.isArray(collection.collections) ? collection.collections : []).map(member => toMember(member, "Collection")),
+    ...(Array.isArray(collection.manifests) ? collection.manifests : []).map(member => toMember(member, "Manifest")),
+  ];
+}
+
+/**
+ * Normalize v2 and v3 resource types to the v3 names
+ * @private
+ */
+function normalizeType(type) {
+  if (type === "sc:Collection") {
+    return "Collection";
+  }
+  if (type === "sc:Manifest") {
+    return "Manifest";
+  }
+  return type;
+}
+
+/**
+ * Get a page link (first, next, prev, within) as a URL
+ * @private
+ */
+function getLink(collection, property) {
+  const link = collection[property];
+  if (Array.isArray(link)) {
+    return getId(link[0]);
+  }
+  return getId(link);
+}
+
+/**
+ * Browse one level of a IIIF collection, following v2 paging to the first page when needed
+ * @param {string} url - URL of the collection or of a collection page
+ * @param {object} [options] - Browsing options
+ * @param {number} [options.offset] - Number of members to skip (default: 0)
+ * @param {number} [options.limit] - Maximum number of members to list (default: 100)
+ * @param {import('./http-cache.js').HttpCache} [options.cache] - Cache to fetch through
+ * @returns {Promise<object>} Collection listing
+ */
+export async function browseCollection(url, { offset = 0, limit = 100, cache } = {}) {
+  const collection = await fetchCollection(url, { cache });
+  let page = collection;
+  let members = getCollectionMembers(collection);
+
+  // Paged v2 collections list their members on separate pages, starting with "first"
+  const first = getLink(collection, "first");
+  if (members.length === 0 && first) {
+    page = await fetchCollection(first, { cache });
+    members = getCollectionMembers(page);
+  }
+
+  const start = Math.max(0, Number(offset) || 0);
+  const count = Math.max(1, Number(limit) || 100);
+  const parent = collection.partOf || collection.within;
+
+  return {
+    id: getId(collection),
+    label: getLabel(collection.label),
+    version: getPresentationVersion(collection),
+    total: collection.total,
+    pageId: page === collection ? undefined : getId(page),
+    nextPage: getLink(page, "next"),
+    parent: Array.isArray(parent) ? getId(parent[0]) : getId(parent),
+    offset: start,
+    memberCount: members.length,
+    members: members.slice(start, start + count).map((member, i) => ({ index: start + i, ...member })),
+  };
+}
+
+/**
+ * Format a collection listing as compact text
+ * @param {object} listing - Result of browseCollection
+ * @returns {string} Listing with one table row per member
+ */
+export function formatCollectionListing(listing) {
+  const lines = [
+    `Collection: ${listing.label || "(untitled)"}`,
+    `Id: ${listing.id}`,
+    `Presentation API: v${listing.version}`,
+  ];
+
+  if (listing.parent) {
+    lines.push(`Part of: ${listing.parent}`);
+  }
+  if (listing.total !== undefined) {
+    lines.push(`Total: ${listing.total}`);
+  }
+  if (listing.pageId) {
+    lines.push(`Page: ${listing.pageId}`);
+  }
+
+  const shown = listing.members.length;
+  lines.push(shown > 0 ?
+    `Showing ${listing.offset + 1}-${listing.offset + shown} of ${listing.memberCount} members${listing.pageId ? " on this page" : ""}` :
+    "No members to show");
+  lines.push("", "index | type | label | id");
+
+  for (const member of listing.members) {
+    const label = member.label.replace(/\s*\n\s*/g, " ").replace(/\|/g, "/");
+    lines.push(`${member.index} | ${member.type} | ${label || "-"} | ${member.id}`);
+  }
+
+  if (listing.offset + shown < listing.memberCount) {
+    lines.push("", `More members: call again with offset ${listing.offset + shown}`);
+  }
+  if (listing.nextPage) {
+    lines.push("", `Next page: ${listing.nextPage}`);
+  }
+
+  return lines.join("\n");
+}
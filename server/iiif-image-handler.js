@@ -1,83 +1,202 @@
-import fetch from 'node-fetch';
+import { InvalidIIIFError, UnauthorizedError, createHttpError, httpClient } from './http-client.js';
+import { STITCHED_FORMATS, stitchTiles } from './tile-stitcher.js';
+import { describeDegradedAccess, detectAuthServices, probeAuthService } from './iiif-auth.js';
+import { asArray, getLabel } from './iiif-manifest.js';
+import { getPhysicalDimensions } from './iiif-physical-dimensions.js';
+
+// Qualities, formats and features implied by each compliance level
+const COMPLIANCE_LEVELS = {
+  3: {
+    0: { qualities: ['default'], formats: ['jpg'], features: [] },
+    1: {
+      qualities: ['default'],
+      formats: ['jpg'],
+      features: ['regionByPx', 'regionSquare', 'sizeByW', 'sizeByH', 'sizeByWh']
+    },
+    2: {
+      qualities: ['default', 'color', 'gray', 'bitonal'],
+      formats: ['jpg', 'png'],
+      features: ['regionByPx', 'regionByPct', 'regionSquare', 'sizeByW', 'sizeByH', 'sizeByPct',
+        'sizeByConfinedWh', 'sizeByWh', 'rotationBy90s']
+    }
+  },
+  2: {
+    0: { qualities: ['default'], formats: ['jpg'], features: [] },
+    1: {
+      qualities: ['default'],
+      formats: ['jpg'],
+      features: ['regionByPx', 'sizeByW', 'sizeByH', 'sizeByPct']
+    },
+    2: {
+      qualities: ['default', 'color', 'gray', 'bitonal'],
+      formats: ['jpg', 'png'],
+      features: ['regionByPx', 'regionByPct', 'sizeByW', 'sizeByH', 'sizeByPct', 'sizeByConfinedWh',
+        'sizeByWh', 'rotationBy90s']
+    }
+  }
+};
+
+// Parameters of Image API request URLs: {base}/{region}/{size}/{rotation}/{quality}.{format}
+const REGION_PATTERN = /^(full|square|\d+,\d+,\d+,\d+|pct:[\d.]+,[\d.]+,[\d.]+,[\d.]+)$/;
+const SIZE_PATTERN = /^\^?(full|max|pct:[\d.]+|!?(\d+,\d*|\d*,\d+))$/;
+const ROTATION_PATTERN = /^!?\d+(\.\d+)?$/;
+const QUALITY_FORMAT_PATTERN = /^([a-z]+)\.([a-z0-9]+)$/i;
+
+/**
+ * Parse an Image API v2 or v3 image request URL (e.g. '.../full/max/0/default.jpg') or info.json URL into the
+ * base URI of the image service and the request parameters. Query strings and fragments are ignored.
+ * @param {string} url - URL to parse
+ * @returns {{baseUri: string, region?: string, size?: string, rotation?: string, quality?: string, format?: string}|null}
+ *   Base URI and, for image requests, the parameters; null if the URL is neither
+ */
+export function parseImageApiUrl(url) {
+  const path = String(url).trim().split(/[?#]/)[0];
+
+  const infoMatch = path.match(/^(.+)\/info\.json$/);
+  if (infoMatch) {
+    return { baseUri: infoMatch[1] };
+  }
+
+  // The base URI needs a scheme, a host and at least one path segment of its own
+  const segments = path.split('/');
+  if (segments.length < 8 || !/^https?:$/i.test(segments[0])) {
+    return null;
+  }
+
+  let parameters;
+  try {
+    parameters = segments.slice(-4).map(decodeURIComponent);
+  } catch {
+    return null;
+  }
+  const [region, size, rotation, file] = parameters;
+  const fileMatch = file.match(QUALITY_FORMAT_PATTERN);
+  if (!fileMatch || !REGION_PATTERN.test(region) || !SIZE_PATTERN.test(size) || !ROTATION_PATTERN.test(rotation)) {
+    return null;
+  }
+
+  return {
+    baseUri: segments.slice(0, -4).join('/'),
+    region,
+    size,
+    rotation,
+    quality: fileMatch[1],
+    format: fileMatch[2],
+  };
+}
 
 /**
  * IIIF Image API handler for generating image URLs with proper size constraints
  */
 export class IIIFImageHandler {
-  constructor(maxDimension = 1500, maxArea = 1000000) {
+  /**
+   * @param {number} maxDimension - Maximum width or height of returned images
+   * @param {number|null} maxArea - Maximum number of pixels in returned images
+   * @param {object} [options] - Handler options
+   * @param {import('./http-cache.js').HttpCache} [options.cache] - Cache for info.json and image responses
+   * @param {import('./iiif-auth.js').AuthManager} [options.auth] - Credentials for images behind IIIF Authentication
+   */
+  constructor(maxDimension = 1500, maxArea = 1000000, options = {}) {
     this.maxDimension = maxDimension;
     this.maxArea = maxArea;
+    this.cache = options.cache || null;
+    this.auth = options.auth || null;
   }
 
   /**
    * Generate a IIIF image URL from a base URI
    * @param {string} baseUri - Base URI of the IIIF Image API resource
    * @param {boolean} fetchImage - Whether to fetch the actual image bytes
+   * @param {object} [options] - Rotation, quality and format options (see generateImageRegionUrl)
    * @returns {Promise<{imageUrl: string, info: object, imageData?: object}>} Generated URL, info, and optional image data
    */
-  async generateImageUrl(baseUri, fetchImage = false) {
-    return this.generateImageRegionUrl(baseUri, 'full', fetchImage);
+  async generateImageUrl(baseUri, fetchImage = false, options = {}) {
+    return this.generateImageRegionUrl(baseUri, undefined, fetchImage, options);
   }
 
   /**
    * Generate a IIIF image URL for a specific region
-   * @param {string} baseUri - Base URI of the IIIF Image API resource
-   * @param {string} region - Region parameter (either 'full' or using the format 'pct:20,20,50,50')
+   * @param {string} baseUri - Base URI of the IIIF Image API resource, or an image request or info.json URL whose
+   *   region, rotation, quality and format are used where none are given (see parseImageApiUrl)
+   * @param {string} [region] - Region parameter ('full', 'square', pixels as 'x,y,w,h' or percentages as
+   *   'pct:x,y,w,h'; default: the region of an image request URL, or 'full')
    * @param {boolean} fetchImage - Whether to fetch the actual image bytes
-   * @returns {Promise<{imageUrl: string, info: object, imageData?: object}>} Generated URL, info, and optional image data
+   * @param {object} [options] - Image request options
+   * @param {string|number} [options.rotation] - Rotation in degrees, prefixed with '!' to mirror (e.g., '90', '!0')
+   * @param {string} [options.quality] - Quality ('default', 'color', 'gray' or 'bitonal')
+   * @param {string} [options.format] - Format (e.g., 'jpg', 'png', 'webp')
+   * @param {number} [options.maxDimension] - Maximum width and height for this request, capped by the handler's limit
+   * @param {number} [options.maxArea] - Maximum number of pixels for this request, capped by the handler's limit
+   * @param {number} [options.maxHeight] - Maximum height for this request, e.g. to scale images to a common height
+   * @returns {Promise<{imageUrl: string, baseUri: string, region: string, info: object, imageData?: object}>}
+   *   Generated URL, the base URI and region requested, info, and optional image data
    */
-  async generateImageRegionUrl(baseUri, region = 'full', fetchImage = false) {
+  async generateImageRegionUrl(baseUri, region, fetchImage = false, options = {}) {
     if (!baseUri) {
       throw new Error("baseUri parameter is required");
     }
 
+    // Full image request URLs are reduced to their base URI and parameters
+    const request = this.resolveImageRequest(baseUri, region, options);
+    options = request.options;
+
     // Validate and parse region parameter
-    const parsedRegion = this.parseRegion(region);
-    
-    // Ensure baseUri doesn't end with trailing slash
-    const cleanBaseUri = baseUri.replace(/\/$/, '');
-    const infoUrl = `${cleanBaseUri}/info.json`;
-    
-    // Fetch the info.json document
-    const response = await fetch(infoUrl);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
+    const parsedRegion = this.parseRegion(request.region);
 
-    const text = await response.text();
-    let info;
-    
-    try {
-      info = JSON.parse(text);
-    } catch (parseError) {
-      throw new Error(`Invalid JSON in info.json: ${parseError.message}`);
+    // Validate and parse rotation, quality and format
+    const imageOptions = this.parseImageOptions(options);
+
+    // Validate any per-request size limits
+    const limits = this.resolveLimits(options);
+    if (options.maxHeight !== undefined && (!Number.isInteger(options.maxHeight) || options.maxHeight < 1)) {
+      throw new Error('maxHeight must be a positive integer');
     }
+    
+    // Fetch the info.json document (ensuring baseUri doesn't end with trailing slash). For images
+    // behind IIIF Authentication, images may have to be requested from a degraded substitute.
+    const { info, baseUri: cleanBaseUri, auth, token } = await this.fetchInfo(request.baseUri);
 
     // Extract width and height
     const width = info.width;
     const height = info.height;
     
     if (!width || !height) {
-      throw new Error("Missing width or height in info.json");
+      throw new InvalidIIIFError("Missing width or height in info.json", { url: `${request.baseUri}/info.json` });
     }
 
     // Determine API version
-    const apiVersion = info["@context"] || info.profile;
-    const isVersion3 = Array.isArray(apiVersion) ? 
-      apiVersion.some(ctx => typeof ctx === 'string' && ctx.includes('/image/3/')) :
-      (typeof apiVersion === 'string' && apiVersion.includes('/image/3/'));
+    const isVersion3 = this.isVersion3(info);
+
+    // Check the region against the image dimensions
+    this.validateRegion(parsedRegion, width, height);
+
+    // Check the requested options against what the server supports
+    this.validateImageOptions(imageOptions, this.getServiceFeatures(info, isVersion3));
 
     // Calculate region dimensions
     const regionDimensions = this.calculateRegionDimensions(parsedRegion, width, height);
     
     // Calculate constraints for the region
-    const constraints = this.calculateConstraints(info, regionDimensions.width, regionDimensions.height, isVersion3);
+    const constraints = this.calculateConstraints(info, regionDimensions.width, regionDimensions.height, isVersion3, limits);
+    if (options.maxHeight !== undefined) {
+      constraints.maxHeight = Math.min(constraints.maxHeight, options.maxHeight);
+    }
+
+    // Level 0 services only offer precomputed sizes and tiles
+    if (this.getComplianceLevel(info) === 0) {
+      const level0Result = await this.generateLevel0ImageUrl(
+        cleanBaseUri, info, parsedRegion, regionDimensions, constraints, isVersion3, fetchImage, imageOptions, token
+      );
+      if (auth) {
+        level0Result.info.auth = auth;
+      }
+      return { ...level0Result, baseUri: request.baseUri, region: request.region };
+    }
     
-    // Calculate final dimensions for the region
-    const dimensions = this.calculateFinalDimensions(
-      regionDimensions.width, 
-      regionDimensions.height, 
+    // Calculate final dimensions for the region, leaving room for the corners of rotated images
+    const dimensions = this.fitRotatedDimensions(
+      this.calculateFinalDimensions(regionDimensions.width, regionDimensions.height, constraints),
+      imageOptions.rotation.degrees,
       constraints
     );
 
@@ -91,12 +210,13 @@ export class IIIFImageHandler {
     );
 
     // Build the image URL according to IIIF Image API
-    const regionParam = parsedRegion.type === 'full' ? 'full' : 
-      `pct:${parsedRegion.x},${parsedRegion.y},${parsedRegion.width},${parsedRegion.height}`;
-    const imageUrl = `${cleanBaseUri}/${regionParam}/${sizeParam}/0/default.jpg`;
+    const regionParam = this.formatRegionParameter(parsedRegion, width, height);
+    const imageUrl = `${cleanBaseUri}/${regionParam}/${sizeParam}/${this.formatImageOptions(imageOptions)}`;
 
     const result = {
       imageUrl,
+      baseUri: request.baseUri,
+      region: request.region,
       info: {
         originalDimensions: { width, height },
         regionDimensions: regionDimensions,
@@ -107,23 +227,379 @@ export class IIIFImageHandler {
         apiVersion: isVersion3 ? 'v3' : 'v2',
         regionParam,
         sizeParam,
+        rotationParam: imageOptions.rotationParam,
+        quality: imageOptions.quality,
+        format: imageOptions.format,
         constraints
       }
     };
 
-    // Fetch the actual image if requested
+    if (auth) {
+      result.info.auth = auth;
+    }
+
+    // Fetch the actual image if requested, with any access token that gave access to the full image
     if (fetchImage) {
-      result.imageData = await this.fetchImageData(imageUrl);
+      result.imageData = await this.fetchImageData(imageUrl, token);
     }
 
     return result;
   }
 
+  /**
+   * Fetch an image as a grid of overlapping regions, each scaled to fit the size constraints
+   * @param {string} baseUri - Base URI of the IIIF Image API resource, or an image request URL whose region the grid
+   *   divides (see parseImageApiUrl)
+   * @param {number} rows - Number of rows (1-10)
+   * @param {number} columns - Number of columns (1-10)
+   * @param {number} overlap - Overlap between neighbouring tiles as a percentage of the tile size (0-50)
+   * @param {object} [options] - Image request options (see generateImageRegionUrl)
+   * @param {number} [options.maxTotalBytes] - Stop fetching tiles once their base64 data would exceed this size
+   *   (default: 5MB)
+   * @returns {Promise<{baseUri: string, region: string, tiles: Array<object>, skipped: Array<object>, totalBytes: number}>}
+   *   Base URI and region divided, fetched tiles (row, column, region and the result of generateImageRegionUrl) and
+   *   the regions left out to respect the byte cap
+   */
+  async generateImageGrid(baseUri, rows, columns, overlap = 0, options = {}) {
+    if (!baseUri) {
+      throw new Error("baseUri parameter is required");
+    }
+
+    const { maxTotalBytes = 5 * 1024 * 1024, ...requestOptions } = options;
+    const { baseUri: cleanBaseUri, region, options: imageOptions } = this.resolveImageRequest(baseUri, undefined, requestOptions);
+    let regions = this.planGridRegions(rows, columns, overlap);
+
+    // The grid of an image request URL for a region covers that region
+    if (region !== 'full') {
+      const { info } = await this.fetchInfo(cleanBaseUri);
+      const outer = this.parseRegion(this.convertRegionToPct(region, info.width, info.height));
+      const pct = value => Number(value.toFixed(4));
+      // Rounding must not take the last tile past the edge of the image
+      const span = (outerStart, outerSize, start, size) => {
+        const spanStart = pct(outerStart + outerSize * start / 100);
+        return [spanStart, Math.min(pct(outerSize * size / 100), pct(100 - spanStart))];
+      };
+      regions = regions.map(gridRegion => {
+        const [x, y, width, height] = gridRegion.region.substring(4).split(',').map(Number);
+        const [left, tileWidth] = span(outer.x, outer.width, x, width);
+        const [top, tileHeight] = span(outer.y, outer.height, y, height);
+        return { ...gridRegion, region: `pct:${left},${top},${tileWidth},${tileHeight}` };
+      });
+    }
+
+    const tiles = [];
+    const skipped = [];
+    let totalBytes = 0;
+    let largestTile = 0;
+
+    // Fetch one tile at a time. The tiles are about the same size, so a tile is not requested once another tile as
+    // large as the largest so far would exceed the byte cap; a tile that still turns out too large is left out.
+    for (const gridRegion of regions) {
+      if (skipped.length > 0 || (tiles.length > 0 && totalBytes + largestTile > maxTotalBytes)) {
+        skipped.push(gridRegion);
+        continue;
+      }
+
+      const result = await this.generateImageRegionUrl(cleanBaseUri, gridRegion.region, true, imageOptions);
+      const bytes = result.imageData.base64.length;
+      if (totalBytes + bytes > maxTotalBytes && tiles.length > 0) {
+        skipped.push(gridRegion);
+        continue;
+      }
+
+      totalBytes += bytes;
+      largestTile = Math.max(largestTile, bytes);
+      tiles.push({ ...gridRegion, ...result });
+    }
+
+    return { baseUri: cleanBaseUri, region, tiles, skipped, totalBytes };
+  }
+
+  /**
+   * Fetch several images (or regions of them) for side-by-side comparison, scaled to a common height and sharing
+   * one pixel budget
+   * @param {Array<{baseUri: string, region?: string, label?: string}>} images - Images to compare (2-6); base URIs
+   *   may be image request URLs, whose region is used if none is given
+   * @param {object} [options] - Image request options
+   * @param {string} [options.quality] - Quality ('default', 'color', 'gray' or 'bitonal')
+   * @param {string} [options.format] - Format (e.g., 'jpg', 'png', 'webp')
+   * @param {number} [options.maxDimension] - Maximum width and height of each image, capped by the handler's limit
+   * @param {number} [options.maxArea] - Maximum number of pixels of all images together, capped by the handler's limit
+   * @returns {Promise<{images: Array<object>, commonHeight: number}>} For each image its label, base URI, region,
+   *   Physical Dimensions service and the result of generateImageRegionUrl, and the height they were scaled to
+   */
+  async generateImageComparison(images, options = {}) {
+    if (!Array.isArray(images) || images.length < 2 || images.length > 6) {
+      throw new Error("images must list between 2 and 6 images");
+    }
+
+    const { quality, format } = options;
+    const limits = this.resolveLimits(options);
+
+    const measured = [];
+    for (const image of images) {
+      if (!image || !image.baseUri) {
+        throw new Error("Each image needs a baseUri");
+      }
+      const request = this.resolveImageRequest(image.baseUri, image.region, { quality, format });
+      const parsedRegion = this.parseRegion(request.region);
+      const { info } = await this.fetchInfo(request.baseUri);
+      if (!info.width || !info.height) {
+        throw new InvalidIIIFError(`Missing width or height in info.json of ${request.baseUri}`, { url: `${request.baseUri}/info.json` });
+      }
+      this.validateRegion(parsedRegion, info.width, info.height);
+      measured.push({
+        image,
+        request,
+        info,
+        regionDimensions: this.calculateRegionDimensions(parsedRegion, info.width, info.height),
+      });
+    }
+
+    // Sharing the area in proportion to the aspect ratios gives every image the same height, unless an image is
+    // smaller or its server imposes tighter limits; the others are then scaled down to match it
+    const aspectRatios = measured.map(({ regionDimensions }) => regionDimensions.width / regionDimensions.height);
+    const aspectSum = aspectRatios.reduce((sum, ratio) => sum + ratio, 0);
+    let commonHeight = Infinity;
+    for (const [i, entry] of measured.entries()) {
+      const { width, height } = entry.regionDimensions;
+      entry.limits = {
+        maxDimension: limits.maxDimension,
+        maxArea: limits.maxArea === null ? null : Math.max(1, Math.floor(limits.maxArea * aspectRatios[i] / aspectSum)),
+      };
+      const constraints = this.calculateConstraints(entry.info, width, height, this.isVersion3(entry.info), entry.limits);
+      commonHeight = Math.min(commonHeight, this.calculateFinalDimensions(width, height, constraints).targetHeight);
+    }
+
+    const results = [];
+    for (const entry of measured) {
+      const result = await this.generateImageRegionUrl(entry.request.baseUri, entry.request.region, true, {
+        quality: entry.request.options.quality,
+        format: entry.request.options.format,
+        maxDimension: entry.limits.maxDimension,
+        maxArea: entry.limits.maxArea === null ? undefined : entry.limits.maxArea,
+        maxHeight: commonHeight,
+      });
+      results.push({
+        label: entry.image.label,
+        physicalDimensions: getPhysicalDimensions(entry.info),
+        ...result,
+      });
+    }
+
+    return { images: results, commonHeight };
+  }
+
+  /**
+   * Divide an image into a grid of overlapping pct: regions covering the whole image
+   * @param {number} rows - Number of rows (1-10)
+   * @param {number} columns - Number of columns (1-10)
+   * @param {number} overlap - Overlap between neighbouring tiles as a percentage of the tile size (0-50)
+   * @returns {Array<{row: number, column: number, region: string}>} Regions in reading order
+   */
+  planGridRegions(rows, columns, overlap = 0) {
+    const checkCount = (name, value) => {
+      if (!Number.isInteger(value) || value < 1 || value > 10) {
+        throw new Error(`${name} must be an integer between 1 and 10`);
+      }
+    };
+    checkCount('rows', rows);
+    checkCount('columns', columns);
+
+    const overlapFraction = Number(overlap) / 100;
+    if (isNaN(overlapFraction) || overlapFraction < 0 || overlapFraction >= 0.5) {
+      throw new Error('overlap must be a percentage from 0 up to (but not including) 50');
+    }
+
+    // n tiles of size s overlapping by a fraction o of s cover n*s - (n-1)*o*s = 100%
+    const pct = value => Number(value.toFixed(4));
+    const spans = (count) => {
+      const size = 100 / (count - (count - 1) * overlapFraction);
+      return Array.from({ length: count }, (_, i) => {
+        // The last tile ends at the edge of the image after rounding
+        const start = i === count - 1 ? 100 - pct(size) : i * size * (1 - overlapFraction);
+        return { start: pct(start), size: pct(size) };
+      });
+    };
+
+    const regions = [];
+    for (const [row, y] of spans(rows).entries()) {
+      for (const [column, x] of spans(columns).entries()) {
+        regions.push({ row, column, region: `pct:${x.start},${y.start},${x.size},${y.size}` });
+      }
+    }
+    return regions;
+  }
+
+  /**
+   * Fetch and parse info.json, checking access to images protected by the IIIF Authentication API
+   * @param {string} cleanBaseUri - Base URI without a trailing slash
+   * @returns {Promise<{info: object, baseUri: string, auth?: object, token?: string}>} info.json, the base URI to
+   *   request images from, the access status for protected images, and the access token to request them with
+   * @private
+   */
+  async fetchInfo(cleanBaseUri) {
+    const infoUrl = `${cleanBaseUri}/info.json`;
+    const response = await this.fetchUrl(infoUrl);
+
+    if (response.status === 401) {
+      // Auth 1.0 servers may describe a degraded image in the body of the 401 response
+      const degradedInfo = this.parseInfo(await response.text(), false);
+      const authServices = degradedInfo ? detectAuthServices(degradedInfo) : null;
+      if (!authServices) {
+        throw createHttpError(response, infoUrl,
+          `HTTP 401: ${response.statusText} (the image requires authentication; credentials can be configured with --auth-config)`);
+      }
+      return this.fetchAuthorizedInfo(cleanBaseUri, degradedInfo, authServices);
+    }
+
+    if (!response.ok) {
+      throw createHttpError(response, infoUrl);
+    }
+
+    const info = this.parseInfo(await response.text(), true, infoUrl);
+    const authServices = detectAuthServices(info);
+    if (!authServices) {
+      return { info, baseUri: cleanBaseUri };
+    }
+
+    if (authServices.version === 1) {
+      // Auth 1.0 servers may also answer with the info.json of a degraded image (directly or after a redirect)
+      if (this.isDegradedInfo(info, cleanBaseUri)) {
+        return this.fetchAuthorizedInfo(cleanBaseUri, info, authServices);
+      }
+      return { info, baseUri: cleanBaseUri, auth: this.describeAuthStatus(authServices, infoUrl, false) };
+    }
+
+    // Auth 2.0: the probe service reports whether the image itself is accessible
+    const token = this.auth ? await this.auth.getAccessToken(infoUrl, authServices) : null;
+    const headers = this.auth ? this.auth.getRequestHeaders(authServices.probeServiceId, token) : {};
+    const probe = await probeAuthService(authServices.probeServiceId, headers);
+    if (probe.status === 200) {
+      return { info, baseUri: cleanBaseUri, auth: this.describeAuthStatus(authServices, infoUrl, false), token };
+    }
+
+    const substitute = asArray(probe.substitute).find(Boolean);
+    const substituteService = substitute && asArray(substitute.service).find(Boolean);
+    const substituteBaseUri = substituteService && (substituteService.id || substituteService['@id']);
+    if (!substituteBaseUri) {
+      const heading = getLabel(probe.heading, ' ');
+      const note = getLabel(probe.note, ' ');
+      throw new UnauthorizedError(`Access to this image is restricted${heading ? `: ${heading}` : ''}${note ? ` (${note})` : ''}. ` +
+        `No degraded version is available; credentials can be configured with --auth-config`, { url: infoUrl });
+    }
+
+    const cleanSubstituteUri = substituteBaseUri.replace(/\/info\.json$/, '').replace(/\/$/, '');
+    const substituteInfoUrl = `${cleanSubstituteUri}/info.json`;
+    const substituteResponse = await this.fetchUrl(substituteInfoUrl);
+    if (!substituteResponse.ok) {
+      throw createHttpError(substituteResponse, substituteInfoUrl,
+        `HTTP ${substituteResponse.status}: ${substituteResponse.statusText} (degraded substitute image)`);
+    }
+
+    return {
+      info: this.parseInfo(await substituteResponse.text(), true, substituteInfoUrl),
+      baseUri: cleanSubstituteUri,
+      auth: this.describeAuthStatus(authServices, infoUrl, true)
+    };
+  }
+
+  /**
+   * Request an Auth 1.0 info.json again with an access token from the configured credentials, after the
+   * server described a degraded image. Without a token that gives access, the degraded image is used.
+   * @private
+   */
+  async fetchAuthorizedInfo(cleanBaseUri, degradedInfo, authServices) {
+    const infoUrl = `${cleanBaseUri}/info.json`;
+    const token = this.auth ? await this.auth.getAccessToken(infoUrl, authServices) : null;
+
+    if (token) {
+      const response = await this.fetchUrl(infoUrl, token);
+      if (response.ok) {
+        const info = this.parseInfo(await response.text(), true, infoUrl);
+        if (!this.isDegradedInfo(info, cleanBaseUri)) {
+          return { info, baseUri: cleanBaseUri, auth: this.describeAuthStatus(authServices, infoUrl, false), token };
+        }
+      }
+    }
+
+    return {
+      info: degradedInfo,
+      baseUri: this.getInfoId(degradedInfo) || cleanBaseUri,
+      auth: this.describeAuthStatus(authServices, infoUrl, true)
+    };
+  }
+
+  /**
+   * Whether an info.json describes another image than the one requested, as Auth 1.0 servers answer when
+   * access to the full image is denied
+   * @private
+   */
+  isDegradedInfo(info, cleanBaseUri) {
+    const infoId = this.getInfoId(info);
+    return Boolean(infoId) && infoId.replace(/^https?:/, '') !== cleanBaseUri.replace(/^https?:/, '');
+  }
+
+  /**
+   * Parse an info.json document
+   * @param {string} text - Response body
+   * @param {boolean} strict - Whether to throw on invalid JSON rather than return null
+   * @param {string} [url] - URL of the info.json, for errors
+   * @private
+   */
+  parseInfo(text, strict = true, url) {
+    try {
+      return JSON.parse(text);
+    } catch (parseError) {
+      if (!strict) {
+        return null;
+      }
+      throw new InvalidIIIFError(`Invalid JSON in info.json: ${parseError.message}`, { url, cause: parseError });
+    }
+  }
+
+  /**
+   * Get the id of an info.json document without a trailing slash
+   * @private
+   */
+  getInfoId(info) {
+    const id = info.id || info['@id'];
+    return typeof id === 'string' ? id.replace(/\/$/, '') : undefined;
+  }
+
+  /**
+   * Describe the access status of a protected image
+   * @private
+   */
+  describeAuthStatus(authServices, infoUrl, degraded) {
+    const status = {
+      version: authServices.version,
+      profile: authServices.profile,
+      label: authServices.label,
+      degraded
+    };
+    if (degraded) {
+      status.message = describeDegradedAccess(authServices, new URL(infoUrl).host);
+    }
+    return status;
+  }
+
+  /**
+   * Whether an info.json document describes an Image API v3 service
+   * @private
+   */
+  isVersion3(info) {
+    const apiVersion = info["@context"] || info.profile;
+    return Array.isArray(apiVersion) ?
+      apiVersion.some(ctx => typeof ctx === 'string' && ctx.includes('/image/3/')) :
+      (typeof apiVersion === 'string' && apiVersion.includes('/image/3/'));
+  }
+
   /**
    * Calculate size constraints based on API version and server limits
    * @private
    */
-  calculateConstraints(info, width, height, isVersion3) {
+  calculateConstraints(info, width, height, isVersion3, limits = this.resolveLimits()) {
     let maxWidth = width;
     let maxHeight = height;
     let maxArea = width * height;
@@ -163,16 +639,39 @@ export class IIIFImageHandler {
     }
 
     // Apply our constraints
-    maxWidth = Math.min(maxWidth, this.maxDimension);
-    maxHeight = Math.min(maxHeight, this.maxDimension);
+    maxWidth = Math.min(maxWidth, limits.maxDimension);
+    maxHeight = Math.min(maxHeight, limits.maxDimension);
     
-    if (this.maxArea !== null) {
-      maxArea = Math.min(maxArea, this.maxArea);
+    if (limits.maxArea !== null) {
+      maxArea = Math.min(maxArea, limits.maxArea);
     }
 
     return { maxWidth, maxHeight, maxArea };
   }
 
+  /**
+   * Resolve the size limits for a request: per-request values may lower the handler's limits but not raise them
+   * @param {object} [options] - Request options with optional maxDimension and maxArea
+   * @returns {{maxDimension: number, maxArea: number|null}} Effective limits
+   */
+  resolveLimits(options = {}) {
+    const limit = (name, value, serverLimit) => {
+      if (value === undefined || value === null) {
+        return serverLimit;
+      }
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 1) {
+        throw new Error(`${name} must be a positive integer`);
+      }
+      return serverLimit === null ? number : Math.min(number, serverLimit);
+    };
+
+    return {
+      maxDimension: limit('maxDimension', options.maxDimension, this.maxDimension),
+      maxArea: limit('maxArea', options.maxArea, this.maxArea),
+    };
+  }
+
   /**
    * Calculate final target dimensions respecting all constraints
    * @private
@@ -215,6 +714,31 @@ export class IIIFImageHandler {
     }
   }
 
+  /**
+   * Resolve the base URI, region and options of a request: image request and info.json URLs are reduced to their
+   * base URI, and the region, rotation, quality and format of an image request apply where none are given. The
+   * size of an image request is not reused, since returned images are scaled to the size limits.
+   * @returns {{baseUri: string, region: string, options: object}} Base URI without a trailing slash, region and options
+   * @private
+   */
+  resolveImageRequest(baseUri, region, options = {}) {
+    const parsed = parseImageApiUrl(baseUri);
+    if (!parsed) {
+      return { baseUri: baseUri.replace(/\/$/, ''), region: region || 'full', options };
+    }
+
+    return {
+      baseUri: parsed.baseUri.replace(/\/$/, ''),
+      region: region || parsed.region || 'full',
+      options: {
+        ...options,
+        rotation: options.rotation ?? parsed.rotation,
+        quality: options.quality ?? parsed.quality,
+        format: options.format ?? parsed.format,
+      },
+    };
+  }
+
   /**
    * Parse region parameter
    * @private
@@ -224,8 +748,26 @@ export class IIIFImageHandler {
       return { type: 'full' };
     }
 
+    if (region === 'square') {
+      return { type: 'square' };
+    }
+
     if (!region.startsWith('pct:')) {
-      throw new Error('Region must be "full" or in "pct:" format (e.g., "pct:20,20,50,50")');
+      if (!/^[\d.,\s]+$/.test(region)) {
+        throw new Error('Region must be "full", "square", pixels as "x,y,w,h" (e.g., "100,200,800,600") or in "pct:" format (e.g., "pct:20,20,50,50")');
+      }
+
+      const pixels = region.split(',').map(Number);
+      if (pixels.length !== 4 || pixels.some(value => isNaN(value) || !Number.isInteger(value))) {
+        throw new Error('Invalid pixel region format. Expected "x,y,width,height" with integer values');
+      }
+
+      const [x, y, width, height] = pixels;
+      if (x < 0 || y < 0 || width <= 0 || height <= 0) {
+        throw new Error('Region coordinates must be non-negative and width/height must be positive');
+      }
+
+      return { type: 'pixel', x, y, width, height };
     }
 
     const coords = region.substring(4).split(',').map(Number);
@@ -246,6 +788,20 @@ export class IIIFImageHandler {
     return { type: 'pct', x, y, width, height };
   }
 
+  /**
+   * Validate a parsed region against the image dimensions
+   * @private
+   */
+  validateRegion(parsedRegion, imageWidth, imageHeight) {
+    if (parsedRegion.type !== 'pixel') {
+      return;
+    }
+
+    if (parsedRegion.x >= imageWidth || parsedRegion.y >= imageHeight) {
+      throw new Error(`Region ${parsedRegion.x},${parsedRegion.y},${parsedRegion.width},${parsedRegion.height} lies outside the image (${imageWidth}x${imageHeight} pixels)`);
+    }
+  }
+
   /**
    * Calculate actual pixel dimensions for a region
    * @private
@@ -255,6 +811,19 @@ export class IIIFImageHandler {
       return { width: imageWidth, height: imageHeight };
     }
 
+    if (parsedRegion.type === 'square') {
+      const side = Math.min(imageWidth, imageHeight);
+      return { width: side, height: side };
+    }
+
+    if (parsedRegion.type === 'pixel') {
+      // Regions extending beyond the image are cropped at its edges, as the Image API specifies
+      return {
+        width: Math.min(parsedRegion.width, imageWidth - parsedRegion.x),
+        height: Math.min(parsedRegion.height, imageHeight - parsedRegion.y)
+      };
+    }
+
     const width = Math.floor((parsedRegion.width / 100) * imageWidth);
     const height = Math.floor((parsedRegion.height / 100) * imageHeight);
     
@@ -262,24 +831,475 @@ export class IIIFImageHandler {
   }
 
   /**
-   * Fetch image data and convert to base64
+   * Format the region parameter for an image request
    * @private
    */
-  async fetchImageData(imageUrl) {
-    const response = await fetch(imageUrl);
+  formatRegionParameter(parsedRegion, imageWidth, imageHeight) {
+    if (parsedRegion.type === 'full') {
+      return 'full';
+    }
+
+    if (parsedRegion.type === 'pct') {
+      return `pct:${parsedRegion.x},${parsedRegion.y},${parsedRegion.width},${parsedRegion.height}`;
+    }
+
+    // Square regions are requested by pixels, since regionSquare is optional before level 1 of v3
+    const rect = this.calculateRegionPixels(parsedRegion, imageWidth, imageHeight);
+    return `${rect.x},${rect.y},${rect.width},${rect.height}`;
+  }
+
+  /**
+   * Convert a region to the equivalent 'pct:' region for an image of the given size
+   * @param {string} region - Region parameter in any supported form
+   * @param {number} width - Width of the image (or canvas) the region refers to
+   * @param {number} height - Height of the image (or canvas) the region refers to
+   * @returns {string} Region as 'full' or 'pct:x,y,w,h'
+   */
+  convertRegionToPct(region, width, height) {
+    const parsedRegion = this.parseRegion(region);
+    if (parsedRegion.type === 'full' || parsedRegion.type === 'pct') {
+      return this.formatRegionParameter(parsedRegion, width, height);
+    }
+
+    this.validateRegion(parsedRegion, width, height);
+    const rect = this.calculateRegionPixels(parsedRegion, width, height);
+    const pct = value => Number(value.toFixed(4));
+    return `pct:${pct(rect.x / width * 100)},${pct(rect.y / height * 100)},` +
+      `${pct(rect.width / width * 100)},${pct(rect.height / height * 100)}`;
+  }
+
+  /**
+   * Parse rotation, quality and format options
+   * @private
+   */
+  parseImageOptions(options = {}) {
+    const { rotation = '0', quality = 'default', format = 'jpg' } = options;
+
+    const rotationMatch = String(rotation).trim().match(/^(!)?(\d+(?:\.\d+)?)$/);
+    if (!rotationMatch) {
+      throw new Error('Rotation must be a number of degrees between 0 and 360, optionally prefixed with "!" for mirroring (e.g., "90" or "!0")');
+    }
+    const degrees = Number(rotationMatch[2]);
+    if (degrees > 360) {
+      throw new Error('Rotation must be between 0 and 360 degrees');
+    }
+    const mirror = rotationMatch[1] === '!';
+
+    const normalizedQuality = String(quality).toLowerCase() === 'native' ? 'default' : String(quality).toLowerCase();
+    const normalizedFormat = String(format).toLowerCase().replace(/^\./, '').replace(/^jpeg$/, 'jpg');
+    if (!/^[a-z0-9]+$/.test(normalizedQuality)) {
+      throw new Error(`Invalid quality: ${quality}`);
+    }
+    if (!/^[a-z0-9]+$/.test(normalizedFormat)) {
+      throw new Error(`Invalid format: ${format}`);
+    }
+
+    return {
+      rotation: { degrees: degrees % 360, mirror },
+      rotationParam: `${mirror ? '!' : ''}${rotationMatch[2]}`,
+      quality: normalizedQuality,
+      format: normalizedFormat
+    };
+  }
+
+  /**
+   * Format the rotation, quality and format parts of an image request
+   * @private
+   */
+  formatImageOptions(imageOptions) {
+    return `${imageOptions.rotationParam}/${imageOptions.quality}.${imageOptions.format}`;
+  }
+
+  /**
+   * Determine the qualities, formats and features a service supports
+   * @returns {{level: number|null, qualities: Set<string>, formats: Set<string>, features: Set<string>}}
+   * @private
+   */
+  getServiceFeatures(info, isVersion3) {
+    const level = this.getComplianceLevel(info);
+    const base = COMPLIANCE_LEVELS[isVersion3 ? 3 : 2][level ?? 0];
+    const qualities = new Set(base.qualities);
+    const formats = new Set(base.formats);
+    const features = new Set(base.features);
+
+    const addAll = (set, values) => {
+      for (const value of (Array.isArray(values) ? values : [])) {
+        set.add(value === 'native' ? 'default' : value);
+      }
+    };
+
+    if (isVersion3) {
+      addAll(qualities, info.extraQualities);
+      addAll(formats, info.extraFormats);
+      addAll(features, info.extraFeatures);
+    } else if (Array.isArray(info.profile)) {
+      for (const profile of info.profile.slice(1)) {
+        if (profile && typeof profile === 'object') {
+          addAll(qualities, profile.qualities);
+          addAll(formats, profile.formats);
+          addAll(features, profile.supports);
+        }
+      }
+    }
+
+    return { level, qualities, formats, features };
+  }
+
+  /**
+   * Check parsed image options against the features of the service
+   * @private
+   */
+  validateImageOptions(imageOptions, serviceFeatures) {
+    const { rotation, quality, format } = imageOptions;
+    const { qualities, formats, features } = serviceFeatures;
+    const list = set => [...set].join(', ');
+
+    if (!qualities.has(quality)) {
+      throw new Error(`The image server does not support quality '${quality}' (supported: ${list(qualities)})`);
+    }
+    if (!formats.has(format)) {
+      throw new Error(`The image server does not support format '${format}' (supported: ${list(formats)})`);
+    }
+    if (rotation.mirror && !features.has('mirroring')) {
+      throw new Error("The image server does not support mirroring");
+    }
+    if (rotation.degrees !== 0) {
+      const byNinety = rotation.degrees % 90 === 0;
+      if (!features.has('rotationArbitrary') && !(byNinety && features.has('rotationBy90s'))) {
+        throw new Error(byNinety ?
+          "The image server does not support rotation" :
+          `The image server does not support rotation by arbitrary angles (${rotation.degrees} degrees requested)`);
+      }
+    }
+  }
+
+  /**
+   * Scale target dimensions so that the bounding box of the rotated image fits the constraints
+   * @private
+   */
+  fitRotatedDimensions(dimensions, degrees, constraints) {
+    if (degrees % 90 === 0) {
+      // Rotating by multiples of 90 degrees at most swaps width and height
+      return dimensions;
+    }
+
+    const radians = degrees * Math.PI / 180;
+    const cos = Math.abs(Math.cos(radians));
+    const sin = Math.abs(Math.sin(radians));
+    const boxWidth = dimensions.targetWidth * cos + dimensions.targetHeight * sin;
+    const boxHeight = dimensions.targetWidth * sin + dimensions.targetHeight * cos;
+    const fitted = this.calculateFinalDimensions(boxWidth, boxHeight, constraints);
+    const scale = Math.min(fitted.targetWidth / boxWidth, fitted.targetHeight / boxHeight, 1.0);
+
+    return {
+      targetWidth: Math.max(1, Math.floor(dimensions.targetWidth * scale)),
+      targetHeight: Math.max(1, Math.floor(dimensions.targetHeight * scale))
+    };
+  }
+
+  /**
+   * Determine the compliance level advertised in info.json
+   * @returns {number|null} 0, 1 or 2, or null if no level is advertised
+   * @private
+   */
+  getComplianceLevel(info) {
+    const profiles = Array.isArray(info.profile) ? info.profile : [info.profile];
+    for (const profile of profiles) {
+      if (typeof profile !== 'string') {
+        continue;
+      }
+      const match = profile.match(/level([012])(\.json)?$/);
+      if (match) {
+        return Number(match[1]);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Convert a parsed region to a pixel rectangle on the full image
+   * @private
+   */
+  calculateRegionPixels(parsedRegion, imageWidth, imageHeight) {
+    if (parsedRegion.type === 'full') {
+      return { x: 0, y: 0, width: imageWidth, height: imageHeight };
+    }
+
+    const { width, height } = this.calculateRegionDimensions(parsedRegion, imageWidth, imageHeight);
+
+    if (parsedRegion.type === 'square') {
+      // The square is centered on the longer dimension
+      return {
+        x: Math.floor((imageWidth - width) / 2),
+        y: Math.floor((imageHeight - height) / 2),
+        width,
+        height
+      };
+    }
+
+    if (parsedRegion.type === 'pixel') {
+      return { x: parsedRegion.x, y: parsedRegion.y, width, height };
+    }
+
+    const x = Math.floor((parsedRegion.x / 100) * imageWidth);
+    const y = Math.floor((parsedRegion.y / 100) * imageHeight);
+
+    return {
+      x,
+      y,
+      width: Math.max(1, Math.min(width, imageWidth - x)),
+      height: Math.max(1, Math.min(height, imageHeight - y))
+    };
+  }
+
+  /**
+   * Check whether the given dimensions fit within the constraints
+   * @private
+   */
+  fitsConstraints(width, height, constraints) {
+    return width <= constraints.maxWidth &&
+      height <= constraints.maxHeight &&
+      (constraints.maxArea === undefined || width * height <= constraints.maxArea);
+  }
+
+  /**
+   * Pick the largest precomputed size (including the full image) that fits the constraints
+   * @returns {{width: number, height: number, sizeParam: string}|null} Selected size, or null if none fits
+   * @private
+   */
+  selectPrecomputedSize(info, constraints, isVersion3) {
+    const candidates = (Array.isArray(info.sizes) ? info.sizes : [])
+      .filter(size => size && size.width > 0 && size.height > 0)
+      .map(size => ({
+        width: size.width,
+        height: size.height,
+        sizeParam: isVersion3 ? `${size.width},${size.height}` : `${size.width},`
+      }));
+    candidates.push({
+      width: info.width,
+      height: info.height,
+      sizeParam: isVersion3 ? 'max' : 'full'
+    });
+
+    let best = null;
+    for (const candidate of candidates) {
+      if (!this.fitsConstraints(candidate.width, candidate.height, constraints)) {
+        continue;
+      }
+      if (!best || candidate.width * candidate.height > best.width * best.height) {
+        best = candidate;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Plan the tile requests needed to cover a pixel region of a Level 0 image
+   * @param {object} info - info.json document
+   * @param {{x: number, y: number, width: number, height: number}} rect - Region in full-resolution pixels
+   * @param {object} constraints - Size constraints from calculateConstraints
+   * @param {boolean} isVersion3 - Whether the service uses Image API v3 syntax
+   * @returns {object|null} Tile plan, or null if info.json advertises no tiles
+   * @private
+   */
+  planTileRequests(info, rect, constraints, isVersion3) {
+    const tileSpec = Array.isArray(info.tiles) ? info.tiles.find(tile => tile && tile.width > 0) : null;
+    if (!tileSpec) {
+      return null;
+    }
+
+    const tileWidth = tileSpec.width;
+    const tileHeight = tileSpec.height || tileSpec.width;
+    const scaleFactors = (Array.isArray(tileSpec.scaleFactors) && tileSpec.scaleFactors.length > 0 ?
+      [...tileSpec.scaleFactors] : [1]).sort((a, b) => a - b);
+
+    // Use the most detailed scale factor whose output fits, else the coarsest available
+    const scaleFactor = scaleFactors.find(factor => this.fitsConstraints(
+      Math.ceil(rect.width / factor), Math.ceil(rect.height / factor), constraints
+    )) ?? scaleFactors[scaleFactors.length - 1];
+
+    const stepX = tileWidth * scaleFactor;
+    const stepY = tileHeight * scaleFactor;
+    const firstCol = Math.floor(rect.x / stepX);
+    const lastCol = Math.floor((rect.x + rect.width - 1) / stepX);
+    const firstRow = Math.floor(rect.y / stepY);
+    const lastRow = Math.floor((rect.y + rect.height - 1) / stepY);
+
+    const tiles = [];
+    for (let row = firstRow; row <= lastRow; row++) {
+      for (let col = firstCol; col <= lastCol; col++) {
+        const x = col * stepX;
+        const y = row * stepY;
+        const w = Math.min(stepX, info.width - x);
+        const h = Math.min(stepY, info.height - y);
+        const scaledWidth = Math.ceil(w / scaleFactor);
+        const scaledHeight = Math.ceil(h / scaleFactor);
+        const regionParam = (w === info.width && h === info.height) ? 'full' : `${x},${y},${w},${h}`;
+        const sizeParam = isVersion3 ? `${scaledWidth},${scaledHeight}` : `${scaledWidth},`;
+
+        tiles.push({
+          regionParam,
+          sizeParam,
+          left: (col - firstCol) * tileWidth,
+          top: (row - firstRow) * tileHeight,
+          width: scaledWidth,
+          height: scaledHeight
+        });
+      }
+    }
+
+    const canvasWidth = Math.max(...tiles.map(tile => tile.left + tile.width));
+    const canvasHeight = Math.max(...tiles.map(tile => tile.top + tile.height));
+    const cropX = Math.floor(rect.x / scaleFactor) - firstCol * tileWidth;
+    const cropY = Math.floor(rect.y / scaleFactor) - firstRow * tileHeight;
+    const crop = {
+      x: cropX,
+      y: cropY,
+      width: Math.max(1, Math.min(Math.round(rect.width / scaleFactor), canvasWidth - cropX)),
+      height: Math.max(1, Math.min(Math.round(rect.height / scaleFactor), canvasHeight - cropY))
+    };
+
+    return { scaleFactor, tiles, canvasWidth, canvasHeight, crop };
+  }
+
+  /**
+   * Generate the image for a Level 0 service from precomputed sizes or stitched tiles
+   * @private
+   */
+  async generateLevel0ImageUrl(cleanBaseUri, info, parsedRegion, regionDimensions, constraints, isVersion3, fetchImage,
+    imageOptions = this.parseImageOptions(), token) {
+    if (imageOptions.rotation.degrees !== 0 || imageOptions.rotation.mirror) {
+      throw new Error("Rotation and mirroring are not available from Level 0 image services");
+    }
+
+    const suffix = this.formatImageOptions(imageOptions);
+    const regionParam = this.formatRegionParameter(parsedRegion, info.width, info.height);
+    const baseInfo = {
+      originalDimensions: { width: info.width, height: info.height },
+      regionDimensions,
+      apiVersion: isVersion3 ? 'v3' : 'v2',
+      complianceLevel: 0,
+      regionParam,
+      quality: imageOptions.quality,
+      format: imageOptions.format,
+      constraints
+    };
+
+    if (parsedRegion.type === 'full') {
+      const size = this.selectPrecomputedSize(info, constraints, isVersion3);
+      if (size) {
+        const imageUrl = `${cleanBaseUri}/full/${size.sizeParam}/${suffix}`;
+        const result = {
+          imageUrl,
+          info: {
+            ...baseInfo,
+            finalDimensions: { width: size.width, height: size.height },
+            sizeParam: size.sizeParam
+          }
+        };
+        if (fetchImage) {
+          result.imageData = await this.fetchImageData(imageUrl, token);
+        }
+        return result;
+      }
+    }
+
+    // Tiles are requested in the requested quality and format, and the stitched image is encoded in that format
+    if (!STITCHED_FORMATS[imageOptions.format]) {
+      throw new Error(`Level 0 regions are stitched from tiles, which cannot be encoded as ${imageOptions.format}; ` +
+        `use one of: ${Object.keys(STITCHED_FORMATS).join(', ')}`);
+    }
+
+    const rect = this.calculateRegionPixels(parsedRegion, info.width, info.height);
+    const plan = this.planTileRequests(info, rect, constraints, isVersion3);
+    if (!plan) {
+      throw new Error("Level 0 image service does not advertise tiles or sizes that fit within the size constraints");
+    }
+
+    const dimensions = this.calculateFinalDimensions(plan.crop.width, plan.crop.height, constraints);
+    const tileUrls = plan.tiles.map(tile => `${cleanBaseUri}/${tile.regionParam}/${tile.sizeParam}/${suffix}`);
+    const result = {
+      // Nominal URL describing the stitched image; the service cannot produce it directly
+      imageUrl: `${cleanBaseUri}/${regionParam}/${dimensions.targetWidth},${dimensions.targetHeight}/${suffix}`,
+      info: {
+        ...baseInfo,
+        finalDimensions: { width: dimensions.targetWidth, height: dimensions.targetHeight },
+        sizeParam: `${dimensions.targetWidth},${dimensions.targetHeight}`,
+        scaleFactor: plan.scaleFactor,
+        tileUrls
+      }
+    };
+
+    if (fetchImage) {
+      const tileImages = [];
+      for (let i = 0; i < plan.tiles.length; i++) {
+        const { buffer } = await this.fetchImageBuffer(tileUrls[i], token);
+        tileImages.push({ ...plan.tiles[i], buffer });
+      }
+      const buffer = await stitchTiles(tileImages, {
+        canvasWidth: plan.canvasWidth,
+        canvasHeight: plan.canvasHeight,
+        crop: plan.crop,
+        width: dimensions.targetWidth,
+        height: dimensions.targetHeight,
+        format: imageOptions.format
+      });
+      result.imageData = {
+        contentType: STITCHED_FORMATS[imageOptions.format],
+        base64: buffer.toString('base64'),
+        size: buffer.byteLength
+      };
+    }
+
+    return result;
+  }
+
+  /**
+   * Fetch a URL with any configured credentials, through the cache if one is configured
+   * @param {string} url - URL to fetch
+   * @param {string} [token] - Access token obtained for this request
+   * @private
+   */
+  async fetchUrl(url, token) {
+    const headers = this.auth ? this.auth.getRequestHeaders(url, token) : {};
+    if (this.cache) {
+      return this.cache.fetch(url, { headers });
+    }
+    return httpClient.fetch(url, { headers });
+  }
+
+  /**
+   * Fetch image bytes
+   * @param {string} imageUrl - Image request URL
+   * @param {string} [token] - Access token for a protected image
+   * @private
+   */
+  async fetchImageBuffer(imageUrl, token) {
+    const response = await this.fetchUrl(imageUrl, token);
     
     if (!response.ok) {
-      throw new Error(`Failed to fetch image: HTTP ${response.status}: ${response.statusText}`);
+      throw createHttpError(response, imageUrl, `Failed to fetch image: HTTP ${response.status}: ${response.statusText}`);
     }
 
     const contentType = response.headers.get("content-type") || "image/jpeg";
-    const arrayBuffer = await response.arrayBuffer();
-    const base64 = Buffer.from(arrayBuffer).toString('base64');
+    const buffer = Buffer.from(await response.arrayBuffer());
+
+    return { contentType, buffer };
+  }
+
+  /**
+   * Fetch image data and convert to base64
+   * @param {string} imageUrl - Image request URL
+   * @param {string} [token] - Access token for a protected image
+   * @private
+   */
+  async fetchImageData(imageUrl, token) {
+    const { contentType, buffer } = await this.fetchImageBuffer(imageUrl, token);
 
     return {
       contentType,
-      base64,
-      size: arrayBuffer.byteLength
+      base64: buffer.toString('base64'),
+      size: buffer.byteLength
     };
   }
 }
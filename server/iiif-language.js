@@ -0,0 +1,178 @@
+import { stripHtml } from './iiif-annotations.js';
+
+// Elements and attributes the Presentation API allows in HTML values; the content of the removed elements is dropped
+const ALLOWED_ELEMENTS = {
+  a: ["href"],
+  b: [],
+  br: [],
+  i: [],
+  img: ["src", "alt"],
+  p: [],
+  small: [],
+  span: [],
+  sub: [],
+  sup: [],
+};
+const REMOVED_ELEMENTS = ["script", "style", "iframe", "object", "embed", "template", "noscript", "textarea", "title", "head"];
+
+/**
+ * Collect the values of a v2 or v3 text property with their languages
+ * @private
+ */
+function collectLanguageValues(value, entries = []) {
+  if (value === undefined || value === null) {
+    return entries;
+  }
+  if (typeof value === "string" || typeof value === "number" || typeof value === "boolean") {
+    entries.push({ language: "none", value: String(value) });
+  } else if (Array.isArray(value)) {
+    for (const item of value) {
+      collectLanguageValues(item, entries);
+    }
+  } else if (value["@value"] !== undefined) {
+    entries.push({ language: value["@language"] || "none", value: String(value["@value"]) });
+  } else if (typeof value === "object") {
+    // v3 language map
+    for (const [language, values] of Object.entries(value)) {
+      for (const item of Array.isArray(values) ? values : [values]) {
+        if (item !== undefined && item !== null) {
+          entries.push({ language: language === "@none" ? "none" : language, value: String(item) });
+        }
+      }
+    }
+  }
+  return entries;
+}
+
+/**
+ * Whether a value's language matches a preferred language, ignoring case and regional variants
+ * @private
+ */
+function matchesLanguage(valueLanguage, preferred) {
+  const a = valueLanguage.toLowerCase();
+  const b = preferred.toLowerCase();
+  return a === b || a.startsWith(`${b}-`) || b.startsWith(`${a}-`);
+}
+
+/**
+ * List the languages used by a v2 or v3 text property
+ * @param {*} value - String, v2 value object or array, or v3 language map
+ * @returns {string[]} Language codes, with 'none' for values without a language
+ */
+export function getLanguages(value) {
+  return [...new Set(collectLanguageValues(value).map(entry => entry.language))];
+}
+
+/**
+ * Get the values of a v2 or v3 text property in the preferred language, falling back to values without a language
+ * and then to the first language present
+ * @param {*} value - String, v2 value object or array, or v3 language map
+ * @param {string} [language] - Preferred language (e.g., 'en' also matches 'en-GB'; default: 'en')
+ * @returns {string[]} Values in the selected language (empty if none)
+ */
+export function getLanguageValues(value, language = "en") {
+  const entries = collectLanguageValues(value);
+  const select = predicate => entries.filter(predicate).map(entry => entry.value);
+
+  let values = select(entry => matchesLanguage(entry.language, language));
+  if (values.length === 0) {
+    values = select(entry => entry.language === "none");
+  }
+  if (values.length === 0 && entries.length > 0) {
+    values = select(entry => entry.language === entries[0].language);
+  }
+  return values;
+}
+
+/**
+ * Get a v2 or v3 text property in the preferred language as a single string
+ * @param {*} value - String, v2 value object or array, or v3 language map
+ * @param {string} [language] - Preferred language (default: 'en')
+ * @param {string} [separator] - Separator between multiple values (default: '; ')
+ * @returns {string} Text (empty if none)
+ */
+export function getLanguageText(value, language = "en", separator = "; ") {
+  return getLanguageValues(value, language).join(separator);
+}
+
+/**
+ * Convert a v2 text property to a v3 language map, with 'none' for values without a language
+ * @param {*} value - String, v2 value object or array, or v3 language map
+ * @returns {Object<string, string[]>} Language map (empty if there are no values)
+ */
+export function toLanguageMap(value) {
+  const languageMap = {};
+  for (const { language, value: text } of collectLanguageValues(value)) {
+    (languageMap[language] = languageMap[language] || []).push(text);
+  }
+  return languageMap;
+}
+
+/**
+ * Whether a value is HTML by the rule of the Presentation API: it starts with '<' and ends with '>'
+ * @param {string} value - Property value
+ * @returns {boolean} True for HTML
+ */
+export function isHtml(value) {
+  const trimmed = String(value).trim();
+  return trimmed.startsWith("<") && trimmed.endsWith(">");
+}
+
+/**
+ * Reduce HTML to the elements and attributes the Presentation API allows, removing comments, processing
+ * instructions, CDATA sections, scripts and styles
+ * @param {string} html - HTML fragment
+ * @returns {string} Sanitized HTML
+ */
+export function sanitizeHtml(html) {
+  const removedElements = REMOVED_ELEMENTS.join("|");
+
+  return String(html)
+    .replace(/<!--[\s\S]*?(-->|$)/g, "")
+    .replace(/<!\[CDATA\[[\s\S]*?(\]\]>|$)/g, "")
+    .replace(/<[?!][^>]*>/g, "")
+    .replace(new RegExp(`<(${removedElements})\\b[^>]*>[\\s\\S]*?(<\\/\\1\\s*>|$)`, "gi"), "")
+    .replace(/<(\/?)([a-zA-Z][\w:-]*)([^>]*)>/g, (tag, closing, name, attributes) => {
+      const allowed = ALLOWED_ELEMENTS[name.toLowerCase()];
+      if (!allowed) {
+        return "";
+      }
+      if (closing) {
+        return `</${name.toLowerCase()}>`;
+      }
+
+      const kept = [];
+      for (const match of attributes.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+        const attribute = match[1].toLowerCase();
+        const value = match[2] ?? match[3] ?? match[4];
+        if (allowed.includes(attribute) && !/^\s*(javascript|vbscript|data):/i.test(value)) {
+          kept.push(`${attribute}="${value.replace(/"/g, "&quot;")}"`);
+        }
+      }
+      return `<${name.toLowerCase()}${kept.map(attribute => ` ${attribute}`).join("")}${/\/\s*$/.test(attributes) ? " /" : ""}>`;
+    });
+}
+
+/**
+ * Convert a property value to plain text: HTML values are sanitized, links are kept as 'text (url)' and images
+ * are replaced by their alt text; other values are returned unchanged
+ * @param {string} value - Property value
+ * @returns {string} Plain text
+ */
+export function htmlToText(value) {
+  if (!isHtml(value)) {
+    return String(value).trim();
+  }
+
+  const html = sanitizeHtml(value)
+    .replace(/<a\s+href="([^"]*)"\s*>([\s\S]*?)<\/a>/gi, (_, href, text) => {
+      const linkText = stripHtml(text);
+      const url = stripHtml(href);
+      return !linkText || linkText === url ? url : `${text} (${href})`;
+    })
+    .replace(/<img\b[^>]*>/gi, tag => {
+      const alt = tag.match(/\balt="([^"]*)"/);
+      return alt ? alt[1] : "";
+    });
+  return stripHtml(html);
+}
@@ -0,0 +1,328 @@
+import { InvalidIIIFError, createHttpError, httpClient } from './http-client.js';
+
+const PRESENTATION_CONTEXT_PREFIX = "http://iiif.io/api/presentation/";
+
+/**
+ * Fetch and parse a JSON document
+ * @param {string} url - URL of the document
+ * @param {object} [options] - Fetch options
+ * @param {import('./http-cache.js').HttpCache} [options.cache] - Cache to fetch through
+ * @returns {Promise<object>} Parsed JSON
+ */
+export async function fetchJsonDocument(url, { cache } = {}) {
+  if (!url) {
+    throw new Error("URL parameter is required");
+  }
+
+  const response = cache ? await cache.fetch(url) : await httpClient.fetch(url);
+
+  if (!response.ok) {
+    throw createHttpError(response, url);
+  }
+
+  const contentType = response.headers.get("content-type");
+  if (!contentType || !contentType.includes("application/json")) {
+    console.warn(`Warning: Content-Type is ${contentType}, expected application/json`);
+  }
+
+  const text = await response.text();
+
+  try {
+    return JSON.parse(text);
+  } catch (parseError) {
+    throw new InvalidIIIFError(`Invalid JSON: ${parseError.message}`, { url, cause: parseError });
+  }
+}
+
+/**
+ * Fetch a IIIF manifest and validate its basic structure
+ * @param {string} url - URL of the IIIF manifest
+ * @param {object} [options] - Fetch options (see fetchJsonDocument)
+ * @returns {Promise<object>} Parsed manifest
+ */
+export async function fetchManifest(url, options = {}) {
+  const jsonData = await fetchJsonDocument(url, options);
+  validateManifestStructure(jsonData);
+  return jsonData;
+}
+
+/**
+ * Check whether a document has a IIIF presentation API @context
+ * @param {object} jsonData - Parsed JSON document
+ * @returns {boolean} True if the @context includes a presentation API URL
+ */
+export function hasPresentationContext(jsonData) {
+  const context = jsonData["@context"];
+  if (typeof context === "string") {
+    return context.startsWith(PRESENTATION_CONTEXT_PREFIX);
+  }
+  if (Array.isArray(context)) {
+    return context.some(ctx =>
+      typeof ctx === "string" && ctx.startsWith(PRESENTATION_CONTEXT_PREFIX)
+    );
+  }
+  return false;
+}
+
+/**
+ * Check that a document has a IIIF presentation context and a Manifest type
+ * @param {object} jsonData - Parsed JSON document
+ * @throws {Error} If the document is not a IIIF manifest
+ */
+export function validateManifestStructure(jsonData) {
+  if (!jsonData["@context"]) {
+    throw new InvalidIIIFError("Invalid IIIF manifest: missing @context property");
+  }
+
+  if (!hasPresentationContext(jsonData)) {
+    throw new InvalidIIIFError("Invalid IIIF manifest: @context must contain a IIIF presentation API URL");
+  }
+
+  const hasValidType = (jsonData["@type"] === "sc:Manifest") || (jsonData["type"] === "Manifest");
+  if (!hasValidType) {
+    throw new InvalidIIIFError("Invalid IIIF manifest: must have @type of 'sc:Manifest' or type of 'Manifest'");
+  }
+}
+
+/**
+ * Determine the Presentation API version of a resource
+ * @param {object} resource - Manifest or other presentation resource
+ * @returns {number} 3 for Presentation 3.0 resources, otherwise 2
+ */
+export function getPresentationVersion(resource) {
+  const context = resource["@context"];
+  const contexts = Array.isArray(context) ? context : [context];
+  if (contexts.some(ctx => typeof ctx === "string" && ctx.includes("/presentation/3/"))) {
+    return 3;
+  }
+  return resource.type && !resource["@type"] ? 3 : 2;
+}
+
+/**
+ * Get the id of a resource, whichever of id or @id it uses
+ * @param {object|string} resource - Resource or reference
+ * @returns {string|undefined} Resource id
+ */
+export function getId(resource) {
+  if (typeof resource === "string") {
+    return resource;
+  }
+  return resource ? (resource.id || resource["@id"]) : undefined;
+}
+
+/**
+ * Get a property that may be a single value or an array as an array
+ * @param {*} value - Property value
+ * @returns {Array} The array, the value in an array, or an empty array if the value is undefined or null
+ */
+export function asArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Reduce a v2 or v3 label to a single string
+ * @param {*} label - String, v2 value object or array, or v3 language map
+ * @param {string} [separator] - Separator between the values of a language (default: '; ')
+ * @returns {string} Label text (empty if none)
+ */
+export function getLabel(label, separator = "; ") {
+  if (label === undefined || label === null) {
+    return "";
+  }
+  if (typeof label === "string" || typeof label === "number") {
+    return String(label);
+  }
+  if (Array.isArray(label)) {
+    const english = label.find(item => item && item["@language"] && item["@language"].startsWith("en"));
+    return getLabel(english || label[0], separator);
+  }
+  if (label["@value"] !== undefined) {
+    return String(label["@value"]);
+  }
+
+  // v3 language map
+  const values = label.en || label.none || Object.values(label)[0];
+  return Array.isArray(values) ? values.join(separator) : getLabel(values, separator);
+}
+
+/**
+ * Get the canvases of a v2 or v3 manifest in order
+ * @param {object} manifest - Parsed manifest
+ * @returns {object[]} Canvases
+ */
+export function getCanvases(manifest) {
+  if (Array.isArray(manifest.items)) {
+    return manifest.items.filter(item => item && item.type === "Canvas");
+  }
+  const sequence = Array.isArray(manifest.sequences) ? manifest.sequences[0] : undefined;
+  return sequence && Array.isArray(sequence.canvases) ? sequence.canvases : [];
+}
+
+/**
+ * Find a canvas by index, id or label
+ * @param {object} manifest - Parsed manifest
+ * @param {object} selector - Canvas selector
+ * @param {number} [selector.index] - Zero-based canvas index
+ * @param {string} [selector.id] - Canvas id
+ * @param {string} [selector.label] - Canvas label (case-insensitive)
+ * @returns {{index: number, canvas: object}} Matching canvas and its index
+ * @throws {Error} If no canvas matches
+ */
+export function findCanvas(manifest, { index, id, label } = {}) {
+  const canvases = getCanvases(manifest);
+
+  if (canvases.length === 0) {
+    throw new Error("Manifest has no canvases");
+  }
+
+  if (index !== undefined && index !== null) {
+    const canvasIndex = Number(index);
+    if (!Number.isInteger(canvasIndex) || canvasIndex < 0 || canvasIndex >= canvases.length) {
+      throw new Error(`Canvas index ${index} is out of range (manifest has ${canvases.length} canvases)`);
+    }
+    return { index: canvasIndex, canvas: canvases[canvasIndex] };
+  }
+
+  if (id) {
+    // Canvas ids may be referenced with a fragment (e.g. #xywh=...)
+    const canvasId = id.split("#")[0];
+    const canvasIndex = canvases.findIndex(canvas => getId(canvas) === canvasId);
+    if (canvasIndex === -1) {
+      throw new Error(`No canvas with id ${id}`);
+    }
+    return { index: canvasIndex, canvas: canvases[canvasIndex] };
+  }
+
+  if (label) {
+    const wanted = String(label).trim().toLowerCase();
+    const canvasIndex = canvases.findIndex(canvas => getLabel(canvas.label).trim().toLowerCase() === wanted);
+    if (canvasIndex === -1) {
+      throw new Error(`No canvas with label "${label}"`);
+    }
+    return { index: canvasIndex, canvas: canvases[canvasIndex] };
+  }
+
+  throw new Error("A canvas index, id or label is required");
+}
+
+/**
+ * Get the image service base URI for the first painted image on a canvas
+ * @param {object} canvas - v2 or v3 canvas
+ * @returns {string|undefined} Image service base URI
+ */
+export function getImageServiceUri(canvas) {
+  for (const resource of getPaintedImages(canvas)) {
+    const services = asArray(resource.service);
+    // Services without an id cannot be requested, so they are skipped
+    const imageService = services.find(service => isImageService(service) && typeof getId(service) === "string");
+    if (imageService) {
+      return getId(imageService).replace(/\/info\.json$/, "").replace(/\/$/, "");
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Get the image resources painted onto a canvas, choosing the default of any choice
+ * @private
+ */
+function getPaintedImages(canvas) {
+  const bodies = [];
+
+  if (Array.isArray(canvas.images)) {
+    // v2: images[].resource
+    for (const annotation of canvas.images) {
+      if (annotation && annotation.resource) {
+        bodies.push(annotation.resource);
+      }
+    }
+  } else if (Array.isArray(canvas.items)) {
+    // v3: items[] (AnnotationPage) -> items[] (Annotation) -> body
+    for (const page of canvas.items) {
+      for (const annotation of (page && Array.isArray(page.items) ? page.items : [])) {
+        if (!annotation || typeof annotation !== "object") {
+          continue;
+        }
+        if (annotation.motivation && annotation.motivation !== "painting") {
+          continue;
+        }
+        const body = annotation.body;
+        bodies.push(...asArray(body).filter(Boolean));
+      }
+    }
+  }
+
+  return bodies.map(body => {
+    if (body.type === "Choice" && Array.isArray(body.items)) {
+      return body.items[0];
+    }
+    if (body["@type"] === "oa:Choice") {
+      return body.default || (Array.isArray(body.item) ? body.item[0] : body.item);
+    }
+    return body;
+  }).filter(Boolean);
+}
+
+/**
+ * Check whether a service reference is an IIIF Image API service
+ * @private
+ */
+function isImageService(service) {
+  if (!service) {
+    return false;
+  }
+  if (typeof service === "string") {
+    return true;
+  }
+  const type = service.type || service["@type"] || "";
+  const profile = JSON.stringify(service.profile || "");
+  const context = JSON.stringify(service["@context"] || "");
+  return type.startsWith("ImageService") ||
+    context.includes("iiif.io/api/image/") ||
+    profile.includes("iiif.io/api/image/") ||
+    /^"level[012]"$/.test(profile);
+}
+
+/**
+ * Summarize the canvases of a manifest
+ * @param {object} manifest - Parsed manifest
+ * @returns {Array<{index: number, id: string, label: string, width: number, height: number, serviceUri: string}>}
+ */
+export function summarizeCanvases(manifest) {
+  return getCanvases(manifest).map((canvas, index) => ({
+    index,
+    id: getId(canvas),
+    label: getLabel(canvas.label),
+    width: canvas.width,
+    height: canvas.height,
+    serviceUri: getImageServiceUri(canvas)
+  }));
+}
+
+/**
+ * Format a compact text summary of a manifest and its canvases
+ * @param {object} manifest - Parsed manifest
+ * @returns {string} Summary with one table row per canvas
+ */
+export function formatManifestSummary(manifest) {
+  const canvases = summarizeCanvases(manifest);
+  const lines = [
+    `Manifest: ${getLabel(manifest.label) || "(untitled)"}`,
+    `Id: ${getId(manifest)}`,
+    `Presentation API: v${getPresentationVersion(manifest)}`,
+    `Canvases: ${canvases.length}`,
+    "",
+    "index | label | width x height | image service"
+  ];
+
+  for (const canvas of canvases) {
+    const size = canvas.width && canvas.height ? `${canvas.width}x${canvas.height}` : "-";
+    const label = canvas.label.replace(/\s*\n\s*/g, " ").replace(/\|/g, "/");
+    lines.push(`${canvas.index} | ${label || "-"} | ${size} | ${canvas.serviceUri || "-"}`);
+  }
+
+  return lines.join("\n");
+}
@@ -0,0 +1,126 @@
+import { asArray, getId } from './iiif-manifest.js';
+import { getLanguages, getLanguageValues, htmlToText } from './iiif-language.js';
+
+/**
+ * Get a text property in the preferred language as plain text
+ * @private
+ */
+function toText(value, language) {
+  return getLanguageValues(value, language).map(htmlToText).filter(Boolean).join("; ");
+}
+
+/**
+ * Describe linked resources such as homepage and seeAlso
+ * @private
+ */
+function toReferences(value, language) {
+  return asArray(value).filter(Boolean).map(reference => typeof reference === "string" ? { id: reference } : {
+    id: getId(reference),
+    label: toText(reference.label, language) || undefined,
+    format: reference.format,
+    profile: typeof reference.profile === "string" ? reference.profile : undefined,
+  });
+}
+
+/**
+ * Extract the descriptive metadata of a v2 or v3 manifest (or collection) as plain text. Text properties are given
+ * in the preferred language, falling back to values without a language and then to any language. HTML values are
+ * sanitized as the Presentation API requires and converted to text.
+ * @param {object} resource - Parsed manifest or collection
+ * @param {object} [options] - Extraction options
+ * @param {string} [options.language] - Preferred language (default: 'en')
+ * @returns {{id: string, label: string, summary: string, metadata: Array<{label: string, value: string}>,
+ *   requiredStatement: {label: string, value: string}|null, rights: string[], provider: Array<object>,
+ *   homepage: Array<object>, seeAlso: Array<object>, languages: string[]}} Metadata
+ */
+export function getManifestMetadata(resource, { language = "en" } = {}) {
+  const metadata = asArray(resource.metadata)
+    .filter(entry => entry && typeof entry === "object")
+    .map(entry => ({ label: toText(entry.label, language), value: toText(entry.value, language) }))
+    .filter(entry => entry.label || entry.value);
+
+  // v2 attribution and license are the counterparts of v3 requiredStatement and rights
+  let requiredStatement = null;
+  if (resource.requiredStatement) {
+    requiredStatement = {
+      label: toText(resource.requiredStatement.label, language) || "Attribution",
+      value: toText(resource.requiredStatement.value, language),
+    };
+  } else if (resource.attribution) {
+    requiredStatement = { label: "Attribution", value: toText(resource.attribution, language) };
+  }
+
+  const provider = asArray(resource.provider).filter(agent => agent && typeof agent === "object").map(agent => ({
+    id: getId(agent),
+    label: toText(agent.label, language),
+    homepage: toReferences(agent.homepage, language),
+  }));
+
+  const textProperties = [
+    resource.label,
+    resource.summary || resource.description,
+    ...asArray(resource.metadata).flatMap(entry => entry ? [entry.label, entry.value] : []),
+  ];
+
+  return {
+    id: getId(resource),
+    label: toText(resource.label, language),
+    summary: toText(resource.summary || resource.description, language),
+    metadata,
+    requiredStatement,
+    rights: asArray(resource.rights || resource.license).map(getId).filter(Boolean),
+    provider,
+    homepage: toReferences(resource.homepage || resource.related, language),
+    seeAlso: toReferences(resource.seeAlso, language),
+    languages: [...new Set(textProperties.flatMap(getLanguages))],
+  };
+}
+
+/**
+ * Format a linked resource as 'label (url) [format, profile]'
+ * @private
+ */
+function formatReference(reference) {
+  const details = [reference.format, reference.profile].filter(Boolean);
+  return `${reference.label ? `${reference.label} (${reference.id})` : reference.id}` +
+    (details.length > 0 ? ` [${details.join(", ")}]` : "");
+}
+
+/**
+ * Format extracted metadata as compact text
+ * @param {object} metadata - Result of getManifestMetadata
+ * @param {string} [language] - Language the metadata was requested in, noted with the available languages
+ * @returns {string} One line per property, with a list of metadata pairs
+ */
+export function formatMetadata(metadata, language) {
+  const lines = [`Label: ${metadata.label || "(untitled)"}`, `Id: ${metadata.id}`];
+
+  if (metadata.summary) {
+    lines.push(`Summary: ${metadata.summary}`);
+  }
+  if (metadata.metadata.length > 0) {
+    lines.push("Metadata:", ...metadata.metadata.map(entry => `- ${entry.label || "-"}: ${entry.value}`));
+  }
+  if (metadata.requiredStatement) {
+    lines.push(`${metadata.requiredStatement.label}: ${metadata.requiredStatement.value}`);
+  }
+  if (metadata.rights.length > 0) {
+    lines.push(`Rights: ${metadata.rights.join(", ")}`);
+  }
+  for (const agent of metadata.provider) {
+    const homepage = agent.homepage.map(formatReference).join(", ");
+    lines.push(`Provider: ${agent.label || agent.id || "-"}${homepage ? ` (homepage: ${homepage})` : ""}`);
+  }
+  for (const reference of metadata.homepage) {
+    lines.push(`Homepage: ${formatReference(reference)}`);
+  }
+  for (const reference of metadata.seeAlso) {
+    lines.push(`See also: ${formatReference(reference)}`);
+  }
+
+  if (language && metadata.languages.length > 0) {
+    lines.push(`Languages: ${metadata.languages.join(", ")} (requested: ${language})`);
+  }
+
+  return lines.join("\n");
+}
@@ -0,0 +1,97 @@
+// Conversion factors for the units of the Physical Dimensions service
+const CENTIMETRES_PER_UNIT = {
+  mm: 0.1,
+  cm: 1,
+  m: 100,
+  in: 2.54,
+};
+
+/**
+ * Get the Physical Dimensions service of a canvas or info.json
+ * @param {object} resource - Canvas (Presentation API v2 or v3) or image information
+ * @returns {{physicalScale: number, physicalUnits: string}|null} Physical size of one pixel in the resource's
+ *   coordinate space, or null if the resource has no valid Physical Dimensions service
+ */
+export function getPhysicalDimensions(resource) {
+  const services = resource && resource.service ?
+    (Array.isArray(resource.service) ? resource.service : [resource.service]) : [];
+
+  for (const service of services) {
+    if (!service || typeof service !== "object") {
+      continue;
+    }
+    const profile = typeof service.profile === "string" ? service.profile : "";
+    const type = service.type || service["@type"];
+    if (!profile.includes("/annex/services/physdim") && type !== "PhysicalDimensions") {
+      continue;
+    }
+
+    const physicalScale = Number(service.physicalScale);
+    if (physicalScale > 0 && service.physicalUnits) {
+      return { physicalScale, physicalUnits: String(service.physicalUnits) };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Convert a length to centimetres
+ * @param {number} value - Length
+ * @param {string} units - Units ('mm', 'cm', 'm' or 'in')
+ * @returns {number|null} Length in centimetres, or null for unknown units
+ */
+export function toCentimetres(value, units) {
+  const factor = CENTIMETRES_PER_UNIT[String(units).toLowerCase()];
+  return factor === undefined ? null : value * factor;
+}
+
+/**
+ * Round a length for display
+ * @private
+ */
+function formatLength(value) {
+  return Number(value.toPrecision(3)).toString();
+}
+
+/**
+ * Describe the physical size of compared images and how large they are shown relative to each other
+ * @param {Array<{label: string, unitsPerPixel: number|null, units?: string, regionDimensions: object,
+ *   finalDimensions: object}>} images - Compared images, with the physical size of one full-resolution image pixel
+ * @returns {string|null} Text with one line per image, or null if no image has physical dimensions
+ */
+export function formatPhysicalScales(images) {
+  if (!images.some(image => image.unitsPerPixel)) {
+    return null;
+  }
+
+  const lines = ["Physical scale:"];
+  let reference = null;
+
+  for (const image of images) {
+    if (!image.unitsPerPixel) {
+      lines.push(`- ${image.label}: no physical dimensions`);
+      continue;
+    }
+
+    const { regionDimensions, finalDimensions, units, unitsPerPixel } = image;
+    const width = regionDimensions.width * unitsPerPixel;
+    const height = regionDimensions.height * unitsPerPixel;
+    const perShownPixel = width / finalDimensions.width;
+    let line = `- ${image.label}: ${formatLength(width)} x ${formatLength(height)} ${units}, ` +
+      `shown at ${formatLength(perShownPixel)} ${units} per pixel`;
+
+    // Magnification relative to the first image with dimensions in known units
+    const centimetresPerPixel = toCentimetres(perShownPixel, units);
+    if (centimetresPerPixel !== null) {
+      if (!reference) {
+        reference = { label: image.label, centimetresPerPixel };
+      } else {
+        line += ` (${formatLength(reference.centimetresPerPixel / centimetresPerPixel)}x the scale of ${reference.label})`;
+      }
+    }
+    lines.push(line);
+  }
+
+  return lines.join("\n");
+}
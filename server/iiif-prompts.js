@@ -0,0 +1,227 @@
+import {
+  fetchManifest,
+  findCanvas,
+  getCanvases,
+  getId,
+  getImageServiceUri,
+  getLabel,
+} from './iiif-manifest.js';
+import { getManifestMetadata } from './iiif-metadata.js';
+
+// Prompts for common research workflows. Arguments are strings, as required by MCP.
+export const PROMPTS = [
+  {
+    name: "describe_object",
+    description: "Describe an object from its IIIF manifest metadata and images, then zoom into details",
+    arguments: [
+      { name: "url", description: "URL of the IIIF manifest (or give baseUri)", required: false },
+      { name: "baseUri", description: "Base URI of a IIIF image, when there is no manifest", required: false },
+      { name: "canvas", description: "Canvas to show first, as a zero-based index or a label (default: 0)", required: false },
+    ],
+  },
+  {
+    name: "transcribe_page",
+    description: "Transcribe a page line by line, reading it region by region at high detail",
+    arguments: [
+      { name: "url", description: "URL of the IIIF manifest (or give baseUri)", required: false },
+      { name: "baseUri", description: "Base URI of the IIIF image of the page, when there is no manifest", required: false },
+      { name: "canvas", description: "Canvas of the page, as a zero-based index or a label (default: 0)", required: false },
+    ],
+  },
+  {
+    name: "compare_canvases",
+    description: "Compare two or more pages, states or views of an object",
+    arguments: [
+      { name: "url", description: "URL of the IIIF manifest (or give baseUris)", required: false },
+      { name: "canvases", description: "Canvases to compare, as comma-separated zero-based indexes (default: 0,1)", required: false },
+      { name: "baseUris", description: "Comma-separated base URIs of IIIF images, when there is no manifest", required: false },
+    ],
+  },
+];
+
+/**
+ * Format the descriptive metadata of a v2 or v3 manifest
+ * @param {object} manifest - Parsed manifest
+ * @returns {string} Label, summary, metadata pairs, rights and attribution, one per line
+ */
+export function formatManifestMetadata(manifest) {
+  const metadata = getManifestMetadata(manifest);
+  const line = text => text.replace(/\s*\n\s*/g, " ");
+  const lines = [`Title: ${line(metadata.label) || "(untitled)"}`, `Manifest: ${metadata.id}`];
+
+  if (metadata.summary) {
+    lines.push(`Summary: ${line(metadata.summary)}`);
+  }
+  for (const entry of metadata.metadata) {
+    lines.push(`${line(entry.label)}: ${line(entry.value)}`);
+  }
+  if (metadata.requiredStatement) {
+    lines.push(`${line(metadata.requiredStatement.label)}: ${line(metadata.requiredStatement.value)}`);
+  }
+  if (metadata.rights.length > 0) {
+    lines.push(`Rights: ${metadata.rights.join(", ")}`);
+  }
+
+  lines.push(`Canvases: ${getCanvases(manifest).length}`);
+  return lines.join("\n");
+}
+
+/**
+ * Select a canvas by zero-based index or label
+ * @private
+ */
+function selectCanvas(manifest, canvas = "0") {
+  const value = String(canvas).trim();
+  return /^\d+$/.test(value) ? findCanvas(manifest, { index: Number(value) }) : findCanvas(manifest, { label: value });
+}
+
+/**
+ * Build a user message with text
+ * @private
+ */
+function textMessage(text) {
+  return { role: "user", content: { type: "text", text } };
+}
+
+/**
+ * Fetch an overview image and build user messages with it, and with a note if access to it is restricted
+ * @private
+ */
+async function imageMessages(imageHandler, baseUri, options = {}) {
+  const result = await imageHandler.generateImageUrl(baseUri, true, options);
+  const messages = [];
+  if (result.info.auth && result.info.auth.degraded) {
+    messages.push(textMessage(result.info.auth.message));
+  }
+  messages.push({
+    role: "user",
+    content: { type: "image", data: result.imageData.base64, mimeType: result.imageData.contentType },
+  });
+  return messages;
+}
+
+/**
+ * Describe a canvas and its image service
+ * @private
+ */
+function describeCanvas(index, canvas, baseUri) {
+  const label = getLabel(canvas.label);
+  const size = canvas.width && canvas.height ? `, ${canvas.width}x${canvas.height}` : "";
+  return `Canvas ${index}${label ? ` (${label})` : ""}${size}: ${getId(canvas)}\nImage service: ${baseUri}`;
+}
+
+/**
+ * Resolve a manifest canvas, or a bare image, to an image service base URI with a description for the prompt
+ * @private
+ */
+async function resolvePageImage({ url, baseUri, canvas }, cache) {
+  if (url) {
+    const manifest = await fetchManifest(url, { cache });
+    const { index, canvas: selected } = selectCanvas(manifest, canvas);
+    const serviceUri = getImageServiceUri(selected);
+    if (!serviceUri) {
+      throw new Error(`Canvas ${index} has no IIIF image service`);
+    }
+    return {
+      baseUri: serviceUri,
+      context: `${formatManifestMetadata(manifest)}\n\n${describeCanvas(index, selected, serviceUri)}`,
+    };
+  }
+  if (baseUri) {
+    return { baseUri, context: `Image service: ${baseUri}` };
+  }
+  throw new Error("A manifest url or an image baseUri is required");
+}
+
+/**
+ * Build the messages of a prompt, with the manifest metadata and overview images it needs
+ * @param {string} name - Prompt name
+ * @param {object} args - Prompt arguments
+ * @param {object} context - Services used to fetch documents and images
+ * @param {import('./iiif-image-handler.js').IIIFImageHandler} context.imageHandler - Image handler
+ * @param {import('./http-cache.js').HttpCache} [context.cache] - Cache to fetch through
+ * @returns {Promise<{description: string, messages: Array<object>}>} Prompt result
+ */
+export async function getPrompt(name, args = {}, { imageHandler, cache }) {
+  if (name === "describe_object") {
+    const { baseUri, context } = await resolvePageImage(args, cache);
+    return {
+      description: "Describe an object from its metadata and images",
+      messages: [
+        textMessage(
+          "Describe this object for a catalogue or exhibition label. Start from the metadata below and the overview " +
+          "image that follows: what the object is, its date, origin, material and condition, and what it depicts or " +
+          "contains. Then look closer at the most significant details (inscriptions, decoration, marks of ownership, " +
+          "damage) with fetch_iiif_image_region, citing each region as pct:x,y,w,h. Say where the metadata and what " +
+          "you see disagree, and distinguish what you observe from what you infer.\n\n" + context
+        ),
+        ...await imageMessages(imageHandler, baseUri),
+      ],
+    };
+  }
+
+  if (name === "transcribe_page") {
+    const { baseUri, context } = await resolvePageImage(args, cache);
+    return {
+      description: "Transcribe a page line by line",
+      messages: [
+        textMessage(
+          "Transcribe this page line by line. The overview image below shows the layout; it is too small to read " +
+          "reliably, so read the text at high detail with fetch_iiif_image_grid or with fetch_iiif_image_region on " +
+          "each column or block of lines, with regions overlapping so that no line is cut off. Keep the original " +
+          "spelling, punctuation and line breaks, expand no abbreviations unless asked, and mark illegible text " +
+          "as [illegible] and uncertain readings with [?]. Give the pct: region each block was read from. If the " +
+          "manifest has annotations, check get_canvas_annotations for an existing transcription first.\n\n" + context
+        ),
+        ...await imageMessages(imageHandler, baseUri),
+      ],
+    };
+  }
+
+  if (name === "compare_canvases") {
+    const images = [];
+    let context = "";
+    if (args.url) {
+      const manifest = await fetchManifest(args.url, { cache });
+      for (const value of (args.canvases || "0,1").split(",")) {
+        const { index, canvas } = selectCanvas(manifest, value);
+        const serviceUri = getImageServiceUri(canvas);
+        if (!serviceUri) {
+          throw new Error(`Canvas ${index} has no IIIF image service`);
+        }
+        images.push({ baseUri: serviceUri, description: describeCanvas(index, canvas, serviceUri) });
+      }
+      context = `${formatManifestMetadata(manifest)}\n\n`;
+    } else if (args.baseUris) {
+      for (const baseUri of args.baseUris.split(",").map(uri => uri.trim()).filter(Boolean)) {
+        images.push({ baseUri, description: `Image service: ${baseUri}` });
+      }
+    } else {
+      throw new Error("A manifest url or image baseUris are required");
+    }
+
+    if (images.length < 2) {
+      throw new Error("At least two canvases or images are required for a comparison");
+    }
+
+    // Share the pixel budget between the images
+    const maxArea = imageHandler.maxArea === null ? undefined : Math.floor(imageHandler.maxArea / images.length);
+    const messages = [
+      textMessage(
+        "Compare these images, which follow in order. Describe what they have in common and how they differ " +
+        "(content, state, condition, colour, alterations, text), and what the differences suggest about their " +
+        "relationship. Check each difference at higher detail with compare_iiif_images, giving the same region of " +
+        "each image, before relying on it.\n\n" +
+        context +
+        images.map((image, i) => `Image ${i + 1}: ${image.description}`).join("\n\n")
+      ),
+    ];
+    for (const image of images) {
+      messages.push(...await imageMessages(imageHandler, image.baseUri, { maxArea }));
+    }
+
+    return { description: "Compare pages, states or views of an object", messages };
+  }
+
+  throw new Error(`Unknown prompt: ${name}`);
+}
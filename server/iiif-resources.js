@@ -0,0 +1,118 @@
+// MCP resource templates for manifests, canvas images and image regions. URLs in resource URIs are
+// percent-encoded (as by RFC 6570 simple expansion), but unencoded URLs are accepted too.
+export const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: "iiif-manifest://{url}",
+    name: "IIIF manifest",
+    description: "A IIIF manifest (Presentation API v2 or v3), given its URL",
+    mimeType: "application/ld+json",
+  },
+  {
+    uriTemplate: "iiif-canvas://{manifest}/{index}",
+    name: "IIIF canvas image",
+    description: "The image on a canvas of a IIIF manifest, given the manifest URL and the zero-based canvas index, scaled to fit the server's size limits",
+    mimeType: "image/jpeg",
+  },
+  {
+    uriTemplate: "iiif-image://{baseUri}/{region}",
+    name: "IIIF image region",
+    description: "A region of a IIIF image ('full', 'square', pixels as 'x,y,w,h' or 'pct:x,y,w,h'), given the image service base URI, scaled to fit the server's size limits",
+    mimeType: "image/jpeg",
+  },
+];
+
+/**
+ * Build the resource URI of a manifest
+ * @param {string} url - Manifest URL
+ * @returns {string} iiif-manifest:// URI
+ */
+export function manifestResourceUri(url) {
+  return `iiif-manifest://${encodeURIComponent(url)}`;
+}
+
+/**
+ * Build the resource URI of the image on a canvas
+ * @param {string} manifestUrl - Manifest URL
+ * @param {number} index - Zero-based canvas index
+ * @returns {string} iiif-canvas:// URI
+ */
+export function canvasResourceUri(manifestUrl, index) {
+  return `iiif-canvas://${encodeURIComponent(manifestUrl)}/${index}`;
+}
+
+/**
+ * Build the resource URI of an image region
+ * @param {string} baseUri - Image service base URI
+ * @param {string} [region] - Region (default: 'full')
+ * @returns {string} iiif-image:// URI
+ */
+export function imageResourceUri(baseUri, region = "full") {
+  return `iiif-image://${encodeURIComponent(baseUri)}/${encodeURIComponent(region)}`;
+}
+
+/**
+ * Parse a IIIF resource URI
+ * @param {string} uri - Resource URI
+ * @returns {{type: 'manifest', url: string}|{type: 'canvas', manifestUrl: string, index: number}|
+ *   {type: 'image', baseUri: string, region: string}} Parsed resource
+ * @throws {Error} If the URI does not match a resource template
+ */
+export function parseResourceUri(uri) {
+  const decode = value => {
+    try {
+      return decodeURIComponent(value);
+    } catch {
+      throw new Error(`Invalid percent-encoding in resource URI: ${uri}`);
+    }
+  };
+
+  let match = uri.match(/^iiif-manifest:\/\/(.+)$/);
+  if (match) {
+    return { type: "manifest", url: decode(match[1]) };
+  }
+
+  match = uri.match(/^iiif-canvas:\/\/(.+)\/(\d+)$/);
+  if (match) {
+    return { type: "canvas", manifestUrl: decode(match[1]), index: Number(match[2]) };
+  }
+
+  match = uri.match(/^iiif-image:\/\/(.+)\/([^/]+)$/);
+  if (match) {
+    return { type: "image", baseUri: decode(match[1]), region: decode(match[2]) };
+  }
+
+  throw new Error(`Unknown resource URI: ${uri}. Expected ${RESOURCE_TEMPLATES.map(t => t.uriTemplate).join(", ")}`);
+}
+
+/**
+ * Most recently used manifests, canvases and images, listed by resources/list
+ */
+export class RecentResources {
+  /**
+   * @param {number} [maxEntries] - Number of resources to remember (default: 50)
+   */
+  constructor(maxEntries = 50) {
+    this.maxEntries = maxEntries;
+    this.resources = new Map();
+  }
+
+  /**
+   * Remember a resource, moving it to the top of the list
+   * @param {{uri: string, name: string, description?: string, mimeType?: string}} resource - Resource description
+   */
+  add(resource) {
+    this.resources.delete(resource.uri);
+    this.resources.set(resource.uri, resource);
+    if (this.resources.size > this.maxEntries) {
+      this.resources.delete(this.resources.keys().next().value);
+    }
+  }
+
+  /**
+   * List the remembered resources, most recently used first
+   * @returns {Array<object>} Resource descriptions
+   */
+  list() {
+    return [...this.resources.values()].reverse();
+  }
+}
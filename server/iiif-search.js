@@ -0,0 +1,228 @@
+import { asArray, fetchJsonDocument, getCanvases, getId, getLabel } from './iiif-manifest.js';
+import { parseAnnotation } from './iiif-annotations.js';
+
+const SEARCH_PROFILE_PATTERN = /^http:\/\/iiif\.io\/api\/search\/([01])\/search$/;
+const AUTOCOMPLETE_PROFILE_PATTERN = /^http:\/\/iiif\.io\/api\/search\/[01]\/autocomplete$/;
+
+/**
+ * Find the IIIF Content Search service of a v2 or v3 manifest
+ * @param {object} manifest - Parsed manifest
+ * @returns {{id: string, version: number, autocompleteId: string|undefined}|null} Search service (version 1 for
+ *   Content Search 0.9/1.0, 2 for Content Search 2.0), or null if the manifest is not searchable
+ */
+export function findSearchService(manifest) {
+  for (const service of asArray(manifest.service)) {
+    if (!service || typeof service !== "object") {
+      continue;
+    }
+
+    const type = service.type || service["@type"];
+    const profileMatch = typeof service.profile === "string" && service.profile.match(SEARCH_PROFILE_PATTERN);
+    let version;
+    if (type === "SearchService2") {
+      version = 2;
+    } else if (type === "SearchService1" || profileMatch) {
+      version = 1;
+    } else {
+      continue;
+    }
+
+    const autocomplete = asArray(service.service).find(s => s && (
+      s.type === "AutoCompleteService2" ||
+      s.type === "AutoCompleteService1" ||
+      (typeof s.profile === "string" && AUTOCOMPLETE_PROFILE_PATTERN.test(s.profile))
+    ));
+
+    return { id: getId(service), version, autocompleteId: getId(autocomplete) };
+  }
+
+  return null;
+}
+
+/**
+ * Add a query parameter to a service URL
+ * @private
+ */
+function buildQueryUrl(serviceId, query) {
+  const url = new URL(serviceId);
+  url.searchParams.set("q", query);
+  return url.toString();
+}
+
+/**
+ * Search the full text of a manifest with its IIIF Content Search service, following result pages
+ * @param {object} manifest - Parsed manifest
+ * @param {string} query - Search terms
+ * @param {object} [options] - Search options
+ * @param {number} [options.maxPages] - Maximum number of result pages to fetch (default: 5, at most 20)
+ * @param {import('./http-cache.js').HttpCache} [options.cache] - Cache to fetch through
+ * @returns {Promise<{service: object, total: number|undefined, pagesFetched: number, nextPage: string|undefined,
+ *   hits: Array<object>}>} Hits with their canvas, pct: region, text and snippet
+ * @throws {Error} If the manifest has no search service
+ */
+export async function searchManifest(manifest, query, { maxPages = 5, cache } = {}) {
+  if (!query || !String(query).trim()) {
+    throw new Error("query parameter is required");
+  }
+
+  const service = findSearchService(manifest);
+  if (!service) {
+    throw new Error("Manifest does not advertise a IIIF Content Search service");
+  }
+
+  const pageLimit = Math.min(20, Math.max(1, Number(maxPages) || 5));
+  const canvases = getCanvases(manifest);
+  const hits = [];
+  let total;
+  let pagesFetched = 0;
+  let nextPage = buildQueryUrl(service.id, String(query).trim());
+
+  while (nextPage && pagesFetched < pageLimit) {
+    const page = await fetchJsonDocument(nextPage, { cache });
+    pagesFetched++;
+
+    const within = page.within || page.partOf;
+    if (total === undefined && within && typeof within === "object" && within.total !== undefined) {
+      total = within.total;
+    }
+
+    hits.push(...getPageHits(page, canvases));
+    nextPage = getId(page.next);
+  }
+
+  return { service, total, pagesFetched, nextPage, hits };
+}
+
+/**
+ * Get the hits on a page of search results, one per Search 1.0 hit or highlighted annotation,
+ * and one per matching annotation otherwise
+ * @private
+ */
+function getPageHits(page, canvases) {
+  const annotations = [...asArray(page.resources), ...asArray(page.items)];
+  const annotationsById = new Map(annotations.map(annotation => [getId(annotation), annotation]));
+
+  const toHit = (annotationIds, snippet) => {
+    const matched = annotationIds.map(id => annotationsById.get(id)).filter(Boolean);
+    if (matched.length === 0) {
+      return null;
+    }
+    const parsed = matched.map(annotation => describeAnnotation(annotation, canvases));
+    return {
+      canvasId: parsed[0].canvasId,
+      canvasIndex: parsed[0].canvasIndex,
+      canvasLabel: parsed[0].canvasLabel,
+      regions: parsed.map(p => p.region).filter(Boolean),
+      text: parsed.map(p => p.text).filter(Boolean).join(" "),
+      snippet,
+    };
+  };
+
+  // Search 1.0: hits list the annotations of each match with the surrounding text
+  if (Array.isArray(page.hits) && page.hits.length > 0) {
+    return page.hits.map(hit => toHit(
+      asArray(hit.annotations).map(getId),
+      [hit.before, hit.match, hit.after].filter(Boolean).join("") || undefined
+    )).filter(Boolean);
+  }
+
+  // Search 2.0: highlighting annotations select the match in the text of the result annotations
+  const highlights = asArray(page.annotations)
+    .flatMap(annotationPage => asArray(annotationPage.items))
+    .filter(annotation => asArray(annotation.motivation).includes("highlighting"));
+  if (highlights.length > 0) {
+    return highlights.map(highlight => {
+      const target = asArray(highlight.target)[0] || {};
+      const selector = asArray(target.selector).find(s => s && s.type === "TextQuoteSelector");
+      const snippet = selector ? [selector.prefix, selector.exact, selector.suffix].filter(Boolean).join("") : undefined;
+      return toHit([getId(target.source || target)], snippet);
+    }).filter(Boolean);
+  }
+
+  return annotations.map(annotation => toHit([getId(annotation)], undefined)).filter(Boolean);
+}
+
+/**
+ * Resolve the canvas, region and text of a search result annotation
+ * @private
+ */
+function describeAnnotation(annotation, canvases) {
+  const target = asArray(annotation.on || annotation.target)[0];
+  let targetId;
+  if (typeof target === "string") {
+    targetId = target;
+  } else if (target) {
+    targetId = getId(target.source || target.full) || getId(target);
+  }
+  const canvasId = targetId ? targetId.split("#")[0] : undefined;
+  const canvasIndex = canvases.findIndex(canvas => getId(canvas) === canvasId);
+  const canvas = canvasIndex === -1 ? { id: canvasId } : canvases[canvasIndex];
+  const parsed = parseAnnotation(annotation, canvas);
+
+  return {
+    canvasId,
+    canvasIndex: canvasIndex === -1 ? undefined : canvasIndex,
+    canvasLabel: canvasIndex === -1 ? "" : getLabel(canvas.label),
+    region: parsed.region,
+    text: parsed.text,
+  };
+}
+
+/**
+ * Get completions for a search term from the autocomplete service of a manifest's search service
+ * @param {object} manifest - Parsed manifest
+ * @param {string} prefix - Start of a search term
+ * @param {object} [options] - Fetch options
+ * @param {import('./http-cache.js').HttpCache} [options.cache] - Cache to fetch through
+ * @returns {Promise<Array<{term: string, count: number|undefined}>|null>} Completions, or null if the manifest has no
+ *   autocomplete service
+ */
+export async function autocompleteSearchTerm(manifest, prefix, { cache } = {}) {
+  const service = findSearchService(manifest);
+  if (!service || !service.autocompleteId) {
+    return null;
+  }
+
+  const termList = await fetchJsonDocument(buildQueryUrl(service.autocompleteId, String(prefix).trim()), { cache });
+
+  // Search 1.0 TermList terms, or Search 2.0 TermPage items
+  return [...asArray(termList.terms), ...asArray(termList.items)].map(term => ({
+    term: term.match !== undefined ? term.match : (term.value !== undefined ? term.value : getLabel(term.label)),
+    count: term.count !== undefined ? term.count : term.total,
+  })).filter(term => term.term);
+}
+
+/**
+ * Format search results as compact text
+ * @param {string} query - Search terms
+ * @param {object} results - Result of searchManifest
+ * @param {Array<object>|null} [suggestions] - Completions to offer when there are no hits
+ * @returns {string} Listing with one table row per hit
+ */
+export function formatSearchResults(query, results, suggestions = null) {
+  const { hits, total, pagesFetched, nextPage } = results;
+  const lines = [
+    `Search: "${query}"`,
+    `Hits: ${hits.length}${total !== undefined ? ` (total reported by the service: ${total})` : ""}` +
+      ` from ${pagesFetched} result page${pagesFetched === 1 ? "" : "s"}`,
+  ];
+
+  if (hits.length > 0) {
+    lines.push("", "canvas index | canvas label | region | text");
+  }
+  for (const hit of hits) {
+    const text = (hit.snippet || hit.text || "-").replace(/\s*\n\s*/g, " ").replace(/\|/g, "/");
+    const index = hit.canvasIndex !== undefined ? hit.canvasIndex : "-";
+    const region = hit.regions.length > 0 ? hit.regions.join(" ") : "full";
+    lines.push(`${index} | ${hit.canvasLabel.replace(/\|/g, "/") || "-"} | ${region} | ${text}`);
+  }
+
+  if (nextPage) {
+    lines.push("", `More results are available: call again with maxPages greater than ${pagesFetched}`);
+  }
+  if (suggestions && suggestions.length > 0) {
+    lines.push("", `Suggested search terms: ${suggestions.map(s => s.count !== undefined ? `${s.term} (${s.count})` : s.term).join(", ")}`);
+  }
+
+  return lines.join("\n");
+}
@@ -0,0 +1,181 @@
+import { getCanvases, getId, getLabel, getPresentationVersion } from './iiif-manifest.js';
+import { upgradeStructures } from './iiif-upgrader.js';
+
+/**
+ * Get the id of the canvas a range item refers to, without any fragment
+ * @private
+ */
+function getCanvasReference(item) {
+  const id = item && item.type === "SpecificResource" ? getId(item.source) : getId(item);
+  return typeof id === "string" ? id.split("#")[0] : undefined;
+}
+
+/**
+ * Collect the ranges of a v3 structure tree by id, so that ranges referenced by id alone can be resolved
+ * @private
+ */
+function collectRanges(ranges, rangesById = new Map()) {
+  for (const range of ranges) {
+    if (range && range.type === "Range") {
+      if (Array.isArray(range.items) && !rangesById.has(range.id)) {
+        rangesById.set(range.id, range);
+      }
+      collectRanges(Array.isArray(range.items) ? range.items : [], rangesById);
+    }
+  }
+  return rangesById;
+}
+
+/**
+ * Get the table of contents of a manifest: its ranges as a tree, numbered like '2.1' for the first range
+ * within the second, with the indexes of the canvases each range covers (including those of its sub-ranges)
+ * @param {object} manifest - v2 or v3 manifest
+ * @returns {Array<{number: string, id: string, label: string, canvases: number[], children: Array<object>}>}
+ *   Top-level ranges
+ */
+export function getStructure(manifest) {
+  const structures = Array.isArray(manifest.structures) ? manifest.structures : [];
+  const ranges = getPresentationVersion(manifest) === 3 ? structures : upgradeStructures(structures);
+  const rangesById = collectRanges(ranges);
+  const canvasIndexes = new Map(getCanvases(manifest).map((canvas, index) => [getId(canvas), index]));
+
+  const build = (range, number, ancestors) => {
+    const resolved = Array.isArray(range.items) ? range : rangesById.get(range.id) || range;
+    const path = new Set(ancestors).add(resolved.id);
+    const children = [];
+    const canvases = new Set();
+
+    for (const item of Array.isArray(resolved.items) ? resolved.items : []) {
+      if (item && item.type === "Range") {
+        // Ranges that contain themselves are skipped
+        if (!path.has(item.id)) {
+          const child = build(item, `${number}.${children.length + 1}`, path);
+          children.push(child);
+          child.canvases.forEach(index => canvases.add(index));
+        }
+        continue;
+      }
+      const index = canvasIndexes.get(getCanvasReference(item));
+      if (index !== undefined) {
+        canvases.add(index);
+      }
+    }
+
+    return {
+      number,
+      id: resolved.id,
+      label: getLabel(resolved.label),
+      canvases: [...canvases].sort((a, b) => a - b),
+      children,
+    };
+  };
+
+  return ranges
+    .filter(range => range && range.type === "Range")
+    .map((range, i) => build(range, String(i + 1), new Set()));
+}
+
+/**
+ * Format canvas indexes compactly, e.g. '0-3, 7, 9-10'
+ * @param {number[]} indexes - Sorted canvas indexes
+ * @returns {string} Index ranges
+ */
+export function formatCanvasIndexes(indexes) {
+  const parts = [];
+  for (let i = 0; i < indexes.length; i++) {
+    const start = indexes[i];
+    while (i + 1 < indexes.length && indexes[i + 1] === indexes[i] + 1) {
+      i++;
+    }
+    parts.push(start === indexes[i] ? String(start) : `${start}-${indexes[i]}`);
+  }
+  return parts.join(", ");
+}
+
+/**
+ * Find a range by its number in the table of contents (e.g. '3' or '2.1'), its id or its label. Labels match
+ * exactly, ignoring case, before matching as part of a longer label.
+ * @param {Array<object>} structure - Result of getStructure
+ * @param {string} range - Range number, id or label
+ * @returns {object} Range from the structure
+ */
+export function findRange(structure, range) {
+  const ranges = [];
+  const flatten = nodes => {
+    for (const node of nodes) {
+      ranges.push(node);
+      flatten(node.children);
+    }
+  };
+  flatten(structure);
+
+  if (ranges.length === 0) {
+    throw new Error("Manifest has no structures (table of contents)");
+  }
+
+  const wanted = String(range).trim();
+  const label = wanted.toLowerCase();
+  const found = ranges.find(node => node.number === wanted) ||
+    ranges.find(node => node.id === wanted) ||
+    ranges.find(node => node.label.trim().toLowerCase() === label) ||
+    ranges.find(node => node.label.toLowerCase().includes(label));
+  if (!found) {
+    throw new Error(`No range matching "${range}"`);
+  }
+  return found;
+}
+
+/**
+ * Add one indented line per range and sub-range
+ * @private
+ */
+function formatRangeLines(nodes, depth, lines) {
+  for (const node of nodes) {
+    const canvases = node.canvases.length > 0 ? `canvases ${formatCanvasIndexes(node.canvases)}` : "no canvases";
+    lines.push(`${"  ".repeat(depth)}${node.number} ${node.label || "(untitled)"} (${canvases})`);
+    formatRangeLines(node.children, depth + 1, lines);
+  }
+  return lines;
+}
+
+/**
+ * Format the table of contents as an indented list of ranges with the canvases they cover
+ * @param {Array<object>} structure - Result of getStructure
+ * @param {string} [manifestLabel] - Label of the manifest for the heading
+ * @returns {string} One line per range
+ */
+export function formatStructure(structure, manifestLabel) {
+  if (structure.length === 0) {
+    return "Manifest has no structures (table of contents)";
+  }
+
+  const heading = `Table of contents${manifestLabel ? ` of ${manifestLabel}` : ""}`;
+  return formatRangeLines(structure, 0, [heading]).join("\n");
+}
+
+/**
+ * Format a range with the labels of the canvases it covers and its sub-ranges
+ * @param {object} range - Range from the structure
+ * @param {Array<object>} canvases - Canvases of the manifest
+ * @returns {string} Range details
+ */
+export function formatRange(range, canvases) {
+  const lines = [`Range ${range.number}${range.label ? ` (${range.label})` : ""}: ${range.id}`];
+
+  if (range.canvases.length === 0) {
+    lines.push("The range covers no canvases");
+  } else {
+    lines.push(`${range.canvases.length === 1 ? "Canvas" : "Canvases"} ${formatCanvasIndexes(range.canvases)}:`);
+    for (const index of range.canvases) {
+      const label = getLabel(canvases[index].label);
+      lines.push(`- ${index}${label ? ` (${label})` : ""}: ${getId(canvases[index])}`);
+    }
+  }
+
+  if (range.children.length > 0) {
+    lines.push("Sub-ranges:");
+    formatRangeLines(range.children, 1, lines);
+  }
+
+  return lines.join("\n");
+}
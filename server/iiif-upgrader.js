@@ -0,0 +1,474 @@
+import { asArray, getId, getPresentationVersion } from './iiif-manifest.js';
+import { toLanguageMap } from './iiif-language.js';
+
+const PRESENTATION_3_CONTEXT = "http://iiif.io/api/presentation/3/context.json";
+
+// v2 (and Open Annotation) types and their v3 counterparts
+const TYPES = {
+  "sc:Collection": "Collection",
+  "sc:Manifest": "Manifest",
+  "sc:Canvas": "Canvas",
+  "sc:Range": "Range",
+  "sc:AnnotationList": "AnnotationPage",
+  "sc:Layer": "AnnotationCollection",
+  "oa:Annotation": "Annotation",
+  "oa:SpecificResource": "SpecificResource",
+  "oa:Choice": "Choice",
+  "oa:FragmentSelector": "FragmentSelector",
+  "oa:SvgSelector": "SvgSelector",
+  "oa:TextQuoteSelector": "TextQuoteSelector",
+  "cnt:ContentAsText": "TextualBody",
+  "dctypes:Image": "Image",
+  "dctypes:Sound": "Sound",
+  "dctypes:MovingImage": "Video",
+  "dctypes:Text": "Text",
+  "dctypes:Dataset": "Dataset",
+};
+
+// Service profiles and the @type of v2 services in v3 documents
+const SERVICE_TYPES = [
+  [/iiif\.io\/api\/image\/2\/|^level[012]$/, "ImageService2"],
+  [/iiif\.io\/api\/image\/1\//, "ImageService1"],
+  [/iiif\.io\/api\/search\/[01]\/autocomplete/, "AutoCompleteService1"],
+  [/iiif\.io\/api\/search\/[01]\/search/, "SearchService1"],
+  [/iiif\.io\/api\/auth\/1\/(login|clickthrough|kiosk|external)/, "AuthCookieService1"],
+  [/iiif\.io\/api\/auth\/1\/token/, "AuthTokenService1"],
+  [/iiif\.io\/api\/auth\/1\/logout/, "AuthLogoutService1"],
+];
+
+// viewingHint values without a v3 behavior
+const DROPPED_VIEWING_HINTS = ["top"];
+
+/**
+ * Copy the properties that are set, so that the upgraded object has no undefined or empty values
+ * @private
+ */
+function compact(properties) {
+  const result = {};
+  for (const [key, value] of Object.entries(properties)) {
+    const empty = value === undefined || value === null ||
+      (Array.isArray(value) && value.length === 0) ||
+      (typeof value === "object" && !Array.isArray(value) && Object.keys(value).length === 0);
+    if (!empty) {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Get the v3 type of a v2 resource
+ * @private
+ */
+function upgradeType(resource, fallback) {
+  const type = resource["@type"] || resource.type;
+  const types = asArray(type);
+  for (const candidate of types) {
+    if (TYPES[candidate]) {
+      return TYPES[candidate];
+    }
+  }
+  return types.length > 0 ? String(types[0]).replace(/^[a-z]+:/, "") : fallback;
+}
+
+/**
+ * Guess the type of a content resource from its media type
+ * @private
+ */
+function typeFromFormat(format, fallback) {
+  if (!format) {
+    return fallback;
+  }
+  if (["text/html", "text/plain", "application/pdf"].includes(format)) {
+    return "Text";
+  }
+  return { image: "Image", audio: "Sound", video: "Video" }[format.split("/")[0]] || "Dataset";
+}
+
+/**
+ * Convert a v2 text property to a language map, omitting empty values
+ * @private
+ */
+function languageMap(value) {
+  const map = toLanguageMap(value);
+  return Object.keys(map).length > 0 ? map : undefined;
+}
+
+/**
+ * Upgrade a v2 service description, keeping @id and @type as v3 requires for services of older APIs
+ * @param {object|string} service - v2 service
+ * @param {string} [defaultType] - @type for services given only by their URI
+ * @returns {object} v3 service
+ */
+export function upgradeService(service, defaultType) {
+  if (typeof service === "string") {
+    return compact({ "@id": service, "@type": defaultType });
+  }
+
+  const { "@context": context, "@id": id, "@type": type, id: v3Id, type: v3Type, profile, service: nested, ...rest } = service;
+  const profiles = asArray(profile);
+  const signature = [context, ...profiles].filter(value => typeof value === "string").join(" ");
+  const known = SERVICE_TYPES.find(([pattern]) => signature.split(" ").some(value => pattern.test(value)));
+
+  // Image API 2 compliance levels are given by name in v3
+  let upgradedProfile = profiles.find(value => typeof value === "string");
+  if (known && known[1] === "ImageService2" && upgradedProfile) {
+    const level = upgradedProfile.match(/level([012])(\.json)?$/);
+    upgradedProfile = level ? `level${level[1]}` : upgradedProfile;
+  }
+
+  return compact({
+    "@id": id || v3Id,
+    "@type": known ? known[1] : (type || v3Type || defaultType),
+    ...(known ? {} : { "@context": context }),
+    profile: upgradedProfile,
+    ...rest,
+    service: asArray(nested).map(item => upgradeService(item)),
+  });
+}
+
+/**
+ * Upgrade a content resource such as an image, text body or linked document
+ * @param {object|string} resource - v2 resource
+ * @param {string} [fallbackType] - Type for resources given only by their URI or without a known type
+ * @returns {object} v3 resource
+ */
+export function upgradeContentResource(resource, fallbackType = "Image") {
+  if (typeof resource === "string") {
+    return { id: resource, type: fallbackType };
+  }
+
+  const type = resource["@type"] || resource.type ? upgradeType(resource) : typeFromFormat(resource.format, fallbackType);
+
+  if (type === "Choice") {
+    return {
+      type: "Choice",
+      items: [...asArray(resource.default), ...asArray(resource.item)]
+        .filter(item => item !== "rdf:nil")
+        .map(item => upgradeContentResource(item, fallbackType)),
+    };
+  }
+
+  if (type === "SpecificResource") {
+    return compact({
+      id: getId(resource),
+      type,
+      source: upgradeContentResource(resource.full || resource.source, fallbackType),
+      selector: upgradeSelector(resource.selector),
+    });
+  }
+
+  if (type === "TextualBody") {
+    return compact({
+      id: getId(resource),
+      type,
+      value: resource.chars !== undefined ? resource.chars : resource.value,
+      format: resource.format,
+      language: resource.language,
+    });
+  }
+
+  return compact({
+    id: getId(resource),
+    type,
+    label: languageMap(resource.label),
+    format: resource.format,
+    profile: typeof resource.profile === "string" ? resource.profile : undefined,
+    language: resource.language,
+    height: resource.height,
+    width: resource.width,
+    duration: resource.duration,
+    service: asArray(resource.service).map(service => upgradeService(service, type === "Image" ? "ImageService2" : undefined)),
+  });
+}
+
+/**
+ * Upgrade an annotation selector, choosing the default of a choice of selectors
+ * @private
+ */
+function upgradeSelector(selector) {
+  if (!selector) {
+    return undefined;
+  }
+  if (Array.isArray(selector)) {
+    return selector.map(upgradeSelector);
+  }
+  const type = upgradeType(selector);
+  if (type === "Choice") {
+    return upgradeSelector(selector.default || asArray(selector.item)[0]);
+  }
+  return compact({
+    type,
+    value: selector.chars !== undefined ? selector.chars : selector.value,
+    exact: selector.exact,
+    prefix: selector.prefix,
+    suffix: selector.suffix,
+  });
+}
+
+/**
+ * Upgrade an annotation target: a canvas URI, or a specific resource with a selector
+ * @private
+ */
+function upgradeTarget(target) {
+  if (!target || typeof target === "string") {
+    return target;
+  }
+  if (Array.isArray(target)) {
+    return target.map(upgradeTarget);
+  }
+  if (target["@type"] === "oa:SpecificResource" || target.full) {
+    return compact({
+      type: "SpecificResource",
+      source: compact({
+        id: getId(target.full),
+        type: "Canvas",
+        partOf: asArray(target.full && target.full.within).map(manifest => ({ id: getId(manifest), type: "Manifest" })),
+      }),
+      selector: upgradeSelector(target.selector),
+    });
+  }
+  return getId(target);
+}
+
+/**
+ * Upgrade an annotation
+ * @param {object} annotation - v2 (Open Annotation) annotation
+ * @returns {object} v3 (W3C Web Annotation) annotation
+ */
+export function upgradeAnnotation(annotation) {
+  const motivations = asArray(annotation.motivation).map(motivation => String(motivation).replace(/^(sc|oa):/, ""));
+  const bodies = asArray(annotation.resource || annotation.body)
+    .map(body => upgradeContentResource(body, motivations.includes("painting") ? "Image" : "TextualBody"));
+
+  return compact({
+    id: getId(annotation),
+    type: "Annotation",
+    label: languageMap(annotation.label),
+    motivation: motivations.length === 1 ? motivations[0] : motivations,
+    body: bodies.length === 1 ? bodies[0] : bodies,
+    target: upgradeTarget(annotation.on || annotation.target),
+  });
+}
+
+/**
+ * Upgrade an annotation list, or a reference to one
+ * @param {object|string} list - v2 annotation list
+ * @returns {object} v3 annotation page
+ */
+export function upgradeAnnotationList(list) {
+  if (typeof list === "string") {
+    return { id: list, type: "AnnotationPage" };
+  }
+  return compact({
+    id: getId(list),
+    type: "AnnotationPage",
+    label: languageMap(list.label),
+    partOf: asArray(list.within).map(layer => compact({
+      id: getId(layer),
+      type: "AnnotationCollection",
+      label: typeof layer === "object" ? languageMap(layer.label) : undefined,
+    })),
+    items: asArray(list.resources).map(upgradeAnnotation),
+  });
+}
+
+/**
+ * Upgrade the descriptive, rights and linking properties shared by all v2 resources
+ * @private
+ */
+function upgradeCommonProperties(resource) {
+  const id = getId(resource);
+  const logos = asArray(resource.logo);
+
+  let provider;
+  if (logos.length > 0) {
+    const logoId = getId(logos[0]);
+    let name = logoId;
+    try {
+      name = new URL(logoId).hostname;
+    } catch {
+      // Keep the logo URI as the provider's name
+    }
+    provider = [{
+      id: `${id}#provider`,
+      type: "Agent",
+      label: { none: [name] },
+      logo: logos.map(logo => upgradeContentResource(logo, "Image")),
+    }];
+  }
+
+  return {
+    id,
+    type: upgradeType(resource),
+    label: languageMap(resource.label),
+    summary: languageMap(resource.description),
+    metadata: asArray(resource.metadata).filter(Boolean).map(entry => compact({
+      label: languageMap(entry.label),
+      value: languageMap(entry.value),
+    })),
+    requiredStatement: resource.attribution ? {
+      label: { en: ["Attribution"] },
+      value: toLanguageMap(resource.attribution),
+    } : undefined,
+    rights: asArray(resource.license).map(getId)[0],
+    provider,
+    navDate: resource.navDate,
+    viewingDirection: resource.viewingDirection,
+    behavior: asArray(resource.viewingHint).filter(hint => !DROPPED_VIEWING_HINTS.includes(hint)),
+    thumbnail: asArray(resource.thumbnail).map(thumbnail => upgradeContentResource(thumbnail, "Image")),
+    homepage: asArray(resource.related).map(related => upgradeContentResource(related, "Text")),
+    rendering: asArray(resource.rendering).map(rendering => upgradeContentResource(rendering, "Text")),
+    seeAlso: asArray(resource.seeAlso).map(seeAlso => upgradeContentResource(seeAlso, "Dataset")),
+    service: asArray(resource.service).map(service => upgradeService(service)),
+    partOf: asArray(resource.within).map(parent => compact({
+      id: getId(parent),
+      type: typeof parent === "object" && parent["@type"] ? upgradeType(parent) : "Collection",
+    })),
+  };
+}
+
+/**
+ * Upgrade a canvas: painting annotations become an annotation page of items and otherContent becomes annotations
+ * @param {object} canvas - v2 canvas
+ * @returns {object} v3 canvas
+ */
+export function upgradeCanvas(canvas) {
+  const id = getId(canvas);
+  const images = asArray(canvas.images);
+
+  return compact({
+    ...upgradeCommonProperties(canvas),
+    type: "Canvas",
+    height: canvas.height,
+    width: canvas.width,
+    duration: canvas.duration,
+    items: images.length > 0 ? [{
+      id: `${id}/annotationpage`,
+      type: "AnnotationPage",
+      items: images.map(upgradeAnnotation),
+    }] : [],
+    annotations: asArray(canvas.otherContent).map(upgradeAnnotationList),
+  });
+}
+
+/**
+ * Upgrade the flat list of v2 ranges to nested v3 ranges. Ranges that no other range includes (by ranges,
+ * members or their own within) become the top-level structures.
+ * @param {Array<object>} ranges - v2 ranges
+ * @returns {Array<object>} v3 top-level ranges
+ */
+export function upgradeStructures(ranges) {
+  const rangesById = new Map(asArray(ranges).map(range => [getId(range), range]));
+
+  // Children of each range, from ranges/members on the parent or within on the child
+  const children = new Map();
+  for (const range of rangesById.values()) {
+    const members = range.members ?
+      asArray(range.members).map(member => ({
+        id: getId(member),
+        type: typeof member === "object" && member["@type"] === "sc:Range" ? "Range" : "Canvas",
+      })) :
+      [
+        ...asArray(range.ranges).map(child => ({ id: getId(child), type: "Range" })),
+        ...asArray(range.canvases).map(canvas => ({ id: getId(canvas), type: "Canvas" })),
+      ];
+    children.set(getId(range), members);
+  }
+  for (const range of rangesById.values()) {
+    for (const parent of asArray(range.within).map(getId)) {
+      const siblings = children.get(parent);
+      if (siblings && !siblings.some(child => child.id === getId(range))) {
+        siblings.push({ id: getId(range), type: "Range" });
+      }
+    }
+  }
+
+  const included = new Set([...children.values()].flat().filter(child => child.type === "Range").map(child => child.id));
+
+  const build = (id, ancestors) => {
+    const range = rangesById.get(id);
+    if (!range || ancestors.has(id)) {
+      return { id, type: "Range" };
+    }
+    const path = new Set(ancestors).add(id);
+    return compact({
+      ...upgradeCommonProperties(range),
+      type: "Range",
+      partOf: undefined,
+      start: range.startCanvas ? { id: getId(range.startCanvas), type: "Canvas" } : undefined,
+      supplementary: range.contentLayer ? { id: getId(range.contentLayer), type: "AnnotationCollection" } : undefined,
+      items: children.get(id).map(child => child.type === "Range" ? build(child.id, path) : child),
+    });
+  };
+
+  return [...rangesById.keys()].filter(id => !included.has(id)).map(id => build(id, new Set()));
+}
+
+/**
+ * Upgrade a v2 manifest: canvases of the first sequence become items, and ranges become nested structures
+ * @param {object} manifest - v2 manifest
+ * @returns {object} v3 manifest
+ */
+export function upgradeManifest(manifest) {
+  const sequence = asArray(manifest.sequences)[0] || {};
+  const startCanvas = sequence.startCanvas || manifest.startCanvas;
+
+  // Properties of the sequence apply to the manifest in v3
+  const common = upgradeCommonProperties(manifest);
+  return compact({
+    "@context": PRESENTATION_3_CONTEXT,
+    ...common,
+    type: "Manifest",
+    viewingDirection: manifest.viewingDirection || sequence.viewingDirection,
+    behavior: common.behavior.length > 0 ? common.behavior :
+      asArray(sequence.viewingHint).filter(hint => !DROPPED_VIEWING_HINTS.includes(hint)),
+    start: startCanvas ? { id: getId(startCanvas), type: "Canvas" } : undefined,
+    items: asArray(sequence.canvases).map(upgradeCanvas),
+    structures: upgradeStructures(manifest.structures),
+  });
+}
+
+/**
+ * Upgrade a v2 collection: members, or collections and manifests, become items referencing them
+ * @param {object} collection - v2 collection
+ * @returns {object} v3 collection
+ */
+export function upgradeCollection(collection) {
+  const members = collection.members ? asArray(collection.members) :
+    [...asArray(collection.collections), ...asArray(collection.manifests)];
+
+  return compact({
+    "@context": PRESENTATION_3_CONTEXT,
+    ...upgradeCommonProperties(collection),
+    type: "Collection",
+    items: members.map(member => typeof member === "string" ? { id: member, type: "Manifest" } : compact({
+      id: getId(member),
+      type: upgradeType(member, "Manifest"),
+      label: languageMap(member.label),
+      thumbnail: asArray(member.thumbnail).map(thumbnail => upgradeContentResource(thumbnail, "Image")),
+    })),
+  });
+}
+
+/**
+ * Convert a Presentation API v2 manifest or collection to the v3 model, as the community upgrader does.
+ * v3 documents are returned unchanged.
+ * @param {object} resource - Parsed manifest or collection
+ * @returns {object} v3 manifest or collection
+ * @throws {Error} If a v2 document is neither a manifest nor a collection
+ */
+export function upgradeToV3(resource) {
+  if (getPresentationVersion(resource) === 3) {
+    return resource;
+  }
+
+  const type = resource["@type"];
+  if (type === "sc:Manifest") {
+    return upgradeManifest(resource);
+  }
+  if (type === "sc:Collection") {
+    return upgradeCollection(resource);
+  }
+  throw new Error(`Cannot upgrade a resource of type ${type} to Presentation API v3`);
+}
@@ -0,0 +1,517 @@
+import {
+  asArray,
+  fetchJsonDocument,
+  getCanvases,
+  getId,
+  getImageServiceUri,
+  getPresentationVersion,
+  hasPresentationContext,
+} from './iiif-manifest.js';
+import { UnauthorizedError } from './http-client.js';
+
+// BCP 47 language tags (including private use tags such as x-klingon), or 'none' for values without a language
+const LANGUAGE_TAG_PATTERN = /^([a-zA-Z]{2,3}|[xXiI])(-[a-zA-Z0-9]{1,8})*$/;
+
+/**
+ * Append a property or array index to a JSON path
+ * @private
+ */
+function childPath(path, key) {
+  if (typeof key === "number") {
+    return `${path}[${key}]`;
+  }
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}['${key}']`;
+}
+
+/**
+ * Collects validation issues and the ids of the resources defined in a document
+ * @private
+ */
+class ValidationReport {
+  constructor(version) {
+    this.version = version;
+    this.errors = [];
+    this.warnings = [];
+    this.ids = new Map();
+    this.imageServices = { checked: 0, unchecked: 0 };
+  }
+
+  error(path, message) {
+    this.errors.push({ path, message });
+  }
+
+  warning(path, message) {
+    this.warnings.push({ path, message });
+  }
+
+  /**
+   * Record the id of a resource defined at a path, reporting ids that were defined before
+   */
+  defineId(id, path) {
+    if (typeof id !== "string") {
+      return;
+    }
+    const previous = this.ids.get(id);
+    if (previous) {
+      this.error(path, `Duplicate id ${id} (also used at ${previous})`);
+    } else {
+      this.ids.set(id, path);
+    }
+  }
+}
+
+/**
+ * Check that a resource has an id and, if required, a label
+ * @private
+ */
+function checkIdAndLabel(report, resource, path, type, { labelRequired = false } = {}) {
+  const id = report.version === 3 ? resource.id : resource["@id"];
+  const idProperty = report.version === 3 ? "id" : "@id";
+  if (!id) {
+    report.error(childPath(path, idProperty), `${type} has no ${idProperty}`);
+  } else if (typeof id !== "string") {
+    report.error(childPath(path, idProperty), `${type} ${idProperty} must be a string`);
+  } else if (!/^https?:\/\//.test(id) && !id.startsWith("urn:")) {
+    report.warning(childPath(path, idProperty), `${type} ${idProperty} ${id} is not an HTTP(S) URI`);
+  }
+
+  if (resource.label === undefined || resource.label === null || resource.label === "") {
+    const message = `${type} has no label`;
+    if (labelRequired) {
+      report.error(childPath(path, "label"), message);
+    } else {
+      report.warning(childPath(path, "label"), message);
+    }
+  }
+
+  report.defineId(id, path);
+}
+
+/**
+ * Check a v3 language map
+ * @private
+ */
+function checkLanguageMap(report, value, path) {
+  if (value === undefined) {
+    return;
+  }
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    report.error(path, "Invalid language map: must be an object of language codes and arrays of strings");
+    return;
+  }
+  for (const [language, values] of Object.entries(value)) {
+    if (language !== "none" && !LANGUAGE_TAG_PATTERN.test(language)) {
+      report.error(childPath(path, language), `Invalid language map: '${language}' is not a language code or 'none'`);
+    }
+    if (!Array.isArray(values)) {
+      report.error(childPath(path, language), "Invalid language map: values must be an array of strings");
+    } else if (values.some(item => typeof item !== "string")) {
+      report.error(childPath(path, language), "Invalid language map: values must be strings");
+    }
+  }
+}
+
+/**
+ * Check a v2 text value: a string, a value object with @value, or an array of these
+ * @private
+ */
+function checkV2Value(report, value, path) {
+  if (value === undefined) {
+    return;
+  }
+  for (const [index, item] of (Array.isArray(value) ? value : [value]).entries()) {
+    const itemPath = Array.isArray(value) ? childPath(path, index) : path;
+    if (item && typeof item === "object" ? item["@value"] === undefined : typeof item !== "string") {
+      report.error(itemPath, "Invalid value: must be a string or an object with @value");
+    }
+  }
+}
+
+/**
+ * Check the text properties of a resource: language maps in v3, value objects in v2
+ * @private
+ */
+function checkTextProperties(report, resource, path) {
+  const check = report.version === 3 ? checkLanguageMap : checkV2Value;
+  const summaryProperty = report.version === 3 ? "summary" : "description";
+
+  check(report, resource.label, childPath(path, "label"));
+  check(report, resource[summaryProperty], childPath(path, summaryProperty));
+
+  if (resource.metadata !== undefined && !Array.isArray(resource.metadata)) {
+    report.error(childPath(path, "metadata"), "metadata must be an array");
+  }
+  for (const [index, entry] of asArray(resource.metadata).entries()) {
+    const entryPath = childPath(childPath(path, "metadata"), index);
+    if (!entry || entry.label === undefined || entry.value === undefined) {
+      report.error(entryPath, "Metadata entries must have a label and a value");
+      continue;
+    }
+    check(report, entry.label, childPath(entryPath, "label"));
+    check(report, entry.value, childPath(entryPath, "value"));
+  }
+
+  if (report.version === 3 && resource.requiredStatement !== undefined) {
+    const statementPath = childPath(path, "requiredStatement");
+    checkLanguageMap(report, resource.requiredStatement.label, childPath(statementPath, "label"));
+    checkLanguageMap(report, resource.requiredStatement.value, childPath(statementPath, "value"));
+  } else if (report.version === 2) {
+    checkV2Value(report, resource.attribution, childPath(path, "attribution"));
+  }
+}
+
+/**
+ * Check the width, height and duration of a canvas
+ * @private
+ */
+function checkCanvasDimensions(report, canvas, path) {
+  const hasWidth = canvas.width !== undefined;
+  const hasHeight = canvas.height !== undefined;
+
+  if (!hasWidth && !hasHeight) {
+    // Canvases for audio only have a duration instead
+    if (canvas.duration === undefined) {
+      report.error(path, "Canvas has no width and height");
+    }
+    return;
+  }
+  for (const [property, present] of [["width", hasWidth], ["height", hasHeight]]) {
+    if (!present) {
+      report.error(childPath(path, property), `Canvas has a ${property === "width" ? "height" : "width"} but no ${property}`);
+    } else if (!Number.isInteger(canvas[property]) || canvas[property] <= 0) {
+      report.error(childPath(path, property), `Canvas ${property} must be a positive integer`);
+    }
+  }
+}
+
+/**
+ * Get the canvas id an annotation target refers to, without any fragment
+ * @private
+ */
+function getTargetId(target) {
+  if (Array.isArray(target)) {
+    return getTargetId(target[0]);
+  }
+  if (!target) {
+    return undefined;
+  }
+  const id = typeof target === "string" ? target : getId(target.source || target.full) || getId(target);
+  return typeof id === "string" ? id.split("#")[0] : undefined;
+}
+
+/**
+ * Check a painting annotation and its target
+ * @private
+ */
+function checkPaintingAnnotation(report, annotation, path, canvasId) {
+  if (!annotation || typeof annotation !== "object") {
+    report.error(path, "Annotation must be an object");
+    return;
+  }
+
+  const targetProperty = report.version === 3 ? "target" : "on";
+  const idProperty = report.version === 3 ? "id" : "@id";
+  const id = getId(annotation);
+  if (!id && report.version === 3) {
+    report.error(childPath(path, idProperty), "Annotation has no id");
+  }
+  report.defineId(id, path);
+
+  const motivation = asArray(annotation.motivation);
+  if (report.version === 2 && !motivation.includes("sc:painting")) {
+    report.warning(childPath(path, "motivation"), "Image annotation should have the motivation sc:painting");
+  }
+
+  const targetId = getTargetId(annotation[targetProperty]);
+  if (!targetId) {
+    report.error(childPath(path, targetProperty), "Painting annotation has no target");
+  } else if (canvasId && targetId !== canvasId) {
+    report.error(childPath(path, targetProperty), `Painting annotation targets ${targetId} instead of its canvas ${canvasId}`);
+  }
+
+  const bodyProperty = report.version === 3 ? "body" : "resource";
+  if (annotation[bodyProperty] === undefined) {
+    report.error(childPath(path, bodyProperty), `Painting annotation has no ${bodyProperty}`);
+  }
+}
+
+/**
+ * Check the canvases of a v3 manifest and their painting annotation pages
+ * @private
+ */
+function checkV3Canvases(report, manifest) {
+  if (!Array.isArray(manifest.items) || manifest.items.length === 0) {
+    report.error("$.items", "Manifest has no canvases in items");
+    return [];
+  }
+
+  const canvases = [];
+  for (const [index, canvas] of manifest.items.entries()) {
+    const path = childPath("$.items", index);
+    if (!canvas || canvas.type !== "Canvas") {
+      report.error(childPath(path, "type"), "Manifest items must be canvases");
+      continue;
+    }
+    checkIdAndLabel(report, canvas, path, "Canvas");
+    checkTextProperties(report, canvas, path);
+    checkCanvasDimensions(report, canvas, path);
+    canvases.push({ canvas, path });
+
+    for (const [pageIndex, page] of asArray(canvas.items).entries()) {
+      const pagePath = childPath(childPath(path, "items"), pageIndex);
+      if (!page || page.type !== "AnnotationPage") {
+        report.error(childPath(pagePath, "type"), "Canvas items must be annotation pages");
+        continue;
+      }
+      if (!page.id) {
+        report.error(childPath(pagePath, "id"), "AnnotationPage has no id");
+      }
+      report.defineId(page.id, pagePath);
+      for (const [annotationIndex, annotation] of asArray(page.items).entries()) {
+        checkPaintingAnnotation(report, annotation, childPath(childPath(pagePath, "items"), annotationIndex), canvas.id);
+      }
+    }
+
+    for (const [pageIndex, page] of asArray(canvas.annotations).entries()) {
+      const pagePath = childPath(childPath(path, "annotations"), pageIndex);
+      if (!getId(page)) {
+        report.error(childPath(pagePath, "id"), "AnnotationPage has no id");
+      }
+      report.defineId(getId(page), pagePath);
+    }
+  }
+
+  return canvases;
+}
+
+/**
+ * Check the canvases of a v2 manifest and their image annotations
+ * @private
+ */
+function checkV2Canvases(report, manifest) {
+  if (!Array.isArray(manifest.sequences) || manifest.sequences.length === 0) {
+    report.error("$.sequences", "Manifest has no sequences");
+    return [];
+  }
+  if (!Array.isArray(manifest.sequences[0].canvases) || manifest.sequences[0].canvases.length === 0) {
+    report.error("$.sequences[0].canvases", "The first sequence has no canvases");
+    return [];
+  }
+
+  const canvases = [];
+  for (const [index, canvas] of manifest.sequences[0].canvases.entries()) {
+    const path = `$.sequences[0].canvases[${index}]`;
+    if (!canvas || typeof canvas !== "object") {
+      report.error(path, "Canvas must be an object");
+      continue;
+    }
+    checkIdAndLabel(report, canvas, path, "Canvas", { labelRequired: true });
+    checkTextProperties(report, canvas, path);
+    checkCanvasDimensions(report, canvas, path);
+    canvases.push({ canvas, path });
+
+    for (const [imageIndex, annotation] of asArray(canvas.images).entries()) {
+      checkPaintingAnnotation(report, annotation, childPath(childPath(path, "images"), imageIndex), canvas["@id"]);
+    }
+    for (const [listIndex, list] of asArray(canvas.otherContent).entries()) {
+      report.defineId(getId(list), childPath(childPath(path, "otherContent"), listIndex));
+    }
+  }
+
+  return canvases;
+}
+
+/**
+ * Check v3 ranges, which embed the ranges they contain, and record their ids
+ * @private
+ */
+function checkV3Ranges(report, items, path, canvasIds) {
+  for (const [index, item] of asArray(items).entries()) {
+    const itemPath = childPath(path, index);
+    if (item && item.type === "Range") {
+      checkIdAndLabel(report, item, itemPath, "Range");
+      checkTextProperties(report, item, itemPath);
+      checkV3Ranges(report, item.items, childPath(itemPath, "items"), canvasIds);
+      continue;
+    }
+    const canvasId = getTargetId(item);
+    if (canvasId && !canvasIds.has(canvasId)) {
+      report.warning(itemPath, `Range refers to ${canvasId}, which is not a canvas of this manifest`);
+    }
+  }
+}
+
+/**
+ * Check v2 ranges and record their ids
+ * @private
+ */
+function checkV2Ranges(report, ranges, canvasIds) {
+  for (const [index, range] of asArray(ranges).entries()) {
+    const path = childPath("$.structures", index);
+    checkIdAndLabel(report, range, path, "Range", { labelRequired: true });
+    for (const [canvasIndex, canvas] of asArray(range.canvases).entries()) {
+      const canvasId = getTargetId(canvas);
+      if (canvasId && !canvasIds.has(canvasId)) {
+        report.warning(childPath(childPath(path, "canvases"), canvasIndex), `Range refers to ${canvasId}, which is not a canvas of this manifest`);
+      }
+    }
+  }
+}
+
+/**
+ * Whether a canvas has a painting annotation with an image body
+ * @private
+ */
+function hasPaintedImage(report, canvas) {
+  if (report.version === 2) {
+    return asArray(canvas.images).length > 0;
+  }
+  const bodies = asArray(canvas.items)
+    .flatMap(page => asArray(page && page.items))
+    .flatMap(annotation => asArray(annotation && annotation.body))
+    .flatMap(body => (body && body.type === "Choice" ? asArray(body.items) : [body]));
+  return bodies.some(body => body && body.type === "Image");
+}
+
+/**
+ * Probe the image services painted on the canvases, checking that info.json can be loaded and matches the canvas
+ * @private
+ */
+async function checkImageServices(report, canvases, { maxProbes, cache }) {
+  const probed = new Map();
+
+  for (const { canvas, path } of canvases) {
+    const baseUri = getImageServiceUri(canvas);
+    if (!baseUri) {
+      if (hasPaintedImage(report, canvas)) {
+        report.warning(path, "Canvas has no IIIF image service for its image");
+      }
+      continue;
+    }
+
+    if (!probed.has(baseUri)) {
+      if (probed.size >= maxProbes) {
+        report.imageServices.unchecked++;
+        continue;
+      }
+      let result;
+      try {
+        result = { info: await fetchJsonDocument(`${baseUri}/info.json`, { cache }) };
+      } catch (error) {
+        result = { error };
+      }
+      probed.set(baseUri, result);
+      report.imageServices.checked++;
+    }
+
+    const { info, error } = probed.get(baseUri);
+    if (error) {
+      if (error instanceof UnauthorizedError) {
+        report.warning(path, `Image service ${baseUri} requires authentication (${error.message})`);
+      } else {
+        report.error(path, `Image service ${baseUri} could not be loaded: ${error.message}`);
+      }
+      continue;
+    }
+
+    if (!info.width || !info.height) {
+      report.error(path, `Image service ${baseUri} has no width or height in info.json`);
+      continue;
+    }
+    const infoId = getId(info);
+    const normalize = uri => String(uri).replace(/^https?:/, "").replace(/\/(info\.json)?$/, "");
+    if (infoId && normalize(infoId) !== normalize(baseUri)) {
+      report.warning(path, `Image service ${baseUri} describes itself as ${infoId}`);
+    }
+    if (canvas.width && canvas.height) {
+      const canvasRatio = canvas.width / canvas.height;
+      if (Math.abs(info.width / info.height - canvasRatio) / canvasRatio > 0.02) {
+        report.warning(path, `Image ${info.width}x${info.height} from ${baseUri} has a different aspect ratio from the canvas (${canvas.width}x${canvas.height})`);
+      }
+    }
+  }
+}
+
+/**
+ * Validate a IIIF manifest and report all problems found, each with the JSON path where it occurs
+ * @param {object} manifest - Parsed JSON document
+ * @param {object} [options] - Validation options
+ * @param {boolean} [options.probeImageServices] - Whether to load the info.json of image services (default: true)
+ * @param {number} [options.maxProbes] - Maximum number of image services to load (default: 25)
+ * @param {import('./http-cache.js').HttpCache} [options.cache] - Cache to fetch through
+ * @returns {Promise<{version: number, errors: Array<{path: string, message: string}>,
+ *   warnings: Array<{path: string, message: string}>, imageServices: {checked: number, unchecked: number}}>} Report
+ */
+export async function validateManifest(manifest, { probeImageServices = true, maxProbes = 25, cache } = {}) {
+  if (!manifest || typeof manifest !== "object" || Array.isArray(manifest)) {
+    throw new Error("Document is not a JSON object");
+  }
+
+  const version = getPresentationVersion(manifest);
+  const report = new ValidationReport(version);
+
+  if (!manifest["@context"]) {
+    report.error("$['@context']", "Manifest has no @context");
+  } else if (!hasPresentationContext(manifest)) {
+    report.error("$['@context']", "@context must include a IIIF Presentation API context");
+  }
+
+  const type = version === 3 ? manifest.type : manifest["@type"];
+  if (type !== (version === 3 ? "Manifest" : "sc:Manifest")) {
+    report.error(version === 3 ? "$.type" : "$['@type']", `Expected a ${version === 3 ? "Manifest" : "sc:Manifest"}, found ${type === undefined ? "no type" : type}`);
+  }
+
+  checkIdAndLabel(report, manifest, "$", "Manifest", { labelRequired: true });
+  checkTextProperties(report, manifest, "$");
+
+  const canvases = version === 3 ? checkV3Canvases(report, manifest) : checkV2Canvases(report, manifest);
+  const canvasIds = new Set(canvases.map(({ canvas }) => getId(canvas)));
+  if (version === 3) {
+    checkV3Ranges(report, manifest.structures, "$.structures", canvasIds);
+    const startId = getTargetId(manifest.start);
+    if (startId && !canvasIds.has(startId)) {
+      report.error("$.start", `Start canvas ${startId} is not a canvas of this manifest`);
+    }
+  } else {
+    checkV2Ranges(report, manifest.structures, canvasIds);
+  }
+
+  if (probeImageServices) {
+    await checkImageServices(report, canvases, { maxProbes: Math.max(0, Number(maxProbes) || 0), cache });
+  }
+
+  const { errors, warnings, imageServices } = report;
+  return { version, errors, warnings, imageServices };
+}
+
+/**
+ * Format a validation report as text
+ * @param {string} url - URL of the validated manifest
+ * @param {object} report - Result of validateManifest
+ * @param {boolean} [probed] - Whether image services were probed
+ * @returns {string} Summary followed by one line per error and warning
+ */
+export function formatValidationReport(url, report, probed = true) {
+  const { errors, warnings, imageServices } = report;
+  const lines = [
+    `Manifest: ${url} (Presentation API v${report.version})`,
+    errors.length === 0 && warnings.length === 0 ? "Result: valid, no errors or warnings" :
+      `Result: ${errors.length === 0 ? "valid" : "invalid"}, ${errors.length} error${errors.length === 1 ? "" : "s"} ` +
+      `and ${warnings.length} warning${warnings.length === 1 ? "" : "s"}`,
+  ];
+
+  if (probed) {
+    lines.push(`Image services checked: ${imageServices.checked}` +
+      (imageServices.unchecked > 0 ? ` (${imageServices.unchecked} more not checked; raise maxProbes to check them)` : ""));
+  } else {
+    lines.push("Image services were not checked");
+  }
+
+  for (const [heading, issues] of [["Errors", errors], ["Warnings", warnings]]) {
+    if (issues.length > 0) {
+      lines.push("", `${heading}:`, ...issues.map(issue => `- ${issue.path}: ${issue.message}`));
+    }
+  }
+
+  return lines.join("\n");
+}
@@ -1,18 +1,218 @@
 #!/usr/bin/env node
-import fetch from 'node-fetch';
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
 import {
   CallToolRequestSchema,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
+  ReadResourceRequestSchema,
+  isInitializeRequest,
 } from "@modelcontextprotocol/sdk/types.js";
-import { IIIFImageHandler } from "./iiif-image-handler.js";
+import { IIIFImageHandler, parseImageApiUrl } from "./iiif-image-handler.js";
+import { browseCollection, formatCollectionListing } from "./iiif-collection.js";
+import { HttpCache } from "./http-cache.js";
+import {
+  BlockedUrlError,
+  HttpError,
+  InvalidIIIFError,
+  NetworkError,
+  NotFoundError,
+  ResponseTooLargeError,
+  TimeoutError,
+  UnauthorizedError,
+  findRequestError,
+  httpClient,
+} from "./http-client.js";
+import { UrlPolicy } from "./url-policy.js";
+import { HostScheduler, describeThrottling, runInSession } from "./host-scheduler.js";
+import { AuthManager } from "./iiif-auth.js";
+import { fetchCanvasAnnotations, formatCanvasAnnotations } from "./iiif-annotations.js";
+import { autocompleteSearchTerm, formatSearchResults, searchManifest } from "./iiif-search.js";
+import {
+  RESOURCE_TEMPLATES,
+  RecentResources,
+  canvasResourceUri,
+  imageResourceUri,
+  manifestResourceUri,
+  parseResourceUri,
+} from "./iiif-resources.js";
+import { PROMPTS, getPrompt } from "./iiif-prompts.js";
+import { formatMetadata, getManifestMetadata } from "./iiif-metadata.js";
+import { upgradeToV3 } from "./iiif-upgrader.js";
+import { formatValidationReport, validateManifest } from "./iiif-validator.js";
+import { findRange, formatRange, formatStructure, getStructure } from "./iiif-structure.js";
+import { formatPhysicalScales, getPhysicalDimensions } from "./iiif-physical-dimensions.js";
+import { ANNOTATION_MOTIVATIONS, AnnotationStore, defaultAnnotationStorePath } from "./annotation-store.js";
+import {
+  fetchJsonDocument,
+  fetchManifest,
+  findCanvas,
+  formatManifestSummary,
+  getCanvases,
+  getId,
+  getImageServiceUri,
+  getLabel,
+} from "./iiif-manifest.js";
 import express from "express";
+import { randomUUID } from "node:crypto";
+
+// Optional image request parameters shared by the image tools
+const imageOptionProperties = {
+  rotation: {
+    type: "string",
+    description: "Optional rotation in degrees clockwise, prefixed with '!' to mirror the image first (e.g., '90', '180', '!0'). Defaults to '0'.",
+  },
+  quality: {
+    type: "string",
+    enum: ["default", "color", "gray", "bitonal"],
+    description: "Optional image quality, e.g., 'gray' or 'bitonal' to improve legibility of faded text. Defaults to 'default'.",
+  },
+  format: {
+    type: "string",
+    description: "Optional image format, e.g., 'jpg', 'png' or 'webp'. Defaults to 'jpg'.",
+  },
+};
+
+// Image tools also accept full image request and info.json URLs in place of a base URI
+const BASE_URI_DESCRIPTION = "Base URI of the IIIF Image API resource (without /info.json). A full image request URL (e.g., '.../full/max/0/default.jpg') or info.json URL is also accepted; its region, rotation, quality and format are used unless given separately.";
+
+// Most canvas images get_iiif_structure returns for one range
+const MAX_RANGE_IMAGES = 20;
+
+/**
+ * Suggest what to do about a failed request, for tool error results
+ */
+function describeRequestError(error) {
+  if (error instanceof BlockedUrlError) {
+    return "This server is not allowed to fetch the URL; its operator can change the allowed hosts and networks.";
+  }
+  if (error instanceof NotFoundError) {
+    return "The resource does not exist; check the URL.";
+  }
+  if (error instanceof UnauthorizedError) {
+    return "The resource requires authentication; configure credentials for this host with --auth-config.";
+  }
+  if (error instanceof TimeoutError) {
+    return "The server is slow to respond; try again later, or allow more time with --timeout.";
+  }
+  if (error instanceof ResponseTooLargeError) {
+    return "The response is too large; request a smaller image or raise --max-response-size.";
+  }
+  if (error instanceof InvalidIIIFError) {
+    return "The URL does not point to a valid IIIF resource of the expected kind.";
+  }
+  if (error instanceof NetworkError) {
+    return "The server could not be reached; check the host name or try again later.";
+  }
+  if (error instanceof HttpError) {
+    return "The server failed to handle the request; try again later.";
+  }
+  return "The request to the IIIF server failed.";
+}
+
+// Default size limits for returned images
+const DEFAULT_MAX_DIMENSION = 1500;
+const DEFAULT_MAX_AREA = 1000000;
+
+// Default limits for requests to IIIF servers: seconds, retries and megabytes
+const DEFAULT_TIMEOUT = 30;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_MAX_RESPONSE_SIZE = 50;
+
+// Default limits for each host: concurrent requests and requests per second
+const DEFAULT_HOST_CONCURRENCY = 4;
+const DEFAULT_HOST_RATE = 10;
+
+/**
+ * Describe the size limits for returned images, for tool descriptions
+ */
+function describeSizeLimits(maxDimension, maxArea) {
+  return `scaled to at most ${maxDimension}px on each side and ${maxArea.toLocaleString("en-US")} pixels total area`;
+}
+
+/**
+ * Optional per-call size limits, which can only lower the server's limits
+ */
+function sizeLimitProperties(maxDimension, maxArea) {
+  return {
+    maxDimension: {
+      type: "number",
+      description: `Optional maximum width and height of the returned image in pixels (at most ${maxDimension}, the default)`,
+    },
+    maxArea: {
+      type: "number",
+      description: `Optional maximum number of pixels in the returned image (at most ${maxArea}, the default)`,
+    },
+  };
+}
+
+/**
+ * Build the resource content item for a fetched image
+ */
+function imageResource(result) {
+  return {
+    type: "resource",
+    resource: {
+      uri: result.imageUrl,
+      mimeType: result.imageData.contentType,
+      blob: result.imageData.base64
+    }
+  };
+}
+
+/**
+ * Build the tool result content for a fetched image, with notes about restricted access
+ */
+function imageContent(result) {
+  const content = [];
+
+  if (result.info.auth && result.info.auth.degraded) {
+    content.push({
+      type: "text",
+      text: result.info.auth.message,
+    });
+  }
+
+  content.push(imageResource(result));
+
+  return content;
+}
+
+// HTTP sessions without any requests for this long are closed
+const SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
 
 class IIIFMCPServer {
-  constructor() {
-    this.server = new Server(
+  constructor(options = {}) {
+    // One cache is shared by all tools and sessions
+    this.cache = options.useCache === false ? null : new HttpCache({ cacheDir: options.cacheDir });
+
+    this.iiifImageHandler = new IIIFImageHandler(
+      options.maxDimension || DEFAULT_MAX_DIMENSION,
+      options.maxArea || DEFAULT_MAX_AREA,
+      {
+        cache: this.cache,
+        auth: options.auth,
+      }
+    );
+    this.annotationStore = new AnnotationStore(options.annotationStore || defaultAnnotationStorePath());
+    // URL clients reach the HTTP server at, if it differs from http://localhost:<port> (e.g. behind a proxy)
+    this.publicUrl = options.publicUrl || null;
+    // Base URL of the HTTP server, set when running in HTTP mode
+    this.httpBaseUrl = null;
+    this.server = this.createServer();
+  }
+
+  /**
+   * Create an MCP server with the tool handlers. Each HTTP session gets its own server,
+   * sharing the image handler and cache, with its own list of recently used resources.
+   */
+  createServer() {
+    const server = new Server(
       {
         name: "mcp-iiif-images",
         version: "1.0.0",
@@ -20,16 +220,133 @@ class IIIFMCPServer {
       {
         capabilities: {
           tools: {},
+          resources: {},
+          prompts: {},
         },
       }
     );
 
-    this.iiifImageHandler = new IIIFImageHandler(2000);
-    this.setupToolHandlers();
+    // Recently used manifests and images, listed as resources in this session only
+    const recentResources = new RecentResources();
+    this.setupToolHandlers(server, recentResources);
+    this.setupResourceHandlers(server, recentResources);
+    this.setupPromptHandlers(server);
+    return server;
+  }
+
+  setupPromptHandlers(server) {
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return { prompts: PROMPTS };
+    });
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: args } = request.params;
+
+      try {
+        return await getPrompt(name, args || {}, { imageHandler: this.iiifImageHandler, cache: this.cache });
+      } catch (error) {
+        throw new Error(`Failed to build prompt ${name}: ${error.message}`, { cause: error });
+      }
+    });
+  }
+
+  setupResourceHandlers(server, recentResources) {
+    server.setRequestHandler(ListResourcesRequestSchema, async () => {
+      return { resources: recentResources.list() };
+    });
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return { resourceTemplates: RESOURCE_TEMPLATES };
+    });
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+
+      try {
+        return { contents: await this.readResource(uri, recentResources) };
+      } catch (error) {
+        throw new Error(`Failed to read resource ${uri}: ${error.message}`, { cause: error });
+      }
+    });
+  }
+
+  /**
+   * Read a manifest, canvas image or image region resource, adding it to a session's recently used resources
+   */
+  async readResource(uri, recentResources) {
+    const resource = parseResourceUri(uri);
+
+    if (resource.type === "manifest") {
+      const manifest = await fetchManifest(resource.url, { cache: this.cache });
+      this.rememberManifest(recentResources, resource.url, manifest);
+      return [{ uri, mimeType: "application/ld+json", text: JSON.stringify(manifest, null, 2) }];
+    }
+
+    let result;
+    if (resource.type === "canvas") {
+      const manifest = await fetchManifest(resource.manifestUrl, { cache: this.cache });
+      const { index, canvas } = findCanvas(manifest, { index: resource.index });
+      const baseUri = getImageServiceUri(canvas);
+      if (!baseUri) {
+        throw new Error(`Canvas ${index} has no IIIF image service`);
+      }
+      result = await this.iiifImageHandler.generateImageUrl(baseUri, true);
+      this.rememberCanvas(recentResources, resource.manifestUrl, index, canvas, result.imageData.contentType);
+    } else {
+      result = await this.iiifImageHandler.generateImageRegionUrl(resource.baseUri, resource.region, true);
+      this.rememberImage(recentResources, resource.baseUri, resource.region, result.imageData.contentType);
+    }
+
+    const contents = [{ uri, mimeType: result.imageData.contentType, blob: result.imageData.base64 }];
+    if (result.info.auth && result.info.auth.degraded) {
+      contents.push({ uri, mimeType: "text/plain", text: result.info.auth.message });
+    }
+    return contents;
   }
 
-  setupToolHandlers() {
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => {
+  /**
+   * Add a manifest to a session's recently used resources
+   */
+  rememberManifest(recentResources, url, manifest) {
+    recentResources.add({
+      uri: manifestResourceUri(url),
+      name: getLabel(manifest.label) || url,
+      description: `IIIF manifest ${url}`,
+      mimeType: "application/ld+json",
+    });
+  }
+
+  /**
+   * Add the image on a canvas to a session's recently used resources
+   */
+  rememberCanvas(recentResources, manifestUrl, index, canvas, mimeType) {
+    const label = getLabel(canvas.label);
+    recentResources.add({
+      uri: canvasResourceUri(manifestUrl, index),
+      name: `Canvas ${index}${label ? ` (${label})` : ""}`,
+      description: `Image on canvas ${getId(canvas)} of ${manifestUrl}`,
+      mimeType,
+    });
+  }
+
+  /**
+   * Add an image region to a session's recently used resources
+   */
+  rememberImage(recentResources, baseUri, region = "full", mimeType) {
+    recentResources.add({
+      uri: imageResourceUri(baseUri, region),
+      name: region === "full" ? `IIIF image ${baseUri}` : `IIIF image ${baseUri} (${region})`,
+      description: `Region ${region} of the IIIF image ${baseUri}`,
+      mimeType,
+    });
+  }
+
+  setupToolHandlers(server, recentResources) {
+    server.setRequestHandler(ListToolsRequestSchema, async () => {
+      const { maxDimension, maxArea } = this.iiifImageHandler;
+      const sizeLimits = describeSizeLimits(maxDimension, maxArea);
+      const sizeProperties = sizeLimitProperties(maxDimension, maxArea);
+
       return {
         tools: [
           {
@@ -42,164 +359,933 @@ class IIIFMCPServer {
                   type: "string",
                   description: "URL of the IIIF manifest to fetch",
                 },
+                normalize: {
+                  type: "boolean",
+                  description: "Return Presentation API v2 manifests converted to the v3 model (language maps, items instead of sequences, annotation pages), so that all manifests have the same shape. Defaults to false.",
+                },
+              },
+              required: ["url"],
+            },
+          },
+          {
+            name: "summarize_iiif_manifest",
+            description: "Fetch a IIIF manifest and return a compact summary: the manifest label and a table of canvases with their index, label, width/height and image service base URI. Prefer this to fetch_iiif_manifest for large manifests.",
+            inputSchema: {
+              type: "object",
+              properties: {
+                url: {
+                  type: "string",
+                  description: "URL of the IIIF manifest to summarize",
+                },
+              },
+              required: ["url"],
+            },
+          },
+          {
+            name: "get_iiif_metadata",
+            description: "Fetch a IIIF manifest and return its descriptive metadata as plain text: label, summary, metadata pairs, required statement (attribution), rights, provider, homepage and seeAlso links. Language maps (v3) and language-tagged values (v2) are resolved to the preferred language, and HTML is sanitized.",
+            inputSchema: {
+              type: "object",
+              properties: {
+                url: {
+                  type: "string",
+                  description: "URL of the IIIF manifest",
+                },
+                language: {
+                  type: "string",
+                  description: "Preferred language code (e.g., 'en', 'fr', 'de'). Values without a language, and then values in any language, are used where the preferred language is not available. Defaults to 'en'.",
+                },
+              },
+              required: ["url"],
+            },
+          },
+          {
+            name: "validate_iiif_manifest",
+            description: "Fetch a IIIF manifest (Presentation API v2 or v3) and check it for problems, returning a report of errors and warnings with the JSON path of each: missing ids and labels, canvases without width and height, painting annotations that target a different canvas, image services whose info.json cannot be loaded or does not match the canvas, invalid language maps and duplicate ids.",
+            inputSchema: {
+              type: "object",
+              properties: {
+                url: {
+                  type: "string",
+                  description: "URL of the IIIF manifest",
+                },
+                probeImageServices: {
+                  type: "boolean",
+                  description: "Load the info.json of each image service to check that it works (default: true)",
+                },
+                maxProbes: {
+                  type: "number",
+                  description: "Maximum number of image services to load (default: 25)",
+                },
               },
               required: ["url"],
             },
           },
           {
             name: "fetch_iiif_image",
-            description: "Retrieve a IIIF image from a base URI, fetching info.json and returning the image data scaled to roughly 1M pixels total area.",
+            description: `Retrieve a IIIF image from a base URI, fetching info.json and returning the image data ${sizeLimits}.`,
             inputSchema: {
               type: "object",
               properties: {
                 baseUri: {
                   type: "string",
-                  description: "Base URI of the IIIF Image API resource (without /info.json)",
+                  description: BASE_URI_DESCRIPTION,
                 },
+                ...imageOptionProperties,
+                ...sizeProperties,
               },
               required: ["baseUri"],
             },
           },
           {
             name: "fetch_iiif_image_region",
-            description: "Retrieve a specific region of a IIIF image using percentage coordinates, with the region scaled to roughly 1M pixels total area. Use this to fetch regions of interest at higher detail for more accurate image description and analysis.",
+            description: `Retrieve a specific region of a IIIF image using percentage or full-resolution pixel coordinates, with the region ${sizeLimits}. Use this to fetch regions of interest at higher detail for more accurate image description and analysis.`,
             inputSchema: {
               type: "object",
               properties: {
                 baseUri: {
                   type: "string",
-                  description: "Base URI of the IIIF Image API resource (without /info.json)",
+                  description: BASE_URI_DESCRIPTION,
+                },
+                region: {
+                  type: "string",
+                  description: "Region in pct: format (e.g., 'pct:20,20,50,50' for x,y,width,height as percentages), as full-resolution pixels (e.g., '1000,2000,500,400' for x,y,width,height), or 'square' for the centered square. Defaults to the region of an image request URL given as baseUri.",
+                },
+                ...imageOptionProperties,
+                ...sizeProperties,
+              },
+              required: ["baseUri"],
+            },
+          },
+          {
+            name: "fetch_iiif_image_grid",
+            description: `Retrieve a whole IIIF image as a grid of overlapping regions, each ${sizeLimits}. Use this to read large maps, newspapers or manuscript pages systematically at high detail. Each tile is returned as a separate image labelled with its pct: region, which can be passed to fetch_iiif_image_region for a closer look. Given an image request URL for a region as baseUri, the grid divides that region.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                baseUri: {
+                  type: "string",
+                  description: BASE_URI_DESCRIPTION,
+                },
+                rows: {
+                  type: "number",
+                  description: "Number of rows of tiles (1-10)",
+                },
+                columns: {
+                  type: "number",
+                  description: "Number of columns of tiles (1-10)",
+                },
+                overlap: {
+                  type: "number",
+                  description: "Overlap between neighbouring tiles as a percentage of the tile size, so that text on tile edges appears whole in at least one tile (0 up to 50, default: 10)",
+                },
+                ...imageOptionProperties,
+                ...sizeProperties,
+              },
+              required: ["baseUri", "rows", "columns"],
+            },
+          },
+          {
+            name: "compare_iiif_images",
+            description: `Retrieve several IIIF images, or regions of them, for side-by-side comparison, such as two states of a print or the recto and verso of a leaf. The images are scaled to a common height and share a single pixel budget (each ${sizeLimits} for all images together). When the images' canvases or info.json carry physical dimensions, their physical size and relative scale are reported.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                images: {
+                  type: "array",
+                  description: "Images to compare (2-6), in order",
+                  items: {
+                    type: "object",
+                    properties: {
+                      baseUri: {
+                        type: "string",
+                        description: BASE_URI_DESCRIPTION,
+                      },
+                      region: {
+                        type: "string",
+                        description: "Optional region ('full', 'square', pixels as 'x,y,w,h' or 'pct:x,y,w,h'). Defaults to the region of an image request URL given as baseUri, or 'full'.",
+                      },
+                      label: {
+                        type: "string",
+                        description: "Optional label for the image (e.g., 'recto', 'first state')",
+                      },
+                    },
+                    required: ["baseUri"],
+                  },
+                },
+                manifestUrl: {
+                  type: "string",
+                  description: "Optional URL of a IIIF manifest whose canvases show the images, to read their physical dimensions and labels",
+                },
+                quality: imageOptionProperties.quality,
+                format: imageOptionProperties.format,
+                ...sizeProperties,
+              },
+              required: ["images"],
+            },
+          },
+          {
+            name: "fetch_iiif_canvas_image",
+            description: `Retrieve the image painted on a canvas of a IIIF manifest, selected by canvas index, id or label. Resolves the canvas's image service and returns the image (or a region of it) ${sizeLimits}, along with the image service base URI for further region requests.`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                url: {
+                  type: "string",
+                  description: "URL of the IIIF manifest",
+                },
+                canvasIndex: {
+                  type: "number",
+                  description: "Zero-based index of the canvas in the manifest",
+                },
+                canvasId: {
+                  type: "string",
+                  description: "Id of the canvas",
+                },
+                canvasLabel: {
+                  type: "string",
+                  description: "Label of the canvas (e.g., 'f. 1r')",
                 },
                 region: {
                   type: "string",
-                  description: "Region in pct: format (e.g., 'pct:20,20,50,50' for x,y,width,height as percentages)",
+                  description: "Optional region in pct: format (e.g., 'pct:20,20,50,50' for x,y,width,height as percentages), as pixels in canvas coordinates (e.g., '1000,2000,500,400'), or 'square'. Defaults to the full image.",
+                },
+                ...imageOptionProperties,
+                ...sizeProperties,
+              },
+              required: ["url"],
+            },
+          },
+          {
+            name: "get_iiif_structure",
+            description: `Read the table of contents of a IIIF manifest: its ranges (structures), such as chapters, letters or sections, as a numbered tree with the zero-based canvas indexes each range covers. With a range, lists that range's canvases, and with includeImages also returns their images, which share a single pixel budget (${sizeLimits} for all images together).`,
+            inputSchema: {
+              type: "object",
+              properties: {
+                url: {
+                  type: "string",
+                  description: "URL of the IIIF manifest",
+                },
+                range: {
+                  type: "string",
+                  description: "Optional range to show, by its number in the table of contents (e.g., '3' or '2.1'), its id or its label",
+                },
+                includeImages: {
+                  type: "boolean",
+                  description: "Return the images of the range's canvases (default: false; requires range)",
+                },
+                maxImages: {
+                  type: "number",
+                  description: `Maximum number of canvas images to return, starting from the range's first canvas (default: 6, at most ${MAX_RANGE_IMAGES})`,
+                },
+                quality: imageOptionProperties.quality,
+                format: imageOptionProperties.format,
+                ...sizeProperties,
+              },
+              required: ["url"],
+            },
+          },
+          {
+            name: "get_canvas_annotations",
+            description: "Read the annotations attached to a canvas of a IIIF manifest (Presentation API v3 annotations or v2 otherContent), such as line-level transcriptions, commentary and tags. Returns the text of each annotation with the region it targets as a pct: region that can be passed to fetch_iiif_image_region.",
+            inputSchema: {
+              type: "object",
+              properties: {
+                url: {
+                  type: "string",
+                  description: "URL of the IIIF manifest",
+                },
+                canvasIndex: {
+                  type: "number",
+                  description: "Zero-based index of the canvas in the manifest",
+                },
+                canvasId: {
+                  type: "string",
+                  description: "Id of the canvas",
+                },
+                canvasLabel: {
+                  type: "string",
+                  description: "Label of the canvas (e.g., 'f. 1r')",
+                },
+              },
+              required: ["url"],
+            },
+          },
+          {
+            name: "search_iiif_manifest",
+            description: "Search the full text (e.g., OCR or transcriptions) of a IIIF manifest with the IIIF Content Search service it advertises. Returns the hits with their canvas index and label, a snippet of the surrounding text, and the hit region as a pct: region that can be passed to fetch_iiif_image_region with the canvas's image service.",
+            inputSchema: {
+              type: "object",
+              properties: {
+                url: {
+                  type: "string",
+                  description: "URL of the IIIF manifest",
+                },
+                query: {
+                  type: "string",
+                  description: "Search terms",
+                },
+                autocomplete: {
+                  type: "boolean",
+                  description: "Return completions of the query from the autocomplete service instead of searching (default: false)",
+                },
+                maxPages: {
+                  type: "number",
+                  description: "Maximum number of result pages to fetch from the search service (default: 5, at most 20)",
+                },
+              },
+              required: ["url", "query"],
+            },
+          },
+          {
+            name: "create_annotation",
+            description: "Record an observation about a canvas, or a region of it, as a W3C Web Annotation in the local annotation store, e.g. a description of a region fetched with fetch_iiif_image_region or a transcription. In HTTP mode the stored annotations are served as an AnnotationPage per canvas for IIIF viewers such as Mirador or Universal Viewer.",
+            inputSchema: {
+              type: "object",
+              properties: {
+                canvasId: {
+                  type: "string",
+                  description: "Id of the canvas the annotation is about",
+                },
+                text: {
+                  type: "string",
+                  description: "Text of the annotation",
                 },
+                region: {
+                  type: "string",
+                  description: "Optional region of the canvas in pct: format (e.g., 'pct:20,20,50,50'), as pixels in canvas coordinates (e.g., '1000,2000,500,400'), or 'square'. Defaults to the whole canvas.",
+                },
+                manifestUrl: {
+                  type: "string",
+                  description: "Optional URL of the manifest containing the canvas, used to record pct: regions in canvas coordinates and to link the annotation to the manifest",
+                },
+                motivation: {
+                  type: "string",
+                  enum: ANNOTATION_MOTIVATIONS,
+                  description: "Optional motivation of the annotation (default: 'commenting')",
+                },
+                tags: {
+                  type: "array",
+                  items: { type: "string" },
+                  description: "Optional tags",
+                },
+                language: {
+                  type: "string",
+                  description: "Optional language of the text as a BCP 47 code (e.g., 'en', 'la')",
+                },
+              },
+              required: ["canvasId", "text"],
+            },
+          },
+          {
+            name: "browse_iiif_collection",
+            description: "List the sub-collections and manifests in a IIIF collection (Presentation API v2 or v3) with their labels and ids. Call again with a sub-collection id to step into it, or with the next page URL or an offset to continue a long listing.",
+            inputSchema: {
+              type: "object",
+              properties: {
+                url: {
+                  type: "string",
+                  description: "URL of the IIIF collection, or of a page of a paged collection",
+                },
+                offset: {
+                  type: "number",
+                  description: "Number of members to skip (default: 0)",
+                },
+                limit: {
+                  type: "number",
+                  description: "Maximum number of members to list (default: 100)",
+                },
+              },
+              required: ["url"],
+            },
+          },
+        ],
+      };
+    });
+
+    const callTool = async (request) => {
+      const { name, arguments: args } = request.params;
+
+      if (name === "fetch_iiif_manifest") {
+        const { url, normalize = false } = args;
+        
+        if (!url) {
+          throw new Error("URL parameter is required");
+        }
+
+        try {
+          const jsonData = await fetchManifest(url, { cache: this.cache });
+          this.rememberManifest(recentResources, url, jsonData);
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: JSON.stringify(normalize ? upgradeToV3(jsonData) : jsonData, null, 2),
+              },
+            ],
+          };
+        } catch (error) {
+          throw new Error(`Failed to fetch IIIF manifest: ${error.message}`, { cause: error });
+        }
+      }
+
+      if (name === "summarize_iiif_manifest") {
+        const { url } = args;
+
+        if (!url) {
+          throw new Error("URL parameter is required");
+        }
+
+        try {
+          const manifest = await fetchManifest(url, { cache: this.cache });
+          this.rememberManifest(recentResources, url, manifest);
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: formatManifestSummary(manifest),
+              },
+            ],
+          };
+        } catch (error) {
+          throw new Error(`Failed to summarize IIIF manifest: ${error.message}`, { cause: error });
+        }
+      }
+
+      if (name === "get_iiif_metadata") {
+        const { url, language = "en" } = args;
+
+        if (!url) {
+          throw new Error("URL parameter is required");
+        }
+
+        try {
+          const manifest = await fetchManifest(url, { cache: this.cache });
+          this.rememberManifest(recentResources, url, manifest);
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: formatMetadata(getManifestMetadata(manifest, { language }), language),
               },
-              required: ["baseUri", "region"],
-            },
-          },
-        ],
-      };
-    });
+            ],
+          };
+        } catch (error) {
+          throw new Error(`Failed to get IIIF metadata: ${error.message}`, { cause: error });
+        }
+      }
 
-    this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-      const { name, arguments: args } = request.params;
+      if (name === "validate_iiif_manifest") {
+        const { url, probeImageServices = true, maxProbes = 25 } = args;
 
-      if (name === "fetch_iiif_manifest") {
-        const { url } = args;
-        
         if (!url) {
           throw new Error("URL parameter is required");
         }
 
         try {
-          const response = await fetch(url);
+          // Fetched without fetchManifest, which rejects a manifest at its first problem
+          const manifest = await fetchJsonDocument(url, { cache: this.cache });
+          const report = await validateManifest(manifest, { probeImageServices, maxProbes, cache: this.cache });
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: formatValidationReport(url, report, probeImageServices),
+              },
+            ],
+          };
+        } catch (error) {
+          throw new Error(`Failed to validate IIIF manifest: ${error.message}`, { cause: error });
+        }
+      }
+
+      if (name === "fetch_iiif_image") {
+        const { baseUri, rotation, quality, format, maxDimension, maxArea } = args;
+        
+        try {
+          const result = await this.iiifImageHandler.generateImageUrl(baseUri, true, {
+            rotation,
+            quality,
+            format,
+            maxDimension,
+            maxArea,
+          });
+          this.rememberImage(recentResources, result.baseUri, result.region, result.imageData.contentType);
+          
+          return {
+            content: imageContent(result),
+          };
+        } catch (error) {
+          throw new Error(`Failed to fetch IIIF image: ${error.message}`, { cause: error });
+        }
+      }
+
+      if (name === "fetch_iiif_image_region") {
+        const { baseUri, region, rotation, quality, format, maxDimension, maxArea } = args;
+        
+        try {
+          const result = await this.iiifImageHandler.generateImageRegionUrl(baseUri, region, true, {
+            rotation,
+            quality,
+            format,
+            maxDimension,
+            maxArea,
+          });
+          this.rememberImage(recentResources, result.baseUri, result.region, result.imageData.contentType);
           
-          if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+          return {
+            content: imageContent(result),
+          };
+        } catch (error) {
+          throw new Error(`Failed to fetch IIIF image region: ${error.message}`, { cause: error });
+        }
+      }
+
+      if (name === "fetch_iiif_image_grid") {
+        const { baseUri, rows, columns, overlap = 10, rotation, quality, format, maxDimension, maxArea } = args;
+
+        try {
+          const grid = await this.iiifImageHandler.generateImageGrid(baseUri, rows, columns, overlap, {
+            rotation,
+            quality,
+            format,
+            maxDimension,
+            maxArea,
+          });
+
+          const lines = [
+            `Grid of ${rows} x ${columns} tiles with ${overlap}% overlap for ${grid.baseUri}` +
+              (grid.region === "full" ? "" : ` (region ${grid.region})`),
+          ];
+          const auth = grid.tiles[0].info.auth;
+          if (auth && auth.degraded) {
+            lines.push(auth.message);
+          }
+          if (grid.skipped.length > 0) {
+            lines.push(
+              `${grid.skipped.length} of ${grid.tiles.length + grid.skipped.length} tiles were left out to limit the size of this response. ` +
+              "Fetch them with fetch_iiif_image_region, or use fewer rows and columns or a smaller maxDimension:",
+              ...grid.skipped.map(tile => `- row ${tile.row + 1}, column ${tile.column + 1}: ${tile.region}`)
+            );
           }
 
-          const contentType = response.headers.get("content-type");
-          if (!contentType || !contentType.includes("application/json")) {
-            console.warn(`Warning: Content-Type is ${contentType}, expected application/json`);
+          const content = [{ type: "text", text: lines.join("\n") }];
+          for (const tile of grid.tiles) {
+            content.push(
+              { type: "text", text: `Tile row ${tile.row + 1}, column ${tile.column + 1}: ${tile.region}` },
+              imageResource(tile)
+            );
           }
 
-          const text = await response.text();
-          let jsonData;
-          
-          try {
-            jsonData = JSON.parse(text);
-          } catch (parseError) {
-            throw new Error(`Invalid JSON: ${parseError.message}`);
+          return { content };
+        } catch (error) {
+          throw new Error(`Failed to fetch IIIF image grid: ${error.message}`, { cause: error });
+        }
+      }
+
+      if (name === "compare_iiif_images") {
+        const { images, manifestUrl, quality, format, maxDimension, maxArea } = args;
+
+        try {
+          // Canvases showing the images, matched by image service
+          const canvases = new Map();
+          if (manifestUrl) {
+            const manifest = await fetchManifest(manifestUrl, { cache: this.cache });
+            for (const canvas of getCanvases(manifest)) {
+              const serviceUri = getImageServiceUri(canvas);
+              if (serviceUri) {
+                canvases.set(serviceUri.replace(/\/$/, ""), canvas);
+              }
+            }
           }
 
-          // Validate IIIF manifest structure
-          const context = jsonData["@context"];
-          if (!context) {
-            throw new Error("Invalid IIIF manifest: missing @context property");
+          const comparison = await this.iiifImageHandler.generateImageComparison(
+            (Array.isArray(images) ? images : []).map((image, i) => {
+              const serviceUri = image && image.baseUri && (parseImageApiUrl(image.baseUri) || image).baseUri;
+              const canvas = serviceUri && canvases.get(serviceUri.replace(/\/$/, ""));
+              const label = image && image.label || (canvas && getLabel(canvas.label)) || `Image ${i + 1}`;
+              return { ...image, label };
+            }),
+            { quality, format, maxDimension, maxArea }
+          );
+
+          const lines = [`Comparison of ${comparison.images.length} images scaled to a common height of ${comparison.commonHeight}px`];
+          const scales = [];
+          for (const image of comparison.images) {
+            if (image.info.auth && image.info.auth.degraded) {
+              lines.push(`${image.label}: ${image.info.auth.message}`);
+            }
+
+            // Canvas physical dimensions refer to canvas coordinates, which may differ from the image's pixels
+            const canvas = canvases.get(image.baseUri.replace(/\/$/, ""));
+            const canvasDimensions = canvas && getPhysicalDimensions(canvas);
+            let unitsPerPixel = null;
+            let units;
+            if (canvasDimensions && canvas.width) {
+              unitsPerPixel = canvasDimensions.physicalScale * canvas.width / image.info.originalDimensions.width;
+              units = canvasDimensions.physicalUnits;
+            } else if (image.physicalDimensions) {
+              unitsPerPixel = image.physicalDimensions.physicalScale;
+              units = image.physicalDimensions.physicalUnits;
+            }
+            scales.push({
+              label: image.label,
+              unitsPerPixel,
+              units,
+              regionDimensions: image.info.regionDimensions,
+              finalDimensions: image.info.finalDimensions,
+            });
           }
-          
-          let hasValidContext = false;
-          if (typeof context === "string") {
-            hasValidContext = context.startsWith("http://iiif.io/api/presentation/");
-          } else if (Array.isArray(context)) {
-            hasValidContext = context.some(ctx => 
-              typeof ctx === "string" && ctx.startsWith("http://iiif.io/api/presentation/")
+
+          const physicalScales = formatPhysicalScales(scales);
+          if (physicalScales) {
+            lines.push(physicalScales);
+          }
+
+          const content = [{ type: "text", text: lines.join("\n") }];
+          for (const image of comparison.images) {
+            const { width, height } = image.info.finalDimensions;
+            content.push(
+              { type: "text", text: `${image.label}: ${image.baseUri} (region ${image.region}, ${width}x${height}px)` },
+              imageResource(image)
             );
+            this.rememberImage(recentResources, image.baseUri, image.region, image.imageData.contentType);
           }
-          
-          if (!hasValidContext) {
-            throw new Error("Invalid IIIF manifest: @context must contain a IIIF presentation API URL");
+
+          return { content };
+        } catch (error) {
+          throw new Error(`Failed to compare IIIF images: ${error.message}`, { cause: error });
+        }
+      }
+
+      if (name === "fetch_iiif_canvas_image") {
+        const {
+          url, canvasIndex, canvasId, canvasLabel, region = 'full', rotation, quality, format, maxDimension, maxArea
+        } = args;
+
+        if (!url) {
+          throw new Error("URL parameter is required");
+        }
+
+        try {
+          const manifest = await fetchManifest(url, { cache: this.cache });
+          const { index, canvas } = findCanvas(manifest, {
+            index: canvasIndex,
+            id: canvasId,
+            label: canvasLabel,
+          });
+
+          const baseUri = getImageServiceUri(canvas);
+          if (!baseUri) {
+            throw new Error(`Canvas ${index} has no IIIF image service`);
           }
 
-          const hasValidType = (jsonData["@type"] === "sc:Manifest") || (jsonData["type"] === "Manifest");
-          if (!hasValidType) {
-            throw new Error("Invalid IIIF manifest: must have @type of 'sc:Manifest' or type of 'Manifest'");
+          // Pixel regions refer to the canvas coordinate space, which may differ from the image's
+          const imageRegion = canvas.width && canvas.height && /^[\d,\s]+$/.test(region) ?
+            this.iiifImageHandler.convertRegionToPct(region, canvas.width, canvas.height) : region;
+
+          const result = await this.iiifImageHandler.generateImageRegionUrl(baseUri, imageRegion, true, {
+            rotation,
+            quality,
+            format,
+            maxDimension,
+            maxArea,
+          });
+          const label = getLabel(canvas.label);
+          if (imageRegion === "full") {
+            this.rememberCanvas(recentResources, url, index, canvas, result.imageData.contentType);
+          } else {
+            this.rememberImage(recentResources, baseUri, imageRegion, result.imageData.contentType);
           }
 
           return {
             content: [
               {
                 type: "text",
-                text: JSON.stringify(jsonData, null, 2),
+                text: `Canvas ${index}${label ? ` (${label})` : ""}: ${getId(canvas)}\nImage service: ${baseUri}`,
               },
+              ...imageContent(result),
             ],
           };
         } catch (error) {
-          throw new Error(`Failed to fetch IIIF manifest: ${error.message}`);
+          throw new Error(`Failed to fetch IIIF canvas image: ${error.message}`, { cause: error });
         }
       }
 
-      if (name === "fetch_iiif_image") {
-        const { baseUri } = args;
-        
+      if (name === "get_iiif_structure") {
+        const { url, range, includeImages = false, maxImages = 6, quality, format, maxDimension, maxArea } = args;
+
+        if (!url) {
+          throw new Error("URL parameter is required");
+        }
+
         try {
-          const result = await this.iiifImageHandler.generateImageUrl(baseUri, true);
-          
+          const manifest = await fetchManifest(url, { cache: this.cache });
+          this.rememberManifest(recentResources, url, manifest);
+          const structure = getStructure(manifest);
+
+          if (range === undefined || range === null || range === "") {
+            if (includeImages) {
+              throw new Error("A range is required to include images");
+            }
+            return {
+              content: [
+                {
+                  type: "text",
+                  text: formatStructure(structure, getLabel(manifest.label)),
+                },
+              ],
+            };
+          }
+
+          const node = findRange(structure, range);
+          const canvases = getCanvases(manifest);
+          const content = [{ type: "text", text: formatRange(node, canvases) }];
+
+          if (includeImages) {
+            const imageCount = Number(maxImages);
+            if (!Number.isInteger(imageCount) || imageCount < 1) {
+              throw new Error("maxImages must be a positive integer");
+            }
+            const indexes = node.canvases.slice(0, Math.min(imageCount, MAX_RANGE_IMAGES));
+            if (indexes.length < node.canvases.length) {
+              content.push({
+                type: "text",
+                text: `Showing the images of the first ${indexes.length} of ${node.canvases.length} canvases; use fetch_iiif_canvas_image for the others`,
+              });
+            }
+
+            // The range's images share the pixel budget of a single image
+            const limits = this.iiifImageHandler.resolveLimits({ maxDimension, maxArea });
+            const imageArea = limits.maxArea === null ? undefined : Math.max(1, Math.floor(limits.maxArea / Math.max(1, indexes.length)));
+
+            for (const index of indexes) {
+              const canvas = canvases[index];
+              const label = getLabel(canvas.label);
+              const baseUri = getImageServiceUri(canvas);
+              if (!baseUri) {
+                content.push({ type: "text", text: `Canvas ${index}${label ? ` (${label})` : ""} has no IIIF image service` });
+                continue;
+              }
+
+              const result = await this.iiifImageHandler.generateImageRegionUrl(baseUri, "full", true, {
+                quality,
+                format,
+                maxDimension: limits.maxDimension,
+                maxArea: imageArea,
+              });
+              this.rememberCanvas(recentResources, url, index, canvas, result.imageData.contentType);
+              content.push(
+                { type: "text", text: `Canvas ${index}${label ? ` (${label})` : ""}: ${baseUri}` },
+                ...imageContent(result)
+              );
+            }
+          }
+
+          return { content };
+        } catch (error) {
+          throw new Error(`Failed to get IIIF structure: ${error.message}`, { cause: error });
+        }
+      }
+
+      if (name === "get_canvas_annotations") {
+        const { url, canvasIndex, canvasId, canvasLabel } = args;
+
+        if (!url) {
+          throw new Error("URL parameter is required");
+        }
+
+        try {
+          const manifest = await fetchManifest(url, { cache: this.cache });
+          const { index, canvas } = findCanvas(manifest, {
+            index: canvasIndex,
+            id: canvasId,
+            label: canvasLabel,
+          });
+          const { pages, annotations } = await fetchCanvasAnnotations(canvas, { cache: this.cache });
+
           return {
             content: [
               {
-                type: "resource",
-                resource: {
-                  uri: result.imageUrl,
-                  mimeType: result.imageData.contentType,
-                  blob: result.imageData.base64
-                }
-              }
+                type: "text",
+                text: formatCanvasAnnotations({
+                  index,
+                  canvas,
+                  serviceUri: getImageServiceUri(canvas),
+                  pages,
+                  annotations,
+                }),
+              },
             ],
           };
         } catch (error) {
-          throw new Error(`Failed to fetch IIIF image: ${error.message}`);
+          throw new Error(`Failed to get canvas annotations: ${error.message}`, { cause: error });
         }
       }
 
-      if (name === "fetch_iiif_image_region") {
-        const { baseUri, region } = args;
-        
+      if (name === "search_iiif_manifest") {
+        const { url, query, autocomplete = false, maxPages } = args;
+
+        if (!url) {
+          throw new Error("URL parameter is required");
+        }
+
         try {
-          const result = await this.iiifImageHandler.generateImageRegionUrl(baseUri, region, true);
-          
+          const manifest = await fetchManifest(url, { cache: this.cache });
+          let text;
+
+          if (autocomplete) {
+            const terms = await autocompleteSearchTerm(manifest, query, { cache: this.cache });
+            if (terms === null) {
+              throw new Error("The manifest's search service does not offer autocompletion");
+            }
+            text = terms.length > 0 ?
+              `Completions of "${query}":\n${terms.map(t => t.count !== undefined ? `${t.term} (${t.count})` : t.term).join("\n")}` :
+              `No completions of "${query}"`;
+          } else {
+            const results = await searchManifest(manifest, query, { maxPages, cache: this.cache });
+            // Suggest search terms when nothing matches, e.g. for a different spelling
+            const suggestions = results.hits.length === 0 ?
+              await autocompleteSearchTerm(manifest, query, { cache: this.cache }).catch(() => null) : null;
+            text = formatSearchResults(query, results, suggestions);
+          }
+
           return {
             content: [
               {
-                type: "resource",
-                resource: {
-                  uri: result.imageUrl,
-                  mimeType: result.imageData.contentType,
-                  blob: result.imageData.base64
-                }
-              }
+                type: "text",
+                text,
+              },
+            ],
+          };
+        } catch (error) {
+          throw new Error(`Failed to search IIIF manifest: ${error.message}`, { cause: error });
+        }
+      }
+
+      if (name === "create_annotation") {
+        const { canvasId, text, region = "full", manifestUrl, motivation, tags, language } = args;
+
+        try {
+          const rect = await this.resolveAnnotationRegion(canvasId, region, manifestUrl);
+          const annotation = await this.annotationStore.create({
+            canvasId,
+            manifestId: manifestUrl,
+            rect,
+            text,
+            motivation,
+            tags,
+            language,
+          });
+
+          const lines = [`Created annotation ${annotation.id} on canvas ${canvasId}`];
+          if (this.httpBaseUrl) {
+            lines.push(`Annotation page for viewers: ${this.httpBaseUrl}/annotations/${encodeURIComponent(canvasId)}`);
+          }
+          lines.push("", JSON.stringify(annotation, null, 2));
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: lines.join("\n"),
+              },
+            ],
+          };
+        } catch (error) {
+          throw new Error(`Failed to create annotation: ${error.message}`, { cause: error });
+        }
+      }
+
+      if (name === "browse_iiif_collection") {
+        const { url, offset, limit } = args;
+
+        if (!url) {
+          throw new Error("URL parameter is required");
+        }
+
+        try {
+          const listing = await browseCollection(url, { offset, limit, cache: this.cache });
+
+          return {
+            content: [
+              {
+                type: "text",
+                text: formatCollectionListing(listing),
+              },
             ],
           };
         } catch (error) {
-          throw new Error(`Failed to fetch IIIF image region: ${error.message}`);
+          throw new Error(`Failed to browse IIIF collection: ${error.message}`, { cause: error });
         }
       }
 
       throw new Error(`Unknown tool: ${name}`);
+    };
+
+    server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      // Requests to busy hosts take turns with those of other sessions
+      const { result, waits } = await runInSession(extra.sessionId, async () => {
+        try {
+          return await callTool(request);
+        } catch (error) {
+          // Failed requests to IIIF servers are reported to the model as tool errors it can act on
+          const requestError = findRequestError(error);
+          if (!requestError) {
+            throw error;
+          }
+          return {
+            isError: true,
+            content: [
+              {
+                type: "text",
+                text: `${error.message}\n${describeRequestError(requestError)}`,
+              },
+            ],
+          };
+        }
+      });
+
+      const throttling = describeThrottling(waits);
+      if (throttling) {
+        result.content.push({ type: "text", text: throttling });
+      }
+      return result;
     });
   }
 
+  /**
+   * Resolve the region of a new annotation to a rectangle in canvas coordinates, or in percentages
+   * when the canvas dimensions are unknown
+   */
+  async resolveAnnotationRegion(canvasId, region, manifestUrl) {
+    const parsedRegion = this.iiifImageHandler.parseRegion(region);
+    if (parsedRegion.type === "full") {
+      return null;
+    }
+
+    if (manifestUrl) {
+      const manifest = await fetchManifest(manifestUrl, { cache: this.cache });
+      const { canvas } = findCanvas(manifest, { id: canvasId });
+      if (canvas.width && canvas.height) {
+        this.iiifImageHandler.validateRegion(parsedRegion, canvas.width, canvas.height);
+        const rect = this.iiifImageHandler.calculateRegionPixels(parsedRegion, canvas.width, canvas.height);
+        return { ...rect, unit: "pixel" };
+      }
+    }
+
+    if (parsedRegion.type === "square") {
+      throw new Error("A square region requires the manifestUrl, to look up the canvas dimensions");
+    }
+
+    const { x, y, width, height } = parsedRegion;
+    return { x, y, width, height, unit: parsedRegion.type === "pct" ? "percent" : "pixel" };
+  }
+
   async run(useHttp = false, port = 3000) {
     if (useHttp) {
       await this.runHttpServer(port);
@@ -213,20 +1299,101 @@ class IIIFMCPServer {
     const app = express();
     app.use(express.json());
 
-    // Store transports by session ID
+    // Store transports and their last activity by session ID
     const transports = {};
+    const lastActivity = {};
+
+    const closeSession = async (sessionId) => {
+      const transport = transports[sessionId];
+      delete transports[sessionId];
+      delete lastActivity[sessionId];
+      if (transport) {
+        await transport.close();
+      }
+    };
+
+    // Handle Streamable HTTP requests (POST for messages, GET for the notification stream, DELETE to end a session)
+    app.all('/mcp', async (req, res) => {
+      const sessionId = req.headers['mcp-session-id'];
+      let transport = sessionId ? transports[sessionId] : undefined;
+
+      try {
+        if (sessionId && !transport) {
+          res.status(404).json({
+            jsonrpc: "2.0",
+            error: { code: -32001, message: "Session not found" },
+            id: null,
+          });
+          return;
+        }
+
+        if (transport && !(transport instanceof StreamableHTTPServerTransport)) {
+          res.status(400).json({
+            jsonrpc: "2.0",
+            error: { code: -32000, message: "Session uses the SSE transport; use /messages instead" },
+            id: null,
+          });
+          return;
+        }
+
+        if (!transport) {
+          if (req.method !== 'POST' || !isInitializeRequest(req.body)) {
+            res.status(400).json({
+              jsonrpc: "2.0",
+              error: { code: -32000, message: "Bad Request: an initialize request is required to start a session" },
+              id: null,
+            });
+            return;
+          }
+
+          transport = new StreamableHTTPServerTransport({
+            sessionIdGenerator: () => randomUUID(),
+            onsessioninitialized: (newSessionId) => {
+              console.log(`Streamable HTTP session initialized: ${newSessionId}`);
+              transports[newSessionId] = transport;
+              lastActivity[newSessionId] = Date.now();
+            },
+          });
 
-    // Handle SSE endpoint for MCP
+          transport.onclose = () => {
+            if (transport.sessionId) {
+              delete transports[transport.sessionId];
+              delete lastActivity[transport.sessionId];
+            }
+          };
+
+          await this.createServer().connect(transport);
+        } else {
+          lastActivity[sessionId] = Date.now();
+        }
+
+        // DELETE requests terminate the session and close the transport
+        await transport.handleRequest(req, res, req.body);
+      } catch (error) {
+        console.error('Error handling MCP request:', error);
+        if (!res.headersSent) {
+          res.status(500).json({
+            jsonrpc: "2.0",
+            error: { code: -32603, message: "Internal server error" },
+            id: null,
+          });
+        }
+      }
+    });
+
+    // Handle SSE endpoint for MCP (deprecated protocol version 2024-11-05)
     app.get('/sse', async (req, res) => {
       console.log('Received GET request to /sse - establishing SSE connection');
       const transport = new SSEServerTransport('/messages', res);
       transports[transport.sessionId] = transport;
+      lastActivity[transport.sessionId] = Date.now();
       
       res.on("close", () => {
         delete transports[transport.sessionId];
+        delete lastActivity[transport.sessionId];
       });
 
-      await this.server.connect(transport);
+      await this.createServer().connect(transport);
     });
 
     // Handle POST messages
@@ -234,29 +1401,76 @@ class IIIFMCPServer {
       const sessionId = req.query.sessionId;
       const transport = transports[sessionId];
       
-      if (transport) {
+      if (transport instanceof SSEServerTransport) {
+        lastActivity[sessionId] = Date.now();
         await transport.handlePostMessage(req, res, req.body);
       } else {
         res.status(400).send('No transport found for sessionId');
       }
     });
 
+    // Annotations created with create_annotation, as an AnnotationPage per canvas for IIIF viewers
+    app.get('/annotations', async (req, res) => {
+      res.set('Access-Control-Allow-Origin', '*');
+      try {
+        const canvasIds = await this.annotationStore.getCanvasIds();
+        res.json({
+          pages: canvasIds.map(canvasId => ({
+            canvas: canvasId,
+            page: `${this.httpBaseUrl}/annotations/${encodeURIComponent(canvasId)}`,
+          })),
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    app.get('/annotations/:canvasId', async (req, res) => {
+      res.set('Access-Control-Allow-Origin', '*');
+      try {
+        const pageId = `${this.httpBaseUrl}/annotations/${encodeURIComponent(req.params.canvasId)}`;
+        res.type('application/ld+json; profile="http://iiif.io/api/presentation/3/context.json"');
+        res.send(JSON.stringify(await this.annotationStore.getAnnotationPage(req.params.canvasId, pageId), null, 2));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Close sessions that have been idle for too long
+    const cleanupInterval = setInterval(async () => {
+      const cutoff = Date.now() - SESSION_IDLE_TIMEOUT_MS;
+      for (const sessionId of Object.keys(lastActivity)) {
+        if (lastActivity[sessionId] < cutoff) {
+          console.log(`Closing idle session ${sessionId}`);
+          try {
+            await closeSession(sessionId);
+          } catch (error) {
+            console.error(`Error closing idle session ${sessionId}:`, error);
+          }
+        }
+      }
+    }, 60 * 1000);
+    cleanupInterval.unref();
+
     // Start the server
+    this.httpBaseUrl = this.publicUrl || `http://localhost:${port}`;
     app.listen(port, () => {
       console.log(`MCP IIIF Images server listening on port ${port}`);
-      console.log(`SSE endpoint: http://localhost:${port}/sse`);
-      console.log(`Messages endpoint: http://localhost:${port}/messages`);
+      console.log(`Streamable HTTP endpoint: http://localhost:${port}/mcp`);
+      console.log(`SSE endpoint (deprecated): http://localhost:${port}/sse`);
+      console.log(`Messages endpoint (deprecated): http://localhost:${port}/messages`);
+      console.log(`Annotation pages: ${this.httpBaseUrl}/annotations`);
     });
 
     // Handle server shutdown
     process.on('SIGINT', async () => {
       console.log('Shutting down server...');
+      clearInterval(cleanupInterval);
       // Close all active transports
       for (const sessionId in transports) {
         try {
           console.log(`Closing transport for session ${sessionId}`);
-          await transports[sessionId].close();
-          delete transports[sessionId];
+          await closeSession(sessionId);
         } catch (error) {
           console.error(`Error closing transport for session ${sessionId}:`, error);
         }
@@ -272,6 +1486,21 @@ function parseArgs() {
   const args = process.argv.slice(2);
   let useHttp = false;
   let port = 3000;
+  let useCache = true;
+  let cacheDir = process.env.IIIF_CACHE_DIR || null;
+  let authConfig = process.env.IIIF_AUTH_CONFIG || null;
+  let annotationStore = process.env.IIIF_ANNOTATION_STORE || null;
+  let maxDimension = process.env.IIIF_MAX_DIMENSION || DEFAULT_MAX_DIMENSION;
+  let maxArea = process.env.IIIF_MAX_AREA || DEFAULT_MAX_AREA;
+  let timeout = process.env.IIIF_TIMEOUT || DEFAULT_TIMEOUT;
+  let retries = process.env.IIIF_RETRIES || DEFAULT_RETRIES;
+  let maxResponseSize = process.env.IIIF_MAX_RESPONSE_SIZE || DEFAULT_MAX_RESPONSE_SIZE;
+  let hostConcurrency = process.env.IIIF_HOST_CONCURRENCY || DEFAULT_HOST_CONCURRENCY;
+  let hostRate = process.env.IIIF_HOST_RATE || DEFAULT_HOST_RATE;
+  let allowHosts = process.env.IIIF_ALLOW_HOSTS || '';
+  let denyHosts = process.env.IIIF_DENY_HOSTS || '';
+  let allowPrivateNetworks = ['1', 'true', 'yes'].includes((process.env.IIIF_ALLOW_PRIVATE_NETWORKS || '').toLowerCase());
+  let publicUrl = process.env.IIIF_PUBLIC_URL || null;
 
   for (let i = 0; i < args.length; i++) {
     if (args[i] === '--http') {
@@ -279,19 +1508,109 @@ function parseArgs() {
     } else if (args[i] === '--port' && i + 1 < args.length) {
       port = parseInt(args[i + 1], 10);
       i++; // Skip the next argument since we consumed it
+    } else if (args[i] === '--cache-dir' && i + 1 < args.length) {
+      cacheDir = args[i + 1];
+      i++;
+    } else if (args[i] === '--no-cache') {
+      useCache = false;
+    } else if (args[i] === '--auth-config' && i + 1 < args.length) {
+      authConfig = args[i + 1];
+      i++;
+    } else if (args[i] === '--annotation-store' && i + 1 < args.length) {
+      annotationStore = args[i + 1];
+      i++;
+    } else if (args[i] === '--max-dimension' && i + 1 < args.length) {
+      maxDimension = args[i + 1];
+      i++;
+    } else if (args[i] === '--max-area' && i + 1 < args.length) {
+      maxArea = args[i + 1];
+      i++;
+    } else if (args[i] === '--timeout' && i + 1 < args.length) {
+      timeout = args[i + 1];
+      i++;
+    } else if (args[i] === '--retries' && i + 1 < args.length) {
+      retries = args[i + 1];
+      i++;
+    } else if (args[i] === '--max-response-size' && i + 1 < args.length) {
+      maxResponseSize = args[i + 1];
+      i++;
+    } else if (args[i] === '--host-concurrency' && i + 1 < args.length) {
+      hostConcurrency = args[i + 1];
+      i++;
+    } else if (args[i] === '--host-rate' && i + 1 < args.length) {
+      hostRate = args[i + 1];
+      i++;
+    } else if (args[i] === '--allow-hosts' && i + 1 < args.length) {
+      allowHosts = args[i + 1];
+      i++;
+    } else if (args[i] === '--deny-hosts' && i + 1 < args.length) {
+      denyHosts = args[i + 1];
+      i++;
+    } else if (args[i] === '--allow-private-networks') {
+      allowPrivateNetworks = true;
+    } else if (args[i] === '--public-url' && i + 1 < args.length) {
+      publicUrl = args[i + 1];
+      i++;
     } else if (args[i] === '--help') {
       console.log(`
 Usage: node server.js [options]
 
 Options:
-  --http        Use HTTP streaming transport instead of stdio (default: false)
+  --http        Use HTTP transport (Streamable HTTP on /mcp, plus the legacy SSE
+                endpoints) instead of stdio (default: false)
   --port PORT   Port number for HTTP server (default: 3000)
+  --public-url URL
+                URL clients reach the HTTP server at, used in annotation page
+                links (default: $IIIF_PUBLIC_URL, or http://localhost:PORT)
+  --cache-dir DIR
+                Also keep cached info.json, manifest and image responses in
+                this directory (default: $IIIF_CACHE_DIR, or memory only)
+  --no-cache    Disable caching of responses
+  --auth-config FILE
+                JSON file with credentials for images behind the IIIF
+                Authentication API, keyed by host (default: $IIIF_AUTH_CONFIG)
+  --annotation-store FILE
+                JSON file storing annotations created with create_annotation
+                (default: $IIIF_ANNOTATION_STORE, or
+                ~/.mcp-iiif-images/annotations.json)
+  --max-dimension PIXELS
+                Maximum width and height of returned images
+                (default: $IIIF_MAX_DIMENSION, or ${DEFAULT_MAX_DIMENSION})
+  --max-area PIXELS
+                Maximum number of pixels in returned images
+                (default: $IIIF_MAX_AREA, or ${DEFAULT_MAX_AREA})
+  --timeout SECONDS
+                Time allowed for each request to a IIIF server
+                (default: $IIIF_TIMEOUT, or ${DEFAULT_TIMEOUT})
+  --retries N   Number of retries of requests that fail with 429, a 5xx
+                status or a network error (default: $IIIF_RETRIES, or ${DEFAULT_RETRIES})
+  --max-response-size MB
+                Maximum size of a response from a IIIF server
+                (default: $IIIF_MAX_RESPONSE_SIZE, or ${DEFAULT_MAX_RESPONSE_SIZE})
+  --host-concurrency N
+                Maximum number of concurrent requests to each IIIF server
+                (default: $IIIF_HOST_CONCURRENCY, or ${DEFAULT_HOST_CONCURRENCY})
+  --host-rate N Maximum number of requests per second to each IIIF server,
+                or 0 for no limit (default: $IIIF_HOST_RATE, or ${DEFAULT_HOST_RATE})
+  --allow-hosts HOSTS
+                Comma-separated hosts that may be fetched, e.g.
+                'iiif.example.org,*.example.edu' (default: $IIIF_ALLOW_HOSTS,
+                or all hosts)
+  --deny-hosts HOSTS
+                Comma-separated hosts that may not be fetched
+                (default: $IIIF_DENY_HOSTS)
+  --allow-private-networks
+                Allow fetching from loopback, private and link-local
+                addresses, e.g. a IIIF server on localhost
+                (default: $IIIF_ALLOW_PRIVATE_NETWORKS, or false)
   --help        Show this help message
 
 Examples:
   node server.js                    # Run with stdio transport
   node server.js --http             # Run with HTTP transport on port 3000
   node server.js --http --port 8080 # Run with HTTP transport on port 8080
+  node server.js --max-dimension 1024 --max-area 800000
+                                    # Return smaller images
 `);
       process.exit(0);
     }
@@ -302,9 +1621,87 @@ Examples:
     process.exit(1);
   }
 
-  return { useHttp, port };
+  if (publicUrl) {
+    let parsed;
+    try {
+      parsed = new URL(publicUrl);
+    } catch {
+      parsed = null;
+    }
+    if (!parsed || (parsed.protocol !== 'http:' && parsed.protocol !== 'https:')) {
+      console.error('Error: Public URL must be an http or https URL');
+      process.exit(1);
+    }
+    publicUrl = publicUrl.replace(/\/+$/, '');
+  }
+
+  maxDimension = Number(maxDimension);
+  if (!Number.isInteger(maxDimension) || maxDimension < 1) {
+    console.error('Error: Maximum dimension must be a positive integer');
+    process.exit(1);
+  }
+
+  maxArea = Number(maxArea);
+  if (!Number.isInteger(maxArea) || maxArea < 1) {
+    console.error('Error: Maximum area must be a positive integer');
+    process.exit(1);
+  }
+
+  timeout = Number(timeout);
+  if (!Number.isFinite(timeout) || timeout <= 0) {
+    console.error('Error: Timeout must be a positive number of seconds');
+    process.exit(1);
+  }
+
+  retries = Number(retries);
+  if (!Number.isInteger(retries) || retries < 0) {
+    console.error('Error: Retries must be a non-negative integer');
+    process.exit(1);
+  }
+
+  maxResponseSize = Number(maxResponseSize);
+  if (!Number.isFinite(maxResponseSize) || maxResponseSize <= 0) {
+    console.error('Error: Maximum response size must be a positive number of megabytes');
+    process.exit(1);
+  }
+
+  hostConcurrency = Number(hostConcurrency);
+  if (!Number.isInteger(hostConcurrency) || hostConcurrency < 1) {
+    console.error('Error: Host concurrency must be a positive integer');
+    process.exit(1);
+  }
+
+  hostRate = Number(hostRate);
+  if (!Number.isFinite(hostRate) || hostRate < 0) {
+    console.error('Error: Host rate must be a non-negative number of requests per second');
+    process.exit(1);
+  }
+
+  const urlPolicy = new UrlPolicy({
+    allowHosts: allowHosts.split(','),
+    denyHosts: denyHosts.split(','),
+    allowPrivateNetworks,
+  });
+
+  const scheduler = new HostScheduler({ maxConcurrency: hostConcurrency, requestsPerSecond: hostRate });
+
+  return {
+    useHttp, port, publicUrl, useCache, cacheDir, authConfig, annotationStore, maxDimension, maxArea, timeout, retries,
+    maxResponseSize, urlPolicy, scheduler,
+  };
 }
 
-const { useHttp, port } = parseArgs();
-const server = new IIIFMCPServer();
+const {
+  useHttp, port, publicUrl, useCache, cacheDir, authConfig, annotationStore, maxDimension, maxArea, timeout, retries,
+  maxResponseSize, urlPolicy, scheduler,
+} = parseArgs();
+httpClient.configure({
+  timeout: timeout * 1000,
+  retries,
+  maxResponseSize: maxResponseSize * 1024 * 1024,
+  policy: urlPolicy,
+  scheduler,
+});
+const auth = authConfig ? await AuthManager.fromFile(authConfig) : null;
+const server = new IIIFMCPServer({ useCache, cacheDir, auth, annotationStore, maxDimension, maxArea, publicUrl });
 server.run(useHttp, port).catch(console.error);
\ No newline at end of file
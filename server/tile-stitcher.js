@@ -0,0 +1,58 @@
+import { Jimp, JimpMime } from 'jimp';
+
+// Content types of the Image API formats stitched images can be encoded in
+export const STITCHED_FORMATS = {
+  jpg: JimpMime.jpeg,
+  png: JimpMime.png,
+  gif: JimpMime.gif,
+  tif: JimpMime.tiff,
+};
+
+/**
+ * Stitch image tiles into a single image, cropping and scaling the result
+ * @param {Array<{buffer: Buffer, left: number, top: number}>} tiles - Tile images and their offsets on the canvas
+ * @param {object} options - Stitching options
+ * @param {number} options.canvasWidth - Width of the canvas covered by the tiles
+ * @param {number} options.canvasHeight - Height of the canvas covered by the tiles
+ * @param {{x: number, y: number, width: number, height: number}} [options.crop] - Area of the canvas to keep
+ * @param {number} [options.width] - Output width (defaults to the cropped width)
+ * @param {number} [options.height] - Output height (defaults to the cropped height)
+ * @param {string} [options.format] - Image API format of the result, one of STITCHED_FORMATS (default: 'jpg')
+ * @param {number} [options.quality] - JPEG quality (default: 85)
+ * @returns {Promise<Buffer>} Image bytes
+ */
+export async function stitchTiles(tiles, options) {
+  const { canvasWidth, canvasHeight, crop, format = 'jpg', quality = 85 } = options;
+
+  if (!canvasWidth || !canvasHeight) {
+    throw new Error("Canvas width and height are required to stitch tiles");
+  }
+  const mimeType = STITCHED_FORMATS[format];
+  if (!mimeType) {
+    throw new Error(`Stitched images cannot be encoded as ${format}`);
+  }
+
+  const canvas = new Jimp({ width: canvasWidth, height: canvasHeight, color: 0xffffffff });
+
+  for (const tile of tiles) {
+    let image;
+    try {
+      image = await Jimp.read(tile.buffer);
+    } catch (error) {
+      throw new Error(`Failed to decode tile image: ${error.message}`);
+    }
+    canvas.composite(image, tile.left, tile.top);
+  }
+
+  if (crop) {
+    canvas.crop({ x: crop.x, y: crop.y, w: crop.width, h: crop.height });
+  }
+
+  const width = options.width || canvas.bitmap.width;
+  const height = options.height || canvas.bitmap.height;
+  if (width !== canvas.bitmap.width || height !== canvas.bitmap.height) {
+    canvas.resize({ w: width, h: height });
+  }
+
+  return mimeType === JimpMime.jpeg ? canvas.getBuffer(mimeType, { quality }) : canvas.getBuffer(mimeType);
+}
@@ -0,0 +1,172 @@
+import dns from 'node:dns';
+import net from 'node:net';
+
+// Error code of lookups refused by the policy, kept by node-fetch on the errors it wraps them in
+export const BLOCKED_ADDRESS_CODE = 'ERR_IIIF_BLOCKED_ADDRESS';
+
+/**
+ * Addresses that are not on the public internet: loopback, private, link-local (including cloud metadata
+ * services such as 169.254.169.254), carrier-grade NAT, multicast and reserved ranges. IPv4-mapped IPv6
+ * addresses such as ::ffff:127.0.0.1 are matched by the IPv4 ranges. NAT64 (64:ff9b::/96), 6to4 (2002::/16) and
+ * deprecated IPv4-compatible (::/96) addresses, which can embed any IPv4 address, are refused as a whole, as are
+ * deprecated site-local addresses.
+ * @private
+ */
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [prefix, length] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+]) {
+  PRIVATE_ADDRESSES.addSubnet(prefix, length, 'ipv4');
+}
+for (const [prefix, length] of [
+  ['::', 128],
+  ['::1', 128],
+  ['::', 96],
+  ['64:ff9b::', 96],
+  ['2002::', 16],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['fec0::', 10],
+  ['ff00::', 8],
+]) {
+  PRIVATE_ADDRESSES.addSubnet(prefix, length, 'ipv6');
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for non-public addresses
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return false;
+  }
+  return PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Whether a host matches a pattern: a host name, an IP address, or '*.example.org' for any subdomain of
+ * example.org
+ * @private
+ */
+function matchesHost(host, pattern) {
+  if (pattern.startsWith('*.')) {
+    return host.endsWith(pattern.substring(1));
+  }
+  return host === pattern;
+}
+
+/**
+ * Normalize host patterns from the command line: lower case, without brackets around IPv6 addresses
+ * @private
+ */
+function normalizeHosts(hosts) {
+  return hosts
+    .map(host => host.trim().toLowerCase().replace(/^\[(.*)\]$/, '$1'))
+    .filter(host => host.length > 0);
+}
+
+/**
+ * Policy for the URLs the server may fetch. Only http and https URLs are allowed, hosts on the deny list are
+ * refused, and when there is an allow list only hosts on it are allowed. Unless private networks are allowed,
+ * hosts are refused when they are or resolve to a loopback, private or link-local address, so that clients of
+ * a shared server cannot reach internal services through it.
+ */
+export class UrlPolicy {
+  /**
+   * @param {object} [options] - Policy options
+   * @param {string[]} [options.allowHosts] - Hosts that may be fetched; all hosts if empty. Patterns like
+   *   '*.example.org' match any subdomain.
+   * @param {string[]} [options.denyHosts] - Hosts that may not be fetched, taking precedence over allowHosts
+   * @param {boolean} [options.allowPrivateNetworks] - Allow loopback, private and link-local addresses
+   *   (default: false)
+   */
+  constructor({ allowHosts = [], denyHosts = [], allowPrivateNetworks = false } = {}) {
+    this.allowHosts = normalizeHosts(allowHosts);
+    this.denyHosts = normalizeHosts(denyHosts);
+    this.allowPrivateNetworks = allowPrivateNetworks;
+    this.lookup = this.lookup.bind(this);
+  }
+
+  /**
+   * Check a URL before it is fetched. Host names are checked again after DNS resolution by lookup.
+   * @param {string} url - URL to fetch
+   * @returns {string|null} Why the URL may not be fetched, or null if it may
+   */
+  checkUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return `Invalid URL: ${url}`;
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return `Scheme ${parsed.protocol.slice(0, -1)} is not allowed, only http and https`;
+    }
+
+    // The URL parser normalizes IP addresses (e.g. 'http://2130706433/' to 127.0.0.1)
+    const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+    if (this.denyHosts.some(pattern => matchesHost(host, pattern))) {
+      return `Host ${host} is denied`;
+    }
+    if (this.allowHosts.length > 0 && !this.allowHosts.some(pattern => matchesHost(host, pattern))) {
+      return `Host ${host} is not in the allowed hosts`;
+    }
+
+    // Connections to IP addresses skip DNS lookups, so they are checked here
+    return this.checkAddress(host);
+  }
+
+  /**
+   * Check an address a host name resolved to, or an IP address in a URL
+   * @param {string} address - Address
+   * @returns {string|null} Why the address may not be connected to, or null if it may
+   */
+  checkAddress(address) {
+    if (!this.allowPrivateNetworks && isPrivateAddress(address)) {
+      return `Address ${address} is in a private, loopback or link-local network`;
+    }
+    return null;
+  }
+
+  /**
+   * DNS lookup for HTTP agents (see net.connect) that refuses addresses not allowed by the policy, so that the
+   * address checked is the address connected to
+   */
+  lookup(hostname, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) {
+        callback(error);
+        return;
+      }
+
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      for (const entry of addresses) {
+        const reason = this.checkAddress(entry.address);
+        if (reason) {
+          const blocked = new Error(`${hostname} resolves to a blocked address: ${reason}`);
+          blocked.code = BLOCKED_ADDRESS_CODE;
+          callback(blocked);
+          return;
+        }
+      }
+      callback(null, address, family);
+    });
+  }
+}
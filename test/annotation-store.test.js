@@ -0,0 +1,175 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { AnnotationStore } from '../server/annotation-store.js';
+
+// Let tests make single writes fail
+vi.mock('node:fs/promises', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, writeFile: vi.fn(actual.writeFile) };
+});
+
+const canvasId = 'https://example.org/iiif/book1/canvas/p1';
+
+describe('AnnotationStore', () => {
+  let storeDir;
+  let storePath;
+
+  beforeEach(async () => {
+    storeDir = await mkdtemp(path.join(os.tmpdir(), 'iiif-annotations-test-'));
+    storePath = path.join(storeDir, 'nested', 'annotations.json');
+  });
+
+  afterEach(async () => {
+    await rm(storeDir, { recursive: true, force: true });
+  });
+
+  it('should create a W3C annotation on a region of a canvas', async () => {
+    const store = new AnnotationStore(storePath);
+
+    const annotation = await store.create({
+      canvasId,
+      manifestId: 'https://example.org/iiif/book1/manifest',
+      rect: { x: 100, y: 200, width: 300, height: 400, unit: 'pixel' },
+      text: ' Decorated initial ',
+      motivation: 'describing',
+      tags: ['initial'],
+      language: 'en'
+    });
+
+    expect(annotation['@context']).toBe('http://www.w3.org/ns/anno.jsonld');
+    expect(annotation.id).toMatch(/^urn:uuid:[0-9a-f-]{36}$/);
+    expect(annotation.type).toBe('Annotation');
+    expect(annotation.motivation).toBe('describing');
+    expect(annotation.body).toEqual([
+      { type: 'TextualBody', value: 'Decorated initial', format: 'text/plain', language: 'en' },
+      { type: 'TextualBody', value: 'initial', purpose: 'tagging' }
+    ]);
+    expect(annotation.target).toEqual({
+      type: 'SpecificResource',
+      source: {
+        id: canvasId,
+        type: 'Canvas',
+        partOf: [{ id: 'https://example.org/iiif/book1/manifest', type: 'Manifest' }]
+      },
+      selector: {
+        type: 'FragmentSelector',
+        conformsTo: 'http://www.w3.org/TR/media-frags/',
+        value: 'xywh=100,200,300,400'
+      }
+    });
+  });
+
+  it('should target the whole canvas without a region', async () => {
+    const store = new AnnotationStore(storePath);
+
+    const annotation = await store.create({ canvasId, text: 'Blank page' });
+
+    expect(annotation.motivation).toBe('commenting');
+    expect(annotation.body).toEqual({ type: 'TextualBody', value: 'Blank page', format: 'text/plain' });
+    expect(annotation.target).toBe(canvasId);
+  });
+
+  it('should use percent fragments for percentage regions', async () => {
+    const store = new AnnotationStore(storePath);
+
+    const annotation = await store.create({
+      canvasId,
+      rect: { x: 10, y: 20, width: 30, height: 40, unit: 'percent' },
+      text: 'Seal'
+    });
+
+    expect(annotation.target.selector.value).toBe('xywh=percent:10,20,30,40');
+  });
+
+  it('should reject annotations without text or with an unknown motivation', async () => {
+    const store = new AnnotationStore(storePath);
+
+    await expect(store.create({ canvasId, text: '  ' })).rejects.toThrow('text parameter is required');
+    await expect(store.create({ canvasId, text: 'x', motivation: 'painting' }))
+      .rejects.toThrow('Motivation must be one of: commenting, describing, identifying, tagging, transcribing');
+  });
+
+  it('should persist annotations across store instances', async () => {
+    await new AnnotationStore(storePath).create({ canvasId, text: 'First' });
+    await new AnnotationStore(storePath).create({ canvasId: 'https://example.org/other', text: 'Second' });
+
+    const store = new AnnotationStore(storePath);
+    const stored = JSON.parse(await readFile(storePath, 'utf8'));
+
+    expect(stored.annotations).toHaveLength(2);
+    expect(await store.getCanvasIds()).toEqual([canvasId, 'https://example.org/other']);
+    expect((await store.getAnnotations(canvasId)).map(annotation => annotation.body.value)).toEqual(['First']);
+  });
+
+  it('should keep concurrent annotations', async () => {
+    const store = new AnnotationStore(storePath);
+
+    await Promise.all(['a', 'b', 'c'].map(text => store.create({ canvasId, text })));
+
+    const stored = JSON.parse(await readFile(storePath, 'utf8'));
+    expect(stored.annotations.map(annotation => annotation.body.value).sort()).toEqual(['a', 'b', 'c']);
+  });
+
+  it('should drop annotations that could not be written and keep writing after a failure', async () => {
+    const blocker = path.join(storeDir, 'blocker');
+    const store = new AnnotationStore(path.join(blocker, 'annotations.json'));
+    await store.getAnnotations(canvasId);
+    // A file in place of the store's directory makes writes fail
+    await writeFile(blocker, '');
+
+    await expect(store.create({ canvasId, text: 'Lost' })).rejects.toThrow('Failed to write annotation store');
+    expect(await store.getAnnotations(canvasId)).toEqual([]);
+
+    await rm(blocker);
+    await store.create({ canvasId, text: 'Kept' });
+
+    const stored = JSON.parse(await readFile(path.join(blocker, 'annotations.json'), 'utf8'));
+    expect(stored.annotations.map(annotation => annotation.body.value)).toEqual(['Kept']);
+  });
+
+  it('should only undo the annotation whose write failed', async () => {
+    const store = new AnnotationStore(storePath);
+    await store.create({ canvasId, text: 'First' });
+    writeFile.mockRejectedValueOnce(new Error('disk full'));
+
+    const [lost, kept] = await Promise.allSettled([
+      store.create({ canvasId, text: 'Lost' }),
+      store.create({ canvasId, text: 'Kept' })
+    ]);
+
+    expect(lost.reason.message).toBe(`Failed to write annotation store ${storePath}: disk full`);
+    expect(kept.status).toBe('fulfilled');
+    const stored = JSON.parse(await readFile(storePath, 'utf8'));
+    expect(stored.annotations.map(annotation => annotation.body.value)).toEqual(['First', 'Kept']);
+    expect((await store.getAnnotations(canvasId)).map(annotation => annotation.body.value)).toEqual(['First', 'Kept']);
+  });
+
+  it('should build an AnnotationPage per canvas', async () => {
+    const store = new AnnotationStore(storePath);
+    await store.create({ canvasId, text: 'First' });
+
+    const page = await store.getAnnotationPage(canvasId, 'http://localhost:3000/annotations/p1');
+
+    expect(page['@context']).toEqual([
+      'http://www.w3.org/ns/anno.jsonld',
+      'http://iiif.io/api/presentation/3/context.json'
+    ]);
+    expect(page.id).toBe('http://localhost:3000/annotations/p1');
+    expect(page.type).toBe('AnnotationPage');
+    expect(page.items).toHaveLength(1);
+    expect(page.items[0]['@context']).toBeUndefined();
+  });
+
+  it('should report an unreadable store', async () => {
+    await writeFile(path.join(storeDir, 'broken.json'), 'not json');
+    const store = new AnnotationStore(path.join(storeDir, 'broken.json'));
+
+    await expect(store.getAnnotations(canvasId)).rejects.toThrow('Failed to read annotation store');
+
+    // The store is read again once the file is fixed
+    await writeFile(path.join(storeDir, 'broken.json'), JSON.stringify({ annotations: [] }));
+    await expect(store.getAnnotations(canvasId)).resolves.toEqual([]);
+  });
+});
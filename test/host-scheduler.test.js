@@ -0,0 +1,104 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { HostScheduler, describeThrottling, runInSession } from '../server/host-scheduler.js';
+
+// Acquire a turn and record when it starts
+function request(scheduler, url, name, started) {
+  return scheduler.acquire(url).then(release => {
+    started.push(name);
+    return release;
+  });
+}
+
+describe('HostScheduler', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should limit concurrent requests per host', async () => {
+    const scheduler = new HostScheduler({ maxConcurrency: 2, requestsPerSecond: 0 });
+    const started = [];
+
+    const first = request(scheduler, 'https://example.org/1', 'a1', started);
+    const second = request(scheduler, 'https://example.org/2', 'a2', started);
+    const third = request(scheduler, 'https://example.org/3', 'a3', started);
+    const other = request(scheduler, 'https://example.net/1', 'b1', started);
+    const release = await first;
+    await second;
+    await other;
+
+    expect(started).toEqual(['a1', 'a2', 'b1']);
+
+    release();
+    release();
+    await third;
+
+    expect(started).toEqual(['a1', 'a2', 'b1', 'a3']);
+    expect(scheduler.hosts.get('example.org').active).toBe(2);
+  });
+
+  it('should take waiting requests from each session in turn', async () => {
+    const scheduler = new HostScheduler({ maxConcurrency: 1, requestsPerSecond: 0 });
+    const started = [];
+    const releases = [];
+    const requests = (session, names) => runInSession(session, () => Promise.all(names.map(name =>
+      request(scheduler, 'https://example.org/', name, started).then(release => releases.push(release))
+    )));
+
+    const busy = requests('a', ['a1', 'a2', 'a3']);
+    const polite = requests('b', ['b1', 'b2']);
+    for (let i = 0; i < 5; i++) {
+      await vi.waitFor(() => expect(started).toHaveLength(i + 1));
+      releases[i]();
+    }
+    await Promise.all([busy, polite]);
+
+    expect(started).toEqual(['a1', 'a2', 'b1', 'a3', 'b2']);
+  });
+
+  it('should limit the request rate per host after a burst', async () => {
+    vi.useFakeTimers();
+    const scheduler = new HostScheduler({ maxConcurrency: 10, requestsPerSecond: 2 });
+    const started = [];
+
+    const { waits } = await runInSession('a', async () => {
+      const requests = [1, 2, 3, 4].map(n => request(scheduler, 'https://example.org/', n, started));
+      await vi.advanceTimersByTimeAsync(0);
+      expect(started).toEqual([1, 2]);
+
+      await vi.advanceTimersByTimeAsync(500);
+      expect(started).toEqual([1, 2, 3]);
+
+      await vi.advanceTimersByTimeAsync(500);
+      expect(started).toEqual([1, 2, 3, 4]);
+      return Promise.all(requests);
+    });
+
+    // The last request waited a second, and the third waited at the same time
+    expect(waits.get('example.org')).toBe(1000);
+  });
+
+  it('should forget idle hosts once their bucket is full again', async () => {
+    vi.useFakeTimers();
+    const scheduler = new HostScheduler({ maxConcurrency: 10, requestsPerSecond: 2 });
+
+    const release = await scheduler.acquire('https://example.org/');
+    release();
+    expect(scheduler.hosts.has('example.org')).toBe(true);
+
+    await vi.advanceTimersByTimeAsync(500);
+    expect(scheduler.hosts.has('example.org')).toBe(false);
+  });
+
+  it('should reject invalid options', () => {
+    expect(() => new HostScheduler({ maxConcurrency: 0 })).toThrow('Invalid scheduler option maxConcurrency: 0');
+    expect(() => new HostScheduler({ requestsPerSecond: -1 })).toThrow('Invalid scheduler option requestsPerSecond: -1');
+  });
+});
+
+describe('describeThrottling', () => {
+  it('should only mention significant waits', () => {
+    expect(describeThrottling(new Map([['example.org', 200]]))).toBeNull();
+    expect(describeThrottling(new Map([['example.org', 2500], ['example.net', 10]])))
+      .toBe('Note: requests were throttled to respect the request limits of example.org (2.5s)');
+  });
+});
@@ -0,0 +1,195 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { HttpCache } from '../server/http-cache.js';
+import { BlockedUrlError, HttpClient } from '../server/http-client.js';
+import { UrlPolicy } from '../server/url-policy.js';
+
+// Mock node-fetch
+vi.mock('node-fetch', () => ({
+  default: vi.fn()
+}));
+
+function mockResponse(body, { status = 200, headers = {} } = {}) {
+  const lowerCaseHeaders = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 304 ? 'Not Modified' : 'OK',
+    headers: { get: (name) => lowerCaseHeaders[name.toLowerCase()] ?? null },
+    arrayBuffer: () => Promise.resolve(Buffer.from(body))
+  };
+}
+
+describe('HttpCache', () => {
+  let fetchMock;
+
+  beforeEach(async () => {
+    fetchMock = (await vi.importMock('node-fetch')).default;
+    fetchMock.mockReset();
+  });
+
+  it('should serve fresh responses from memory', async () => {
+    const cache = new HttpCache();
+    fetchMock.mockResolvedValue(mockResponse('{"width":100}', {
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'max-age=60' }
+    }));
+
+    const first = await cache.fetch('https://example.org/iiif/image1/info.json');
+    const second = await cache.fetch('https://example.org/iiif/image1/info.json');
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(first.fromCache).toBe(false);
+    expect(second.fromCache).toBe(true);
+    expect(await second.json()).toEqual({ width: 100 });
+    expect(second.headers.get('Content-Type')).toBe('application/json');
+  });
+
+  it('should not store responses marked no-store', async () => {
+    const cache = new HttpCache();
+    fetchMock.mockResolvedValue(mockResponse('{}', { headers: { 'Cache-Control': 'no-store' } }));
+
+    await cache.fetch('https://example.org/private.json');
+    await cache.fetch('https://example.org/private.json');
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not store responses marked private', async () => {
+    const cache = new HttpCache();
+    fetchMock.mockResolvedValue(mockResponse('{}', { headers: { 'Cache-Control': 'private, max-age=60' } }));
+
+    await cache.fetch('https://example.org/private.json');
+    await cache.fetch('https://example.org/private.json');
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('should bypass the cache for requests with credentials', async () => {
+    const cache = new HttpCache();
+    fetchMock.mockImplementation((url, { headers }) => Promise.resolve(mockResponse(headers.Authorization ? 'full' : 'degraded', {
+      headers: { 'Cache-Control': 'max-age=60' }
+    })));
+
+    const authorized = await cache.fetch('https://example.org/info.json', { headers: { Authorization: 'Bearer t' } });
+    const anonymous = await cache.fetch('https://example.org/info.json');
+    const withCookie = await cache.fetch('https://example.org/info.json', { headers: { Cookie: 'session=abc' } });
+
+    expect(Buffer.from(await authorized.arrayBuffer()).toString()).toBe('full');
+    expect(authorized.fromCache).toBe(false);
+    expect(await anonymous.text()).toBe('degraded');
+    expect(withCookie.fromCache).toBe(false);
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    expect([...cache.entries.keys()]).toEqual(['https://example.org/info.json']);
+  });
+
+  it('should not store error responses', async () => {
+    const cache = new HttpCache();
+    fetchMock.mockResolvedValue(mockResponse('missing', { status: 404 }));
+
+    const response = await cache.fetch('https://example.org/missing.json');
+    await cache.fetch('https://example.org/missing.json');
+
+    expect(response.ok).toBe(false);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('should revalidate stale entries using the ETag', async () => {
+    const cache = new HttpCache();
+    fetchMock.mockResolvedValueOnce(mockResponse('{"v":1}', {
+      headers: { 'ETag': '"abc"', 'Cache-Control': 'no-cache' }
+    }));
+    fetchMock.mockResolvedValueOnce(mockResponse('', { status: 304, headers: { 'Cache-Control': 'max-age=60' } }));
+
+    await cache.fetch('https://example.org/manifest.json');
+    const revalidated = await cache.fetch('https://example.org/manifest.json');
+    const fresh = await cache.fetch('https://example.org/manifest.json');
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(fetchMock).toHaveBeenLastCalledWith('https://example.org/manifest.json', expect.objectContaining({
+      headers: { 'If-None-Match': '"abc"' }
+    }));
+    expect(revalidated.fromCache).toBe(true);
+    expect(await revalidated.text()).toBe('{"v":1}');
+    expect(fresh.fromCache).toBe(true);
+  });
+
+  it('should refetch expired entries without validators', async () => {
+    const cache = new HttpCache({ defaultTtl: 0 });
+    fetchMock.mockResolvedValueOnce(mockResponse('old'));
+    fetchMock.mockResolvedValueOnce(mockResponse('new'));
+
+    await cache.fetch('https://example.org/image.jpg');
+    const response = await cache.fetch('https://example.org/image.jpg');
+
+    expect(await response.text()).toBe('new');
+    expect(fetchMock).toHaveBeenLastCalledWith('https://example.org/image.jpg', expect.objectContaining({ headers: {} }));
+  });
+
+  it('should evict the least recently used entries', async () => {
+    const cache = new HttpCache({ maxEntries: 2 });
+    fetchMock.mockImplementation((url) => Promise.resolve(mockResponse(url)));
+
+    await cache.fetch('https://example.org/a');
+    await cache.fetch('https://example.org/b');
+    await cache.fetch('https://example.org/a');
+    await cache.fetch('https://example.org/c');
+
+    expect([...cache.entries.keys()]).toEqual(['https://example.org/a', 'https://example.org/c']);
+  });
+
+  it('should evict entries to stay within the byte limit', async () => {
+    const cache = new HttpCache({ maxBytes: 10 });
+    fetchMock.mockResolvedValue(mockResponse('123456'));
+
+    await cache.fetch('https://example.org/a');
+    await cache.fetch('https://example.org/b');
+
+    expect(cache.entries.size).toBe(1);
+    expect(cache.totalBytes).toBe(6);
+  });
+
+  describe('with a cache directory', () => {
+    let cacheDir;
+
+    beforeEach(async () => {
+      cacheDir = await mkdtemp(path.join(os.tmpdir(), 'iiif-cache-test-'));
+    });
+
+    afterEach(async () => {
+      await rm(cacheDir, { recursive: true, force: true });
+    });
+
+    it('should persist entries across cache instances', async () => {
+      fetchMock.mockResolvedValue(mockResponse('{"width":100}', {
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': 'max-age=60' }
+      }));
+
+      await new HttpCache({ cacheDir }).fetch('https://example.org/iiif/image1/info.json');
+      const response = await new HttpCache({ cacheDir }).fetch('https://example.org/iiif/image1/info.json');
+
+      expect(await readdir(cacheDir)).toHaveLength(1);
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+      expect(response.fromCache).toBe(true);
+      expect(response.headers.get('content-type')).toBe('application/json');
+      expect(await response.json()).toEqual({ width: 100 });
+    });
+
+    it('should not serve entries for URLs the policy refuses', async () => {
+      fetchMock.mockResolvedValue(mockResponse('{"width":100}', {
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': 'max-age=60' }
+      }));
+      await new HttpCache({ cacheDir }).fetch('https://example.org/iiif/image1/info.json');
+
+      const client = new HttpClient({ policy: new UrlPolicy({ denyHosts: ['example.org'] }) });
+      const request = new HttpCache({ cacheDir, client }).fetch('https://example.org/iiif/image1/info.json');
+
+      await expect(request).rejects.toThrow(BlockedUrlError);
+      await expect(request).rejects.toThrow('Request to https://example.org/iiif/image1/info.json blocked');
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+  });
+});
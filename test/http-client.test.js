@@ -0,0 +1,263 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  HttpClient,
+  HttpError,
+  BlockedUrlError,
+  InvalidIIIFError,
+  NetworkError,
+  NotFoundError,
+  ResponseTooLargeError,
+  TimeoutError,
+  UnauthorizedError,
+  createHttpError,
+  findRequestError
+} from '../server/http-client.js';
+import { BLOCKED_ADDRESS_CODE, UrlPolicy } from '../server/url-policy.js';
+import { HostScheduler } from '../server/host-scheduler.js';
+
+// Mock node-fetch
+vi.mock('node-fetch', () => ({
+  default: vi.fn()
+}));
+
+function mockResponse(body, { status = 200, statusText = 'OK', headers = {} } = {}) {
+  const lowerCaseHeaders = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText,
+    headers: { get: (name) => lowerCaseHeaders[name.toLowerCase()] ?? null },
+    text: () => Promise.resolve(body),
+    json: () => Promise.resolve().then(() => JSON.parse(body)),
+    arrayBuffer: () => Promise.resolve(Buffer.from(body))
+  };
+}
+
+function fetchError(message, type) {
+  const error = new Error(message);
+  error.name = 'FetchError';
+  error.type = type;
+  return error;
+}
+
+describe('HttpClient', () => {
+  let fetchMock;
+  let client;
+
+  beforeEach(async () => {
+    fetchMock = (await vi.importMock('node-fetch')).default;
+    fetchMock.mockReset();
+    client = new HttpClient({ retryDelay: 1 });
+  });
+
+  it('should pass headers, an abort signal, the size limit and the checking agent to fetch', async () => {
+    fetchMock.mockResolvedValue(mockResponse('{"width":100}'));
+
+    const response = await client.fetch('https://example.org/info.json', { headers: { Accept: 'application/json' } });
+
+    expect(await response.json()).toEqual({ width: 100 });
+    expect(fetchMock).toHaveBeenCalledWith('https://example.org/info.json', {
+      headers: { Accept: 'application/json' },
+      signal: expect.any(AbortSignal),
+      size: 50 * 1024 * 1024,
+      agent: expect.any(Function),
+      redirect: 'manual'
+    });
+  });
+
+  it('should retry server errors and rate limiting', async () => {
+    fetchMock
+      .mockResolvedValueOnce(mockResponse('', { status: 503, statusText: 'Service Unavailable' }))
+      .mockResolvedValueOnce(mockResponse('', { status: 429, statusText: 'Too Many Requests', headers: { 'Retry-After': '0' } }))
+      .mockResolvedValueOnce(mockResponse('done'));
+
+    const response = await client.fetch('https://example.org/image.jpg');
+
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    expect(response.status).toBe(200);
+    expect(await response.text()).toBe('done');
+  });
+
+  it('should return the last response when the retries are used up', async () => {
+    fetchMock.mockResolvedValue(mockResponse('', { status: 502, statusText: 'Bad Gateway' }));
+
+    const response = await new HttpClient({ retries: 1, retryDelay: 1 }).fetch('https://example.org/image.jpg');
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(response.status).toBe(502);
+  });
+
+  it('should not retry when Retry-After asks to wait longer than maxRetryDelay', async () => {
+    fetchMock.mockResolvedValue(mockResponse('', { status: 429, statusText: 'Too Many Requests', headers: { 'Retry-After': '3600' } }));
+
+    const response = await client.fetch('https://example.org/image.jpg');
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(response.status).toBe(429);
+  });
+
+  it('should not retry client errors', async () => {
+    fetchMock.mockResolvedValue(mockResponse('', { status: 404, statusText: 'Not Found' }));
+
+    const response = await client.fetch('https://example.org/missing.json');
+
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(response.ok).toBe(false);
+  });
+
+  it('should retry network failures and then throw a NetworkError', async () => {
+    fetchMock.mockRejectedValue(fetchError('getaddrinfo ENOTFOUND example.invalid', 'system'));
+
+    const error = await client.fetch('https://example.invalid/info.json').catch(e => e);
+
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error.url).toBe('https://example.invalid/info.json');
+  });
+
+  it('should throw a TimeoutError when the server does not respond in time', async () => {
+    fetchMock.mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => {
+        const error = new Error('The operation was aborted.');
+        error.name = 'AbortError';
+        reject(error);
+      });
+    }));
+
+    const error = await new HttpClient({ timeout: 10 }).fetch('https://example.org/slow.json').catch(e => e);
+
+    expect(error).toBeInstanceOf(TimeoutError);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject responses larger than the maximum response size', async () => {
+    fetchMock.mockResolvedValueOnce(mockResponse('', { headers: { 'Content-Length': '2048' } }));
+
+    await expect(new HttpClient({ maxResponseSize: 1024 }).fetch('https://example.org/big.jpg'))
+      .rejects.toBeInstanceOf(ResponseTooLargeError);
+
+    // Without a Content-Length, node-fetch stops reading at the size limit
+    fetchMock.mockResolvedValueOnce({
+      ...mockResponse(''),
+      arrayBuffer: () => Promise.reject(fetchError('content size over limit: 1024', 'max-size'))
+    });
+    const response = await new HttpClient({ maxResponseSize: 1024 }).fetch('https://example.org/big.jpg');
+
+    await expect(response.arrayBuffer()).rejects.toBeInstanceOf(ResponseTooLargeError);
+  });
+
+  it('should throw an InvalidIIIFError for invalid JSON', async () => {
+    fetchMock.mockResolvedValue(mockResponse('<html>'));
+
+    const response = await client.fetch('https://example.org/manifest.json');
+
+    await expect(response.json()).rejects.toBeInstanceOf(InvalidIIIFError);
+  });
+
+  it('should block URLs refused by the policy without fetching them', async () => {
+    const error = await client.fetch('http://169.254.169.254/latest/meta-data/').catch(e => e);
+
+    expect(error).toBeInstanceOf(BlockedUrlError);
+    expect(error.message).toBe('Request to http://169.254.169.254/latest/meta-data/ blocked: Address 169.254.169.254 is in a private, loopback or link-local network');
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('should turn lookups refused by the policy into a BlockedUrlError without retrying', async () => {
+    const error = fetchError('request to http://internal.example.org/ failed, reason: internal.example.org resolves to a blocked address', 'system');
+    error.code = BLOCKED_ADDRESS_CODE;
+    fetchMock.mockRejectedValue(error);
+
+    const blocked = await client.fetch('http://internal.example.org/').catch(e => e);
+
+    expect(blocked).toBeInstanceOf(BlockedUrlError);
+    expect(blocked.message).toBe('Request to http://internal.example.org/ blocked: internal.example.org resolves to a blocked address');
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it('should check redirect targets against the policy', async () => {
+    fetchMock
+      .mockResolvedValueOnce(mockResponse('', { status: 302, statusText: 'Found', headers: { Location: '/iiif/manifest' } }))
+      .mockResolvedValueOnce(mockResponse('{}'))
+      .mockResolvedValueOnce(mockResponse('', { status: 301, statusText: 'Moved Permanently', headers: { Location: 'http://127.0.0.1:8080/admin' } }));
+
+    const response = await client.fetch('https://example.org/manifest');
+
+    expect(response.url).toBe('https://example.org/iiif/manifest');
+    expect(fetchMock.mock.calls[1][0]).toBe('https://example.org/iiif/manifest');
+    await expect(client.fetch('https://example.org/redirect')).rejects.toBeInstanceOf(BlockedUrlError);
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  it('should not send credentials on redirects to other hosts', async () => {
+    fetchMock
+      .mockResolvedValueOnce(mockResponse('', { status: 307, statusText: 'Temporary Redirect', headers: { Location: 'https://cdn.example.net/info.json' } }))
+      .mockResolvedValueOnce(mockResponse('{}'));
+
+    await client.fetch('https://example.org/info.json', { headers: { Authorization: 'Bearer t', Accept: 'application/json' } });
+
+    expect(fetchMock.mock.calls[0][1].headers).toEqual({ Authorization: 'Bearer t', Accept: 'application/json' });
+    expect(fetchMock.mock.calls[1][1].headers).toEqual({ Accept: 'application/json' });
+  });
+
+  it('should use the configured policy', async () => {
+    fetchMock.mockResolvedValue(mockResponse('{}'));
+    client.configure({ policy: new UrlPolicy({ allowHosts: ['*.example.org'] }) });
+
+    await expect(client.fetch('https://images.example.org/info.json')).resolves.toMatchObject({ status: 200 });
+    await expect(client.fetch('https://example.net/info.json')).rejects.toThrow('Host example.net is not in the allowed hosts');
+  });
+
+  it('should hold the turn of a request for its host until its body is read', async () => {
+    fetchMock
+      .mockResolvedValueOnce(mockResponse('', { status: 404, statusText: 'Not Found' }))
+      .mockResolvedValue(mockResponse('{}'));
+    const scheduler = new HostScheduler({ maxConcurrency: 1, requestsPerSecond: 0 });
+    client.configure({ scheduler });
+
+    // Unsuccessful responses give up their turn at once
+    await client.fetch('https://example.org/missing.json');
+    const response = await client.fetch('https://example.org/info.json');
+    const waiting = client.fetch('https://example.org/other.json');
+    await vi.waitFor(() => expect(scheduler.hosts.get('example.org').queues.size).toBe(1));
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+
+    await response.json();
+    await waiting;
+
+    expect(fetchMock).toHaveBeenCalledTimes(3);
+  });
+
+  it('should reject invalid options', () => {
+    expect(() => new HttpClient({ timeout: 0 })).toThrow('Invalid HTTP client option timeout: 0');
+    expect(() => client.configure({ retries: -1 })).toThrow('Invalid HTTP client option retries: -1');
+  });
+});
+
+describe('createHttpError', () => {
+  it('should create typed errors by status', () => {
+    const url = 'https://example.org/manifest.json';
+
+    expect(createHttpError({ status: 404, statusText: 'Not Found' }, url)).toBeInstanceOf(NotFoundError);
+    expect(createHttpError({ status: 410, statusText: 'Gone' }, url)).toBeInstanceOf(NotFoundError);
+    expect(createHttpError({ status: 401, statusText: 'Unauthorized' }, url)).toBeInstanceOf(UnauthorizedError);
+    expect(createHttpError({ status: 403, statusText: 'Forbidden' }, url)).toBeInstanceOf(UnauthorizedError);
+
+    const error = createHttpError({ status: 500, statusText: 'Internal Server Error' }, url);
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error).not.toBeInstanceOf(NotFoundError);
+    expect(error).toMatchObject({ name: 'HttpError', message: 'HTTP 500: Internal Server Error', url, status: 500 });
+  });
+});
+
+describe('findRequestError', () => {
+  it('should find request errors among the causes of an error', () => {
+    const notFound = new NotFoundError('HTTP 404: Not Found');
+    const wrapped = new Error('Failed to fetch IIIF manifest: HTTP 404: Not Found', { cause: notFound });
+
+    expect(findRequestError(wrapped)).toBe(notFound);
+    expect(findRequestError(notFound)).toBe(notFound);
+    expect(findRequestError(new Error('URL parameter is required'))).toBeNull();
+  });
+});
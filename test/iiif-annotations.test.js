@@ -0,0 +1,271 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  fetchCanvasAnnotations,
+  formatCanvasAnnotations,
+  parseAnnotation,
+  parseTarget,
+  stripHtml,
+  svgBoundingBox
+} from '../server/iiif-annotations.js';
+
+// Mock node-fetch
+vi.mock('node-fetch', () => ({
+  default: vi.fn()
+}));
+
+const v3Canvas = {
+  "id": "https://example.org/iiif/book1/canvas/p1",
+  "type": "Canvas",
+  "label": { "en": ["f. 1r"] },
+  "width": 2000,
+  "height": 1000,
+  "annotations": [
+    {
+      "id": "https://example.org/iiif/book1/page/p1/annotations",
+      "type": "AnnotationPage",
+      "items": [
+        {
+          "id": "https://example.org/iiif/book1/annotation/line1",
+          "type": "Annotation",
+          "motivation": "supplementing",
+          "body": { "type": "TextualBody", "value": "In principio erat verbum", "language": "la", "format": "text/plain" },
+          "target": "https://example.org/iiif/book1/canvas/p1#xywh=200,100,1000,50"
+        },
+        {
+          "id": "https://example.org/iiif/book1/annotation/comment1",
+          "type": "Annotation",
+          "motivation": ["commenting", "tagging"],
+          "body": [
+            { "type": "TextualBody", "value": "<p>Decorated <b>initial</b></p><p>Gold &amp; blue</p>", "format": "text/html" },
+            { "type": "TextualBody", "value": "initial", "purpose": "tagging" }
+          ],
+          "target": {
+            "type": "SpecificResource",
+            "source": { "id": "https://example.org/iiif/book1/canvas/p1", "type": "Canvas" },
+            "selector": { "type": "SvgSelector", "value": "<svg xmlns='http://www.w3.org/2000/svg'><path d='M100,100 l100,0 l0,200 z'/></svg>" }
+          }
+        }
+      ]
+    },
+    {
+      "id": "https://example.org/iiif/book1/page/p1/external",
+      "type": "AnnotationPage"
+    }
+  ]
+};
+
+const v2Canvas = {
+  "@id": "https://example.org/iiif/book2/canvas/p1",
+  "@type": "sc:Canvas",
+  "label": "p. 1",
+  "width": 1000,
+  "height": 1000,
+  "otherContent": [
+    {
+      "@id": "https://example.org/iiif/book2/list/p1",
+      "@type": "sc:AnnotationList"
+    }
+  ]
+};
+
+const v2List = {
+  "@context": "http://iiif.io/api/presentation/2/context.json",
+  "@id": "https://example.org/iiif/book2/list/p1",
+  "@type": "sc:AnnotationList",
+  "resources": [
+    {
+      "@type": "oa:Annotation",
+      "motivation": "sc:painting",
+      "resource": { "@type": "cnt:ContentAsText", "chars": "Chapter One", "format": "text/plain" },
+      "on": "https://example.org/iiif/book2/canvas/p1#xywh=100,100,500,100"
+    },
+    {
+      "@type": "oa:Annotation",
+      "motivation": ["oa:commenting", "oa:tagging"],
+      "resource": [
+        { "@type": "dctypes:Text", "chars": "<p>Marginal note</p>", "format": "text/html" },
+        { "@type": "oa:Tag", "chars": "marginalia" }
+      ],
+      "on": {
+        "@type": "oa:SpecificResource",
+        "full": "https://example.org/iiif/book2/canvas/p1",
+        "selector": {
+          "@type": "oa:Choice",
+          "default": { "@type": "oa:FragmentSelector", "value": "xywh=800,0,200,1000" },
+          "item": { "@type": "oa:SvgSelector", "value": "<svg><rect x='800' y='0' width='200' height='1000'/></svg>" }
+        }
+      }
+    },
+    {
+      "@type": "oa:Annotation",
+      "motivation": "sc:painting",
+      "resource": { "@type": "cnt:ContentAsText", "chars": "Other page" },
+      "on": "https://example.org/iiif/book2/canvas/p2#xywh=0,0,10,10"
+    }
+  ]
+};
+
+function mockDocuments(fetchMock, documents) {
+  fetchMock.mockImplementation((url) => {
+    const document = documents[url];
+    if (!document) {
+      return Promise.resolve({ ok: false, status: 404, statusText: 'Not Found' });
+    }
+    return Promise.resolve({
+      ok: true,
+      headers: { get: () => 'application/json' },
+      text: () => Promise.resolve(JSON.stringify(document))
+    });
+  });
+}
+
+describe('iiif-annotations', () => {
+  describe('stripHtml', () => {
+    it('should reduce HTML to text with line breaks', () => {
+      expect(stripHtml('<p>Decorated <b>initial</b></p><p>Gold &amp; blue&nbsp;&#8212; &lt;i&gt;</p>'))
+        .toBe('Decorated initial\nGold & blue — <i>');
+    });
+  });
+
+  describe('svgBoundingBox', () => {
+    it('should handle absolute and relative path commands', () => {
+      expect(svgBoundingBox("<svg><path d='M100,100 l100,0 l0,200 z'/></svg>"))
+        .toEqual({ x: 100, y: 100, width: 100, height: 200 });
+      expect(svgBoundingBox('<svg><path d="M10 20H50V80C60 90 70 90 80 80"/></svg>'))
+        .toEqual({ x: 10, y: 20, width: 70, height: 70 });
+    });
+
+    it('should combine several shapes', () => {
+      const svg = '<svg><rect x="10" y="10" width="20" height="20"/><circle cx="100" cy="100" r="10"/>' +
+        '<polygon points="50,0 60,5 55,15"/></svg>';
+
+      expect(svgBoundingBox(svg)).toEqual({ x: 10, y: 0, width: 100, height: 110 });
+    });
+
+    it('should return null without shapes', () => {
+      expect(svgBoundingBox('<svg></svg>')).toBeNull();
+    });
+  });
+
+  describe('parseTarget', () => {
+    it('should parse xywh fragments into pct: regions', () => {
+      expect(parseTarget('https://example.org/canvas/p1#xywh=200,100,1000,50', v3Canvas)).toEqual({
+        source: 'https://example.org/canvas/p1',
+        region: 'pct:10,10,50,5'
+      });
+      expect(parseTarget('https://example.org/canvas/p1#xywh=percent:5,5,20,20', v3Canvas).region).toBe('pct:5,5,20,20');
+    });
+
+    it('should clip regions to the canvas', () => {
+      expect(parseTarget('https://example.org/canvas/p1#xywh=1800,900,400,400', v3Canvas).region).toBe('pct:90,90,10,10');
+    });
+
+    it('should treat a target without a fragment as the whole canvas', () => {
+      expect(parseTarget('https://example.org/canvas/p1', v3Canvas)).toEqual({
+        source: 'https://example.org/canvas/p1',
+        region: null
+      });
+    });
+
+    it('should parse fragment selectors on specific resources', () => {
+      const target = {
+        "type": "SpecificResource",
+        "source": "https://example.org/canvas/p1",
+        "selector": [{ "type": "FragmentSelector", "value": "xywh=0,0,1000,500" }]
+      };
+
+      expect(parseTarget(target, v3Canvas).region).toBe('pct:0,0,50,50');
+    });
+  });
+
+  describe('parseAnnotation', () => {
+    it('should parse W3C textual bodies and SVG targets', () => {
+      const annotation = parseAnnotation(v3Canvas.annotations[0].items[1], v3Canvas);
+
+      expect(annotation.motivation).toEqual(['commenting', 'tagging']);
+      expect(annotation.text).toBe('Decorated initial\nGold & blue');
+      expect(annotation.tags).toEqual(['initial']);
+      expect(annotation.region).toBe('pct:5,10,5,20');
+      expect(annotation.targetsCanvas).toBe(true);
+    });
+
+    it('should parse Open Annotation resources and choice selectors', () => {
+      const annotation = parseAnnotation(v2List.resources[1], v2Canvas);
+
+      expect(annotation.motivation).toEqual(['commenting', 'tagging']);
+      expect(annotation.text).toBe('Marginal note');
+      expect(annotation.tags).toEqual(['marginalia']);
+      expect(annotation.region).toBe('pct:80,0,20,100');
+    });
+
+    it('should report links for bodies without text', () => {
+      const annotation = parseAnnotation({
+        "type": "Annotation",
+        "motivation": "linking",
+        "body": { "id": "https://example.org/essay", "type": "Text" },
+        "target": v3Canvas.id
+      }, v3Canvas);
+
+      expect(annotation.text).toBe('');
+      expect(annotation.bodies).toEqual([{ type: 'link', value: 'https://example.org/essay', label: undefined, purpose: undefined }]);
+      expect(annotation.region).toBeNull();
+    });
+  });
+
+  describe('fetchCanvasAnnotations', () => {
+    let fetchMock;
+
+    beforeEach(async () => {
+      fetchMock = (await vi.importMock('node-fetch')).default;
+      fetchMock.mockReset();
+    });
+
+    it('should read embedded pages and report external pages that fail', async () => {
+      mockDocuments(fetchMock, {});
+
+      const { pages, annotations } = await fetchCanvasAnnotations(v3Canvas);
+
+      expect(annotations.map(annotation => annotation.id)).toEqual([
+        'https://example.org/iiif/book1/annotation/line1',
+        'https://example.org/iiif/book1/annotation/comment1'
+      ]);
+      expect(pages).toEqual([
+        { id: 'https://example.org/iiif/book1/page/p1/annotations', embedded: true, count: 2 },
+        { id: 'https://example.org/iiif/book1/page/p1/external', embedded: false, error: 'HTTP 404: Not Found' }
+      ]);
+    });
+
+    it('should fetch v2 annotation lists and skip annotations on other canvases', async () => {
+      mockDocuments(fetchMock, { [v2List["@id"]]: v2List });
+
+      const { pages, annotations } = await fetchCanvasAnnotations(v2Canvas);
+
+      expect(pages).toEqual([{ id: v2List["@id"], embedded: false, count: 2 }]);
+      expect(annotations.map(annotation => annotation.text)).toEqual(['Chapter One', 'Marginal note']);
+      expect(annotations[0].region).toBe('pct:10,10,50,10');
+    });
+  });
+
+  describe('formatCanvasAnnotations', () => {
+    it('should list annotations with their regions', async () => {
+      const fetchMock = (await vi.importMock('node-fetch')).default;
+      mockDocuments(fetchMock, {});
+      const { pages, annotations } = await fetchCanvasAnnotations(v3Canvas);
+
+      const text = formatCanvasAnnotations({
+        index: 0,
+        canvas: v3Canvas,
+        serviceUri: 'https://example.org/iiif/book1-page1',
+        pages,
+        annotations
+      });
+
+      expect(text).toContain('Canvas 0 (f. 1r): https://example.org/iiif/book1/canvas/p1');
+      expect(text).toContain('Image service: https://example.org/iiif/book1-page1');
+      expect(text).toContain('Annotations: 2 from 2 annotation pages');
+      expect(text).toContain('Could not fetch annotation page https://example.org/iiif/book1/page/p1/external: HTTP 404: Not Found');
+      expect(text).toContain('0 | supplementing | pct:10,10,50,5 | In principio erat verbum');
+      expect(text).toContain('1 | commenting, tagging | pct:5,10,5,20 | Decorated initial / Gold & blue [tags: initial]');
+    });
+  });
+});
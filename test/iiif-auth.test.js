@@ -0,0 +1,195 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { AuthManager, detectAuthServices, describeDegradedAccess, probeAuthService } from '../server/iiif-auth.js';
+
+// Mock node-fetch
+vi.mock('node-fetch', () => ({
+  default: vi.fn()
+}));
+
+const auth1Info = {
+  "@context": "http://iiif.io/api/image/2/context.json",
+  "@id": "https://images.example.org/iiif/secret",
+  "width": 1000,
+  "height": 1000,
+  "service": {
+    "@context": "http://iiif.io/api/auth/1/context.json",
+    "@id": "https://images.example.org/auth/login",
+    "profile": "http://iiif.io/api/auth/1/login",
+    "label": "Login to Example Institution",
+    "service": [
+      { "@id": "https://images.example.org/auth/token", "profile": "http://iiif.io/api/auth/1/token" },
+      { "@id": "https://images.example.org/auth/logout", "profile": "http://iiif.io/api/auth/1/logout" }
+    ]
+  }
+};
+
+const auth2Info = {
+  "@context": "http://iiif.io/api/image/3/context.json",
+  "id": "https://images.example.org/iiif/secret3",
+  "type": "ImageService3",
+  "width": 1000,
+  "height": 1000,
+  "service": [
+    {
+      "id": "https://images.example.org/auth/probe/secret3",
+      "type": "AuthProbeService2",
+      "service": [
+        {
+          "id": "https://images.example.org/auth/access",
+          "type": "AuthAccessService2",
+          "profile": "active",
+          "label": { "en": ["Staff login"] },
+          "service": [
+            { "id": "https://images.example.org/auth/access/token", "type": "AuthAccessTokenService2" }
+          ]
+        }
+      ]
+    }
+  ]
+};
+
+function jsonResponse(body, status = 200) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 200 ? 'OK' : 'Unauthorized',
+    text: () => Promise.resolve(JSON.stringify(body))
+  };
+}
+
+describe('iiif-auth', () => {
+  let fetchMock;
+
+  beforeEach(async () => {
+    fetchMock = (await vi.importMock('node-fetch')).default;
+    fetchMock.mockReset();
+  });
+
+  describe('detectAuthServices', () => {
+    it('should detect Auth 1.0 services', () => {
+      expect(detectAuthServices(auth1Info)).toEqual({
+        version: 1,
+        profile: 'login',
+        label: 'Login to Example Institution',
+        accessServiceId: 'https://images.example.org/auth/login',
+        tokenServiceId: 'https://images.example.org/auth/token'
+      });
+    });
+
+    it('should detect Auth 2.0 services', () => {
+      expect(detectAuthServices(auth2Info)).toEqual({
+        version: 2,
+        probeServiceId: 'https://images.example.org/auth/probe/secret3',
+        profile: 'active',
+        label: 'Staff login',
+        accessServiceId: 'https://images.example.org/auth/access',
+        tokenServiceId: 'https://images.example.org/auth/access/token'
+      });
+    });
+
+    it('should ignore other services', () => {
+      const info = {
+        service: [{ "profile": "http://iiif.io/api/annex/services/physdim", "physicalScale": 0.01 }]
+      };
+
+      expect(detectAuthServices(info)).toBeNull();
+    });
+  });
+
+  describe('describeDegradedAccess', () => {
+    it('should name the service and host', () => {
+      const message = describeDegradedAccess(detectAuthServices(auth1Info), 'images.example.org');
+
+      expect(message).toContain('IIIF Authentication API 1.0 (login access service ("Login to Example Institution"))');
+      expect(message).toContain('Credentials for images.example.org');
+    });
+  });
+
+  describe('AuthManager', () => {
+    const manager = new AuthManager({
+      hosts: {
+        "images.example.org": { "cookie": "session=abc" },
+        "*.example.edu": { "token": "edu-token" }
+      }
+    });
+
+    it('should match hosts exactly and by wildcard', () => {
+      expect(manager.getCredentials('https://images.example.org/iiif/a/info.json')).toEqual({ cookie: 'session=abc' });
+      expect(manager.getCredentials('https://iiif.library.example.edu/a')).toEqual({ token: 'edu-token' });
+      expect(manager.getCredentials('https://example.com/a')).toBeUndefined();
+    });
+
+    it('should build cookie and bearer headers', () => {
+      expect(manager.getRequestHeaders('https://images.example.org/a', 'fresh-token')).toEqual({
+        Cookie: 'session=abc',
+        Authorization: 'Bearer fresh-token'
+      });
+      expect(manager.getRequestHeaders('https://iiif.example.edu/a')).toEqual({ Authorization: 'Bearer edu-token' });
+      expect(manager.getRequestHeaders('https://example.com/a')).toEqual({});
+    });
+
+    it('should use a configured token directly', async () => {
+      const token = await manager.getAccessToken('https://iiif.example.edu/a/info.json', detectAuthServices(auth1Info));
+
+      expect(token).toBe('edu-token');
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('should request a token from the advertised token service with the cookie', async () => {
+      const tokenManager = new AuthManager({ hosts: { "images.example.org": { "cookie": "session=abc" } } });
+      fetchMock.mockResolvedValue(jsonResponse({ accessToken: 'issued', expiresIn: 3600 }));
+
+      const first = await tokenManager.getAccessToken('https://images.example.org/iiif/secret/info.json', detectAuthServices(auth1Info));
+      const second = await tokenManager.getAccessToken('https://images.example.org/iiif/secret/info.json', detectAuthServices(auth1Info));
+
+      expect(first).toBe('issued');
+      expect(second).toBe('issued');
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+      expect(fetchMock).toHaveBeenCalledWith('https://images.example.org/auth/token', expect.objectContaining({
+        headers: { Cookie: 'session=abc' }
+      }));
+    });
+
+    it('should prefer a configured token service stand-in', async () => {
+      const tokenManager = new AuthManager({
+        hosts: {
+          "images.example.org": { "cookie": "session=abc", "tokenService": "https://tokens.example.org/issue" }
+        }
+      });
+      fetchMock.mockResolvedValue(jsonResponse({ accessToken: 'stand-in' }));
+
+      const token = await tokenManager.getAccessToken('https://images.example.org/iiif/secret3/info.json', detectAuthServices(auth2Info));
+
+      expect(token).toBe('stand-in');
+      expect(fetchMock.mock.calls[0][0]).toBe('https://tokens.example.org/issue?messageId=1&origin=https%3A%2F%2Fimages.example.org');
+    });
+
+    it('should return null when the token service refuses', async () => {
+      const tokenManager = new AuthManager({ hosts: { "images.example.org": { "cookie": "expired" } } });
+      fetchMock.mockResolvedValue(jsonResponse({ error: 'missingCredentials' }, 401));
+
+      const token = await tokenManager.getAccessToken('https://images.example.org/iiif/secret/info.json', detectAuthServices(auth1Info));
+
+      expect(token).toBeNull();
+    });
+  });
+
+  describe('probeAuthService', () => {
+    it('should return the probe result', async () => {
+      fetchMock.mockResolvedValue(jsonResponse({ type: 'AuthProbeResult2', status: 200 }));
+
+      const result = await probeAuthService('https://images.example.org/auth/probe/secret3', { Authorization: 'Bearer t' });
+
+      expect(result.status).toBe(200);
+      expect(fetchMock).toHaveBeenCalledWith('https://images.example.org/auth/probe/secret3', expect.objectContaining({
+        headers: { Authorization: 'Bearer t' }
+      }));
+    });
+
+    it('should report HTTP errors as the probe status', async () => {
+      fetchMock.mockResolvedValue({ ok: false, status: 401, statusText: 'Unauthorized' });
+
+      expect(await probeAuthService('https://images.example.org/auth/probe/secret3')).toEqual({ status: 401 });
+    });
+  });
+});
@@ -0,0 +1,193 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  browseCollection,
+  formatCollectionListing,
+  getCollectionMembers,
+  validateCollectionStructure
+} from '../server/iiif-collection.js';
+
+// Mock node-fetch
+vi.mock('node-fetch', () => ({
+  default: vi.fn()
+}));
+
+const v3Collection = {
+  "@context": "http://iiif.io/api/presentation/3/context.json",
+  "id": "https://example.org/iiif/collection/top",
+  "type": "Collection",
+  "label": { "en": ["Top Collection"] },
+  "items": [
+    {
+      "id": "https://example.org/iiif/collection/maps",
+      "type": "Collection",
+      "label": { "en": ["Maps"] }
+    },
+    {
+      "id": "https://example.org/iiif/book1/manifest",
+      "type": "Manifest",
+      "label": { "en": ["Book 1"] }
+    }
+  ]
+};
+
+const v2Collection = {
+  "@context": "http://iiif.io/api/presentation/2/context.json",
+  "@id": "https://example.org/iiif/collection/v2",
+  "@type": "sc:Collection",
+  "label": "Version 2 Collection",
+  "within": "https://example.org/iiif/collection/top",
+  "collections": [
+    { "@id": "https://example.org/iiif/collection/letters", "@type": "sc:Collection", "label": "Letters" }
+  ],
+  "manifests": [
+    { "@id": "https://example.org/iiif/book2/manifest", "@type": "sc:Manifest", "label": "Book 2" }
+  ]
+};
+
+const pagedCollection = {
+  "@context": "http://iiif.io/api/presentation/2/context.json",
+  "@id": "https://example.org/iiif/collection/paged",
+  "@type": "sc:Collection",
+  "label": "Paged Collection",
+  "total": 3,
+  "first": "https://example.org/iiif/collection/paged/page1"
+};
+
+const pagedCollectionPage = {
+  "@context": "http://iiif.io/api/presentation/2/context.json",
+  "@id": "https://example.org/iiif/collection/paged/page1",
+  "@type": "sc:Collection",
+  "within": "https://example.org/iiif/collection/paged",
+  "next": "https://example.org/iiif/collection/paged/page2",
+  "manifests": [
+    { "@id": "https://example.org/iiif/m1/manifest", "@type": "sc:Manifest", "label": "M1" },
+    { "@id": "https://example.org/iiif/m2/manifest", "@type": "sc:Manifest", "label": "M2" }
+  ]
+};
+
+function mockDocuments(fetchMock, documents) {
+  fetchMock.mockImplementation((url) => {
+    const document = documents[url];
+    if (!document) {
+      return Promise.resolve({ ok: false, status: 404, statusText: 'Not Found' });
+    }
+    return Promise.resolve({
+      ok: true,
+      headers: { get: () => 'application/json' },
+      text: () => Promise.resolve(JSON.stringify(document))
+    });
+  });
+}
+
+describe('iiif-collection', () => {
+  describe('validateCollectionStructure', () => {
+    it('should accept v2 and v3 collections', () => {
+      expect(() => validateCollectionStructure(v2Collection)).not.toThrow();
+      expect(() => validateCollectionStructure(v3Collection)).not.toThrow();
+    });
+
+    it('should reject manifests', () => {
+      const manifest = { ...v3Collection, type: 'Manifest' };
+
+      expect(() => validateCollectionStructure(manifest))
+        .toThrow("Invalid IIIF collection: must have @type of 'sc:Collection' or type of 'Collection'");
+    });
+  });
+
+  describe('getCollectionMembers', () => {
+    it('should list v3 items', () => {
+      expect(getCollectionMembers(v3Collection)).toEqual([
+        { type: 'Collection', id: 'https://example.org/iiif/collection/maps', label: 'Maps' },
+        { type: 'Manifest', id: 'https://example.org/iiif/book1/manifest', label: 'Book 1' }
+      ]);
+    });
+
+    it('should list v2 collections before manifests', () => {
+      expect(getCollectionMembers(v2Collection)).toEqual([
+        { type: 'Collection', id: 'https://example.org/iiif/collection/letters', label: 'Letters' },
+        { type: 'Manifest', id: 'https://example.org/iiif/book2/manifest', label: 'Book 2' }
+      ]);
+    });
+
+    it('should list v2 members in order', () => {
+      const collection = {
+        members: [
+          { "@id": "https://example.org/m", "@type": "sc:Manifest", "label": "M" },
+          { "@id": "https://example.org/c", "@type": "sc:Collection", "label": "C" }
+        ]
+      };
+
+      expect(getCollectionMembers(collection).map(member => member.type)).toEqual(['Manifest', 'Collection']);
+    });
+  });
+
+  describe('browseCollection', () => {
+    let fetchMock;
+
+    beforeEach(async () => {
+      fetchMock = (await vi.importMock('node-fetch')).default;
+      fetchMock.mockReset();
+    });
+
+    it('should list a collection with offset and limit', async () => {
+      mockDocuments(fetchMock, { [v3Collection.id]: v3Collection });
+
+      const listing = await browseCollection(v3Collection.id, { offset: 1, limit: 1 });
+
+      expect(listing.label).toBe('Top Collection');
+      expect(listing.version).toBe(3);
+      expect(listing.memberCount).toBe(2);
+      expect(listing.members).toEqual([
+        { index: 1, type: 'Manifest', id: 'https://example.org/iiif/book1/manifest', label: 'Book 1' }
+      ]);
+    });
+
+    it('should follow first to list a paged v2 collection', async () => {
+      mockDocuments(fetchMock, {
+        [pagedCollection["@id"]]: pagedCollection,
+        [pagedCollectionPage["@id"]]: pagedCollectionPage
+      });
+
+      const listing = await browseCollection(pagedCollection["@id"]);
+
+      expect(listing.total).toBe(3);
+      expect(listing.pageId).toBe('https://example.org/iiif/collection/paged/page1');
+      expect(listing.nextPage).toBe('https://example.org/iiif/collection/paged/page2');
+      expect(listing.members.map(member => member.label)).toEqual(['M1', 'M2']);
+    });
+  });
+
+  describe('formatCollectionListing', () => {
+    it('should format members and paging hints', () => {
+      const text = formatCollectionListing({
+        id: 'https://example.org/iiif/collection/v2',
+        label: 'Version 2 Collection',
+        version: 2,
+        parent: 'https://example.org/iiif/collection/top',
+        offset: 0,
+        memberCount: 3,
+        nextPage: 'https://example.org/iiif/collection/v2/page2',
+        members: [
+          { index: 0, type: 'Collection', id: 'https://example.org/iiif/collection/letters', label: 'Letters' },
+          { index: 1, type: 'Manifest', id: 'https://example.org/iiif/book2/manifest', label: 'Book 2' }
+        ]
+      });
+
+      expect(text).toBe([
+        'Collection: Version 2 Collection',
+        'Id: https://example.org/iiif/collection/v2',
+        'Presentation API: v2',
+        'Part of: https://example.org/iiif/collection/top',
+        'Showing 1-2 of 3 members',
+        '',
+        'index | type | label | id',
+        '0 | Collection | Letters | https://example.org/iiif/collection/letters',
+        '1 | Manifest | Book 2 | https://example.org/iiif/book2/manifest',
+        '',
+        'More members: call again with offset 2',
+        '',
+        'Next page: https://example.org/iiif/collection/v2/page2'
+      ].join('\n'));
+    });
+  });
+});
@@ -1,5 +1,7 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { IIIFImageHandler } from '../server/iiif-image-handler.js';
+import { IIIFImageHandler, parseImageApiUrl } from '../server/iiif-image-handler.js';
+import { HttpCache } from '../server/http-cache.js';
+import { AuthManager } from '../server/iiif-auth.js';
 
 // Mock node-fetch
 vi.mock('node-fetch', () => ({
@@ -62,6 +64,28 @@ describe('IIIFImageHandler', () => {
       expect(result.height).toBe(1);
     });
 
+    it('should use the pixel region dimensions', () => {
+      const parsedRegion = { type: 'pixel', x: 100, y: 200, width: 800, height: 600 };
+
+      const result = handler.calculateRegionDimensions(parsedRegion, 5040, 7520);
+
+      expect(result).toEqual({ width: 800, height: 600 });
+    });
+
+    it('should crop pixel regions extending beyond the image', () => {
+      const parsedRegion = { type: 'pixel', x: 900, y: 700, width: 800, height: 600 };
+
+      const result = handler.calculateRegionDimensions(parsedRegion, 1000, 1000);
+
+      expect(result).toEqual({ width: 100, height: 300 });
+    });
+
+    it('should use the shorter side for square regions', () => {
+      const result = handler.calculateRegionDimensions({ type: 'square' }, 5040, 7520);
+
+      expect(result).toEqual({ width: 5040, height: 5040 });
+    });
+
     it('should calculate correct dimensions for pct:30,30,10,10 region on 1000x1000 image', () => {
       const parsedRegion = { type: 'pct', x: 30, y: 30, width: 10, height: 10 };
       const imageWidth = 1000;
@@ -75,6 +99,68 @@ describe('IIIFImageHandler', () => {
     });
   });
 
+  describe('parseRegion', () => {
+    it('should parse full and square regions', () => {
+      expect(handler.parseRegion('full')).toEqual({ type: 'full' });
+      expect(handler.parseRegion(undefined)).toEqual({ type: 'full' });
+      expect(handler.parseRegion('square')).toEqual({ type: 'square' });
+    });
+
+    it('should parse percentage regions', () => {
+      expect(handler.parseRegion('pct:10,20,30,40')).toEqual({ type: 'pct', x: 10, y: 20, width: 30, height: 40 });
+    });
+
+    it('should parse pixel regions', () => {
+      expect(handler.parseRegion('100,200,800,600')).toEqual({ type: 'pixel', x: 100, y: 200, width: 800, height: 600 });
+    });
+
+    it('should reject pixel regions with non-integer values', () => {
+      expect(() => handler.parseRegion('100.5,200,800,600')).toThrow('Invalid pixel region format');
+      expect(() => handler.parseRegion('100,200,800')).toThrow('Invalid pixel region format');
+    });
+
+    it('should reject pixel regions with zero width or height', () => {
+      expect(() => handler.parseRegion('100,200,0,600')).toThrow('width/height must be positive');
+    });
+
+    it('should reject unknown region forms', () => {
+      expect(() => handler.parseRegion('top-left')).toThrow('Region must be "full", "square"');
+    });
+
+    it('should reject percentage regions beyond the image', () => {
+      expect(() => handler.parseRegion('pct:50,50,60,10')).toThrow('Region extends beyond image boundaries');
+    });
+  });
+
+  describe('validateRegion', () => {
+    it('should reject pixel regions starting outside the image', () => {
+      const parsedRegion = { type: 'pixel', x: 1000, y: 0, width: 10, height: 10 };
+
+      expect(() => handler.validateRegion(parsedRegion, 1000, 800)).toThrow('lies outside the image (1000x800 pixels)');
+    });
+
+    it('should accept pixel regions inside the image', () => {
+      const parsedRegion = { type: 'pixel', x: 999, y: 799, width: 10, height: 10 };
+
+      expect(() => handler.validateRegion(parsedRegion, 1000, 800)).not.toThrow();
+    });
+  });
+
+  describe('convertRegionToPct', () => {
+    it('should convert pixel regions to percentages', () => {
+      expect(handler.convertRegionToPct('250,100,500,200', 1000, 400)).toBe('pct:25,25,50,50');
+    });
+
+    it('should convert square regions to percentages', () => {
+      expect(handler.convertRegionToPct('square', 2000, 1000)).toBe('pct:25,0,50,100');
+    });
+
+    it('should leave full and percentage regions unchanged', () => {
+      expect(handler.convertRegionToPct('full', 2000, 1000)).toBe('full');
+      expect(handler.convertRegionToPct('pct:1,2,3,4', 2000, 1000)).toBe('pct:1,2,3,4');
+    });
+  });
+
   describe('calculateConstraints', () => {
     it('should use image dimensions as default constraints', () => {
       const info = { width: 1000, height: 800 };
@@ -337,7 +423,7 @@ describe('IIIFImageHandler', () => {
       const result = await handler.generateImageRegionUrl(baseUri, region, false);
 
       // Verify the fetch was called correctly
-      expect(fetchMock).toHaveBeenCalledWith(`${baseUri}/info.json`);
+      expect(fetchMock).toHaveBeenCalledWith(`${baseUri}/info.json`, expect.objectContaining({ headers: {} }));
 
       // Verify the generated URL structure
       expect(result.imageUrl).toContain(baseUri);
@@ -370,4 +456,888 @@ describe('IIIFImageHandler', () => {
       expect(result.info.finalDimensions.height).toBe(expectedFinalHeight);
     });
   });
-});
\ No newline at end of file
+
+  describe('generateImageRegionUrl with pixel and square regions', () => {
+    let fetchMock;
+
+    const info = {
+      "@context": "http://iiif.io/api/image/3/context.json",
+      "id": "https://example.org/iiif/image1",
+      "type": "ImageService3",
+      "profile": "level2",
+      "width": 4000,
+      "height": 6000
+    };
+
+    beforeEach(async () => {
+      fetchMock = (await vi.importMock('node-fetch')).default;
+      fetchMock.mockReset();
+      fetchMock.mockResolvedValue({
+        ok: true,
+        text: () => Promise.resolve(JSON.stringify(info))
+      });
+    });
+
+    it('should request a pixel region', async () => {
+      const result = await handler.generateImageRegionUrl('https://example.org/iiif/image1', '1000,2000,500,400', false);
+
+      expect(result.imageUrl).toBe('https://example.org/iiif/image1/1000,2000,500,400/500,400/0/default.jpg');
+      expect(result.info.regionDimensions).toEqual({ width: 500, height: 400 });
+    });
+
+    it('should request a square region as pixels', async () => {
+      const result = await handler.generateImageRegionUrl('https://example.org/iiif/image1', 'square', false);
+
+      expect(result.info.regionParam).toBe('0,1000,4000,4000');
+      expect(result.info.finalDimensions).toEqual({ width: 1000, height: 1000 });
+    });
+
+    it('should reject pixel regions outside the image', async () => {
+      await expect(handler.generateImageRegionUrl('https://example.org/iiif/image1', '4000,0,10,10', false))
+        .rejects.toThrow('lies outside the image');
+    });
+  });
+
+  describe('parseImageOptions', () => {
+    it('should default to unrotated default quality JPEG', () => {
+      const result = handler.parseImageOptions({});
+
+      expect(result).toEqual({
+        rotation: { degrees: 0, mirror: false },
+        rotationParam: '0',
+        quality: 'default',
+        format: 'jpg'
+      });
+    });
+
+    it('should parse mirrored rotations', () => {
+      const result = handler.parseImageOptions({ rotation: '!90' });
+
+      expect(result.rotation).toEqual({ degrees: 90, mirror: true });
+      expect(result.rotationParam).toBe('!90');
+    });
+
+    it('should accept numeric rotations and normalize format names', () => {
+      const result = handler.parseImageOptions({ rotation: 22.5, format: 'JPEG' });
+
+      expect(result.rotationParam).toBe('22.5');
+      expect(result.format).toBe('jpg');
+    });
+
+    it('should reject invalid rotations', () => {
+      expect(() => handler.parseImageOptions({ rotation: '-90' })).toThrow('Rotation must be a number of degrees');
+      expect(() => handler.parseImageOptions({ rotation: '400' })).toThrow('Rotation must be between 0 and 360 degrees');
+    });
+  });
+
+  describe('getServiceFeatures', () => {
+    it('should combine v3 level features with extras', () => {
+      const info = {
+        profile: 'level1',
+        extraQualities: ['gray'],
+        extraFormats: ['webp'],
+        extraFeatures: ['mirroring', 'rotationArbitrary']
+      };
+
+      const result = handler.getServiceFeatures(info, true);
+
+      expect(result.level).toBe(1);
+      expect([...result.qualities]).toEqual(['default', 'gray']);
+      expect([...result.formats]).toEqual(['jpg', 'webp']);
+      expect(result.features.has('mirroring')).toBe(true);
+      expect(result.features.has('rotationBy90s')).toBe(false);
+    });
+
+    it('should read v2 profile descriptions', () => {
+      const info = {
+        profile: [
+          'http://iiif.io/api/image/2/level1.json',
+          { formats: ['png'], qualities: ['native', 'gray'], supports: ['rotationBy90s'] }
+        ]
+      };
+
+      const result = handler.getServiceFeatures(info, false);
+
+      expect(result.qualities.has('gray')).toBe(true);
+      expect(result.formats.has('png')).toBe(true);
+      expect(result.features.has('rotationBy90s')).toBe(true);
+    });
+  });
+
+  describe('validateImageOptions', () => {
+    const level2 = handler.getServiceFeatures({ profile: 'level2' }, true);
+
+    it('should accept options supported at level 2', () => {
+      const options = handler.parseImageOptions({ rotation: '270', quality: 'bitonal', format: 'png' });
+
+      expect(() => handler.validateImageOptions(options, level2)).not.toThrow();
+    });
+
+    it('should reject unsupported qualities and formats', () => {
+      expect(() => handler.validateImageOptions(handler.parseImageOptions({ quality: 'sepia' }), level2))
+        .toThrow("The image server does not support quality 'sepia' (supported: default, color, gray, bitonal)");
+      expect(() => handler.validateImageOptions(handler.parseImageOptions({ format: 'webp' }), level2))
+        .toThrow("The image server does not support format 'webp' (supported: jpg, png)");
+    });
+
+    it('should reject mirroring and arbitrary rotation unless advertised', () => {
+      expect(() => handler.validateImageOptions(handler.parseImageOptions({ rotation: '!0' }), level2))
+        .toThrow('The image server does not support mirroring');
+      expect(() => handler.validateImageOptions(handler.parseImageOptions({ rotation: '45' }), level2))
+        .toThrow('does not support rotation by arbitrary angles (45 degrees requested)');
+    });
+  });
+
+  describe('fitRotatedDimensions', () => {
+    const constraints = { maxWidth: 1000, maxHeight: 1000, maxArea: 1000000 };
+
+    it('should leave quarter turns unchanged', () => {
+      const dimensions = { targetWidth: 1000, targetHeight: 500 };
+
+      expect(handler.fitRotatedDimensions(dimensions, 90, constraints)).toBe(dimensions);
+    });
+
+    it('should shrink images so the rotated bounding box fits', () => {
+      const result = handler.fitRotatedDimensions({ targetWidth: 1000, targetHeight: 1000 }, 45, constraints);
+
+      // The bounding box of a square rotated by 45 degrees is sqrt(2) times wider
+      expect(result).toEqual({ targetWidth: 707, targetHeight: 707 });
+    });
+  });
+
+  describe('generateImageRegionUrl with image options', () => {
+    let fetchMock;
+
+    const info = {
+      "@context": "http://iiif.io/api/image/3/context.json",
+      "id": "https://example.org/iiif/image1",
+      "type": "ImageService3",
+      "profile": "level2",
+      "width": 1000,
+      "height": 800,
+      "extraFormats": ["webp"]
+    };
+
+    beforeEach(async () => {
+      fetchMock = (await vi.importMock('node-fetch')).default;
+      fetchMock.mockReset();
+      fetchMock.mockResolvedValue({
+        ok: true,
+        text: () => Promise.resolve(JSON.stringify(info))
+      });
+    });
+
+    it('should include rotation, quality and format in the URL', async () => {
+      const result = await handler.generateImageUrl('https://example.org/iiif/image1', false, {
+        rotation: '90',
+        quality: 'gray',
+        format: 'webp'
+      });
+
+      expect(result.imageUrl).toBe('https://example.org/iiif/image1/full/max/90/gray.webp');
+      expect(result.info.quality).toBe('gray');
+    });
+
+    it('should report unsupported options before fetching the image', async () => {
+      await expect(handler.generateImageUrl('https://example.org/iiif/image1', true, { format: 'tif' }))
+        .rejects.toThrow("The image server does not support format 'tif'");
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('should apply smaller per-request size limits', async () => {
+      const result = await handler.generateImageUrl('https://example.org/iiif/image1', false, {
+        maxDimension: 500,
+        maxArea: 100000
+      });
+
+      expect(result.info.constraints).toEqual({ maxWidth: 500, maxHeight: 500, maxArea: 100000 });
+      expect(result.info.finalDimensions).toEqual({ width: 353, height: 282 });
+    });
+  });
+
+  describe('parseImageApiUrl', () => {
+    it('should split v3 and v2 image request URLs into the base URI and parameters', () => {
+      expect(parseImageApiUrl('https://example.org/iiif/image1/pct:10,20,30,40/max/!90/gray.png')).toEqual({
+        baseUri: 'https://example.org/iiif/image1',
+        region: 'pct:10,20,30,40',
+        size: 'max',
+        rotation: '!90',
+        quality: 'gray',
+        format: 'png'
+      });
+      expect(parseImageApiUrl('https://example.org/iiif/2/abc%2F123/100,200,800,600/!1000,1000/0/native.jpg?download=1'))
+        .toMatchObject({ baseUri: 'https://example.org/iiif/2/abc%2F123', region: '100,200,800,600', size: '!1000,1000' });
+      expect(parseImageApiUrl('https://example.org/iiif/image1/square/^,500/0/default.webp'))
+        .toMatchObject({ region: 'square', size: '^,500', format: 'webp' });
+    });
+
+    it('should recognize info.json URLs', () => {
+      expect(parseImageApiUrl('https://example.org/iiif/image1/info.json')).toEqual({ baseUri: 'https://example.org/iiif/image1' });
+    });
+
+    it('should return null for base URIs and other URLs', () => {
+      expect(parseImageApiUrl('https://example.org/iiif/image1')).toBeNull();
+      expect(parseImageApiUrl('https://example.org/viewer?manifest=https://example.org/manifest.json')).toBeNull();
+      expect(parseImageApiUrl('https://example.org/full/max/0/default.jpg')).toBeNull();
+      expect(parseImageApiUrl('https://example.org/iiif/image1/full/max/0/default')).toBeNull();
+    });
+  });
+
+  describe('generateImageRegionUrl with image request URLs', () => {
+    let fetchMock;
+
+    beforeEach(async () => {
+      fetchMock = (await vi.importMock('node-fetch')).default;
+      fetchMock.mockReset();
+      fetchMock.mockResolvedValue({
+        ok: true,
+        text: () => Promise.resolve(JSON.stringify({
+          "@context": "http://iiif.io/api/image/3/context.json",
+          "id": "https://example.org/iiif/image1",
+          "type": "ImageService3",
+          "profile": "level2",
+          "width": 1000,
+          "height": 800
+        }))
+      });
+    });
+
+    it('should reuse the region, rotation, quality and format of the URL but not its size', async () => {
+      const result = await handler.generateImageUrl('https://example.org/iiif/image1/pct:0,0,50,50/50,/90/gray.png', false);
+
+      expect(fetchMock.mock.calls[0][0]).toBe('https://example.org/iiif/image1/info.json');
+      expect(result.imageUrl).toBe('https://example.org/iiif/image1/pct:0,0,50,50/500,400/90/gray.png');
+      expect(result.baseUri).toBe('https://example.org/iiif/image1');
+      expect(result.region).toBe('pct:0,0,50,50');
+    });
+
+    it('should prefer a region and options given separately', async () => {
+      const result = await handler.generateImageRegionUrl(
+        'https://example.org/iiif/image1/pct:0,0,50,50/max/90/gray.png', 'full', false, { quality: 'default' }
+      );
+
+      expect(result.imageUrl).toBe('https://example.org/iiif/image1/full/max/90/default.png');
+    });
+
+    it('should accept info.json URLs', async () => {
+      const result = await handler.generateImageUrl('https://example.org/iiif/image1/info.json', false);
+
+      expect(result.imageUrl).toBe('https://example.org/iiif/image1/full/max/0/default.jpg');
+    });
+  });
+
+  describe('resolveLimits', () => {
+    it('should default to the handler limits', () => {
+      expect(handler.resolveLimits()).toEqual({ maxDimension: 1500, maxArea: 1000000 });
+    });
+
+    it('should cap per-request limits at the handler limits', () => {
+      expect(handler.resolveLimits({ maxDimension: 800, maxArea: 5000000 })).toEqual({ maxDimension: 800, maxArea: 1000000 });
+    });
+
+    it('should accept any per-request area when the handler has no area limit', () => {
+      const unlimited = new IIIFImageHandler(1500, null);
+
+      expect(unlimited.resolveLimits({ maxArea: 5000000 })).toEqual({ maxDimension: 1500, maxArea: 5000000 });
+    });
+
+    it('should reject invalid limits', () => {
+      expect(() => handler.resolveLimits({ maxDimension: 0 })).toThrow('maxDimension must be a positive integer');
+      expect(() => handler.resolveLimits({ maxArea: 'large' })).toThrow('maxArea must be a positive integer');
+    });
+  });
+
+  describe('planGridRegions', () => {
+    it('should cover the image with a single tile', () => {
+      expect(handler.planGridRegions(1, 1, 0)).toEqual([{ row: 0, column: 0, region: 'pct:0,0,100,100' }]);
+    });
+
+    it('should divide the image into equal tiles without overlap', () => {
+      expect(handler.planGridRegions(2, 2, 0).map(tile => tile.region)).toEqual([
+        'pct:0,0,50,50',
+        'pct:50,0,50,50',
+        'pct:0,50,50,50',
+        'pct:50,50,50,50'
+      ]);
+    });
+
+    it('should overlap neighbouring tiles and end at the image edge', () => {
+      const regions = handler.planGridRegions(1, 3, 10);
+
+      expect(regions.map(tile => tile.region)).toEqual([
+        'pct:0,0,35.7143,100',
+        'pct:32.1429,0,35.7143,100',
+        'pct:64.2857,0,35.7143,100'
+      ]);
+      expect(regions.map(tile => tile.column)).toEqual([0, 1, 2]);
+    });
+
+    it('should not take the last tile past the image edge after rounding', () => {
+      const regions = handler.planGridRegions(1, 9, 48.5);
+
+      // Rounded separately, the start (80.4688) and size (19.5313) would add up to more than 100
+      expect(regions[8].region).toBe('pct:80.4687,0,19.5313,100');
+    });
+
+    it('should reject invalid grids', () => {
+      expect(() => handler.planGridRegions(0, 2)).toThrow('rows must be an integer between 1 and 10');
+      expect(() => handler.planGridRegions(2, 11)).toThrow('columns must be an integer between 1 and 10');
+      expect(() => handler.planGridRegions(2, 2, 50)).toThrow('overlap must be a percentage');
+    });
+  });
+
+  describe('generateImageGrid', () => {
+    let fetchMock;
+
+    beforeEach(async () => {
+      fetchMock = (await vi.importMock('node-fetch')).default;
+      fetchMock.mockReset();
+      fetchMock.mockImplementation((url) => Promise.resolve(url.endsWith('/info.json') ? {
+        ok: true,
+        text: () => Promise.resolve(JSON.stringify({
+          "@context": "http://iiif.io/api/image/3/context.json",
+          "profile": "level2",
+          "width": 8000,
+          "height": 6000
+        }))
+      } : {
+        ok: true,
+        headers: { get: () => 'image/jpeg' },
+        arrayBuffer: () => Promise.resolve(Buffer.alloc(300))
+      }));
+    });
+
+    it('should fetch every tile of the grid', async () => {
+      const grid = await handler.generateImageGrid('https://example.org/iiif/map', 2, 2, 0);
+
+      expect(grid.tiles.map(tile => tile.imageUrl)).toEqual([
+        'https://example.org/iiif/map/pct:0,0,50,50/1154,866/0/default.jpg',
+        'https://example.org/iiif/map/pct:50,0,50,50/1154,866/0/default.jpg',
+        'https://example.org/iiif/map/pct:0,50,50,50/1154,866/0/default.jpg',
+        'https://example.org/iiif/map/pct:50,50,50,50/1154,866/0/default.jpg'
+      ]);
+      expect(grid.skipped).toEqual([]);
+      expect(grid.totalBytes).toBe(1600);
+    });
+
+    it('should divide the region of an image request URL', async () => {
+      const grid = await handler.generateImageGrid('https://example.org/iiif/map/4000,0,4000,3000/max/0/default.jpg', 2, 2, 0);
+
+      expect(grid.baseUri).toBe('https://example.org/iiif/map');
+      expect(grid.region).toBe('4000,0,4000,3000');
+      expect(grid.tiles.map(tile => tile.region)).toEqual([
+        'pct:50,0,25,25',
+        'pct:75,0,25,25',
+        'pct:50,25,25,25',
+        'pct:75,25,25,25'
+      ]);
+    });
+
+    it('should leave out tiles beyond the byte cap', async () => {
+      const grid = await handler.generateImageGrid('https://example.org/iiif/map', 2, 2, 0, { maxTotalBytes: 900 });
+
+      expect(grid.tiles).toHaveLength(2);
+      expect(grid.skipped).toEqual([
+        { row: 1, column: 0, region: 'pct:0,50,50,50' },
+        { row: 1, column: 1, region: 'pct:50,50,50,50' }
+      ]);
+      expect(grid.totalBytes).toBe(800);
+      // The tiles left out are not downloaded
+      expect(fetchMock.mock.calls.filter(([url]) => !url.endsWith('/info.json'))).toHaveLength(2);
+    });
+  });
+
+  describe('generateImageComparison', () => {
+    let fetchMock;
+
+    const infos = {
+      'https://example.org/iiif/print-state1/info.json': {
+        "@context": "http://iiif.io/api/image/3/context.json",
+        "profile": "level2",
+        "width": 4000,
+        "height": 3000,
+        "service": [{
+          "@context": "http://iiif.io/api/annex/services/physdim/1/context.json",
+          "profile": "http://iiif.io/api/annex/services/physdim",
+          "physicalScale": 0.01,
+          "physicalUnits": "cm"
+        }]
+      },
+      'https://example.org/iiif/print-state2/info.json': {
+        "@context": "http://iiif.io/api/image/3/context.json",
+        "profile": "level2",
+        "width": 2000,
+        "height": 3000
+      }
+    };
+
+    beforeEach(async () => {
+      fetchMock = (await vi.importMock('node-fetch')).default;
+      fetchMock.mockReset();
+      fetchMock.mockImplementation((url) => Promise.resolve(url.endsWith('/info.json') ? {
+        ok: true,
+        text: () => Promise.resolve(JSON.stringify(infos[url]))
+      } : {
+        ok: true,
+        headers: { get: () => 'image/jpeg' },
+        arrayBuffer: () => Promise.resolve(Buffer.alloc(300))
+      }));
+    });
+
+    it('should share the pixel budget and scale the images to a common height', async () => {
+      const comparison = await handler.generateImageComparison([
+        { baseUri: 'https://example.org/iiif/print-state1', label: 'first state' },
+        { baseUri: 'https://example.org/iiif/print-state2', label: 'second state' }
+      ]);
+
+      expect(comparison.commonHeight).toBe(707);
+      expect(comparison.images.map(image => image.imageUrl)).toEqual([
+        'https://example.org/iiif/print-state1/full/942,707/0/default.jpg',
+        'https://example.org/iiif/print-state2/full/471,707/0/default.jpg'
+      ]);
+      expect(comparison.images.map(image => image.label)).toEqual(['first state', 'second state']);
+      expect(comparison.images[0].physicalDimensions).toEqual({ physicalScale: 0.01, physicalUnits: 'cm' });
+      expect(comparison.images[1].physicalDimensions).toBeNull();
+
+      const totalArea = comparison.images.reduce((sum, image) =>
+        sum + image.info.finalDimensions.width * image.info.finalDimensions.height, 0);
+      expect(totalArea).toBeLessThanOrEqual(1000000);
+    });
+
+    it('should not scale images up to match a smaller region', async () => {
+      const comparison = await handler.generateImageComparison([
+        { baseUri: 'https://example.org/iiif/print-state1', region: '0,0,400,300' },
+        { baseUri: 'https://example.org/iiif/print-state2', region: 'pct:0,0,50,50' }
+      ]);
+
+      expect(comparison.commonHeight).toBe(300);
+      expect(comparison.images.map(image => image.info.finalDimensions)).toEqual([
+        { width: 400, height: 300 },
+        { width: 200, height: 300 }
+      ]);
+    });
+
+    it('should use the region of image request URLs', async () => {
+      const comparison = await handler.generateImageComparison([
+        { baseUri: 'https://example.org/iiif/print-state1/0,0,400,300/max/0/default.jpg' },
+        { baseUri: 'https://example.org/iiif/print-state2/info.json', region: 'pct:0,0,50,50' }
+      ]);
+
+      expect(comparison.images.map(({ baseUri, region }) => ({ baseUri, region }))).toEqual([
+        { baseUri: 'https://example.org/iiif/print-state1', region: '0,0,400,300' },
+        { baseUri: 'https://example.org/iiif/print-state2', region: 'pct:0,0,50,50' }
+      ]);
+      expect(comparison.commonHeight).toBe(300);
+    });
+
+    it('should require between 2 and 6 images', async () => {
+      await expect(handler.generateImageComparison([{ baseUri: 'https://example.org/iiif/print-state1' }]))
+        .rejects.toThrow('images must list between 2 and 6 images');
+      await expect(handler.generateImageComparison([{ baseUri: 'https://example.org/iiif/print-state1' }, {}]))
+        .rejects.toThrow('Each image needs a baseUri');
+    });
+  });
+
+  describe('caching', () => {
+    let fetchMock;
+
+    beforeEach(async () => {
+      fetchMock = (await vi.importMock('node-fetch')).default;
+      fetchMock.mockReset();
+      fetchMock.mockResolvedValue({
+        ok: true,
+        status: 200,
+        headers: { get: () => null },
+        arrayBuffer: () => Promise.resolve(Buffer.from(JSON.stringify({
+          "@context": "http://iiif.io/api/image/3/context.json",
+          "profile": "level2",
+          "width": 4000,
+          "height": 3000
+        })))
+      });
+    });
+
+    it('should fetch info.json once for repeated region requests', async () => {
+      const cachingHandler = new IIIFImageHandler(1500, 1000000, { cache: new HttpCache() });
+
+      await cachingHandler.generateImageRegionUrl('https://example.org/iiif/image1', 'pct:0,0,50,50', false);
+      await cachingHandler.generateImageRegionUrl('https://example.org/iiif/image1', 'pct:50,50,50,50', false);
+
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getComplianceLevel', () => {
+    it('should read the level from a v3 profile string', () => {
+      expect(handler.getComplianceLevel({ profile: 'level0' })).toBe(0);
+      expect(handler.getComplianceLevel({ profile: 'level2' })).toBe(2);
+    });
+
+    it('should read the level from a v2 profile array', () => {
+      const info = {
+        profile: ['http://iiif.io/api/image/2/level0.json', { formats: ['jpg'] }]
+      };
+
+      expect(handler.getComplianceLevel(info)).toBe(0);
+    });
+
+    it('should return null when no level is advertised', () => {
+      expect(handler.getComplianceLevel({})).toBeNull();
+    });
+  });
+
+  describe('selectPrecomputedSize', () => {
+    const info = {
+      width: 4000,
+      height: 3000,
+      sizes: [
+        { width: 500, height: 375 },
+        { width: 1000, height: 750 },
+        { width: 2000, height: 1500 }
+      ]
+    };
+
+    it('should pick the largest size within the constraints', () => {
+      const constraints = { maxWidth: 1500, maxHeight: 1500, maxArea: 1000000 };
+
+      const result = handler.selectPrecomputedSize(info, constraints, true);
+
+      expect(result).toEqual({ width: 1000, height: 750, sizeParam: '1000,750' });
+    });
+
+    it('should use the canonical w, form for v2', () => {
+      const constraints = { maxWidth: 1500, maxHeight: 1500, maxArea: 1000000 };
+
+      const result = handler.selectPrecomputedSize(info, constraints, false);
+
+      expect(result.sizeParam).toBe('1000,');
+    });
+
+    it('should use the full image when it fits', () => {
+      const small = { width: 800, height: 600, sizes: [{ width: 400, height: 300 }] };
+      const constraints = { maxWidth: 1500, maxHeight: 1500, maxArea: 1000000 };
+
+      expect(handler.selectPrecomputedSize(small, constraints, true).sizeParam).toBe('max');
+      expect(handler.selectPrecomputedSize(small, constraints, false).sizeParam).toBe('full');
+    });
+
+    it('should return null when no size fits', () => {
+      const constraints = { maxWidth: 100, maxHeight: 100, maxArea: 10000 };
+
+      expect(handler.selectPrecomputedSize(info, constraints, true)).toBeNull();
+    });
+  });
+
+  describe('planTileRequests', () => {
+    const info = {
+      width: 5000,
+      height: 3000,
+      tiles: [{ width: 512, scaleFactors: [1, 2, 4, 8] }]
+    };
+
+    it('should use full resolution tiles when the region fits', () => {
+      const rect = { x: 600, y: 100, width: 600, height: 400 };
+      const constraints = { maxWidth: 1500, maxHeight: 1500, maxArea: 1000000 };
+
+      const plan = handler.planTileRequests(info, rect, constraints, true);
+
+      expect(plan.scaleFactor).toBe(1);
+      expect(plan.tiles.map(tile => tile.regionParam)).toEqual([
+        '512,0,512,512',
+        '1024,0,512,512'
+      ]);
+      expect(plan.tiles[0].sizeParam).toBe('512,512');
+      expect(plan.crop).toEqual({ x: 88, y: 100, width: 600, height: 400 });
+    });
+
+    it('should choose a coarser scale factor to fit the constraints', () => {
+      const rect = { x: 0, y: 0, width: 5000, height: 3000 };
+      const constraints = { maxWidth: 1500, maxHeight: 1500, maxArea: 1000000 };
+
+      const plan = handler.planTileRequests(info, rect, constraints, false);
+
+      // 5000/4 = 1250 wide, 3000/4 = 750 high fits; 5000/2 does not
+      expect(plan.scaleFactor).toBe(4);
+      expect(plan.tiles).toHaveLength(3 * 2);
+      expect(plan.tiles[0]).toMatchObject({ regionParam: '0,0,2048,2048', sizeParam: '512,', left: 0, top: 0 });
+      expect(plan.tiles[2]).toMatchObject({ regionParam: '4096,0,904,2048', sizeParam: '226,', left: 1024 });
+      expect(plan.canvasWidth).toBe(1250);
+      expect(plan.canvasHeight).toBe(750);
+    });
+
+    it('should clip edge tiles to the image boundaries', () => {
+      const rect = { x: 4900, y: 2900, width: 100, height: 100 };
+      const constraints = { maxWidth: 1500, maxHeight: 1500, maxArea: 1000000 };
+
+      const plan = handler.planTileRequests(info, rect, constraints, true);
+
+      expect(plan.tiles).toEqual([
+        expect.objectContaining({ regionParam: '4608,2560,392,440', sizeParam: '392,440' })
+      ]);
+    });
+
+    it('should return null when no tiles are advertised', () => {
+      const rect = { x: 0, y: 0, width: 100, height: 100 };
+
+      expect(handler.planTileRequests({ width: 100, height: 100 }, rect, {}, true)).toBeNull();
+    });
+  });
+
+  describe('Level 0 services', () => {
+    let fetchMock;
+
+    const level0Info = {
+      "@context": "http://iiif.io/api/image/3/context.json",
+      "id": "https://example.org/iiif/static",
+      "type": "ImageService3",
+      "profile": "level0",
+      "width": 2048,
+      "height": 1024,
+      "sizes": [
+        { "width": 256, "height": 128 },
+        { "width": 1024, "height": 512 }
+      ],
+      "tiles": [
+        { "width": 512, "scaleFactors": [1, 2, 4] }
+      ]
+    };
+
+    beforeEach(async () => {
+      fetchMock = (await vi.importMock('node-fetch')).default;
+      fetchMock.mockReset();
+    });
+
+    it('should request a precomputed size for the full image', async () => {
+      fetchMock.mockResolvedValue({
+        ok: true,
+        text: () => Promise.resolve(JSON.stringify(level0Info))
+      });
+
+      const result = await handler.generateImageUrl('https://example.org/iiif/static', false);
+
+      expect(result.imageUrl).toBe('https://example.org/iiif/static/full/1024,512/0/default.jpg');
+      expect(result.info.complianceLevel).toBe(0);
+      expect(result.info.finalDimensions).toEqual({ width: 1024, height: 512 });
+    });
+
+    it('should stitch tiles for a region', async () => {
+      const { Jimp, JimpMime } = await import('jimp');
+      const tile = await new Jimp({ width: 512, height: 512, color: 0x336699ff }).getBuffer(JimpMime.jpeg);
+
+      fetchMock.mockImplementation((url) => Promise.resolve(url.endsWith('/info.json') ? {
+        ok: true,
+        text: () => Promise.resolve(JSON.stringify(level0Info))
+      } : {
+        ok: true,
+        headers: { get: () => 'image/jpeg' },
+        arrayBuffer: () => Promise.resolve(tile)
+      }));
+
+      const result = await handler.generateImageRegionUrl('https://example.org/iiif/static', 'pct:20,0,40,50', true);
+
+      expect(result.info.scaleFactor).toBe(1);
+      expect(result.info.tileUrls).toEqual([
+        'https://example.org/iiif/static/0,0,512,512/512,512/0/default.jpg',
+        'https://example.org/iiif/static/512,0,512,512/512,512/0/default.jpg',
+        'https://example.org/iiif/static/1024,0,512,512/512,512/0/default.jpg'
+      ]);
+      expect(result.info.finalDimensions).toEqual({ width: 819, height: 512 });
+      expect(result.imageData.contentType).toBe('image/jpeg');
+
+      const stitched = await Jimp.read(Buffer.from(result.imageData.base64, 'base64'));
+      expect(stitched.bitmap.width).toBe(819);
+      expect(stitched.bitmap.height).toBe(512);
+    });
+
+    it('should stitch tiles in the requested quality and format', async () => {
+      const { Jimp, JimpMime } = await import('jimp');
+      const tile = await new Jimp({ width: 512, height: 512, color: 0x666666ff }).getBuffer(JimpMime.png);
+      const info = { ...level0Info, extraQualities: ['gray'], extraFormats: ['png', 'webp'] };
+
+      fetchMock.mockImplementation((url) => Promise.resolve(url.endsWith('/info.json') ? {
+        ok: true,
+        text: () => Promise.resolve(JSON.stringify(info))
+      } : {
+        ok: true,
+        headers: { get: () => 'image/png' },
+        arrayBuffer: () => Promise.resolve(tile)
+      }));
+
+      const result = await handler.generateImageRegionUrl('https://example.org/iiif/static', '0,0,512,512', true,
+        { quality: 'gray', format: 'png' });
+
+      expect(result.imageUrl).toBe('https://example.org/iiif/static/0,0,512,512/512,512/0/gray.png');
+      expect(result.info.tileUrls).toEqual(['https://example.org/iiif/static/0,0,512,512/512,512/0/gray.png']);
+      expect(result.imageData.contentType).toBe('image/png');
+      expect(Buffer.from(result.imageData.base64, 'base64').subarray(1, 4).toString()).toBe('PNG');
+
+      await expect(handler.generateImageRegionUrl('https://example.org/iiif/static', '0,0,512,512', true, { format: 'webp' }))
+        .rejects.toThrow('Level 0 regions are stitched from tiles, which cannot be encoded as webp; use one of: jpg, png, gif, tif');
+    });
+  });
+
+  describe('IIIF Authentication', () => {
+    let fetchMock;
+
+    const loginService = {
+      "@context": "http://iiif.io/api/auth/1/context.json",
+      "@id": "https://example.org/auth/login",
+      "profile": "http://iiif.io/api/auth/1/login",
+      "label": "Login",
+      "service": [{ "@id": "https://example.org/auth/token", "profile": "http://iiif.io/api/auth/1/token" }]
+    };
+
+    const jsonResponse = (body, status = 200) => ({
+      ok: status === 200,
+      status,
+      statusText: status === 200 ? 'OK' : 'Unauthorized',
+      text: () => Promise.resolve(JSON.stringify(body))
+    });
+
+    beforeEach(async () => {
+      fetchMock = (await vi.importMock('node-fetch')).default;
+      fetchMock.mockReset();
+    });
+
+    it('should use the degraded image described in an Auth 1.0 401 response', async () => {
+      fetchMock.mockResolvedValue(jsonResponse({
+        "@context": "http://iiif.io/api/image/2/context.json",
+        "@id": "https://example.org/iiif/secret-degraded",
+        "profile": ["http://iiif.io/api/image/2/level2.json"],
+        "width": 400,
+        "height": 300,
+        "service": loginService
+      }, 401));
+
+      const result = await handler.generateImageRegionUrl('https://example.org/iiif/secret', 'full', false);
+
+      expect(result.imageUrl).toBe('https://example.org/iiif/secret-degraded/full/full/0/default.jpg');
+      expect(result.info.auth).toMatchObject({ version: 1, profile: 'login', degraded: true });
+      expect(result.info.auth.message).toContain('--auth-config');
+    });
+
+    it('should treat an Auth 1.0 info.json with a different id as degraded', async () => {
+      fetchMock.mockResolvedValue(jsonResponse({
+        "@context": "http://iiif.io/api/image/2/context.json",
+        "@id": "https://example.org/iiif/secret-degraded",
+        "profile": ["http://iiif.io/api/image/2/level2.json"],
+        "width": 400,
+        "height": 300,
+        "service": loginService
+      }));
+
+      const result = await handler.generateImageRegionUrl('https://example.org/iiif/secret', 'full', false);
+
+      expect(result.imageUrl).toMatch(/^https:\/\/example\.org\/iiif\/secret-degraded\//);
+      expect(result.info.auth.degraded).toBe(true);
+    });
+
+    it('should retry with an access token from configured credentials', async () => {
+      const authHandler = new IIIFImageHandler(1500, 1000000, {
+        auth: new AuthManager({ hosts: { "example.org": { "token": "secret-token" } } })
+      });
+      fetchMock.mockResolvedValueOnce(jsonResponse({ "width": 400, "height": 300, "service": loginService }, 401));
+      fetchMock.mockResolvedValueOnce(jsonResponse({
+        "@context": "http://iiif.io/api/image/2/context.json",
+        "@id": "https://example.org/iiif/secret",
+        "profile": ["http://iiif.io/api/image/2/level2.json"],
+        "width": 4000,
+        "height": 3000,
+        "service": loginService
+      }));
+
+      const result = await authHandler.generateImageRegionUrl('https://example.org/iiif/secret', 'full', false);
+
+      expect(fetchMock).toHaveBeenLastCalledWith('https://example.org/iiif/secret/info.json', expect.objectContaining({
+        headers: { Authorization: 'Bearer secret-token' }
+      }));
+      expect(result.imageUrl).toMatch(/^https:\/\/example\.org\/iiif\/secret\//);
+      expect(result.info.auth).toMatchObject({ version: 1, degraded: false });
+    });
+
+    it('should request a token for a degraded Auth 1.0 info.json and fetch the image with it', async () => {
+      const authHandler = new IIIFImageHandler(1500, 1000000, {
+        auth: new AuthManager({ hosts: { "example.org": { "cookie": "session=abc" } } })
+      });
+      const fullInfo = {
+        "@context": "http://iiif.io/api/image/2/context.json",
+        "@id": "https://example.org/iiif/secret",
+        "profile": ["http://iiif.io/api/image/2/level2.json"],
+        "width": 4000,
+        "height": 3000,
+        "service": loginService
+      };
+      fetchMock.mockImplementation((url, { headers }) => {
+        if (url === 'https://example.org/auth/token') {
+          return Promise.resolve(jsonResponse({ "accessToken": "obtained-token", "expiresIn": 3600 }));
+        }
+        if (url === 'https://example.org/iiif/secret/info.json') {
+          // Without the token, the server answers 200 with the info.json of a degraded image
+          return Promise.resolve(jsonResponse(headers.Authorization === 'Bearer obtained-token'
+            ? fullInfo
+            : { ...fullInfo, "@id": "https://example.org/iiif/secret-degraded", "width": 400, "height": 300 }));
+        }
+        return Promise.resolve({
+          ok: true,
+          status: 200,
+          headers: { get: () => 'image/jpeg' },
+          arrayBuffer: () => Promise.resolve(Buffer.from('image'))
+        });
+      });
+
+      const result = await authHandler.generateImageRegionUrl('https://example.org/iiif/secret', 'full', true);
+
+      expect(result.imageUrl).toMatch(/^https:\/\/example\.org\/iiif\/secret\//);
+      expect(result.info.originalDimensions).toEqual({ width: 4000, height: 3000 });
+      expect(result.info.auth).toMatchObject({ version: 1, degraded: false });
+      expect(fetchMock).toHaveBeenLastCalledWith(result.imageUrl, expect.objectContaining({
+        headers: { Cookie: 'session=abc', Authorization: 'Bearer obtained-token' }
+      }));
+    });
+
+    it('should reject a 401 response without auth services', async () => {
+      fetchMock.mockResolvedValue({ ok: false, status: 401, statusText: 'Unauthorized', text: () => Promise.resolve('Denied') });
+
+      await expect(handler.generateImageRegionUrl('https://example.org/iiif/secret', 'full', false))
+        .rejects.toThrow('HTTP 401: Unauthorized (the image requires authentication');
+    });
+
+    it('should use the substitute from an Auth 2.0 probe', async () => {
+      const probeService = {
+        "id": "https://example.org/auth/probe/secret",
+        "type": "AuthProbeService2",
+        "service": [{ "id": "https://example.org/auth/access", "type": "AuthAccessService2", "profile": "active" }]
+      };
+      fetchMock.mockImplementation((url) => Promise.resolve(
+        url === 'https://example.org/iiif/secret/info.json' ? jsonResponse({
+          "@context": "http://iiif.io/api/image/3/context.json",
+          "id": "https://example.org/iiif/secret",
+          "profile": "level2",
+          "width": 4000,
+          "height": 3000,
+          "service": [probeService]
+        }) : url === probeService.id ? jsonResponse({
+          "type": "AuthProbeResult2",
+          "status": 401,
+          "substitute": [{
+            "id": "https://example.org/iiif/secret-small/full/max/0/default.jpg",
+            "type": "Image",
+            "service": [{ "id": "https://example.org/iiif/secret-small", "type": "ImageService3" }]
+          }]
+        }) : jsonResponse({
+          "@context": "http://iiif.io/api/image/3/context.json",
+          "id": "https://example.org/iiif/secret-small",
+          "profile": "level2",
+          "width": 400,
+          "height": 300
+        })
+      ));
+
+      const result = await handler.generateImageRegionUrl('https://example.org/iiif/secret', 'full', false);
+
+      expect(result.imageUrl).toBe('https://example.org/iiif/secret-small/full/max/0/default.jpg');
+      expect(result.info.originalDimensions).toEqual({ width: 400, height: 300 });
+      expect(result.info.auth).toMatchObject({ version: 2, profile: 'active', degraded: true });
+    });
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getLanguageText,
+  getLanguageValues,
+  getLanguages,
+  htmlToText,
+  isHtml,
+  sanitizeHtml
+} from '../server/iiif-language.js';
+
+describe('iiif-language', () => {
+  describe('getLanguageValues', () => {
+    const languageMap = { "en": ["Book of Hours"], "fr": ["Livre d'heures"], "none": ["MS 1"] };
+
+    it('should select the preferred language of a v3 language map', () => {
+      expect(getLanguageValues(languageMap, 'fr')).toEqual(["Livre d'heures"]);
+      expect(getLanguageValues(languageMap)).toEqual(['Book of Hours']);
+    });
+
+    it('should match regional variants', () => {
+      expect(getLanguageValues({ "en-GB": ["Colour"], "de": ["Farbe"] }, 'en')).toEqual(['Colour']);
+      expect(getLanguageValues({ "en": ["Color"], "de": ["Farbe"] }, 'en-US')).toEqual(['Color']);
+    });
+
+    it('should fall back to values without a language and then to any language', () => {
+      expect(getLanguageValues(languageMap, 'de')).toEqual(['MS 1']);
+      expect(getLanguageValues({ "@none": ["MS 2"] }, 'de')).toEqual(['MS 2']);
+      expect(getLanguageValues({ "la": ["Horae"], "it": ["Libro d'ore"] }, 'de')).toEqual(['Horae']);
+    });
+
+    it('should read v2 value objects, arrays and strings', () => {
+      const v2Value = [
+        { "@value": "Book of Hours", "@language": "en" },
+        { "@value": "Livre d'heures", "@language": "fr" }
+      ];
+
+      expect(getLanguageValues(v2Value, 'fr')).toEqual(["Livre d'heures"]);
+      expect(getLanguageValues(['c. 1450', 'Paris'], 'fr')).toEqual(['c. 1450', 'Paris']);
+      expect(getLanguageValues('Parchment', 'fr')).toEqual(['Parchment']);
+      expect(getLanguageValues(undefined)).toEqual([]);
+    });
+
+    it('should join multiple values', () => {
+      expect(getLanguageText({ "en": ["Paris", "Rouen"] })).toBe('Paris; Rouen');
+    });
+
+    it('should list the languages present', () => {
+      expect(getLanguages([{ "@value": "a", "@language": "en" }, "b"])).toEqual(['en', 'none']);
+    });
+  });
+
+  describe('sanitizeHtml', () => {
+    it('should keep only the allowed elements and attributes', () => {
+      expect(sanitizeHtml('<p class="x">See <a href="https://example.org" onclick="steal()">the <em>catalogue</em></a></p>'))
+        .toBe('<p>See <a href="https://example.org">the catalogue</a></p>');
+      expect(sanitizeHtml('<span><img src="logo.png" alt="Logo" width="10"/></span>'))
+        .toBe('<span><img src="logo.png" alt="Logo" /></span>');
+    });
+
+    it('should remove scripts, styles, comments and processing instructions with their content', () => {
+      expect(sanitizeHtml('<p>A<script>alert(1)</script><style>p{}</style><!-- note --><?php x ?><![CDATA[y]]>B</p>'))
+        .toBe('<p>AB</p>');
+    });
+
+    it('should drop javascript: links', () => {
+      expect(sanitizeHtml('<p><a href="javascript:alert(1)">x</a></p>')).toBe('<p><a>x</a></p>');
+    });
+  });
+
+  describe('htmlToText', () => {
+    it('should only treat values starting with < and ending with > as HTML', () => {
+      expect(isHtml('<p>Gold &amp; blue</p>')).toBe(true);
+      expect(isHtml('Size: <10cm')).toBe(false);
+      expect(htmlToText('Size: <10cm')).toBe('Size: <10cm');
+    });
+
+    it('should convert HTML to text, keeping link targets and image alt text', () => {
+      expect(htmlToText('<p>Held by <a href="https://example.org/library">Example Library</a><br/><img src="l.png" alt="[logo]"></p>'))
+        .toBe('Held by Example Library (https://example.org/library)\n[logo]');
+      expect(htmlToText('<span><a href="https://example.org">https://example.org</a></span>')).toBe('https://example.org');
+    });
+  });
+});
@@ -0,0 +1,332 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  asArray,
+  fetchManifest,
+  findCanvas,
+  getLabel,
+  getImageServiceUri,
+  summarizeCanvases,
+  formatManifestSummary
+} from '../server/iiif-manifest.js';
+import { InvalidIIIFError, NotFoundError } from '../server/http-client.js';
+
+// Mock node-fetch
+vi.mock('node-fetch', () => ({
+  default: vi.fn()
+}));
+
+const v2Manifest = {
+  "@context": "http://iiif.io/api/presentation/2/context.json",
+  "@id": "https://example.org/iiif/book1/manifest",
+  "@type": "sc:Manifest",
+  "label": "Book 1",
+  "sequences": [
+    {
+      "@type": "sc:Sequence",
+      "canvases": [
+        {
+          "@id": "https://example.org/iiif/book1/canvas/p1",
+          "@type": "sc:Canvas",
+          "label": "p. 1",
+          "width": 1000,
+          "height": 1500,
+          "images": [
+            {
+              "@type": "oa:Annotation",
+              "motivation": "sc:painting",
+              "resource": {
+                "@id": "https://example.org/iiif/book1-page1/full/full/0/default.jpg",
+                "@type": "dctypes:Image",
+                "service": {
+                  "@context": "http://iiif.io/api/image/2/context.json",
+                  "@id": "https://example.org/iiif/book1-page1",
+                  "profile": "http://iiif.io/api/image/2/level1.json"
+                }
+              },
+              "on": "https://example.org/iiif/book1/canvas/p1"
+            }
+          ]
+        },
+        {
+          "@id": "https://example.org/iiif/book1/canvas/p2",
+          "@type": "sc:Canvas",
+          "label": [{ "@value": "p. 2", "@language": "en" }],
+          "width": 1000,
+          "height": 1500,
+          "images": []
+        }
+      ]
+    }
+  ]
+};
+
+const v3Manifest = {
+  "@context": "http://iiif.io/api/presentation/3/context.json",
+  "id": "https://example.org/iiif/book2/manifest",
+  "type": "Manifest",
+  "label": { "en": ["Book 2"] },
+  "items": [
+    {
+      "id": "https://example.org/iiif/book2/canvas/p1",
+      "type": "Canvas",
+      "label": { "none": ["f. 1r"] },
+      "width": 2000,
+      "height": 3000,
+      "items": [
+        {
+          "id": "https://example.org/iiif/book2/page/p1/1",
+          "type": "AnnotationPage",
+          "items": [
+            {
+              "id": "https://example.org/iiif/book2/annotation/p1-image",
+              "type": "Annotation",
+              "motivation": "painting",
+              "body": {
+                "id": "https://example.org/iiif/book2-page1/full/max/0/default.jpg",
+                "type": "Image",
+                "service": [
+                  {
+                    "id": "https://example.org/iiif/book2-page1/",
+                    "type": "ImageService3",
+                    "profile": "level2"
+                  }
+                ]
+              },
+              "target": "https://example.org/iiif/book2/canvas/p1"
+            }
+          ]
+        }
+      ]
+    }
+  ]
+};
+
+describe('iiif-manifest', () => {
+  describe('asArray', () => {
+    it('should wrap single values and drop missing ones', () => {
+      expect(asArray(['a', 'b'])).toEqual(['a', 'b']);
+      expect(asArray('a')).toEqual(['a']);
+      expect(asArray(undefined)).toEqual([]);
+      expect(asArray(null)).toEqual([]);
+    });
+  });
+
+  describe('getLabel', () => {
+    it('should handle plain strings', () => {
+      expect(getLabel('Label')).toBe('Label');
+    });
+
+    it('should prefer English values in v2 arrays', () => {
+      const label = [
+        { "@value": "Etiquette", "@language": "fr" },
+        { "@value": "Label", "@language": "en" }
+      ];
+
+      expect(getLabel(label)).toBe('Label');
+    });
+
+    it('should read v3 language maps', () => {
+      expect(getLabel({ en: ['Label'] })).toBe('Label');
+      expect(getLabel({ none: ['f. 1r'] })).toBe('f. 1r');
+      expect(getLabel({ de: ['Titel'] })).toBe('Titel');
+    });
+
+    it('should return an empty string for missing labels', () => {
+      expect(getLabel(undefined)).toBe('');
+    });
+  });
+
+  describe('findCanvas', () => {
+    it('should find a canvas by index', () => {
+      const { index, canvas } = findCanvas(v2Manifest, { index: 1 });
+
+      expect(index).toBe(1);
+      expect(canvas['@id']).toBe('https://example.org/iiif/book1/canvas/p2');
+    });
+
+    it('should find a canvas by id, ignoring any fragment', () => {
+      const { index } = findCanvas(v2Manifest, { id: 'https://example.org/iiif/book1/canvas/p2#xywh=0,0,10,10' });
+
+      expect(index).toBe(1);
+    });
+
+    it('should find a canvas by label, ignoring case', () => {
+      const { index, canvas } = findCanvas(v3Manifest, { label: 'F. 1R' });
+
+      expect(index).toBe(0);
+      expect(canvas.id).toBe('https://example.org/iiif/book2/canvas/p1');
+    });
+
+    it('should reject out of range indexes', () => {
+      expect(() => findCanvas(v2Manifest, { index: 2 }))
+        .toThrow('Canvas index 2 is out of range (manifest has 2 canvases)');
+    });
+
+    it('should reject unknown labels', () => {
+      expect(() => findCanvas(v2Manifest, { label: 'p. 3' })).toThrow('No canvas with label "p. 3"');
+    });
+
+    it('should require a selector', () => {
+      expect(() => findCanvas(v2Manifest, {})).toThrow('A canvas index, id or label is required');
+    });
+  });
+
+  describe('getImageServiceUri', () => {
+    it('should find the v2 image service', () => {
+      const canvas = v2Manifest.sequences[0].canvases[0];
+
+      expect(getImageServiceUri(canvas)).toBe('https://example.org/iiif/book1-page1');
+    });
+
+    it('should find the v3 image service and strip the trailing slash', () => {
+      const canvas = v3Manifest.items[0];
+
+      expect(getImageServiceUri(canvas)).toBe('https://example.org/iiif/book2-page1');
+    });
+
+    it('should use the default item of a v3 choice', () => {
+      const canvas = {
+        type: "Canvas",
+        items: [{
+          type: "AnnotationPage",
+          items: [{
+            type: "Annotation",
+            motivation: "painting",
+            body: {
+              type: "Choice",
+              items: [
+                { type: "Image", service: [{ id: "https://example.org/iiif/natural", type: "ImageService3" }] },
+                { type: "Image", service: [{ id: "https://example.org/iiif/xray", type: "ImageService3" }] }
+              ]
+            }
+          }]
+        }]
+      };
+
+      expect(getImageServiceUri(canvas)).toBe('https://example.org/iiif/natural');
+    });
+
+    it('should skip image services without an id', () => {
+      const canvas = {
+        type: "Canvas",
+        items: [{
+          type: "AnnotationPage",
+          items: [
+            { type: "Annotation", motivation: "painting", body: { type: "Image", service: [{ type: "ImageService3", profile: "level1" }] } },
+            { type: "Annotation", motivation: "painting", body: { type: "Image", service: [{ id: "https://example.org/iiif/second", type: "ImageService3" }] } }
+          ]
+        }]
+      };
+
+      expect(getImageServiceUri(canvas)).toBe('https://example.org/iiif/second');
+      expect(getImageServiceUri({ ...canvas, items: [{ ...canvas.items[0], items: [canvas.items[0].items[0]] }] })).toBeUndefined();
+    });
+
+    it('should skip annotations that are not objects', () => {
+      const canvas = {
+        type: "Canvas",
+        items: [{
+          type: "AnnotationPage",
+          items: [
+            null,
+            "https://example.org/iiif/book2/annotation/p1",
+            { type: "Annotation", motivation: "painting", body: { type: "Image", service: [{ id: "https://example.org/iiif/page", type: "ImageService3" }] } }
+          ]
+        }]
+      };
+
+      expect(getImageServiceUri(canvas)).toBe('https://example.org/iiif/page');
+    });
+
+    it('should return undefined when a canvas has no image service', () => {
+      expect(getImageServiceUri(v2Manifest.sequences[0].canvases[1])).toBeUndefined();
+    });
+  });
+
+  describe('summarizeCanvases', () => {
+    it('should summarize v2 canvases', () => {
+      expect(summarizeCanvases(v2Manifest)).toEqual([
+        {
+          index: 0,
+          id: 'https://example.org/iiif/book1/canvas/p1',
+          label: 'p. 1',
+          width: 1000,
+          height: 1500,
+          serviceUri: 'https://example.org/iiif/book1-page1'
+        },
+        {
+          index: 1,
+          id: 'https://example.org/iiif/book1/canvas/p2',
+          label: 'p. 2',
+          width: 1000,
+          height: 1500,
+          serviceUri: undefined
+        }
+      ]);
+    });
+
+    it('should summarize v3 canvases', () => {
+      const [canvas] = summarizeCanvases(v3Manifest);
+
+      expect(canvas.label).toBe('f. 1r');
+      expect(canvas.serviceUri).toBe('https://example.org/iiif/book2-page1');
+    });
+  });
+
+  describe('formatManifestSummary', () => {
+    it('should produce a compact table', () => {
+      const summary = formatManifestSummary(v2Manifest);
+
+      expect(summary).toBe([
+        'Manifest: Book 1',
+        'Id: https://example.org/iiif/book1/manifest',
+        'Presentation API: v2',
+        'Canvases: 2',
+        '',
+        'index | label | width x height | image service',
+        '0 | p. 1 | 1000x1500 | https://example.org/iiif/book1-page1',
+        '1 | p. 2 | 1000x1500 | -'
+      ].join('\n'));
+    });
+  });
+
+  describe('fetchManifest', () => {
+    let fetchMock;
+
+    beforeEach(async () => {
+      fetchMock = (await vi.importMock('node-fetch')).default;
+      fetchMock.mockReset();
+    });
+
+    it('should return a valid manifest', async () => {
+      fetchMock.mockResolvedValue({
+        ok: true,
+        headers: { get: () => 'application/json' },
+        text: () => Promise.resolve(JSON.stringify(v3Manifest))
+      });
+
+      const manifest = await fetchManifest('https://example.org/iiif/book2/manifest');
+
+      expect(manifest.id).toBe(v3Manifest.id);
+    });
+
+    it('should reject documents that are not manifests', async () => {
+      fetchMock.mockResolvedValue({
+        ok: true,
+        headers: { get: () => 'application/json' },
+        text: () => Promise.resolve(JSON.stringify({ ...v3Manifest, type: 'Collection' }))
+      });
+
+      await expect(fetchManifest('https://example.org/collection'))
+        .rejects.toThrow("Invalid IIIF manifest: must have @type of 'sc:Manifest' or type of 'Manifest'");
+      await expect(fetchManifest('https://example.org/collection')).rejects.toBeInstanceOf(InvalidIIIFError);
+    });
+
+    it('should report HTTP errors', async () => {
+      fetchMock.mockResolvedValue({ ok: false, status: 404, statusText: 'Not Found' });
+
+      await expect(fetchManifest('https://example.org/missing')).rejects.toThrow('HTTP 404: Not Found');
+      await expect(fetchManifest('https://example.org/missing')).rejects.toBeInstanceOf(NotFoundError);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import { formatMetadata, getManifestMetadata } from '../server/iiif-metadata.js';
+
+const v3Manifest = {
+  "@context": "http://iiif.io/api/presentation/3/context.json",
+  "id": "https://example.org/iiif/book1/manifest",
+  "type": "Manifest",
+  "label": { "en": ["Book of Hours"], "fr": ["Livre d'heures"] },
+  "summary": { "en": ["<p>An <b>illuminated</b> manuscript<script>alert(1)</script></p>"] },
+  "metadata": [
+    { "label": { "en": ["Date"], "fr": ["Date"] }, "value": { "none": ["c. 1450"] } },
+    { "label": { "en": ["Material"], "fr": ["Support"] }, "value": { "en": ["Parchment"], "fr": ["Parchemin"] } }
+  ],
+  "requiredStatement": {
+    "label": { "en": ["Attribution"], "fr": ["Attribution"] },
+    "value": { "en": ["<span>Provided by <a href=\"https://example.org\">Example Library</a></span>"] }
+  },
+  "rights": "http://creativecommons.org/licenses/by/4.0/",
+  "provider": [{
+    "id": "https://example.org/about",
+    "type": "Agent",
+    "label": { "en": ["Example Library"] },
+    "homepage": [{ "id": "https://example.org/", "type": "Text", "label": { "en": ["Example Library website"] }, "format": "text/html" }]
+  }],
+  "homepage": [{ "id": "https://example.org/book1", "type": "Text", "label": { "en": ["Book of Hours"] }, "format": "text/html" }],
+  "seeAlso": [{ "id": "https://example.org/book1.xml", "type": "Dataset", "format": "text/xml", "profile": "https://www.loc.gov/mods" }],
+  "items": []
+};
+
+const v2Manifest = {
+  "@context": "http://iiif.io/api/presentation/2/context.json",
+  "@id": "https://example.org/iiif/book2/manifest",
+  "@type": "sc:Manifest",
+  "label": [{ "@value": "Atlas", "@language": "en" }, { "@value": "Atlas", "@language": "de" }],
+  "description": "A world atlas",
+  "metadata": [
+    { "label": "Author", "value": "Mercator" },
+    { "label": [{ "@value": "Place", "@language": "en" }, { "@value": "Ort", "@language": "de" }], "value": "Duisburg" }
+  ],
+  "attribution": "Example Library",
+  "license": "https://creativecommons.org/publicdomain/mark/1.0/",
+  "related": { "@id": "https://example.org/atlas", "format": "text/html" },
+  "seeAlso": "https://example.org/atlas.json",
+  "sequences": []
+};
+
+describe('iiif-metadata', () => {
+  describe('getManifestMetadata', () => {
+    it('should extract v3 metadata in the preferred language', () => {
+      const metadata = getManifestMetadata(v3Manifest, { language: 'fr' });
+
+      expect(metadata.label).toBe("Livre d'heures");
+      expect(metadata.summary).toBe('An illuminated manuscript');
+      expect(metadata.metadata).toEqual([
+        { label: 'Date', value: 'c. 1450' },
+        { label: 'Support', value: 'Parchemin' }
+      ]);
+      expect(metadata.requiredStatement).toEqual({
+        label: 'Attribution',
+        value: 'Provided by Example Library (https://example.org)'
+      });
+      expect(metadata.rights).toEqual(['http://creativecommons.org/licenses/by/4.0/']);
+      expect(metadata.provider).toEqual([{
+        id: 'https://example.org/about',
+        label: 'Example Library',
+        homepage: [{ id: 'https://example.org/', label: 'Example Library website', format: 'text/html', profile: undefined }]
+      }]);
+      expect(metadata.seeAlso).toEqual([{
+        id: 'https://example.org/book1.xml',
+        label: undefined,
+        format: 'text/xml',
+        profile: 'https://www.loc.gov/mods'
+      }]);
+      expect(metadata.languages).toEqual(['en', 'fr', 'none']);
+    });
+
+    it('should map v2 properties to their v3 counterparts', () => {
+      const metadata = getManifestMetadata(v2Manifest, { language: 'de' });
+
+      expect(metadata.id).toBe('https://example.org/iiif/book2/manifest');
+      expect(metadata.label).toBe('Atlas');
+      expect(metadata.summary).toBe('A world atlas');
+      expect(metadata.metadata).toEqual([
+        { label: 'Author', value: 'Mercator' },
+        { label: 'Ort', value: 'Duisburg' }
+      ]);
+      expect(metadata.requiredStatement).toEqual({ label: 'Attribution', value: 'Example Library' });
+      expect(metadata.rights).toEqual(['https://creativecommons.org/publicdomain/mark/1.0/']);
+      expect(metadata.homepage).toEqual([{ id: 'https://example.org/atlas', label: undefined, format: 'text/html', profile: undefined }]);
+      expect(metadata.seeAlso).toEqual([{ id: 'https://example.org/atlas.json' }]);
+    });
+  });
+
+  describe('formatMetadata', () => {
+    it('should format one line per property', () => {
+      expect(formatMetadata(getManifestMetadata(v3Manifest), 'en')).toBe([
+        'Label: Book of Hours',
+        'Id: https://example.org/iiif/book1/manifest',
+        'Summary: An illuminated manuscript',
+        'Metadata:',
+        '- Date: c. 1450',
+        '- Material: Parchment',
+        'Attribution: Provided by Example Library (https://example.org)',
+        'Rights: http://creativecommons.org/licenses/by/4.0/',
+        'Provider: Example Library (homepage: Example Library website (https://example.org/) [text/html])',
+        'Homepage: Book of Hours (https://example.org/book1) [text/html]',
+        'See also: https://example.org/book1.xml [text/xml, https://www.loc.gov/mods]',
+        'Languages: en, fr, none (requested: en)'
+      ].join('\n'));
+    });
+  });
+});
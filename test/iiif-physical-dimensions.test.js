@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { formatPhysicalScales, getPhysicalDimensions, toCentimetres } from '../server/iiif-physical-dimensions.js';
+
+describe('iiif-physical-dimensions', () => {
+  describe('getPhysicalDimensions', () => {
+    it('should read the Physical Dimensions service of a v2 canvas', () => {
+      const canvas = {
+        "@id": "https://example.org/iiif/book1/canvas/p1",
+        "@type": "sc:Canvas",
+        "service": {
+          "@context": "http://iiif.io/api/annex/services/physdim/1/context.json",
+          "profile": "http://iiif.io/api/annex/services/physdim",
+          "physicalScale": 0.0025,
+          "physicalUnits": "in"
+        }
+      };
+
+      expect(getPhysicalDimensions(canvas)).toEqual({ physicalScale: 0.0025, physicalUnits: 'in' });
+    });
+
+    it('should read a typed service among other services', () => {
+      const canvas = {
+        "id": "https://example.org/iiif/book1/canvas/p1",
+        "type": "Canvas",
+        "service": [
+          { "id": "https://example.org/iiif/image1", "type": "ImageService3" },
+          { "type": "PhysicalDimensions", "physicalScale": 0.01, "physicalUnits": "cm" }
+        ]
+      };
+
+      expect(getPhysicalDimensions(canvas)).toEqual({ physicalScale: 0.01, physicalUnits: 'cm' });
+    });
+
+    it('should return null without a valid service', () => {
+      expect(getPhysicalDimensions({ "id": "https://example.org/iiif/book1/canvas/p1" })).toBeNull();
+      expect(getPhysicalDimensions({
+        "service": { "profile": "http://iiif.io/api/annex/services/physdim", "physicalScale": 0, "physicalUnits": "cm" }
+      })).toBeNull();
+    });
+  });
+
+  describe('toCentimetres', () => {
+    it('should convert known units', () => {
+      expect(toCentimetres(2, 'in')).toBe(5.08);
+      expect(toCentimetres(15, 'mm')).toBe(1.5);
+      expect(toCentimetres(1, 'furlong')).toBeNull();
+    });
+  });
+
+  describe('formatPhysicalScales', () => {
+    it('should report physical sizes and magnification relative to the first image', () => {
+      const text = formatPhysicalScales([
+        {
+          label: 'recto',
+          unitsPerPixel: 0.01,
+          units: 'cm',
+          regionDimensions: { width: 2000, height: 3000 },
+          finalDimensions: { width: 400, height: 600 }
+        },
+        {
+          label: 'verso',
+          unitsPerPixel: 0.0025,
+          units: 'in',
+          regionDimensions: { width: 2000, height: 3000 },
+          finalDimensions: { width: 800, height: 1200 }
+        },
+        {
+          label: 'detail',
+          unitsPerPixel: null,
+          regionDimensions: { width: 500, height: 500 },
+          finalDimensions: { width: 500, height: 500 }
+        }
+      ]);
+
+      expect(text).toBe([
+        'Physical scale:',
+        '- recto: 20 x 30 cm, shown at 0.05 cm per pixel',
+        '- verso: 5 x 7.5 in, shown at 0.00625 in per pixel (3.15x the scale of recto)',
+        '- detail: no physical dimensions'
+      ].join('\n'));
+    });
+
+    it('should return null when no image has physical dimensions', () => {
+      expect(formatPhysicalScales([
+        { label: 'a', unitsPerPixel: null, regionDimensions: {}, finalDimensions: {} }
+      ])).toBeNull();
+    });
+  });
+});
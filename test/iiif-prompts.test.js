@@ -0,0 +1,176 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { PROMPTS, formatManifestMetadata, getPrompt } from '../server/iiif-prompts.js';
+
+// Mock node-fetch
+vi.mock('node-fetch', () => ({
+  default: vi.fn()
+}));
+
+const manifest = {
+  "@context": "http://iiif.io/api/presentation/3/context.json",
+  "id": "https://example.org/iiif/book1/manifest",
+  "type": "Manifest",
+  "label": { "en": ["Book of Hours"] },
+  "summary": { "en": ["<p>Illuminated <b>manuscript</b></p>"] },
+  "metadata": [
+    { "label": { "en": ["Date"] }, "value": { "none": ["c. 1450"] } },
+    { "label": { "en": ["Material"] }, "value": { "en": ["Parchment"] } }
+  ],
+  "requiredStatement": { "label": { "en": ["Held by"] }, "value": { "en": ["Example Library"] } },
+  "rights": "http://creativecommons.org/licenses/by/4.0/",
+  "items": [
+    {
+      "id": "https://example.org/iiif/book1/canvas/1",
+      "type": "Canvas",
+      "label": { "en": ["1r"] },
+      "width": 2000,
+      "height": 3000,
+      "items": [{
+        "type": "AnnotationPage",
+        "items": [{
+          "type": "Annotation",
+          "motivation": "painting",
+          "body": {
+            "id": "https://example.org/iiif/image1/full/max/0/default.jpg",
+            "type": "Image",
+            "service": [{ "id": "https://example.org/iiif/image1", "type": "ImageService3" }]
+          }
+        }]
+      }]
+    },
+    {
+      "id": "https://example.org/iiif/book1/canvas/2",
+      "type": "Canvas",
+      "label": { "en": ["1v"] },
+      "width": 2000,
+      "height": 3000,
+      "items": [{
+        "type": "AnnotationPage",
+        "items": [{
+          "type": "Annotation",
+          "motivation": "painting",
+          "body": {
+            "id": "https://example.org/iiif/image2/full/max/0/default.jpg",
+            "type": "Image",
+            "service": [{ "id": "https://example.org/iiif/image2", "type": "ImageService3" }]
+          }
+        }]
+      }]
+    }
+  ]
+};
+
+function createImageHandler(maxArea = 1000000) {
+  return {
+    maxArea,
+    generateImageUrl: vi.fn(async (baseUri) => ({
+      imageUrl: `${baseUri}/full/max/0/default.jpg`,
+      info: {},
+      imageData: { base64: 'aW1hZ2U=', contentType: 'image/jpeg' }
+    }))
+  };
+}
+
+describe('iiif-prompts', () => {
+  let fetchMock;
+
+  beforeEach(async () => {
+    fetchMock = (await vi.importMock('node-fetch')).default;
+    fetchMock.mockReset();
+    fetchMock.mockResolvedValue({
+      ok: true,
+      headers: { get: () => 'application/json' },
+      text: () => Promise.resolve(JSON.stringify(manifest))
+    });
+  });
+
+  it('should declare string arguments for every prompt', () => {
+    expect(PROMPTS.map(prompt => prompt.name)).toEqual(['describe_object', 'transcribe_page', 'compare_canvases']);
+    for (const prompt of PROMPTS) {
+      expect(prompt.arguments.length).toBeGreaterThan(0);
+    }
+  });
+
+  describe('formatManifestMetadata', () => {
+    it('should list label, summary, metadata, attribution and rights', () => {
+      expect(formatManifestMetadata(manifest)).toBe([
+        'Title: Book of Hours',
+        'Manifest: https://example.org/iiif/book1/manifest',
+        'Summary: Illuminated manuscript',
+        'Date: c. 1450',
+        'Material: Parchment',
+        'Held by: Example Library',
+        'Rights: http://creativecommons.org/licenses/by/4.0/',
+        'Canvases: 2'
+      ].join('\n'));
+    });
+  });
+
+  describe('getPrompt', () => {
+    it('should embed manifest metadata and an overview image of the selected canvas', async () => {
+      const imageHandler = createImageHandler();
+
+      const prompt = await getPrompt('describe_object', {
+        url: 'https://example.org/iiif/book1/manifest',
+        canvas: '1v'
+      }, { imageHandler });
+
+      expect(prompt.messages).toHaveLength(2);
+      expect(prompt.messages[0].content.text).toContain('Title: Book of Hours');
+      expect(prompt.messages[0].content.text).toContain('Canvas 1 (1v), 2000x3000: https://example.org/iiif/book1/canvas/2');
+      expect(prompt.messages[1]).toEqual({
+        role: 'user',
+        content: { type: 'image', data: 'aW1hZ2U=', mimeType: 'image/jpeg' }
+      });
+      expect(imageHandler.generateImageUrl).toHaveBeenCalledWith('https://example.org/iiif/image2', true, {});
+    });
+
+    it('should accept an image base URI without a manifest', async () => {
+      const imageHandler = createImageHandler();
+
+      const prompt = await getPrompt('transcribe_page', { baseUri: 'https://example.org/iiif/image1' }, { imageHandler });
+
+      expect(prompt.messages[0].content.text).toContain('Image service: https://example.org/iiif/image1');
+      expect(prompt.messages[1].content.type).toBe('image');
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('should add a note when only degraded access is available', async () => {
+      const imageHandler = createImageHandler();
+      imageHandler.generateImageUrl.mockResolvedValue({
+        imageUrl: 'https://example.org/iiif/image1-degraded/full/max/0/default.jpg',
+        info: { auth: { degraded: true, message: 'Showing a degraded version' } },
+        imageData: { base64: 'aW1hZ2U=', contentType: 'image/jpeg' }
+      });
+
+      const prompt = await getPrompt('describe_object', { baseUri: 'https://example.org/iiif/image1' }, { imageHandler });
+
+      expect(prompt.messages.map(message => message.content.type)).toEqual(['text', 'text', 'image']);
+      expect(prompt.messages[1].content.text).toBe('Showing a degraded version');
+    });
+
+    it('should share the pixel budget between compared canvases', async () => {
+      const imageHandler = createImageHandler(1000000);
+
+      const prompt = await getPrompt('compare_canvases', { url: 'https://example.org/iiif/book1/manifest' }, { imageHandler });
+
+      expect(prompt.messages).toHaveLength(3);
+      expect(prompt.messages[0].content.text).toContain('Image 2: Canvas 1 (1v)');
+      expect(imageHandler.generateImageUrl).toHaveBeenCalledWith('https://example.org/iiif/image1', true, { maxArea: 500000 });
+      expect(imageHandler.generateImageUrl).toHaveBeenCalledWith('https://example.org/iiif/image2', true, { maxArea: 500000 });
+    });
+
+    it('should require at least two images to compare', async () => {
+      await expect(getPrompt('compare_canvases', { baseUris: 'https://example.org/iiif/image1' }, {
+        imageHandler: createImageHandler()
+      })).rejects.toThrow('At least two canvases or images are required');
+    });
+
+    it('should reject missing arguments and unknown prompts', async () => {
+      const imageHandler = createImageHandler();
+
+      await expect(getPrompt('describe_object', {}, { imageHandler })).rejects.toThrow('A manifest url or an image baseUri is required');
+      await expect(getPrompt('summarize', {}, { imageHandler })).rejects.toThrow('Unknown prompt: summarize');
+    });
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import {
+  RecentResources,
+  canvasResourceUri,
+  imageResourceUri,
+  manifestResourceUri,
+  parseResourceUri
+} from '../server/iiif-resources.js';
+
+describe('iiif-resources', () => {
+  describe('resource URIs', () => {
+    it('should build and parse manifest URIs', () => {
+      const uri = manifestResourceUri('https://example.org/iiif/book1/manifest.json');
+
+      expect(uri).toBe('iiif-manifest://https%3A%2F%2Fexample.org%2Fiiif%2Fbook1%2Fmanifest.json');
+      expect(parseResourceUri(uri)).toEqual({ type: 'manifest', url: 'https://example.org/iiif/book1/manifest.json' });
+    });
+
+    it('should build and parse canvas URIs', () => {
+      const uri = canvasResourceUri('https://example.org/iiif/book1/manifest.json', 3);
+
+      expect(uri).toBe('iiif-canvas://https%3A%2F%2Fexample.org%2Fiiif%2Fbook1%2Fmanifest.json/3');
+      expect(parseResourceUri(uri)).toEqual({
+        type: 'canvas',
+        manifestUrl: 'https://example.org/iiif/book1/manifest.json',
+        index: 3
+      });
+    });
+
+    it('should build and parse image URIs', () => {
+      const uri = imageResourceUri('https://example.org/iiif/image1', 'pct:10,10,50,50');
+
+      expect(uri).toBe('iiif-image://https%3A%2F%2Fexample.org%2Fiiif%2Fimage1/pct%3A10%2C10%2C50%2C50');
+      expect(parseResourceUri(uri)).toEqual({
+        type: 'image',
+        baseUri: 'https://example.org/iiif/image1',
+        region: 'pct:10,10,50,50'
+      });
+      expect(parseResourceUri(imageResourceUri('https://example.org/iiif/image1')).region).toBe('full');
+    });
+
+    it('should accept unencoded URLs', () => {
+      expect(parseResourceUri('iiif-canvas://https://example.org/manifest.json/0')).toEqual({
+        type: 'canvas',
+        manifestUrl: 'https://example.org/manifest.json',
+        index: 0
+      });
+      expect(parseResourceUri('iiif-image://https://example.org/iiif/image1/square')).toEqual({
+        type: 'image',
+        baseUri: 'https://example.org/iiif/image1',
+        region: 'square'
+      });
+    });
+
+    it('should reject unknown URIs', () => {
+      expect(() => parseResourceUri('https://example.org/manifest.json')).toThrow('Unknown resource URI');
+      expect(() => parseResourceUri('iiif-canvas://https%3A%2F%2Fexample.org/first')).toThrow('Unknown resource URI');
+    });
+  });
+
+  describe('RecentResources', () => {
+    it('should list the most recently used resources first', () => {
+      const recent = new RecentResources();
+
+      recent.add({ uri: 'iiif-manifest://a', name: 'A' });
+      recent.add({ uri: 'iiif-manifest://b', name: 'B' });
+      recent.add({ uri: 'iiif-manifest://a', name: 'A again' });
+
+      expect(recent.list()).toEqual([
+        { uri: 'iiif-manifest://a', name: 'A again' },
+        { uri: 'iiif-manifest://b', name: 'B' }
+      ]);
+    });
+
+    it('should forget the least recently used resources', () => {
+      const recent = new RecentResources(2);
+
+      recent.add({ uri: 'iiif-manifest://a', name: 'A' });
+      recent.add({ uri: 'iiif-manifest://b', name: 'B' });
+      recent.add({ uri: 'iiif-manifest://c', name: 'C' });
+
+      expect(recent.list().map(resource => resource.uri)).toEqual(['iiif-manifest://c', 'iiif-manifest://b']);
+    });
+  });
+});
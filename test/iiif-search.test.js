@@ -0,0 +1,295 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  autocompleteSearchTerm,
+  findSearchService,
+  formatSearchResults,
+  searchManifest
+} from '../server/iiif-search.js';
+
+// Mock node-fetch
+vi.mock('node-fetch', () => ({
+  default: vi.fn()
+}));
+
+const v2Manifest = {
+  "@context": "http://iiif.io/api/presentation/2/context.json",
+  "@id": "https://example.org/iiif/news/manifest",
+  "@type": "sc:Manifest",
+  "label": "Gazette",
+  "service": {
+    "@context": "http://iiif.io/api/search/1/context.json",
+    "@id": "https://example.org/search/news",
+    "profile": "http://iiif.io/api/search/1/search",
+    "service": {
+      "@id": "https://example.org/autocomplete/news",
+      "profile": "http://iiif.io/api/search/1/autocomplete"
+    }
+  },
+  "sequences": [{
+    "canvases": [
+      { "@id": "https://example.org/iiif/news/canvas/p1", "label": "p. 1", "width": 1000, "height": 2000 },
+      { "@id": "https://example.org/iiif/news/canvas/p2", "label": "p. 2", "width": 1000, "height": 2000 }
+    ]
+  }]
+};
+
+const v3Manifest = {
+  "@context": "http://iiif.io/api/presentation/3/context.json",
+  "id": "https://example.org/iiif/book/manifest",
+  "type": "Manifest",
+  "service": [
+    {
+      "id": "https://example.org/search2/book",
+      "type": "SearchService2",
+      "service": [{ "id": "https://example.org/autocomplete2/book", "type": "AutoCompleteService2" }]
+    }
+  ],
+  "items": [
+    { "id": "https://example.org/iiif/book/canvas/1", "type": "Canvas", "label": { "en": ["1r"] }, "width": 2000, "height": 3000 }
+  ]
+};
+
+const v1ResultsPage1 = {
+  "@context": ["http://iiif.io/api/presentation/2/context.json", "http://iiif.io/api/search/1/context.json"],
+  "@id": "https://example.org/search/news?q=harbour",
+  "@type": "sc:AnnotationList",
+  "within": { "@type": "sc:Layer", "total": 3 },
+  "next": "https://example.org/search/news?q=harbour&page=2",
+  "resources": [
+    {
+      "@id": "https://example.org/anno/1",
+      "@type": "oa:Annotation",
+      "motivation": "sc:painting",
+      "resource": { "@type": "cnt:ContentAsText", "chars": "harbour" },
+      "on": "https://example.org/iiif/news/canvas/p1#xywh=100,200,300,40"
+    },
+    {
+      "@id": "https://example.org/anno/2",
+      "@type": "oa:Annotation",
+      "motivation": "sc:painting",
+      "resource": { "@type": "cnt:ContentAsText", "chars": "Harbour" },
+      "on": "https://example.org/iiif/news/canvas/p2#xywh=500,1000,100,20"
+    }
+  ],
+  "hits": [
+    { "@type": "search:Hit", "annotations": ["https://example.org/anno/1"], "before": "the new ", "match": "harbour", "after": " opened" },
+    { "@type": "search:Hit", "annotations": ["https://example.org/anno/2"], "match": "Harbour", "after": " master" }
+  ]
+};
+
+const v1ResultsPage2 = {
+  "@context": ["http://iiif.io/api/presentation/2/context.json", "http://iiif.io/api/search/1/context.json"],
+  "@id": "https://example.org/search/news?q=harbour&page=2",
+  "@type": "sc:AnnotationList",
+  "resources": [
+    {
+      "@id": "https://example.org/anno/3",
+      "@type": "oa:Annotation",
+      "resource": { "@type": "cnt:ContentAsText", "chars": "harbour" },
+      "on": "https://example.org/iiif/news/canvas/p2#xywh=0,0,100,100"
+    }
+  ]
+};
+
+const v2Results = {
+  "@context": "http://iiif.io/api/search/2/context.json",
+  "id": "https://example.org/search2/book?q=rex",
+  "type": "AnnotationPage",
+  "items": [
+    {
+      "id": "https://example.org/anno2/1",
+      "type": "Annotation",
+      "motivation": "supplementing",
+      "body": { "type": "TextualBody", "value": "rex" },
+      "target": "https://example.org/iiif/book/canvas/1#xywh=200,300,200,150"
+    }
+  ],
+  "annotations": [
+    {
+      "type": "AnnotationPage",
+      "items": [
+        {
+          "id": "https://example.org/highlight/1",
+          "type": "Annotation",
+          "motivation": "highlighting",
+          "target": {
+            "type": "SpecificResource",
+            "source": "https://example.org/anno2/1",
+            "selector": [{ "type": "TextQuoteSelector", "prefix": "dominus ", "exact": "rex", "suffix": " angliae" }]
+          }
+        }
+      ]
+    }
+  ]
+};
+
+function mockDocuments(fetchMock, documents) {
+  fetchMock.mockImplementation((url) => {
+    const document = documents[url];
+    if (!document) {
+      return Promise.resolve({ ok: false, status: 404, statusText: 'Not Found' });
+    }
+    return Promise.resolve({
+      ok: true,
+      headers: { get: () => 'application/json' },
+      text: () => Promise.resolve(JSON.stringify(document))
+    });
+  });
+}
+
+describe('iiif-search', () => {
+  let fetchMock;
+
+  beforeEach(async () => {
+    fetchMock = (await vi.importMock('node-fetch')).default;
+    fetchMock.mockReset();
+  });
+
+  describe('findSearchService', () => {
+    it('should find Content Search 1.0 services by profile', () => {
+      expect(findSearchService(v2Manifest)).toEqual({
+        id: 'https://example.org/search/news',
+        version: 1,
+        autocompleteId: 'https://example.org/autocomplete/news'
+      });
+    });
+
+    it('should find Content Search 2.0 services by type', () => {
+      expect(findSearchService(v3Manifest)).toEqual({
+        id: 'https://example.org/search2/book',
+        version: 2,
+        autocompleteId: 'https://example.org/autocomplete2/book'
+      });
+    });
+
+    it('should return null for manifests without a search service', () => {
+      expect(findSearchService({ ...v3Manifest, service: [{ id: 'x', type: 'ImageService3' }] })).toBeNull();
+    });
+  });
+
+  describe('searchManifest', () => {
+    it('should follow result pages and convert hit regions to pct:', async () => {
+      mockDocuments(fetchMock, {
+        'https://example.org/search/news?q=harbour': v1ResultsPage1,
+        'https://example.org/search/news?q=harbour&page=2': v1ResultsPage2
+      });
+
+      const results = await searchManifest(v2Manifest, ' harbour ');
+
+      expect(results.total).toBe(3);
+      expect(results.pagesFetched).toBe(2);
+      expect(results.nextPage).toBeUndefined();
+      expect(results.hits).toEqual([
+        {
+          canvasId: 'https://example.org/iiif/news/canvas/p1',
+          canvasIndex: 0,
+          canvasLabel: 'p. 1',
+          regions: ['pct:10,10,30,2'],
+          text: 'harbour',
+          snippet: 'the new harbour opened'
+        },
+        {
+          canvasId: 'https://example.org/iiif/news/canvas/p2',
+          canvasIndex: 1,
+          canvasLabel: 'p. 2',
+          regions: ['pct:50,50,10,1'],
+          text: 'Harbour',
+          snippet: 'Harbour master'
+        },
+        {
+          canvasId: 'https://example.org/iiif/news/canvas/p2',
+          canvasIndex: 1,
+          canvasLabel: 'p. 2',
+          regions: ['pct:0,0,10,5'],
+          text: 'harbour',
+          snippet: undefined
+        }
+      ]);
+    });
+
+    it('should stop after the maximum number of pages', async () => {
+      mockDocuments(fetchMock, { 'https://example.org/search/news?q=harbour': v1ResultsPage1 });
+
+      const results = await searchManifest(v2Manifest, 'harbour', { maxPages: 1 });
+
+      expect(results.pagesFetched).toBe(1);
+      expect(results.nextPage).toBe('https://example.org/search/news?q=harbour&page=2');
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+    });
+
+    it('should use Content Search 2.0 highlighting annotations as snippets', async () => {
+      mockDocuments(fetchMock, { 'https://example.org/search2/book?q=rex': v2Results });
+
+      const results = await searchManifest(v3Manifest, 'rex');
+
+      expect(results.hits).toEqual([{
+        canvasId: 'https://example.org/iiif/book/canvas/1',
+        canvasIndex: 0,
+        canvasLabel: '1r',
+        regions: ['pct:10,10,10,5'],
+        text: 'rex',
+        snippet: 'dominus rex angliae'
+      }]);
+    });
+
+    it('should reject manifests without a search service', async () => {
+      await expect(searchManifest({ ...v3Manifest, service: [] }, 'rex'))
+        .rejects.toThrow('Manifest does not advertise a IIIF Content Search service');
+    });
+  });
+
+  describe('autocompleteSearchTerm', () => {
+    it('should read Content Search 1.0 term lists', async () => {
+      mockDocuments(fetchMock, {
+        'https://example.org/autocomplete/news?q=harb': {
+          "@type": "search:TermList",
+          "terms": [{ "match": "harbour", "count": 3 }, { "match": "harbours", "count": 1 }]
+        }
+      });
+
+      expect(await autocompleteSearchTerm(v2Manifest, 'harb')).toEqual([
+        { term: 'harbour', count: 3 },
+        { term: 'harbours', count: 1 }
+      ]);
+    });
+
+    it('should read Content Search 2.0 term pages', async () => {
+      mockDocuments(fetchMock, {
+        'https://example.org/autocomplete2/book?q=re': {
+          "type": "TermPage",
+          "items": [{ "value": "rex", "total": 12 }]
+        }
+      });
+
+      expect(await autocompleteSearchTerm(v3Manifest, 're')).toEqual([{ term: 'rex', count: 12 }]);
+    });
+
+    it('should return null without an autocomplete service', async () => {
+      const manifest = { ...v3Manifest, service: [{ id: 'https://example.org/search2/book', type: 'SearchService2' }] };
+
+      expect(await autocompleteSearchTerm(manifest, 're')).toBeNull();
+    });
+  });
+
+  describe('formatSearchResults', () => {
+    it('should list hits and suggestions', () => {
+      const text = formatSearchResults('harbour', {
+        total: 3,
+        pagesFetched: 1,
+        nextPage: 'https://example.org/search/news?q=harbour&page=2',
+        hits: [{ canvasIndex: 0, canvasLabel: 'p. 1', regions: ['pct:10,10,30,2'], text: 'harbour', snippet: 'the new harbour opened' }]
+      });
+
+      expect(text).toContain('Hits: 1 (total reported by the service: 3) from 1 result page');
+      expect(text).toContain('0 | p. 1 | pct:10,10,30,2 | the new harbour opened');
+      expect(text).toContain('call again with maxPages greater than 1');
+    });
+
+    it('should suggest terms when nothing matches', () => {
+      const text = formatSearchResults('harbor', { pagesFetched: 1, hits: [] }, [{ term: 'harbour', count: 3 }]);
+
+      expect(text).toContain('Hits: 0 from 1 result page');
+      expect(text).toContain('Suggested search terms: harbour (3)');
+    });
+  });
+});
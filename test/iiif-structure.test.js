@@ -0,0 +1,177 @@
+import { describe, it, expect } from 'vitest';
+import {
+  findRange,
+  formatCanvasIndexes,
+  formatRange,
+  formatStructure,
+  getStructure
+} from '../server/iiif-structure.js';
+
+const canvasId = n => `https://example.org/iiif/letters/canvas/${n}`;
+
+const v3Manifest = {
+  "@context": "http://iiif.io/api/presentation/3/context.json",
+  "id": "https://example.org/iiif/letters/manifest",
+  "type": "Manifest",
+  "label": { "en": ["Letters"] },
+  "items": [0, 1, 2, 3, 4, 5].map(n => ({
+    "id": canvasId(n),
+    "type": "Canvas",
+    "label": { "none": [`f. ${n + 1}`] },
+    "width": 1000,
+    "height": 1500
+  })),
+  "structures": [
+    {
+      "id": "https://example.org/iiif/letters/range/toc",
+      "type": "Range",
+      "label": { "en": ["Letters"] },
+      "items": [
+        {
+          "id": "https://example.org/iiif/letters/range/1",
+          "type": "Range",
+          "label": { "en": ["Letter to Anna"] },
+          "items": [{ "id": canvasId(0), "type": "Canvas" }, { "id": canvasId(1), "type": "Canvas" }]
+        },
+        {
+          "id": "https://example.org/iiif/letters/range/2",
+          "type": "Range",
+          "label": { "en": ["Letter to Ben"] },
+          "items": [
+            { "id": `${canvasId(2)}#xywh=0,0,1000,700`, "type": "Canvas" },
+            {
+              "id": "https://example.org/iiif/letters/range/2a",
+              "type": "Range",
+              "label": { "en": ["Postscript"] },
+              "items": [{ "type": "SpecificResource", "source": canvasId(3), "selector": { "type": "FragmentSelector", "value": "xywh=0,0,10,10" } }]
+            }
+          ]
+        },
+        {
+          "id": "https://example.org/iiif/letters/range/3",
+          "type": "Range",
+          "label": { "en": ["Letter to Clara"] },
+          "items": [{ "id": canvasId(5), "type": "Canvas" }]
+        }
+      ]
+    }
+  ]
+};
+
+const v2Manifest = {
+  "@context": "http://iiif.io/api/presentation/2/context.json",
+  "@id": "https://example.org/iiif/book/manifest",
+  "@type": "sc:Manifest",
+  "label": "Book",
+  "sequences": [{
+    "canvases": [0, 1, 2, 3].map(n => ({ "@id": canvasId(n), "@type": "sc:Canvas", "label": `p. ${n + 1}`, "width": 100, "height": 100 }))
+  }],
+  "structures": [
+    {
+      "@id": "https://example.org/iiif/book/range/top",
+      "@type": "sc:Range",
+      "label": "Contents",
+      "viewingHint": "top",
+      "ranges": ["https://example.org/iiif/book/range/ch1"]
+    },
+    {
+      "@id": "https://example.org/iiif/book/range/ch1",
+      "@type": "sc:Range",
+      "label": "Chapter 1",
+      "canvases": [canvasId(1), canvasId(2)]
+    },
+    {
+      "@id": "https://example.org/iiif/book/range/ch2",
+      "@type": "sc:Range",
+      "label": "Chapter 2",
+      "within": "https://example.org/iiif/book/range/top",
+      "canvases": [canvasId(3)]
+    }
+  ]
+};
+
+describe('iiif-structure', () => {
+  describe('getStructure', () => {
+    it('should number v3 ranges and collect the canvases of their sub-ranges', () => {
+      const structure = getStructure(v3Manifest);
+
+      expect(structure).toHaveLength(1);
+      expect(structure[0]).toMatchObject({ number: '1', label: 'Letters', canvases: [0, 1, 2, 3, 5] });
+      expect(structure[0].children.map(({ number, label, canvases }) => ({ number, label, canvases }))).toEqual([
+        { number: '1.1', label: 'Letter to Anna', canvases: [0, 1] },
+        { number: '1.2', label: 'Letter to Ben', canvases: [2, 3] },
+        { number: '1.3', label: 'Letter to Clara', canvases: [5] }
+      ]);
+      expect(structure[0].children[1].children[0]).toMatchObject({ number: '1.2.1', label: 'Postscript', canvases: [3] });
+    });
+
+    it('should nest v2 ranges by ranges and within', () => {
+      const structure = getStructure(v2Manifest);
+
+      expect(formatStructure(structure, 'Book')).toBe([
+        'Table of contents of Book',
+        '1 Contents (canvases 1-3)',
+        '  1.1 Chapter 1 (canvases 1-2)',
+        '  1.2 Chapter 2 (canvases 3)'
+      ].join('\n'));
+    });
+
+    it('should skip ranges that contain themselves', () => {
+      const range = { "id": "https://example.org/range/loop", "type": "Range", "label": "Loop", "items": [] };
+      range.items.push({ "id": range.id, "type": "Range" }, { "id": canvasId(0), "type": "Canvas" });
+
+      const structure = getStructure({ ...v3Manifest, "structures": [range] });
+
+      expect(structure[0]).toMatchObject({ canvases: [0], children: [] });
+    });
+
+    it('should return no ranges for manifests without structures', () => {
+      const { structures, ...manifest } = v3Manifest;
+
+      expect(getStructure(manifest)).toEqual([]);
+      expect(formatStructure([])).toBe('Manifest has no structures (table of contents)');
+    });
+  });
+
+  describe('findRange', () => {
+    const structure = getStructure(v3Manifest);
+
+    it('should find ranges by number, id and label', () => {
+      expect(findRange(structure, '1.3').label).toBe('Letter to Clara');
+      expect(findRange(structure, 'https://example.org/iiif/letters/range/2a').label).toBe('Postscript');
+      expect(findRange(structure, 'letter to ben').number).toBe('1.2');
+      expect(findRange(structure, 'Anna').number).toBe('1.1');
+    });
+
+    it('should prefer exact labels over partial matches', () => {
+      expect(findRange(structure, 'Letters').number).toBe('1');
+    });
+
+    it('should throw for unknown ranges', () => {
+      expect(() => findRange(structure, 'Letter to Dora')).toThrow('No range matching "Letter to Dora"');
+      expect(() => findRange([], '1')).toThrow('Manifest has no structures (table of contents)');
+    });
+  });
+
+  describe('formatCanvasIndexes', () => {
+    it('should join consecutive indexes', () => {
+      expect(formatCanvasIndexes([0, 1, 2, 3, 7, 9, 10])).toBe('0-3, 7, 9-10');
+      expect(formatCanvasIndexes([])).toBe('');
+    });
+  });
+
+  describe('formatRange', () => {
+    it('should list the canvases and sub-ranges of a range', () => {
+      const range = findRange(getStructure(v3Manifest), '1.2');
+
+      expect(formatRange(range, v3Manifest.items)).toBe([
+        'Range 1.2 (Letter to Ben): https://example.org/iiif/letters/range/2',
+        'Canvases 2-3:',
+        '- 2 (f. 3): https://example.org/iiif/letters/canvas/2',
+        '- 3 (f. 4): https://example.org/iiif/letters/canvas/3',
+        'Sub-ranges:',
+        '  1.2.1 Postscript (canvases 3)'
+      ].join('\n'));
+    });
+  });
+});
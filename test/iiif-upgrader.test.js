@@ -0,0 +1,349 @@
+import { describe, it, expect } from 'vitest';
+import {
+  upgradeAnnotation,
+  upgradeService,
+  upgradeStructures,
+  upgradeToV3
+} from '../server/iiif-upgrader.js';
+import { summarizeCanvases } from '../server/iiif-manifest.js';
+
+const v2Manifest = {
+  "@context": "http://iiif.io/api/presentation/2/context.json",
+  "@id": "https://example.org/iiif/book1/manifest",
+  "@type": "sc:Manifest",
+  "label": [{ "@value": "Book of Hours", "@language": "en" }, { "@value": "Livre d'heures", "@language": "fr" }],
+  "description": "An illuminated manuscript",
+  "metadata": [{ "label": "Date", "value": "c. 1450" }],
+  "attribution": "Provided by Example Library",
+  "license": "http://creativecommons.org/licenses/by/4.0/",
+  "logo": "https://example.org/logo.png",
+  "related": { "@id": "https://example.org/book1", "format": "text/html" },
+  "seeAlso": { "@id": "https://example.org/book1.xml", "format": "text/xml", "profile": "https://www.loc.gov/mods" },
+  "within": "https://example.org/iiif/collection/top",
+  "service": {
+    "@context": "http://iiif.io/api/search/0/context.json",
+    "@id": "https://example.org/search/book1",
+    "profile": "http://iiif.io/api/search/0/search",
+    "service": { "@id": "https://example.org/autocomplete/book1", "profile": "http://iiif.io/api/search/0/autocomplete" }
+  },
+  "sequences": [{
+    "@type": "sc:Sequence",
+    "viewingHint": "paged",
+    "startCanvas": "https://example.org/iiif/book1/canvas/p2",
+    "canvases": [
+      {
+        "@id": "https://example.org/iiif/book1/canvas/p1",
+        "@type": "sc:Canvas",
+        "label": "1r",
+        "width": 2000,
+        "height": 3000,
+        "images": [{
+          "@id": "https://example.org/iiif/book1/annotation/p1",
+          "@type": "oa:Annotation",
+          "motivation": "sc:painting",
+          "on": "https://example.org/iiif/book1/canvas/p1",
+          "resource": {
+            "@id": "https://example.org/iiif/image1/full/full/0/default.jpg",
+            "@type": "dctypes:Image",
+            "format": "image/jpeg",
+            "width": 2000,
+            "height": 3000,
+            "service": {
+              "@context": "http://iiif.io/api/image/2/context.json",
+              "@id": "https://example.org/iiif/image1",
+              "profile": ["http://iiif.io/api/image/2/level2.json", { "formats": ["png"] }]
+            }
+          }
+        }],
+        "otherContent": [
+          "https://example.org/iiif/book1/list/p1",
+          {
+            "@id": "https://example.org/iiif/book1/list/p1-comments",
+            "@type": "sc:AnnotationList",
+            "within": { "@id": "https://example.org/iiif/book1/layer/comments", "@type": "sc:Layer", "label": "Comments" },
+            "resources": [{
+              "@id": "https://example.org/iiif/book1/annotation/c1",
+              "@type": "oa:Annotation",
+              "motivation": "oa:commenting",
+              "resource": { "@type": "cnt:ContentAsText", "chars": "<p>Initial</p>", "format": "text/html", "language": "en" },
+              "on": {
+                "@type": "oa:SpecificResource",
+                "full": "https://example.org/iiif/book1/canvas/p1",
+                "selector": { "@type": "oa:FragmentSelector", "value": "xywh=100,100,200,200" }
+              }
+            }]
+          }
+        ]
+      },
+      {
+        "@id": "https://example.org/iiif/book1/canvas/p2",
+        "@type": "sc:Canvas",
+        "label": "1v",
+        "width": 2000,
+        "height": 3000,
+        "images": [{
+          "@type": "oa:Annotation",
+          "motivation": "sc:painting",
+          "on": "https://example.org/iiif/book1/canvas/p2",
+          "resource": {
+            "@type": "oa:Choice",
+            "default": {
+              "@id": "https://example.org/iiif/image2/full/full/0/default.jpg",
+              "@type": "dctypes:Image",
+              "service": { "@id": "https://example.org/iiif/image2", "profile": "http://iiif.io/api/image/2/level1.json" }
+            },
+            "item": [{ "@id": "https://example.org/iiif/image2-uv/full/full/0/default.jpg", "@type": "dctypes:Image" }]
+          }
+        }]
+      }
+    ]
+  }],
+  "structures": [
+    {
+      "@id": "https://example.org/iiif/book1/range/r0",
+      "@type": "sc:Range",
+      "label": "Contents",
+      "viewingHint": "top",
+      "ranges": ["https://example.org/iiif/book1/range/r1"]
+    },
+    {
+      "@id": "https://example.org/iiif/book1/range/r1",
+      "@type": "sc:Range",
+      "label": "Calendar",
+      "canvases": ["https://example.org/iiif/book1/canvas/p1"]
+    },
+    {
+      "@id": "https://example.org/iiif/book1/range/r2",
+      "@type": "sc:Range",
+      "label": "January",
+      "within": "https://example.org/iiif/book1/range/r1",
+      "canvases": ["https://example.org/iiif/book1/canvas/p2"]
+    }
+  ]
+};
+
+describe('iiif-upgrader', () => {
+  describe('upgradeToV3', () => {
+    const manifest = upgradeToV3(v2Manifest);
+
+    it('should upgrade descriptive, rights and linking properties', () => {
+      expect(manifest['@context']).toBe('http://iiif.io/api/presentation/3/context.json');
+      expect(manifest.id).toBe('https://example.org/iiif/book1/manifest');
+      expect(manifest.type).toBe('Manifest');
+      expect(manifest.label).toEqual({ en: ['Book of Hours'], fr: ["Livre d'heures"] });
+      expect(manifest.summary).toEqual({ none: ['An illuminated manuscript'] });
+      expect(manifest.metadata).toEqual([{ label: { none: ['Date'] }, value: { none: ['c. 1450'] } }]);
+      expect(manifest.requiredStatement).toEqual({
+        label: { en: ['Attribution'] },
+        value: { none: ['Provided by Example Library'] }
+      });
+      expect(manifest.rights).toBe('http://creativecommons.org/licenses/by/4.0/');
+      expect(manifest.provider).toEqual([{
+        id: 'https://example.org/iiif/book1/manifest#provider',
+        type: 'Agent',
+        label: { none: ['example.org'] },
+        logo: [{ id: 'https://example.org/logo.png', type: 'Image' }]
+      }]);
+      expect(manifest.homepage).toEqual([{ id: 'https://example.org/book1', type: 'Text', format: 'text/html' }]);
+      expect(manifest.seeAlso).toEqual([{
+        id: 'https://example.org/book1.xml',
+        type: 'Dataset',
+        format: 'text/xml',
+        profile: 'https://www.loc.gov/mods'
+      }]);
+      expect(manifest.partOf).toEqual([{ id: 'https://example.org/iiif/collection/top', type: 'Collection' }]);
+    });
+
+    it('should upgrade services with @id and @type', () => {
+      expect(manifest.service).toEqual([{
+        '@id': 'https://example.org/search/book1',
+        '@type': 'SearchService1',
+        profile: 'http://iiif.io/api/search/0/search',
+        service: [{
+          '@id': 'https://example.org/autocomplete/book1',
+          '@type': 'AutoCompleteService1',
+          profile: 'http://iiif.io/api/search/0/autocomplete'
+        }]
+      }]);
+    });
+
+    it('should move sequence properties to the manifest', () => {
+      expect(manifest.behavior).toEqual(['paged']);
+      expect(manifest.start).toEqual({ id: 'https://example.org/iiif/book1/canvas/p2', type: 'Canvas' });
+      expect(manifest.sequences).toBeUndefined();
+    });
+
+    it('should upgrade canvases with painting annotation pages and annotations', () => {
+      const [canvas] = manifest.items;
+
+      expect(canvas.items).toEqual([{
+        id: 'https://example.org/iiif/book1/canvas/p1/annotationpage',
+        type: 'AnnotationPage',
+        items: [{
+          id: 'https://example.org/iiif/book1/annotation/p1',
+          type: 'Annotation',
+          motivation: 'painting',
+          body: {
+            id: 'https://example.org/iiif/image1/full/full/0/default.jpg',
+            type: 'Image',
+            format: 'image/jpeg',
+            height: 3000,
+            width: 2000,
+            service: [{ '@id': 'https://example.org/iiif/image1', '@type': 'ImageService2', profile: 'level2' }]
+          },
+          target: 'https://example.org/iiif/book1/canvas/p1'
+        }]
+      }]);
+      expect(canvas.annotations).toEqual([
+        { id: 'https://example.org/iiif/book1/list/p1', type: 'AnnotationPage' },
+        {
+          id: 'https://example.org/iiif/book1/list/p1-comments',
+          type: 'AnnotationPage',
+          partOf: [{
+            id: 'https://example.org/iiif/book1/layer/comments',
+            type: 'AnnotationCollection',
+            label: { none: ['Comments'] }
+          }],
+          items: [{
+            id: 'https://example.org/iiif/book1/annotation/c1',
+            type: 'Annotation',
+            motivation: 'commenting',
+            body: { type: 'TextualBody', value: '<p>Initial</p>', format: 'text/html', language: 'en' },
+            target: {
+              type: 'SpecificResource',
+              source: { id: 'https://example.org/iiif/book1/canvas/p1', type: 'Canvas' },
+              selector: { type: 'FragmentSelector', value: 'xywh=100,100,200,200' }
+            }
+          }]
+        }
+      ]);
+    });
+
+    it('should upgrade choices of images', () => {
+      const body = manifest.items[1].items[0].items[0].body;
+
+      expect(body.type).toBe('Choice');
+      expect(body.items.map(item => item.id)).toEqual([
+        'https://example.org/iiif/image2/full/full/0/default.jpg',
+        'https://example.org/iiif/image2-uv/full/full/0/default.jpg'
+      ]);
+    });
+
+    it('should keep canvases readable by the manifest helpers', () => {
+      expect(summarizeCanvases(manifest)).toEqual(summarizeCanvases(v2Manifest));
+    });
+
+    it('should nest ranges', () => {
+      expect(manifest.structures).toEqual([{
+        id: 'https://example.org/iiif/book1/range/r0',
+        type: 'Range',
+        label: { none: ['Contents'] },
+        items: [{
+          id: 'https://example.org/iiif/book1/range/r1',
+          type: 'Range',
+          label: { none: ['Calendar'] },
+          items: [
+            { id: 'https://example.org/iiif/book1/canvas/p1', type: 'Canvas' },
+            {
+              id: 'https://example.org/iiif/book1/range/r2',
+              type: 'Range',
+              label: { none: ['January'] },
+              items: [{ id: 'https://example.org/iiif/book1/canvas/p2', type: 'Canvas' }]
+            }
+          ]
+        }]
+      }]);
+    });
+
+    it('should upgrade collections', () => {
+      const collection = upgradeToV3({
+        "@context": "http://iiif.io/api/presentation/2/context.json",
+        "@id": "https://example.org/iiif/collection/top",
+        "@type": "sc:Collection",
+        "label": "Top",
+        "collections": [{ "@id": "https://example.org/iiif/collection/sub", "@type": "sc:Collection", "label": "Sub" }],
+        "manifests": [{ "@id": "https://example.org/iiif/book1/manifest", "@type": "sc:Manifest", "label": "Book 1" }]
+      });
+
+      expect(collection.items).toEqual([
+        { id: 'https://example.org/iiif/collection/sub', type: 'Collection', label: { none: ['Sub'] } },
+        { id: 'https://example.org/iiif/book1/manifest', type: 'Manifest', label: { none: ['Book 1'] } }
+      ]);
+    });
+
+    it('should return v3 documents unchanged', () => {
+      const v3 = { "@context": "http://iiif.io/api/presentation/3/context.json", "id": "x", "type": "Manifest", "items": [] };
+
+      expect(upgradeToV3(v3)).toBe(v3);
+    });
+
+    it('should reject other v2 resources', () => {
+      expect(() => upgradeToV3({ "@context": "http://iiif.io/api/presentation/2/context.json", "@type": "sc:Canvas" }))
+        .toThrow('Cannot upgrade a resource of type sc:Canvas');
+    });
+  });
+
+  describe('upgradeService', () => {
+    it('should give image services without a profile URL the ImageService2 type by context', () => {
+      expect(upgradeService({
+        "@context": "http://iiif.io/api/image/2/context.json",
+        "@id": "https://example.org/iiif/image1",
+        "profile": "http://iiif.io/api/image/2/level0.json",
+        "width": 1000,
+        "height": 800
+      })).toEqual({
+        '@id': 'https://example.org/iiif/image1',
+        '@type': 'ImageService2',
+        profile: 'level0',
+        width: 1000,
+        height: 800
+      });
+    });
+  });
+
+  describe('upgradeAnnotation', () => {
+    it('should use the default of a choice of selectors and SVG selector text', () => {
+      const annotation = upgradeAnnotation({
+        "@type": "oa:Annotation",
+        "motivation": ["oa:commenting"],
+        "resource": [{ "@type": "dctypes:Text", "@id": "https://example.org/note.html", "format": "text/html" }],
+        "on": [{
+          "@type": "oa:SpecificResource",
+          "full": "https://example.org/canvas/1",
+          "selector": {
+            "@type": "oa:Choice",
+            "default": { "@type": "oa:FragmentSelector", "value": "xywh=0,0,10,10" },
+            "item": { "@type": "oa:SvgSelector", "value": "<svg/>" }
+          }
+        }]
+      });
+
+      expect(annotation).toEqual({
+        type: 'Annotation',
+        motivation: 'commenting',
+        body: { id: 'https://example.org/note.html', type: 'Text', format: 'text/html' },
+        target: [{
+          type: 'SpecificResource',
+          source: { id: 'https://example.org/canvas/1', type: 'Canvas' },
+          selector: { type: 'FragmentSelector', value: 'xywh=0,0,10,10' }
+        }]
+      });
+    });
+  });
+
+  describe('upgradeStructures', () => {
+    it('should not loop on ranges that include each other', () => {
+      const structures = upgradeStructures([
+        { "@id": "r1", "@type": "sc:Range", "ranges": ["r2"] },
+        { "@id": "r2", "@type": "sc:Range", "ranges": ["r1"] },
+        { "@id": "r3", "@type": "sc:Range", "ranges": ["r1"] }
+      ]);
+
+      expect(structures).toEqual([{
+        id: 'r3',
+        type: 'Range',
+        items: [{ id: 'r1', type: 'Range', items: [{ id: 'r2', type: 'Range', items: [{ id: 'r1', type: 'Range' }] }] }]
+      }]);
+    });
+  });
+});
@@ -0,0 +1,256 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { formatValidationReport, validateManifest } from '../server/iiif-validator.js';
+
+// Mock node-fetch
+vi.mock('node-fetch', () => ({
+  default: vi.fn()
+}));
+
+function v3Canvas(n, overrides = {}) {
+  const id = `https://example.org/iiif/book1/canvas/p${n}`;
+  return {
+    id,
+    type: 'Canvas',
+    label: { none: [`p. ${n}`] },
+    width: 2000,
+    height: 3000,
+    items: [{
+      id: `${id}/page`,
+      type: 'AnnotationPage',
+      items: [{
+        id: `${id}/page/image`,
+        type: 'Annotation',
+        motivation: 'painting',
+        body: {
+          id: `https://example.org/iiif/image/p${n}/full/max/0/default.jpg`,
+          type: 'Image',
+          format: 'image/jpeg',
+          service: [{ id: `https://example.org/iiif/image/p${n}`, type: 'ImageService3', profile: 'level1' }]
+        },
+        target: id
+      }]
+    }],
+    ...overrides
+  };
+}
+
+function v3Manifest(items) {
+  return {
+    '@context': 'http://iiif.io/api/presentation/3/context.json',
+    id: 'https://example.org/iiif/book1/manifest',
+    type: 'Manifest',
+    label: { en: ['Book 1'] },
+    items
+  };
+}
+
+function info(n, width = 2000, height = 3000) {
+  return { '@context': 'http://iiif.io/api/image/3/context.json', id: `https://example.org/iiif/image/p${n}`, width, height };
+}
+
+function mockDocuments(fetchMock, documents) {
+  fetchMock.mockImplementation((url) => {
+    const document = documents[url];
+    if (!document) {
+      return Promise.resolve({ ok: false, status: 404, statusText: 'Not Found' });
+    }
+    return Promise.resolve({
+      ok: true,
+      headers: { get: () => 'application/json' },
+      text: () => Promise.resolve(JSON.stringify(document))
+    });
+  });
+}
+
+describe('iiif-validator', () => {
+  let fetchMock;
+
+  beforeEach(async () => {
+    fetchMock = (await vi.importMock('node-fetch')).default;
+    fetchMock.mockReset();
+  });
+
+  describe('validateManifest', () => {
+    it('should report no problems for a valid manifest', async () => {
+      mockDocuments(fetchMock, {
+        'https://example.org/iiif/image/p1/info.json': info(1),
+        'https://example.org/iiif/image/p2/info.json': info(2)
+      });
+
+      const report = await validateManifest(v3Manifest([v3Canvas(1), v3Canvas(2)]));
+
+      expect(report).toEqual({ version: 3, errors: [], warnings: [], imageServices: { checked: 2, unchecked: 0 } });
+    });
+
+    it('should report missing ids, labels and canvas dimensions with their paths', async () => {
+      const manifest = v3Manifest([v3Canvas(1, { width: undefined, height: undefined }), v3Canvas(2, { label: undefined, height: 0 })]);
+      delete manifest.id;
+      delete manifest.label;
+      delete manifest.items[0].items[0].items[0].id;
+
+      const report = await validateManifest(manifest, { probeImageServices: false });
+
+      expect(report.errors).toEqual([
+        { path: '$.id', message: 'Manifest has no id' },
+        { path: '$.label', message: 'Manifest has no label' },
+        { path: '$.items[0]', message: 'Canvas has no width and height' },
+        { path: '$.items[0].items[0].items[0].id', message: 'Annotation has no id' },
+        { path: '$.items[1].height', message: 'Canvas height must be a positive integer' }
+      ]);
+      expect(report.warnings).toEqual([{ path: '$.items[1].label', message: 'Canvas has no label' }]);
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+
+    it('should report painting annotations that target another canvas', async () => {
+      const canvas = v3Canvas(2);
+      canvas.items[0].items[0].target = 'https://example.org/iiif/book1/canvas/p1#xywh=0,0,10,10';
+      const specificResource = v3Canvas(3);
+      specificResource.items[0].items[0].target = {
+        type: 'SpecificResource',
+        source: { id: 'https://example.org/iiif/book1/canvas/p3', type: 'Canvas' }
+      };
+
+      const report = await validateManifest(v3Manifest([v3Canvas(1), canvas, specificResource]), { probeImageServices: false });
+
+      expect(report.errors).toEqual([{
+        path: '$.items[1].items[0].items[0].target',
+        message: 'Painting annotation targets https://example.org/iiif/book1/canvas/p1 instead of its canvas https://example.org/iiif/book1/canvas/p2'
+      }]);
+    });
+
+    it('should report invalid language maps', async () => {
+      const manifest = v3Manifest([v3Canvas(1)]);
+      manifest.label = 'Book 1';
+      manifest.summary = { english: ['A book'], en: 'A book' };
+      manifest.metadata = [{ label: { en: ['Date'] }, value: { none: [1450] } }];
+
+      const report = await validateManifest(manifest, { probeImageServices: false });
+
+      expect(report.errors).toEqual([
+        { path: '$.label', message: 'Invalid language map: must be an object of language codes and arrays of strings' },
+        { path: '$.summary.english', message: "Invalid language map: 'english' is not a language code or 'none'" },
+        { path: '$.summary.en', message: 'Invalid language map: values must be an array of strings' },
+        { path: '$.metadata[0].value.none', message: 'Invalid language map: values must be strings' }
+      ]);
+    });
+
+    it('should report duplicate ids', async () => {
+      const duplicate = v3Canvas(1);
+      const manifest = v3Manifest([v3Canvas(1), duplicate]);
+
+      const report = await validateManifest(manifest, { probeImageServices: false });
+
+      expect(report.errors).toEqual([
+        { path: '$.items[1]', message: 'Duplicate id https://example.org/iiif/book1/canvas/p1 (also used at $.items[0])' },
+        { path: '$.items[1].items[0]', message: 'Duplicate id https://example.org/iiif/book1/canvas/p1/page (also used at $.items[0].items[0])' },
+        { path: '$.items[1].items[0].items[0]', message: 'Duplicate id https://example.org/iiif/book1/canvas/p1/page/image (also used at $.items[0].items[0].items[0])' }
+      ]);
+    });
+
+    it('should probe each image service once and report broken ones', async () => {
+      const canvases = [v3Canvas(1), v3Canvas(2), v3Canvas(3), v3Canvas(4, { id: 'https://example.org/iiif/book1/canvas/p4b' })];
+      canvases[3].items[0].items[0].target = canvases[3].id;
+      canvases[3].items[0].items[0].body.service = canvases[0].items[0].items[0].body.service;
+      mockDocuments(fetchMock, {
+        'https://example.org/iiif/image/p1/info.json': info(1),
+        'https://example.org/iiif/image/p3/info.json': info(3, 3000, 2000)
+      });
+
+      const report = await validateManifest(v3Manifest(canvases));
+
+      expect(fetchMock).toHaveBeenCalledTimes(3);
+      expect(report.errors).toEqual([{
+        path: '$.items[1]',
+        message: 'Image service https://example.org/iiif/image/p2 could not be loaded: HTTP 404: Not Found'
+      }]);
+      expect(report.warnings).toEqual([{
+        path: '$.items[2]',
+        message: 'Image 3000x2000 from https://example.org/iiif/image/p3 has a different aspect ratio from the canvas (2000x3000)'
+      }]);
+      expect(report.imageServices).toEqual({ checked: 3, unchecked: 0 });
+    });
+
+    it('should report null annotations and still probe the image service of their canvas', async () => {
+      const canvas = v3Canvas(1);
+      canvas.items[0].items.unshift(null);
+      mockDocuments(fetchMock, { 'https://example.org/iiif/image/p1/info.json': info(1) });
+
+      const report = await validateManifest(v3Manifest([canvas]));
+
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+      expect(fetchMock.mock.calls[0][0]).toBe('https://example.org/iiif/image/p1/info.json');
+      expect(report.errors).toEqual([{ path: '$.items[0].items[0].items[0]', message: 'Annotation must be an object' }]);
+      expect(report.imageServices).toEqual({ checked: 1, unchecked: 0 });
+    });
+
+    it('should stop probing after maxProbes image services', async () => {
+      mockDocuments(fetchMock, { 'https://example.org/iiif/image/p1/info.json': info(1) });
+
+      const report = await validateManifest(v3Manifest([v3Canvas(1), v3Canvas(2), v3Canvas(3)]), { maxProbes: 1 });
+
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+      expect(report.errors).toEqual([]);
+      expect(report.imageServices).toEqual({ checked: 1, unchecked: 2 });
+    });
+
+    it('should validate v2 manifests with v2 paths', async () => {
+      const manifest = {
+        '@context': 'http://iiif.io/api/presentation/2/context.json',
+        '@id': 'https://example.org/iiif/book2/manifest',
+        '@type': 'sc:Manifest',
+        label: [{ '@value': 'Atlas', '@language': 'en' }],
+        metadata: [{ label: 'Author', value: { '@language': 'en' } }],
+        sequences: [{
+          canvases: [
+            {
+              '@id': 'https://example.org/iiif/book2/canvas/c1',
+              '@type': 'sc:Canvas',
+              width: 1000,
+              images: [{
+                '@type': 'oa:Annotation',
+                motivation: 'sc:painting',
+                resource: { '@id': 'https://example.org/iiif/image/c1/full/full/0/default.jpg', '@type': 'dctypes:Image' },
+                on: 'https://example.org/iiif/book2/canvas/c2'
+              }]
+            }
+          ]
+        }],
+        structures: [{ '@id': 'https://example.org/iiif/book2/range/r1', '@type': 'sc:Range', label: 'Part 1', canvases: ['https://example.org/iiif/book2/canvas/c9'] }]
+      };
+
+      const report = await validateManifest(manifest);
+
+      expect(report.version).toBe(2);
+      expect(report.errors).toEqual([
+        { path: '$.metadata[0].value', message: 'Invalid value: must be a string or an object with @value' },
+        { path: '$.sequences[0].canvases[0].label', message: 'Canvas has no label' },
+        { path: '$.sequences[0].canvases[0].height', message: 'Canvas has a width but no height' },
+        { path: '$.sequences[0].canvases[0].images[0].on', message: 'Painting annotation targets https://example.org/iiif/book2/canvas/c2 instead of its canvas https://example.org/iiif/book2/canvas/c1' }
+      ]);
+      expect(report.warnings).toEqual([
+        { path: '$.structures[0].canvases[0]', message: 'Range refers to https://example.org/iiif/book2/canvas/c9, which is not a canvas of this manifest' },
+        { path: '$.sequences[0].canvases[0]', message: 'Canvas has no IIIF image service for its image' }
+      ]);
+    });
+  });
+
+  describe('formatValidationReport', () => {
+    it('should summarize the report and list each issue with its path', () => {
+      const text = formatValidationReport('https://example.org/iiif/book1/manifest', {
+        version: 3,
+        errors: [{ path: '$.items[0]', message: 'Canvas has no width and height' }],
+        warnings: [],
+        imageServices: { checked: 25, unchecked: 10 }
+      });
+
+      expect(text).toBe([
+        'Manifest: https://example.org/iiif/book1/manifest (Presentation API v3)',
+        'Result: invalid, 1 error and 0 warnings',
+        'Image services checked: 25 (10 more not checked; raise maxProbes to check them)',
+        '',
+        'Errors:',
+        '- $.items[0]: Canvas has no width and height'
+      ].join('\n'));
+    });
+  });
+});
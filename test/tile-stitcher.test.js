@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { Jimp, JimpMime } from 'jimp';
+import { stitchTiles } from '../server/tile-stitcher.js';
+
+async function solidTile(width, height, color) {
+  return new Jimp({ width, height, color }).getBuffer(JimpMime.png);
+}
+
+describe('stitchTiles', () => {
+  it('should place tiles at their offsets', async () => {
+    const tiles = [
+      { buffer: await solidTile(10, 10, 0xff0000ff), left: 0, top: 0 },
+      { buffer: await solidTile(10, 10, 0x0000ffff), left: 10, top: 0 }
+    ];
+
+    const buffer = await stitchTiles(tiles, { canvasWidth: 20, canvasHeight: 10, quality: 100 });
+    const image = await Jimp.read(buffer);
+
+    expect(image.bitmap.width).toBe(20);
+    expect(image.bitmap.height).toBe(10);
+    // Red on the left, blue on the right (allowing for JPEG artefacts)
+    const left = image.getPixelColor(2, 5);
+    const right = image.getPixelColor(17, 5);
+    expect(left >>> 24).toBeGreaterThan(200);
+    expect((right >>> 8) & 0xff).toBeGreaterThan(200);
+  });
+
+  it('should crop and resize the stitched image', async () => {
+    const tiles = [
+      { buffer: await solidTile(50, 50, 0x808080ff), left: 0, top: 0 },
+      { buffer: await solidTile(50, 50, 0x808080ff), left: 50, top: 0 }
+    ];
+
+    const buffer = await stitchTiles(tiles, {
+      canvasWidth: 100,
+      canvasHeight: 50,
+      crop: { x: 10, y: 10, width: 80, height: 40 },
+      width: 40,
+      height: 20
+    });
+    const image = await Jimp.read(buffer);
+
+    expect(image.bitmap.width).toBe(40);
+    expect(image.bitmap.height).toBe(20);
+  });
+
+  it('should encode the stitched image in the requested format', async () => {
+    const tiles = [{ buffer: await solidTile(10, 10, 0x808080ff), left: 0, top: 0 }];
+
+    const buffer = await stitchTiles(tiles, { canvasWidth: 10, canvasHeight: 10, format: 'png' });
+
+    expect(buffer.subarray(1, 4).toString()).toBe('PNG');
+    await expect(stitchTiles(tiles, { canvasWidth: 10, canvasHeight: 10, format: 'webp' }))
+      .rejects.toThrow('Stitched images cannot be encoded as webp');
+  });
+
+  it('should reject tiles that cannot be decoded', async () => {
+    const tiles = [{ buffer: Buffer.from('not an image'), left: 0, top: 0 }];
+
+    await expect(stitchTiles(tiles, { canvasWidth: 10, canvasHeight: 10 }))
+      .rejects.toThrow('Failed to decode tile image');
+  });
+});
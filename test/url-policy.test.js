@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { BLOCKED_ADDRESS_CODE, UrlPolicy, isPrivateAddress } from '../server/url-policy.js';
+
+function lookup(policy, hostname, options = {}) {
+  return new Promise((resolve, reject) => {
+    policy.lookup(hostname, options, (error, address) => (error ? reject(error) : resolve(address)));
+  });
+}
+
+describe('isPrivateAddress', () => {
+  it('should detect loopback, private and link-local addresses', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+      '::1', '::', 'fd00::1', 'fe80::1', 'fec0::1', '::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a9fe:a9fe', '64:ff9b::a9fe:a9fe',
+      '2002:a9fe:a9fe::', '::127.0.0.1', '::a9fe:a9fe']) {
+      expect(isPrivateAddress(address), address).toBe(true);
+    }
+  });
+
+  it('should accept public addresses', () => {
+    for (const address of ['93.184.216.34', '172.32.0.1', '8.8.8.8', '::ffff:8.8.8.8', '2606:2800:220:1:248:1893:25c8:1946']) {
+      expect(isPrivateAddress(address), address).toBe(false);
+    }
+  });
+});
+
+describe('UrlPolicy', () => {
+  it('should only allow http and https URLs', () => {
+    const policy = new UrlPolicy();
+
+    expect(policy.checkUrl('https://example.org/iiif/manifest')).toBeNull();
+    expect(policy.checkUrl('file:///etc/passwd')).toBe('Scheme file is not allowed, only http and https');
+    expect(policy.checkUrl('not a url')).toBe('Invalid URL: not a url');
+  });
+
+  it('should block private addresses in URLs, however they are written', () => {
+    const policy = new UrlPolicy();
+
+    expect(policy.checkUrl('http://127.0.0.1:8080/')).toBe('Address 127.0.0.1 is in a private, loopback or link-local network');
+    expect(policy.checkUrl('http://2130706433/')).toBe('Address 127.0.0.1 is in a private, loopback or link-local network');
+    expect(policy.checkUrl('http://[::1]/')).toBe('Address ::1 is in a private, loopback or link-local network');
+    // NAT64 and 6to4 addresses embedding 169.254.169.254
+    expect(policy.checkUrl('http://[64:ff9b::a9fe:a9fe]/')).toBe('Address 64:ff9b::a9fe:a9fe is in a private, loopback or link-local network');
+    expect(policy.checkUrl('http://[2002:a9fe:a9fe::]/')).toBe('Address 2002:a9fe:a9fe:: is in a private, loopback or link-local network');
+    // IPv4-compatible address embedding 127.0.0.1
+    expect(policy.checkUrl('http://[::127.0.0.1]/')).toBe('Address ::7f00:1 is in a private, loopback or link-local network');
+    expect(new UrlPolicy({ allowPrivateNetworks: true }).checkUrl('http://127.0.0.1:8080/')).toBeNull();
+  });
+
+  it('should apply the allow and deny lists, with the deny list taking precedence', () => {
+    const policy = new UrlPolicy({ allowHosts: ['*.example.org', 'iiif.example.net'], denyHosts: ['private.example.org'] });
+
+    expect(policy.checkUrl('https://images.example.org/iiif/1/info.json')).toBeNull();
+    expect(policy.checkUrl('https://IIIF.example.net/manifest')).toBeNull();
+    expect(policy.checkUrl('https://private.example.org/manifest')).toBe('Host private.example.org is denied');
+    expect(policy.checkUrl('https://example.com/manifest')).toBe('Host example.com is not in the allowed hosts');
+    expect(new UrlPolicy({ denyHosts: ['example.com'] }).checkUrl('https://example.org/')).toBeNull();
+  });
+
+  it('should refuse host names that resolve to private addresses', async () => {
+    const error = await lookup(new UrlPolicy(), 'localhost').catch(e => e);
+
+    expect(error.code).toBe(BLOCKED_ADDRESS_CODE);
+    expect(error.message).toMatch(/^localhost resolves to a blocked address: Address (127\.0\.0\.1|::1) is in a private/);
+    await expect(lookup(new UrlPolicy(), 'localhost', { all: true })).rejects.toMatchObject({ code: BLOCKED_ADDRESS_CODE });
+    await expect(lookup(new UrlPolicy({ allowPrivateNetworks: true }), 'localhost')).resolves.toMatch(/^(127\.0\.0\.1|::1)$/);
+  });
+});